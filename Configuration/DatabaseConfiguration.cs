@@ -70,11 +70,18 @@ public class DatabaseConfiguration
         client.CodeFirst.As<ProxyKey>($"{tablePrefix}proxy_keys");
         client.CodeFirst.As<KeyValidation>($"{tablePrefix}key_validation");
         client.CodeFirst.As<KeyUsageStats>($"{tablePrefix}key_usage_stats");
+        client.CodeFirst.As<KeyUsageMetric>($"{tablePrefix}key_usage_metrics");
         client.CodeFirst.As<RequestLog>($"{tablePrefix}request_logs");
         client.CodeFirst.As<User>($"{tablePrefix}users");
         client.CodeFirst.As<UserSession>($"{tablePrefix}sessions");
         client.CodeFirst.As<HealthCheckResult>($"{tablePrefix}health_check_results");
         client.CodeFirst.As<HealthCheckStats>($"{tablePrefix}health_check_stats");
+        client.CodeFirst.As<AuditLog>($"{tablePrefix}audit_logs");
+        client.CodeFirst.As<GroupConfigVersion>($"{tablePrefix}group_versions");
+        client.CodeFirst.As<ModelPrice>($"{tablePrefix}model_prices");
+        client.CodeFirst.As<ProxyKeyUsage>($"{tablePrefix}proxy_key_usage");
+        client.CodeFirst.As<GroupMaintenanceWindow>($"{tablePrefix}group_maintenance_windows");
+        client.CodeFirst.As<GroupTemplate>($"{tablePrefix}group_templates");
     }
 
     /// <summary>
@@ -259,6 +266,83 @@ public class DatabaseInitializer : IDatabaseInitializer
                 _logger.LogWarning(ex, "HealthCheckStats表创建失败，尝试跳过");
             }
 
+            try
+            {
+                // 尝试手动创建AuditLog表
+                await CreateAuditLogTableManually();
+                _logger.LogDebug("AuditLog表创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "AuditLog表创建失败，尝试跳过");
+            }
+
+            try
+            {
+                // 尝试手动创建GroupConfigVersion表
+                await CreateGroupConfigVersionTableManually();
+                _logger.LogDebug("GroupConfigVersion表创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "GroupConfigVersion表创建失败，尝试跳过");
+            }
+
+            try
+            {
+                // 尝试手动创建KeyUsageMetric表
+                await CreateKeyUsageMetricTableManually();
+                _logger.LogDebug("KeyUsageMetric表创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "KeyUsageMetric表创建失败，尝试跳过");
+            }
+
+            try
+            {
+                // 尝试手动创建ModelPrice表
+                await CreateModelPriceTableManually();
+                _logger.LogDebug("ModelPrice表创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "ModelPrice表创建失败，尝试跳过");
+            }
+
+            try
+            {
+                // 尝试手动创建ProxyKeyUsage表
+                await CreateProxyKeyUsageTableManually();
+                _logger.LogDebug("ProxyKeyUsage表创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "ProxyKeyUsage表创建失败，尝试跳过");
+            }
+
+            try
+            {
+                // 尝试手动创建GroupMaintenanceWindow表
+                await CreateGroupMaintenanceWindowTableManually();
+                _logger.LogDebug("GroupMaintenanceWindow表创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "GroupMaintenanceWindow表创建失败，尝试跳过");
+            }
+
+            try
+            {
+                // 尝试手动创建GroupTemplate表
+                await CreateGroupTemplateTableManually();
+                _logger.LogDebug("GroupTemplate表创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "GroupTemplate表创建失败，尝试跳过");
+            }
+
             // 执行数据库增量更新
             await ExecuteDatabaseMigrations(currentVersion);
 
@@ -359,6 +443,15 @@ public class DatabaseInitializer : IDatabaseInitializer
                 }
             }
 
+            // 初始化常用模型的默认价格
+            var existingPrices = await _db.Queryable<ModelPrice>().CountAsync();
+            if (existingPrices == 0)
+            {
+                var defaultPrices = DefaultModelPrices.Create();
+                await _db.Insertable(defaultPrices).ExecuteCommandAsync();
+                _logger.LogInformation("创建默认模型价格: {Count} 条", defaultPrices.Count);
+            }
+
             _logger.LogInformation("种子数据初始化完成");
         }
         catch (Exception ex)
@@ -685,7 +778,7 @@ public class DatabaseInitializer : IDatabaseInitializer
     /// <summary>
     /// 当前数据库版本
     /// </summary>
-    private const string CURRENT_DATABASE_VERSION = "1.8.0";
+    private const string CURRENT_DATABASE_VERSION = "1.15.0";
 
     /// <summary>
     /// 初始化数据库版本管理表
@@ -959,6 +1052,69 @@ public class DatabaseInitializer : IDatabaseInitializer
                 {
                     await initializer.OptimizeSerilogLogsTable();
                 }
+            },
+            new DatabaseMigration
+            {
+                Version = "1.9.0",
+                Description = "添加 ProxyKey 表的配额字段 (daily_token_limit, monthly_token_limit, quota_warning_threshold)",
+                ExecuteAsync = async (db, logger, initializer) =>
+                {
+                    await initializer.AddQuotaFieldsToProxyKey();
+                }
+            },
+            new DatabaseMigration
+            {
+                Version = "1.10.0",
+                Description = "添加 ProxyKey 表的有效期与轮换字段 (not_before, expires_at, previous_key_value, previous_key_expires_at, rotated_at)",
+                ExecuteAsync = async (db, logger, initializer) =>
+                {
+                    await initializer.AddValidityFieldsToProxyKey();
+                }
+            },
+            new DatabaseMigration
+            {
+                Version = "1.11.0",
+                Description = "添加 ProxyKey 表的模型访问限制字段 (allowed_models, denied_models)",
+                ExecuteAsync = async (db, logger, initializer) =>
+                {
+                    await initializer.AddModelRestrictionFieldsToProxyKey();
+                }
+            },
+            new DatabaseMigration
+            {
+                Version = "1.12.0",
+                Description = "添加 ProxyKey 表的客户端来源限制字段 (allowed_ips, allowed_referrers)",
+                ExecuteAsync = async (db, logger, initializer) =>
+                {
+                    await initializer.AddClientRestrictionFieldsToProxyKey();
+                }
+            },
+            new DatabaseMigration
+            {
+                Version = "1.13.0",
+                Description = "添加 GroupConfig 表的模型价格字段 (model_prices)",
+                ExecuteAsync = async (db, logger, initializer) =>
+                {
+                    await initializer.AddModelPricesToGroupConfig();
+                }
+            },
+            new DatabaseMigration
+            {
+                Version = "1.14.0",
+                Description = "添加 GroupConfig 表的熔断器字段 (circuit_breaker_enabled, circuit_breaker_failure_threshold, circuit_breaker_error_rate, circuit_breaker_cooldown)",
+                ExecuteAsync = async (db, logger, initializer) =>
+                {
+                    await initializer.AddCircuitBreakerFieldsToGroupConfig();
+                }
+            },
+            new DatabaseMigration
+            {
+                Version = "1.15.0",
+                Description = "添加 GroupConfig 表的服务商特有配置字段 (provider_settings)",
+                ExecuteAsync = async (db, logger, initializer) =>
+                {
+                    await initializer.AddProviderSettingsToGroupConfig();
+                }
             }
 
             // 添加新迁移的示例：
@@ -1193,6 +1349,193 @@ public class DatabaseInitializer : IDatabaseInitializer
         }
     }
 
+    /// <summary>
+    /// 添加配额字段到 ProxyKey 表
+    /// </summary>
+    private async Task AddQuotaFieldsToProxyKey()
+    {
+        var tableName = $"{_tablePrefix}proxy_keys";
+        if (!await TableExists(tableName))
+        {
+            _logger.LogDebug("表 {TableName} 不存在，跳过添加配额字段", tableName);
+            return;
+        }
+
+        var dbType = _db.CurrentConnectionConfig.DbType;
+        var columns = new (string Name, string SqliteType, string MySqlType)[]
+        {
+            ("daily_token_limit", "INTEGER DEFAULT 0", "BIGINT DEFAULT 0"),
+            ("monthly_token_limit", "INTEGER DEFAULT 0", "BIGINT DEFAULT 0"),
+            ("quota_warning_threshold", "INTEGER DEFAULT 80", "INT DEFAULT 80")
+        };
+
+        foreach (var (columnName, sqliteType, mySqlType) in columns)
+        {
+            if (await ColumnExists(tableName, columnName))
+            {
+                _logger.LogDebug("字段 {TableName}.{ColumnName} 已存在，跳过添加", tableName, columnName);
+                continue;
+            }
+
+            string alterSql = dbType switch
+            {
+                DbType.Sqlite => $"ALTER TABLE {tableName} ADD COLUMN {columnName} {sqliteType}",
+                DbType.MySql => $"ALTER TABLE {tableName} ADD COLUMN {columnName} {mySqlType}",
+                _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+            };
+
+            await _db.Ado.ExecuteCommandAsync(alterSql);
+            _logger.LogInformation("成功添加字段 {TableName}.{ColumnName}", tableName, columnName);
+        }
+    }
+
+    /// <summary>
+    /// 添加有效期与轮换字段到 ProxyKey 表
+    /// </summary>
+    private async Task AddValidityFieldsToProxyKey()
+    {
+        var tableName = $"{_tablePrefix}proxy_keys";
+        if (!await TableExists(tableName))
+        {
+            _logger.LogDebug("表 {TableName} 不存在，跳过添加有效期字段", tableName);
+            return;
+        }
+
+        var dbType = _db.CurrentConnectionConfig.DbType;
+        var columns = new (string Name, string SqliteType, string MySqlType)[]
+        {
+            ("not_before", "TEXT", "DATETIME NULL"),
+            ("expires_at", "TEXT", "DATETIME NULL"),
+            ("previous_key_value", "TEXT", "VARCHAR(500) NULL"),
+            ("previous_key_expires_at", "TEXT", "DATETIME NULL"),
+            ("rotated_at", "TEXT", "DATETIME NULL")
+        };
+
+        foreach (var (columnName, sqliteType, mySqlType) in columns)
+        {
+            if (await ColumnExists(tableName, columnName))
+            {
+                _logger.LogDebug("字段 {TableName}.{ColumnName} 已存在，跳过添加", tableName, columnName);
+                continue;
+            }
+
+            string alterSql = dbType switch
+            {
+                DbType.Sqlite => $"ALTER TABLE {tableName} ADD COLUMN {columnName} {sqliteType}",
+                DbType.MySql => $"ALTER TABLE {tableName} ADD COLUMN {columnName} {mySqlType}",
+                _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+            };
+
+            await _db.Ado.ExecuteCommandAsync(alterSql);
+            _logger.LogInformation("成功添加字段 {TableName}.{ColumnName}", tableName, columnName);
+        }
+    }
+
+    /// <summary>
+    /// 添加模型访问限制字段到 ProxyKey 表
+    /// </summary>
+    private async Task AddModelRestrictionFieldsToProxyKey()
+    {
+        await AddTextColumns($"{_tablePrefix}proxy_keys", "allowed_models", "denied_models");
+    }
+
+    /// <summary>
+    /// 添加客户端来源限制字段到 ProxyKey 表
+    /// </summary>
+    private async Task AddClientRestrictionFieldsToProxyKey()
+    {
+        await AddTextColumns($"{_tablePrefix}proxy_keys", "allowed_ips", "allowed_referrers");
+    }
+
+    /// <summary>
+    /// 添加模型价格字段到 GroupConfig 表
+    /// </summary>
+    private async Task AddModelPricesToGroupConfig()
+    {
+        await AddTextColumns($"{_tablePrefix}groups", "model_prices");
+    }
+
+    /// <summary>
+    /// 添加服务商特有配置字段到 GroupConfig 表
+    /// </summary>
+    private async Task AddProviderSettingsToGroupConfig()
+    {
+        await AddTextColumns($"{_tablePrefix}groups", "provider_settings");
+    }
+
+    /// <summary>
+    /// 添加熔断器字段到 GroupConfig 表
+    /// </summary>
+    private async Task AddCircuitBreakerFieldsToGroupConfig()
+    {
+        var tableName = $"{_tablePrefix}groups";
+        if (!await TableExists(tableName))
+        {
+            _logger.LogDebug("表 {TableName} 不存在，跳过添加熔断器字段", tableName);
+            return;
+        }
+
+        var dbType = _db.CurrentConnectionConfig.DbType;
+        var columns = new (string Name, string SqliteType, string MySqlType)[]
+        {
+            ("circuit_breaker_enabled", "INTEGER DEFAULT 1", "TINYINT DEFAULT 1"),
+            ("circuit_breaker_failure_threshold", "INTEGER DEFAULT 5", "INT DEFAULT 5"),
+            ("circuit_breaker_error_rate", "INTEGER DEFAULT 50", "INT DEFAULT 50"),
+            ("circuit_breaker_cooldown", "INTEGER DEFAULT 60", "INT DEFAULT 60")
+        };
+
+        foreach (var (columnName, sqliteType, mySqlType) in columns)
+        {
+            if (await ColumnExists(tableName, columnName))
+            {
+                _logger.LogDebug("字段 {TableName}.{ColumnName} 已存在，跳过添加", tableName, columnName);
+                continue;
+            }
+
+            string alterSql = dbType switch
+            {
+                DbType.Sqlite => $"ALTER TABLE {tableName} ADD COLUMN {columnName} {sqliteType}",
+                DbType.MySql => $"ALTER TABLE {tableName} ADD COLUMN {columnName} {mySqlType}",
+                _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+            };
+
+            await _db.Ado.ExecuteCommandAsync(alterSql);
+            _logger.LogInformation("成功添加字段 {TableName}.{ColumnName}", tableName, columnName);
+        }
+    }
+
+    /// <summary>
+    /// 向指定表添加可空 TEXT 字段（已存在的字段跳过）
+    /// </summary>
+    private async Task AddTextColumns(string tableName, params string[] columnNames)
+    {
+        if (!await TableExists(tableName))
+        {
+            _logger.LogDebug("表 {TableName} 不存在，跳过添加字段", tableName);
+            return;
+        }
+
+        var dbType = _db.CurrentConnectionConfig.DbType;
+        foreach (var columnName in columnNames)
+        {
+            if (await ColumnExists(tableName, columnName))
+            {
+                _logger.LogDebug("字段 {TableName}.{ColumnName} 已存在，跳过添加", tableName, columnName);
+                continue;
+            }
+
+            string alterSql = dbType switch
+            {
+                DbType.Sqlite => $"ALTER TABLE {tableName} ADD COLUMN {columnName} TEXT",
+                DbType.MySql => $"ALTER TABLE {tableName} ADD COLUMN {columnName} TEXT NULL",
+                _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+            };
+
+            await _db.Ado.ExecuteCommandAsync(alterSql);
+            _logger.LogInformation("成功添加字段 {TableName}.{ColumnName}", tableName, columnName);
+        }
+    }
+
     /// <summary>
     /// 手动创建健康检查结果表
     /// </summary>
@@ -1324,6 +1667,397 @@ public class DatabaseInitializer : IDatabaseInitializer
         }
     }
 
+    /// <summary>
+    /// 手动创建管理操作审计日志表
+    /// </summary>
+    private async Task CreateAuditLogTableManually()
+    {
+        var dbType = _db.CurrentConnectionConfig.DbType;
+
+        string createSql = dbType switch
+        {
+            DbType.Sqlite => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}audit_logs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    actor TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    target_type TEXT NOT NULL,
+                    target_id TEXT,
+                    summary TEXT,
+                    before_data TEXT,
+                    after_data TEXT,
+                    ip_address TEXT,
+                    created_at TEXT NOT NULL
+                )",
+            DbType.MySql => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}audit_logs (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    actor VARCHAR(50) NOT NULL,
+                    action VARCHAR(50) NOT NULL,
+                    target_type VARCHAR(30) NOT NULL,
+                    target_id VARCHAR(100),
+                    summary VARCHAR(500),
+                    before_data LONGTEXT,
+                    after_data LONGTEXT,
+                    ip_address VARCHAR(45),
+                    created_at DATETIME NOT NULL,
+                    INDEX idx_created_at (created_at),
+                    INDEX idx_actor (actor),
+                    INDEX idx_action (action),
+                    INDEX idx_target (target_type, target_id)
+                )",
+            _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+        };
+
+        await _db.Ado.ExecuteCommandAsync(createSql);
+
+        // 为SQLite创建索引
+        if (dbType == DbType.Sqlite)
+        {
+            try
+            {
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at
+                    ON {_tablePrefix}audit_logs(created_at)");
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE INDEX IF NOT EXISTS idx_audit_logs_actor
+                    ON {_tablePrefix}audit_logs(actor)");
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE INDEX IF NOT EXISTS idx_audit_logs_action
+                    ON {_tablePrefix}audit_logs(action)");
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE INDEX IF NOT EXISTS idx_audit_logs_target
+                    ON {_tablePrefix}audit_logs(target_type, target_id)");
+                _logger.LogDebug("AuditLog索引创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "AuditLog索引创建失败，可能已存在");
+            }
+        }
+    }
+
+    /// <summary>
+    /// 手动创建分组配置历史版本表
+    /// </summary>
+    private async Task CreateGroupConfigVersionTableManually()
+    {
+        var dbType = _db.CurrentConnectionConfig.DbType;
+
+        string createSql = dbType switch
+        {
+            DbType.Sqlite => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}group_versions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    group_id TEXT NOT NULL,
+                    version INTEGER NOT NULL,
+                    change_type TEXT NOT NULL,
+                    source_version INTEGER,
+                    snapshot TEXT NOT NULL,
+                    actor TEXT,
+                    created_at TEXT NOT NULL
+                )",
+            DbType.MySql => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}group_versions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    group_id VARCHAR(100) NOT NULL,
+                    version INT NOT NULL,
+                    change_type VARCHAR(30) NOT NULL,
+                    source_version INT,
+                    snapshot LONGTEXT NOT NULL,
+                    actor VARCHAR(50),
+                    created_at DATETIME NOT NULL,
+                    UNIQUE KEY uk_group_version (group_id, version)
+                )",
+            _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+        };
+
+        await _db.Ado.ExecuteCommandAsync(createSql);
+
+        // 为SQLite创建索引
+        if (dbType == DbType.Sqlite)
+        {
+            try
+            {
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_group_versions_group_version
+                    ON {_tablePrefix}group_versions(group_id, version)");
+                _logger.LogDebug("GroupConfigVersion索引创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "GroupConfigVersion索引创建失败，可能已存在");
+            }
+        }
+    }
+
+    /// <summary>
+    /// 手动创建密钥请求指标表
+    /// </summary>
+    private async Task CreateKeyUsageMetricTableManually()
+    {
+        var dbType = _db.CurrentConnectionConfig.DbType;
+
+        string createSql = dbType switch
+        {
+            DbType.Sqlite => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}key_usage_metrics (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    group_id TEXT NOT NULL,
+                    api_key_hash TEXT NOT NULL,
+                    bucket_start TEXT NOT NULL,
+                    request_count INTEGER DEFAULT 0,
+                    error_count INTEGER DEFAULT 0,
+                    throttled_count INTEGER DEFAULT 0,
+                    prompt_tokens INTEGER DEFAULT 0,
+                    completion_tokens INTEGER DEFAULT 0,
+                    updated_at TEXT NOT NULL
+                )",
+            DbType.MySql => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}key_usage_metrics (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    group_id VARCHAR(100) NOT NULL,
+                    api_key_hash VARCHAR(64) NOT NULL,
+                    bucket_start DATETIME NOT NULL,
+                    request_count INT DEFAULT 0,
+                    error_count INT DEFAULT 0,
+                    throttled_count INT DEFAULT 0,
+                    prompt_tokens BIGINT DEFAULT 0,
+                    completion_tokens BIGINT DEFAULT 0,
+                    updated_at DATETIME NOT NULL,
+                    UNIQUE KEY uk_group_key_bucket (group_id, api_key_hash, bucket_start),
+                    INDEX idx_bucket_start (bucket_start)
+                )",
+            _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+        };
+
+        await _db.Ado.ExecuteCommandAsync(createSql);
+
+        // 为SQLite创建索引
+        if (dbType == DbType.Sqlite)
+        {
+            try
+            {
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_key_usage_metrics_group_key_bucket
+                    ON {_tablePrefix}key_usage_metrics(group_id, api_key_hash, bucket_start)");
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE INDEX IF NOT EXISTS idx_key_usage_metrics_bucket_start
+                    ON {_tablePrefix}key_usage_metrics(bucket_start)");
+                _logger.LogDebug("KeyUsageMetric索引创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "KeyUsageMetric索引创建失败，可能已存在");
+            }
+        }
+    }
+
+    /// <summary>
+    /// 手动创建模型价格表
+    /// </summary>
+    private async Task CreateModelPriceTableManually()
+    {
+        var dbType = _db.CurrentConnectionConfig.DbType;
+
+        string createSql = dbType switch
+        {
+            DbType.Sqlite => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}model_prices (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    model TEXT NOT NULL,
+                    input_price REAL DEFAULT 0,
+                    output_price REAL DEFAULT 0,
+                    is_builtin INTEGER DEFAULT 0,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                )",
+            DbType.MySql => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}model_prices (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    model VARCHAR(100) NOT NULL,
+                    input_price DECIMAL(18,8) DEFAULT 0,
+                    output_price DECIMAL(18,8) DEFAULT 0,
+                    is_builtin TINYINT(1) DEFAULT 0,
+                    created_at DATETIME NOT NULL,
+                    updated_at DATETIME NOT NULL,
+                    UNIQUE KEY uk_model (model)
+                )",
+            _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+        };
+
+        await _db.Ado.ExecuteCommandAsync(createSql);
+
+        // 为SQLite创建索引
+        if (dbType == DbType.Sqlite)
+        {
+            try
+            {
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_model_prices_model
+                    ON {_tablePrefix}model_prices(model)");
+                _logger.LogDebug("ModelPrice索引创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "ModelPrice索引创建失败，可能已存在");
+            }
+        }
+    }
+
+    /// <summary>
+    /// 手动创建代理密钥Token用量表
+    /// </summary>
+    private async Task CreateProxyKeyUsageTableManually()
+    {
+        var dbType = _db.CurrentConnectionConfig.DbType;
+
+        string createSql = dbType switch
+        {
+            DbType.Sqlite => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}proxy_key_usage (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    proxy_key_id INTEGER NOT NULL,
+                    usage_date TEXT NOT NULL,
+                    request_count INTEGER DEFAULT 0,
+                    prompt_tokens INTEGER DEFAULT 0,
+                    completion_tokens INTEGER DEFAULT 0,
+                    updated_at TEXT NOT NULL
+                )",
+            DbType.MySql => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}proxy_key_usage (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    proxy_key_id INT NOT NULL,
+                    usage_date DATETIME NOT NULL,
+                    request_count INT DEFAULT 0,
+                    prompt_tokens BIGINT DEFAULT 0,
+                    completion_tokens BIGINT DEFAULT 0,
+                    updated_at DATETIME NOT NULL,
+                    UNIQUE KEY uk_proxy_key_date (proxy_key_id, usage_date),
+                    INDEX idx_usage_date (usage_date)
+                )",
+            _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+        };
+
+        await _db.Ado.ExecuteCommandAsync(createSql);
+
+        // 为SQLite创建索引
+        if (dbType == DbType.Sqlite)
+        {
+            try
+            {
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_proxy_key_usage_key_date
+                    ON {_tablePrefix}proxy_key_usage(proxy_key_id, usage_date)");
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE INDEX IF NOT EXISTS idx_proxy_key_usage_date
+                    ON {_tablePrefix}proxy_key_usage(usage_date)");
+                _logger.LogDebug("ProxyKeyUsage索引创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "ProxyKeyUsage索引创建失败，可能已存在");
+            }
+        }
+    }
+
+    /// <summary>
+    /// 手动创建分组维护窗口表
+    /// </summary>
+    private async Task CreateGroupMaintenanceWindowTableManually()
+    {
+        var dbType = _db.CurrentConnectionConfig.DbType;
+
+        string createSql = dbType switch
+        {
+            DbType.Sqlite => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}group_maintenance_windows (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    group_id TEXT NOT NULL,
+                    title TEXT,
+                    schedule_type TEXT NOT NULL,
+                    start_time TEXT,
+                    end_time TEXT,
+                    cron_expression TEXT,
+                    duration_minutes INTEGER DEFAULT 60,
+                    enabled INTEGER DEFAULT 1,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                )",
+            DbType.MySql => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}group_maintenance_windows (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    group_id VARCHAR(100) NOT NULL,
+                    title VARCHAR(100),
+                    schedule_type VARCHAR(20) NOT NULL,
+                    start_time DATETIME,
+                    end_time DATETIME,
+                    cron_expression VARCHAR(100),
+                    duration_minutes INT DEFAULT 60,
+                    enabled TINYINT(1) DEFAULT 1,
+                    created_at DATETIME NOT NULL,
+                    updated_at DATETIME NOT NULL,
+                    INDEX idx_group_id (group_id)
+                )",
+            _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+        };
+
+        await _db.Ado.ExecuteCommandAsync(createSql);
+
+        // 为SQLite创建索引
+        if (dbType == DbType.Sqlite)
+        {
+            try
+            {
+                await _db.Ado.ExecuteCommandAsync($@"
+                    CREATE INDEX IF NOT EXISTS idx_group_maintenance_windows_group_id
+                    ON {_tablePrefix}group_maintenance_windows(group_id)");
+                _logger.LogDebug("GroupMaintenanceWindow索引创建成功");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "GroupMaintenanceWindow索引创建失败，可能已存在");
+            }
+        }
+    }
+
+    /// <summary>
+    /// 手动创建分组模板表
+    /// </summary>
+    private async Task CreateGroupTemplateTableManually()
+    {
+        var dbType = _db.CurrentConnectionConfig.DbType;
+
+        string createSql = dbType switch
+        {
+            DbType.Sqlite => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}group_templates (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    provider_type TEXT NOT NULL,
+                    source_group_id TEXT,
+                    config TEXT NOT NULL,
+                    created_by TEXT,
+                    created_at TEXT NOT NULL
+                )",
+            DbType.MySql => $@"
+                CREATE TABLE IF NOT EXISTS {_tablePrefix}group_templates (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    description VARCHAR(500),
+                    provider_type VARCHAR(50) NOT NULL,
+                    source_group_id VARCHAR(100),
+                    config TEXT NOT NULL,
+                    created_by VARCHAR(50),
+                    created_at DATETIME NOT NULL
+                )",
+            _ => throw new NotSupportedException($"不支持的数据库类型: {dbType}")
+        };
+
+        await _db.Ado.ExecuteCommandAsync(createSql);
+    }
+
     /// <summary>
     /// 优化 Serilog orch_logs 表索引
     /// 注意：orch_logs 表由 Serilog.Sinks.SQLite 自动创建，此方法仅添加性能优化索引
@@ -3,7 +3,10 @@ using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using OrchestrationApi.Models;
 using OrchestrationApi.Services.Core;
+using OrchestrationApi.Services.Providers;
+using OrchestrationApi.Utils;
 using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
 using SqlSugar;
 using System.Collections.Generic;
 using System.Linq;
@@ -25,6 +28,11 @@ public class AdminController : ControllerBase
     private readonly ILogger<AdminController> _logger;
     private readonly IVersionService _versionService;
     private readonly IConfiguration _configuration;
+    private readonly IAuditLogService _auditLogService;
+    private readonly IGroupVersionService _groupVersionService;
+    private readonly IPricingService _pricingService;
+    private readonly IGroupLoadTracker _loadTracker;
+    private readonly ICircuitBreakerService _circuitBreaker;
 
     public AdminController(
         IKeyManager keyManager,
@@ -32,7 +40,12 @@ public class AdminController : ControllerBase
         ISqlSugarClient db,
         ILogger<AdminController> logger,
         IVersionService versionService,
-        IConfiguration configuration)
+        IConfiguration configuration,
+        IAuditLogService auditLogService,
+        IGroupVersionService groupVersionService,
+        IPricingService pricingService,
+        IGroupLoadTracker loadTracker,
+        ICircuitBreakerService circuitBreaker)
     {
         _keyManager = keyManager;
         _requestLogger = requestLogger;
@@ -40,6 +53,11 @@ public class AdminController : ControllerBase
         _logger = logger;
         _versionService = versionService;
         _configuration = configuration;
+        _auditLogService = auditLogService;
+        _groupVersionService = groupVersionService;
+        _pricingService = pricingService;
+        _loadTracker = loadTracker;
+        _circuitBreaker = circuitBreaker;
     }
 
     /// <summary>
@@ -62,6 +80,40 @@ public class AdminController : ControllerBase
         return Ok(groups);
     }
 
+    /// <summary>
+    /// 获取各分组的实时负载（响应时间EWMA与当前并发数），用于展示 lowest_latency / least_inflight 策略的评分
+    /// </summary>
+    [HttpGet("groups/load")]
+    public IActionResult GetGroupsLoad()
+    {
+        return Ok(new { success = true, data = _loadTracker.GetAllSnapshots() });
+    }
+
+    /// <summary>
+    /// 手动重置分组熔断器，立即恢复向该分组路由请求
+    /// </summary>
+    [HttpPost("groups/{id}/circuit-breaker/reset")]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> ResetGroupCircuitBreaker(string id)
+    {
+        var group = await _db.Queryable<GroupConfig>()
+            .Where(g => g.Id == id && !g.IsDeleted)
+            .FirstAsync();
+        if (group == null)
+        {
+            return NotFound(new { success = false, error = "分组不存在" });
+        }
+
+        var before = _circuitBreaker.GetSnapshot(group);
+        _circuitBreaker.Reset(id);
+        var after = _circuitBreaker.GetSnapshot(group);
+
+        await _auditLogService.RecordAsync(AuditActions.GroupCircuitBreakerReset, AuditTargets.Group, id,
+            before, after, $"重置分组 {group.GroupName} 的熔断器");
+
+        return Ok(new { success = true, message = "熔断器已重置", data = after });
+    }
+
     /// <summary>
     /// 获取分组管理数据
     /// </summary>
@@ -70,7 +122,7 @@ public class AdminController : ControllerBase
     {
         try
         {
-            var groupsData = await _keyManager.GetGroupsManageDataAsync();
+            var groupsData = await _keyManager.GetGroupsManageDataAsync(maskSecrets: !CanViewSecrets());
             return Ok(groupsData);
         }
         catch (Exception ex)
@@ -79,15 +131,30 @@ public class AdminController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// 只读角色只能查看掩码后的密钥，完整密钥仅对运维及以上角色返回
+    /// </summary>
+    private bool CanViewSecrets()
+    {
+        return User.IsInRole(UserRoles.Operator) || User.IsInRole(UserRoles.Admin);
+    }
+
     /// <summary>
     /// 创建分组
     /// </summary>
     [HttpPost("groups")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> CreateGroup([FromBody] GroupRequest group)
     {
         try
         {
             var newGroup = await _keyManager.CreateGroupAsync(group);
+            await _groupVersionService.SaveVersionAsync(newGroup.Id, GroupChangeTypes.Create);
+
+            await _auditLogService.RecordAsync(AuditActions.GroupCreate, AuditTargets.Group, newGroup.Id,
+                after: await _auditLogService.GetGroupSnapshotAsync(newGroup.Id),
+                summary: $"创建分组 {newGroup.GroupName}");
+
             return Ok(new { success = true, message = "分组创建成功", data = newGroup });
         }
         catch (Exception ex)
@@ -100,11 +167,20 @@ public class AdminController : ControllerBase
     /// 更新分组
     /// </summary>
     [HttpPut("groups/{id}")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> UpdateGroup(string id, [FromBody] GroupRequest group)
     {
         try
         {
+            var before = await _auditLogService.GetGroupSnapshotAsync(id);
+            await _groupVersionService.SaveVersionAsync(id, GroupChangeTypes.Baseline);
             await _keyManager.UpdateGroupAsync(id, group);
+            await _groupVersionService.SaveVersionAsync(id, GroupChangeTypes.Update);
+
+            await _auditLogService.RecordAsync(AuditActions.GroupUpdate, AuditTargets.Group, id,
+                before, await _auditLogService.GetGroupSnapshotAsync(id),
+                $"更新分组 {group.GroupName}");
+
             return Ok(new { success = true, message = "分组更新成功" });
         }
         catch (Exception ex)
@@ -117,11 +193,21 @@ public class AdminController : ControllerBase
     /// 切换分组启用状态
     /// </summary>
     [HttpPost("groups/{id}/toggle")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> ToggleGroup(string id)
     {
         try
         {
+            var before = await _auditLogService.GetGroupSnapshotAsync(id);
+            await _groupVersionService.SaveVersionAsync(id, GroupChangeTypes.Baseline);
             await _keyManager.ToggleGroupAsync(id);
+            await _groupVersionService.SaveVersionAsync(id, GroupChangeTypes.Toggle);
+
+            var after = await _auditLogService.GetGroupSnapshotAsync(id);
+            await _auditLogService.RecordAsync(AuditActions.GroupToggle, AuditTargets.Group, id,
+                before, after,
+                $"{((bool?)after?["Enabled"] == true ? "启用" : "禁用")}分组 {after?["GroupName"]}");
+
             return Ok(new { success = true, message = "分组状态切换成功" });
         }
         catch (Exception ex)
@@ -130,6 +216,240 @@ public class AdminController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// 对多个分组执行同一批量操作，逐个分组执行并返回每个分组的结果，单个分组失败不影响其他分组
+    /// </summary>
+    [HttpPost("groups/bulk")]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> BulkGroupAction([FromBody] BulkGroupActionRequest request)
+    {
+        try
+        {
+            EnsureValidBulkRequest(request);
+            var groupIds = request.GroupIds
+                .Where(id => !string.IsNullOrWhiteSpace(id))
+                .Distinct()
+                .ToList();
+
+            List<BulkGroupActionResult> results;
+            switch (request.Action)
+            {
+                case BulkGroupActions.AttachProxyKey:
+                    results = await AttachGroupsToProxyKeyAsync(request.ProxyKeyId!.Value, groupIds);
+                    break;
+                case BulkGroupActions.ValidateKeys:
+                    results = new List<BulkGroupActionResult>();
+                    foreach (var groupId in groupIds)
+                    {
+                        results.Add(await ValidateGroupKeysForBulkAsync(groupId));
+                    }
+                    break;
+                default:
+                    results = new List<BulkGroupActionResult>();
+                    foreach (var groupId in groupIds)
+                    {
+                        results.Add(await ApplyBulkGroupChangeAsync(groupId, request));
+                    }
+                    break;
+            }
+
+            return Ok(new
+            {
+                success = true,
+                data = new
+                {
+                    action = request.Action,
+                    total = results.Count,
+                    succeeded = results.Count(r => r.Success),
+                    failed = results.Count(r => !r.Success),
+                    changed = results.Count(r => r.Changed),
+                    results
+                }
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "分组批量操作失败: {Action}", request.Action);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 在执行前校验批量操作参数，避免参数错误时每个分组都报同样的错误
+    /// </summary>
+    private static void EnsureValidBulkRequest(BulkGroupActionRequest request)
+    {
+        if (!request.GroupIds.Any(id => !string.IsNullOrWhiteSpace(id)))
+            throw new ArgumentException("请至少选择一个分组");
+
+        switch (request.Action)
+        {
+            case BulkGroupActions.SetPriority when !request.Priority.HasValue:
+                throw new ArgumentException("请填写优先级");
+            case BulkGroupActions.AddModel or BulkGroupActions.RemoveModel when string.IsNullOrWhiteSpace(request.Model):
+                throw new ArgumentException("请填写模型名称");
+            case BulkGroupActions.SetHeader when string.IsNullOrWhiteSpace(request.HeaderName):
+                throw new ArgumentException("请填写请求头名称");
+            case BulkGroupActions.SetParam when string.IsNullOrWhiteSpace(request.ParamName):
+                throw new ArgumentException("请填写请求参数名称");
+            case BulkGroupActions.AttachProxyKey when !request.ProxyKeyId.HasValue:
+                throw new ArgumentException("请选择代理密钥");
+        }
+
+        if (!BulkGroupActions.All.Contains(request.Action))
+            throw new ArgumentException($"不支持的分组批量操作: {request.Action}");
+    }
+
+    private async Task<BulkGroupActionResult> ApplyBulkGroupChangeAsync(string groupId, BulkGroupActionRequest request)
+    {
+        try
+        {
+            var before = await _auditLogService.GetGroupSnapshotAsync(groupId);
+            await _groupVersionService.SaveVersionAsync(groupId, GroupChangeTypes.Baseline);
+
+            var result = await _keyManager.ApplyBulkGroupChangeAsync(groupId, request);
+            if (result.Changed)
+            {
+                var isToggle = request.Action is BulkGroupActions.Enable or BulkGroupActions.Disable;
+                await _groupVersionService.SaveVersionAsync(groupId, isToggle ? GroupChangeTypes.Toggle : GroupChangeTypes.Update);
+                await _auditLogService.RecordAsync(isToggle ? AuditActions.GroupToggle : AuditActions.GroupUpdate,
+                    AuditTargets.Group, groupId, before, await _auditLogService.GetGroupSnapshotAsync(groupId),
+                    $"批量操作：分组 {result.GroupName} {result.Message}");
+            }
+
+            return result;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "分组 {GroupId} 执行批量操作 {Action} 失败", groupId, request.Action);
+            return new BulkGroupActionResult { GroupId = groupId, Success = false, Message = ex.Message };
+        }
+    }
+
+    private async Task<BulkGroupActionResult> ValidateGroupKeysForBulkAsync(string groupId)
+    {
+        try
+        {
+            var apiKeys = await _keyManager.GetGroupApiKeysAsync(groupId);
+            if (!apiKeys.Any())
+            {
+                return new BulkGroupActionResult { GroupId = groupId, Success = true, Message = "没有需要验证的API密钥" };
+            }
+
+            var validation = JObject.FromObject(await _keyManager.ValidateGroupKeysAsync(groupId, apiKeys));
+            if (validation.Value<bool?>("success") != true)
+            {
+                return new BulkGroupActionResult
+                {
+                    GroupId = groupId,
+                    Success = false,
+                    Message = validation.Value<string>("error") ?? "验证失败"
+                };
+            }
+
+            var invalidKeys = validation.Value<int>("invalid_keys");
+            return new BulkGroupActionResult
+            {
+                GroupId = groupId,
+                Success = true,
+                Message = $"有效 {validation.Value<int>("valid_keys")} / 共 {validation.Value<int>("total_keys")}" +
+                    (invalidKeys > 0 ? $"，无效 {invalidKeys}" : string.Empty)
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "分组 {GroupId} 批量验证密钥失败", groupId);
+            return new BulkGroupActionResult { GroupId = groupId, Success = false, Message = ex.Message };
+        }
+    }
+
+    private async Task<List<BulkGroupActionResult>> AttachGroupsToProxyKeyAsync(int keyId, List<string> groupIds)
+    {
+        var existingGroupIds = (await _keyManager.GetAllGroupsAsync()).Select(g => g.Id).ToHashSet();
+        var validGroupIds = groupIds.Where(existingGroupIds.Contains).ToList();
+
+        var before = await _auditLogService.GetProxyKeySnapshotAsync(keyId);
+        var added = await _keyManager.AddGroupsToProxyKeyAsync(keyId, validGroupIds);
+        if (added != null && added.Count > 0)
+        {
+            var after = await _auditLogService.GetProxyKeySnapshotAsync(keyId);
+            await _auditLogService.RecordAsync(AuditActions.ProxyKeyUpdate, AuditTargets.ProxyKey, keyId.ToString(),
+                before, after, $"批量操作：代理密钥 {after?["KeyName"]} 新增允许分组 {string.Join(", ", added)}");
+        }
+
+        return groupIds.Select(groupId => !existingGroupIds.Contains(groupId)
+            ? new BulkGroupActionResult { GroupId = groupId, Success = false, Message = "分组不存在" }
+            : new BulkGroupActionResult
+            {
+                GroupId = groupId,
+                Success = true,
+                Changed = added?.Contains(groupId) == true,
+                Message = added == null
+                    ? "代理密钥未限制分组，已可访问全部分组"
+                    : added.Contains(groupId) ? "已加入代理密钥的允许分组" : "已在代理密钥的允许分组中"
+            }).ToList();
+    }
+
+    /// <summary>
+    /// 获取分组配置历史版本
+    /// </summary>
+    [HttpGet("groups/{id}/versions")]
+    public async Task<IActionResult> GetGroupVersions(string id)
+    {
+        try
+        {
+            var versions = await _groupVersionService.GetVersionsAsync(id);
+            return Ok(new
+            {
+                success = true,
+                versions = versions.Select(v => new
+                {
+                    version = v.Version,
+                    change_type = v.ChangeType,
+                    source_version = v.SourceVersion,
+                    actor = v.Actor,
+                    created_at = v.CreatedAt,
+                    snapshot = _groupVersionService.GetMaskedSnapshot(v)
+                })
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取分组 {GroupId} 历史版本时发生异常", id);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 将分组配置恢复到指定历史版本
+    /// </summary>
+    [HttpPost("groups/{id}/versions/{version:int}/restore")]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> RestoreGroupVersion(string id, int version)
+    {
+        try
+        {
+            var before = await _auditLogService.GetGroupSnapshotAsync(id);
+            var restored = await _groupVersionService.RestoreVersionAsync(id, version);
+
+            var after = await _auditLogService.GetGroupSnapshotAsync(id);
+            await _auditLogService.RecordAsync(AuditActions.GroupRestore, AuditTargets.Group, id,
+                before, after, $"将分组 {after?["GroupName"]} 恢复到版本 v{version}");
+
+            return Ok(new
+            {
+                success = true,
+                message = $"已恢复到版本 v{version}",
+                version = restored.Version
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "恢复分组 {GroupId} 到版本 {Version} 时发生异常", id, version);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
     /// <summary>
     /// 根据ID获取单个日志详情
     /// </summary>
@@ -145,6 +465,8 @@ public class AdminController : ControllerBase
                 return NotFound(new { success = false, error = $"未找到ID为 {id} 的日志记录" });
             }
 
+            await _pricingService.ApplyEstimatedCostsAsync(new[] { log });
+
             return Ok(new { success = true, log = log });
         }
         catch (Exception ex)
@@ -173,6 +495,7 @@ public class AdminController : ControllerBase
             var pageSize = limit;
 
             var result = await _requestLogger.GetLogsDtoAsync(page, pageSize, proxyKey, group, model, status, type);
+            await _pricingService.ApplyEstimatedCostsAsync(result.Logs);
 
             return Ok(new
             {
@@ -195,6 +518,90 @@ public class AdminController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// 实时日志流（Server-Sent Events），按与日志列表相同的筛选条件推送新完成的请求日志
+    /// </summary>
+    [HttpGet("logs/stream")]
+    public async Task StreamLogs(
+        [FromQuery] string? proxyKey = null,
+        [FromQuery] string? group = null,
+        [FromQuery] string? model = null,
+        [FromQuery] string? status = null,
+        [FromQuery] string? type = null,
+        [FromQuery] int? afterId = null)
+    {
+        var cancellationToken = HttpContext.RequestAborted;
+
+        Response.ContentType = "text/event-stream";
+        Response.Headers["Cache-Control"] = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no"; // 禁止反向代理缓冲
+
+        try
+        {
+            var cursor = afterId ?? await _requestLogger.GetMaxLogIdAsync();
+            var scannedId = cursor;
+            var waitingIds = new List<int>();
+            var deliveredIds = new HashSet<int>();
+            var lastHeartbeat = DateTime.Now;
+
+            await WriteSseEventAsync("ready", new { cursor }, cancellationToken);
+
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                var tail = await _requestLogger.GetLogTailAsync(cursor, scannedId, waitingIds, deliveredIds,
+                    proxyKey, group, model, status, type);
+                scannedId = tail.ScannedId;
+                waitingIds = tail.WaitingIds;
+                if (tail.Logs.Count > 0)
+                {
+                    await _pricingService.ApplyEstimatedCostsAsync(tail.Logs);
+                }
+
+                foreach (var log in tail.Logs)
+                {
+                    deliveredIds.Add(log.Id);
+                    await WriteSseEventAsync("log", log, cancellationToken);
+                }
+
+                // 游标之前的日志不会再被查询到，无需继续记录；同时通知客户端用于断线续传
+                if (tail.Cursor != cursor)
+                {
+                    cursor = tail.Cursor;
+                    deliveredIds.RemoveWhere(id => id <= cursor);
+                    await WriteSseEventAsync("cursor", new { cursor }, cancellationToken);
+                }
+
+                // 定期发送心跳，防止连接被中间代理关闭
+                if (DateTime.Now - lastHeartbeat > TimeSpan.FromSeconds(15))
+                {
+                    await Response.WriteAsync(": ping\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                    lastHeartbeat = DateTime.Now;
+                }
+
+                await Task.Delay(TimeSpan.FromSeconds(1), cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // 客户端断开连接
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "推送实时日志流时发生异常");
+        }
+    }
+
+    /// <summary>
+    /// 写入一条SSE事件
+    /// </summary>
+    private async Task WriteSseEventAsync(string eventName, object data, CancellationToken cancellationToken)
+    {
+        var payload = $"event: {eventName}\ndata: {JsonConvert.SerializeObject(data)}\n\n";
+        await Response.WriteAsync(payload, cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+
     /// <summary>
     /// 获取日志筛选选项（所有唯一值）
     /// </summary>
@@ -359,6 +766,24 @@ public class AdminController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// 获取成本统计（按当前价格表估算，包含时间线及按代理密钥、分组、模型的分项）
+    /// </summary>
+    [HttpGet("logs/stats/costs")]
+    public async Task<IActionResult> GetCostStats([FromQuery] string? range = null)
+    {
+        try
+        {
+            var stats = await _pricingService.GetCostStatsAsync(range);
+            return Ok(new { success = true, data = stats });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取成本统计时发生异常");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
     /// <summary>
     /// 获取状态分布统计（用于图表）
     /// </summary>
@@ -436,11 +861,14 @@ public class AdminController : ControllerBase
     /// 清理过期日志
     /// </summary>
     [HttpPost("logs/cleanup")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> CleanupOldLogs()
     {
         try
         {
             await _requestLogger.CleanupOldLogsAsync();
+            await _auditLogService.RecordAsync(AuditActions.LogsCleanup, AuditTargets.Logs, null,
+                summary: "清理过期请求日志");
             return Ok(new { success = true, message = "过期日志清理完成" });
         }
         catch (Exception ex)
@@ -454,11 +882,14 @@ public class AdminController : ControllerBase
     /// 清空错误日志
     /// </summary>
     [HttpDelete("logs/errors")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> ClearErrorLogs()
     {
         try
         {
             await _requestLogger.ClearErrorLogsAsync();
+            await _auditLogService.RecordAsync(AuditActions.LogsClearErrors, AuditTargets.Logs, null,
+                summary: "清空错误请求日志");
             return Ok(new { success = true, message = "错误日志清空完成" });
         }
         catch (Exception ex)
@@ -472,11 +903,14 @@ public class AdminController : ControllerBase
     /// 清空所有日志
     /// </summary>
     [HttpDelete("logs")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> ClearAllLogs()
     {
         try
         {
             await _requestLogger.ClearAllLogsAsync();
+            await _auditLogService.RecordAsync(AuditActions.LogsClearAll, AuditTargets.Logs, null,
+                summary: "清空所有请求日志");
             return Ok(new { success = true, message = "所有日志清空完成" });
         }
         catch (Exception ex)
@@ -490,6 +924,7 @@ public class AdminController : ControllerBase
     /// 批量删除日志
     /// </summary>
     [HttpDelete("logs/batch")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> BatchDeleteLogs([FromBody] BatchDeleteLogsRequest request)
     {
         try
@@ -500,6 +935,9 @@ public class AdminController : ControllerBase
             }
 
             var deletedCount = await _requestLogger.BatchDeleteLogsAsync(request.Ids);
+            await _auditLogService.RecordAsync(AuditActions.LogsBatchDelete, AuditTargets.Logs, null,
+                after: new { ids = request.Ids, deleted_count = deletedCount },
+                summary: $"批量删除 {deletedCount} 条请求日志");
             return Ok(new
             {
                 success = true,
@@ -523,6 +961,10 @@ public class AdminController : ControllerBase
         try
         {
             var keys = await _keyManager.GetAllKeysAsync();
+            if (!CanViewSecrets())
+            {
+                keys.ForEach(k => k.Key = ApiKeyMaskingUtils.MaskApiKey(k.Key));
+            }
             return Ok(new { success = true, keys = keys });
         }
         catch (Exception ex)
@@ -535,6 +977,7 @@ public class AdminController : ControllerBase
     /// 添加API密钥
     /// </summary>
     [HttpPost("keys")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> AddKey([FromBody] ApiKeyRequest request)
     {
         try
@@ -552,6 +995,7 @@ public class AdminController : ControllerBase
     /// 批量添加API密钥
     /// </summary>
     [HttpPost("keys/batch")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> BatchAddKeys([FromBody] BatchAddKeysRequest request)
     {
         try
@@ -576,6 +1020,7 @@ public class AdminController : ControllerBase
     /// 更新API密钥
     /// </summary>
     [HttpPut("keys/{keyId}")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> UpdateKey(string keyId, [FromBody] ApiKeyRequest request)
     {
         try
@@ -593,6 +1038,7 @@ public class AdminController : ControllerBase
     /// 删除API密钥
     /// </summary>
     [HttpDelete("keys/{keyId}")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> DeleteKey(string keyId)
     {
         try
@@ -644,6 +1090,7 @@ public class AdminController : ControllerBase
     /// 验证分组密钥
     /// </summary>
     [HttpPost("keys/validate/{groupId}")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> ValidateGroupKeys(string groupId, [FromBody] ValidateKeysRequest request)
     {
         try
@@ -678,6 +1125,7 @@ public class AdminController : ControllerBase
     /// 强制更新分组密钥状态
     /// </summary>
     [HttpPost("groups/{groupId}/keys/force-status")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> ForceUpdateGroupKeysStatus(string groupId, [FromBody] ForceUpdateKeyStatusRequest request)
     {
         try
@@ -732,7 +1180,14 @@ public class AdminController : ControllerBase
             }
 
             // 强制更新特定密钥的状态
+            var actualKeyHash = ComputeKeyHash(actualApiKey);
+            var before = await _keyManager.GetKeyValidationAsync(groupId, actualKeyHash);
             var result = await _keyManager.ForceUpdateKeyStatusAsync(groupId, actualApiKey, request.Status);
+            var after = await _keyManager.GetKeyValidationAsync(groupId, actualKeyHash);
+
+            await _auditLogService.RecordAsync(AuditActions.KeyForceStatus, AuditTargets.Group, groupId,
+                ToKeyStatusSnapshot(actualApiKey, before), ToKeyStatusSnapshot(actualApiKey, after),
+                $"强制设置分组 {group.GroupName} 密钥 {ApiKeyMaskingUtils.MaskApiKey(actualApiKey)} 状态为 {request.Status}");
 
             return Ok(new
             {
@@ -770,10 +1225,29 @@ public class AdminController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// 获取分组内各密钥的请求趋势（请求数、错误率、429次数、Token）
+    /// </summary>
+    [HttpGet("groups/{groupId}/keys/usage-analytics")]
+    public async Task<IActionResult> GetGroupKeyUsageAnalytics(string groupId, [FromQuery] string window = "24h")
+    {
+        try
+        {
+            var result = await _keyManager.GetGroupKeyUsageAnalyticsAsync(groupId, window);
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取分组 {GroupId} 密钥请求趋势时发生异常", groupId);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
     /// <summary>
     /// 重置分组的密钥使用统计
     /// </summary>
     [HttpPost("groups/{groupId}/keys/reset-stats")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> ResetGroupKeyUsageStats(string groupId)
     {
         try
@@ -813,6 +1287,10 @@ public class AdminController : ControllerBase
         try
         {
             var keys = await _keyManager.GetProxyKeysAsync();
+            if (!CanViewSecrets())
+            {
+                keys.ForEach(k => k.Key = ApiKeyMaskingUtils.MaskApiKey(k.Key));
+            }
             return Ok(new { success = true, keys = keys });
         }
         catch (Exception ex)
@@ -825,11 +1303,17 @@ public class AdminController : ControllerBase
     /// 生成代理密钥
     /// </summary>
     [HttpPost("proxy-keys")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> GenerateProxyKey([FromBody] ProxyKeyRequest request)
     {
         try
         {
-            var result = await _keyManager.GenerateProxyKeyAsync(request.Name, request.Description);
+            var result = await _keyManager.GenerateProxyKeyAsync(request);
+
+            await _auditLogService.RecordAsync(AuditActions.ProxyKeyCreate, AuditTargets.ProxyKey, result.Id.ToString(),
+                after: await _auditLogService.GetProxyKeySnapshotAsync(result.Id),
+                summary: $"创建代理密钥 {result.Name}");
+
             return Ok(new { success = true, key = result });
         }
         catch (Exception ex)
@@ -842,11 +1326,18 @@ public class AdminController : ControllerBase
     /// 更新代理密钥
     /// </summary>
     [HttpPut("proxy-keys/{keyId}")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> UpdateProxyKey(int keyId, [FromBody] UpdateProxyKeyRequest request)
     {
         try
         {
+            var before = await _auditLogService.GetProxyKeySnapshotAsync(keyId);
             await _keyManager.UpdateProxyKeyAsync(keyId, request);
+
+            var after = await _auditLogService.GetProxyKeySnapshotAsync(keyId);
+            await _auditLogService.RecordAsync(AuditActions.ProxyKeyUpdate, AuditTargets.ProxyKey, keyId.ToString(),
+                before, after, $"更新代理密钥 {after?["KeyName"]}");
+
             return Ok(new { success = true, message = "代理密钥更新成功" });
         }
         catch (Exception ex)
@@ -855,15 +1346,45 @@ public class AdminController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// 轮换代理密钥，旧密钥在宽限期内仍可使用
+    /// </summary>
+    [HttpPost("proxy-keys/{keyId}/rotate")]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> RotateProxyKey(int keyId, [FromBody] RotateProxyKeyRequest request)
+    {
+        try
+        {
+            var before = await _auditLogService.GetProxyKeySnapshotAsync(keyId);
+            var result = await _keyManager.RotateProxyKeyAsync(keyId, request.GracePeriodMinutes);
+
+            var after = await _auditLogService.GetProxyKeySnapshotAsync(keyId);
+            await _auditLogService.RecordAsync(AuditActions.ProxyKeyRotate, AuditTargets.ProxyKey, keyId.ToString(),
+                before, after, $"轮换代理密钥 {result.Name}，旧密钥宽限期 {request.GracePeriodMinutes} 分钟");
+
+            return Ok(new { success = true, key = result });
+        }
+        catch (Exception ex)
+        {
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
     /// <summary>
     /// 删除代理密钥
     /// </summary>
     [HttpDelete("proxy-keys/{keyId}")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> DeleteProxyKey(int keyId)
     {
         try
         {
+            var before = await _auditLogService.GetProxyKeySnapshotAsync(keyId);
             await _keyManager.DeleteProxyKeyAsync(keyId);
+
+            await _auditLogService.RecordAsync(AuditActions.ProxyKeyDelete, AuditTargets.ProxyKey, keyId.ToString(),
+                before, null, $"删除代理密钥 {before?["KeyName"]}");
+
             return Ok(new { success = true, message = "代理密钥删除成功" });
         }
         catch (Exception ex)
@@ -1035,6 +1556,7 @@ public class AdminController : ControllerBase
     /// 刷新健康检查
     /// </summary>
     [HttpPost("health/refresh")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> RefreshHealth()
     {
         try
@@ -1236,13 +1758,7 @@ public class AdminController : ControllerBase
     /// </summary>
     private string GetOwnerByProviderType(string providerType)
     {
-        return providerType.ToLower() switch
-        {
-            "openai" => "openai",
-            "anthropic" => "anthropic",
-            "gemini" => "google",
-            _ => providerType.ToLower()
-        };
+        return ProviderRegistry.GetOwnedBy(providerType);
     }
 
     /// <summary>
@@ -1250,13 +1766,16 @@ public class AdminController : ControllerBase
     /// </summary>
     private string GetProviderDisplayName(string providerType)
     {
-        return providerType.ToLower() switch
-        {
-            "openai" => "OpenAI",
-            "anthropic" => "Anthropic Claude",
-            "gemini" => "Google Gemini",
-            _ => providerType
-        };
+        return ProviderRegistry.Find(providerType)?.DisplayName ?? providerType;
+    }
+
+    /// <summary>
+    /// 获取已注册的服务商类型描述，分组表单据此渲染默认地址、附加字段和提示
+    /// </summary>
+    [HttpGet("provider-types")]
+    public IActionResult GetProviderTypes()
+    {
+        return Ok(new { success = true, data = ProviderRegistry.All });
     }
 
     /// <summary>
@@ -1280,6 +1799,7 @@ public class AdminController : ControllerBase
     /// 根据服务商类型获取可用模型
     /// </summary>
     [HttpPost("models/available/by-type")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> GetAvailableModelsByType([FromBody] GetModelsByTypeRequest request)
     {
         try
@@ -1290,7 +1810,8 @@ public class AdminController : ControllerBase
                 request.ApiKeys,
                 request.TimeoutSeconds,
                 request.MaxRetries,
-                request.Headers);
+                request.Headers,
+                request.ProviderSettings);
             // 与前端 dashboard.html 期望格式对齐：
             // {
             //   "object": "list",
@@ -1380,7 +1901,8 @@ public class AdminController : ControllerBase
                     apiKeys,
                     group.Timeout,
                     group.RetryCount,
-                    new Dictionary<string, string>()); // 空headers
+                    new Dictionary<string, string>(), // 空headers
+                    ProviderRegistry.ParseSettings(group.ProviderSettings));
 
                 // 标准化模型格式
                 var standardizedModels = new { @object = "list", data = models };
@@ -1419,6 +1941,7 @@ public class AdminController : ControllerBase
     /// 导出分组配置
     /// </summary>
     [HttpPost("groups/export")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> ExportGroups([FromBody] ExportGroupsRequest request)
     {
         try
@@ -1441,7 +1964,8 @@ public class AdminController : ControllerBase
     /// 导入分组配置
     /// </summary>
     [HttpPost("groups/import")]
-    public async Task<IActionResult> ImportGroups(IFormFile config_file)
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> ImportGroups(IFormFile config_file, [FromForm] string? resolutions = null)
     {
         try
         {
@@ -1454,12 +1978,71 @@ public class AdminController : ControllerBase
             using var reader = new StreamReader(stream);
             var content = await reader.ReadToEndAsync();
 
-            var result = await _keyManager.ImportGroupsAsync(content);
+            // 同名分组的处理方式，由导入预览提交（分组名称 → skip/overwrite/merge）
+            Dictionary<string, string>? conflictResolutions = null;
+            if (!string.IsNullOrWhiteSpace(resolutions))
+            {
+                try
+                {
+                    conflictResolutions = JsonConvert.DeserializeObject<Dictionary<string, string>>(resolutions);
+                }
+                catch (JsonException)
+                {
+                    return BadRequest(new { success = false, error = "冲突处理方式格式无效" });
+                }
+            }
+
+            var existingGroups = await _keyManager.GetAllGroupsAsync();
+            var existingGroupIds = existingGroups.Select(g => g.Id).ToHashSet();
+
+            // 将被覆盖或合并的分组先记录基线版本，便于导入后回滚
+            if (conflictResolutions != null)
+            {
+                foreach (var group in existingGroups.Where(g =>
+                    conflictResolutions.TryGetValue(g.GroupName, out var strategy) &&
+                    strategy != ImportConflictStrategies.Skip))
+                {
+                    await _groupVersionService.SaveVersionAsync(group.Id, GroupChangeTypes.Baseline);
+                }
+            }
+
+            var result = await _keyManager.ImportGroupsAsync(content, conflictResolutions);
+
+            var importedGroups = (await _keyManager.GetAllGroupsAsync())
+                .Where(g => !existingGroupIds.Contains(g.Id))
+                .Select(g => new { id = g.Id, group_name = g.GroupName, provider_type = g.ProviderType })
+                .ToList();
+
+            foreach (var group in importedGroups)
+            {
+                await _groupVersionService.SaveVersionAsync(group.id, GroupChangeTypes.Create);
+            }
+            foreach (var groupId in result.UpdatedGroupIds)
+            {
+                await _groupVersionService.SaveVersionAsync(groupId, GroupChangeTypes.Import);
+            }
+
+            await _auditLogService.RecordAsync(AuditActions.GroupImport, AuditTargets.Group, null,
+                after: new
+                {
+                    file_name = config_file.FileName,
+                    imported_count = result.ImportedCount,
+                    updated_count = result.UpdatedCount,
+                    skipped_count = result.SkippedCount,
+                    total_groups = result.TotalGroups,
+                    groups = importedGroups,
+                    updated_groups = result.UpdatedGroupIds,
+                    resolutions = conflictResolutions,
+                    errors = result.Errors
+                },
+                summary: $"从 {config_file.FileName} 导入 {result.ImportedCount}/{result.TotalGroups} 个分组，更新 {result.UpdatedCount} 个");
 
             return Ok(new
             {
                 success = true,
                 imported_count = result.ImportedCount,
+                updated_count = result.UpdatedCount,
+                skipped_count = result.SkippedCount,
                 total_groups = result.TotalGroups,
                 errors = result.Errors
             });
@@ -1474,6 +2057,7 @@ public class AdminController : ControllerBase
     /// 手动触发密钥健康检查
     /// </summary>
     [HttpPost("keys/health-check")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> TriggerKeyHealthCheck()
     {
         try
@@ -1500,6 +2084,7 @@ public class AdminController : ControllerBase
     /// 清除所有LastStatusCode为401的密钥，包括从orch_groups、orch_key_validation、orch_key_usage_stats表中删除相关数据
     /// </summary>
     [HttpPost("keys/clear-invalid")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> ClearInvalidKeys()
     {
         try
@@ -1507,6 +2092,8 @@ public class AdminController : ControllerBase
             _logger.LogInformation("管理员触发一键清除无效密钥操作");
 
             var result = await _keyManager.ClearInvalidKeysAsync();
+            await _auditLogService.RecordAsync(AuditActions.KeyClearInvalid, AuditTargets.Key, null,
+                after: result, summary: "一键清除无效密钥");
             return Ok(result);
         }
         catch (Exception ex)
@@ -1526,6 +2113,7 @@ public class AdminController : ControllerBase
     /// 将没有密钥的服务商分组标记为删除
     /// </summary>
     [HttpPost("groups/clear-empty")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> ClearEmptyGroups()
     {
         try
@@ -1533,6 +2121,8 @@ public class AdminController : ControllerBase
             _logger.LogInformation("管理员触发清除空白密钥分组操作");
 
             var result = await _keyManager.ClearEmptyGroupsAsync();
+            await _auditLogService.RecordAsync(AuditActions.GroupClearEmpty, AuditTargets.Group, null,
+                after: result, summary: "清除空白密钥分组");
             return Ok(result);
         }
         catch (Exception ex)
@@ -1605,6 +2195,7 @@ public class AdminController : ControllerBase
     /// 删除服务商分组（级联删除相关的健康检查记录）
     /// </summary>
     [HttpDelete("groups/{groupId}")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> DeleteGroup(string groupId)
     {
         try
@@ -1620,12 +2211,17 @@ public class AdminController : ControllerBase
                 return NotFound(new { success = false, error = "分组不存在" });
             }
 
+            var before = await _auditLogService.GetGroupSnapshotAsync(groupId);
+
             // 删除分组（软删除）
             await _keyManager.DeleteGroupAsync(groupId);
 
             // 级联删除相关的健康检查记录
             await DeleteHealthCheckRecordsByGroupId(groupId);
 
+            await _auditLogService.RecordAsync(AuditActions.GroupDelete, AuditTargets.Group, groupId,
+                before, null, $"删除分组 {group.GroupName}");
+
             _logger.LogInformation("成功删除分组及相关健康检查记录: {GroupId}", groupId);
             return Ok(new
             {
@@ -1651,6 +2247,7 @@ public class AdminController : ControllerBase
     /// 从分组中删除指定的API密钥（级联删除相关的健康检查记录）
     /// </summary>
     [HttpDelete("groups/{groupId}/keys/{apiKey}")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> DeleteApiKeyFromGroup(string groupId, string apiKey)
     {
         try
@@ -1674,6 +2271,9 @@ public class AdminController : ControllerBase
                 return NotFound(new { success = false, error = "指定的API密钥不存在于该分组中" });
             }
 
+            var before = await _auditLogService.GetGroupSnapshotAsync(groupId);
+            await _groupVersionService.SaveVersionAsync(groupId, GroupChangeTypes.Baseline);
+
             // 从列表中移除密钥
             apiKeys.Remove(keyToRemove);
             group.ApiKeys = JsonConvert.SerializeObject(apiKeys);
@@ -1686,6 +2286,11 @@ public class AdminController : ControllerBase
             var keyHash = ComputeKeyHash(keyToRemove);
             await DeleteHealthCheckRecordsByApiKey(groupId, keyHash);
 
+            await _groupVersionService.SaveVersionAsync(groupId, GroupChangeTypes.KeyDelete);
+            await _auditLogService.RecordAsync(AuditActions.GroupKeyDelete, AuditTargets.Group, groupId,
+                before, await _auditLogService.GetGroupSnapshotAsync(groupId),
+                $"从分组 {group.GroupName} 删除密钥 {ApiKeyMaskingUtils.MaskApiKey(keyToRemove)}");
+
             _logger.LogInformation("成功从分组 {GroupId} 中删除API密钥及相关健康检查记录", groupId);
             return Ok(new
             {
@@ -1712,6 +2317,7 @@ public class AdminController : ControllerBase
     /// 从分组中删除指定的模型（级联删除相关的健康检查记录）
     /// </summary>
     [HttpDelete("groups/{groupId}/models/{*modelId}")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> DeleteModelFromGroup(string groupId, string modelId)
     {
         try
@@ -1737,6 +2343,9 @@ public class AdminController : ControllerBase
                 return NotFound(new { success = false, error = "指定的模型不存在于该分组中" });
             }
 
+            var before = await _auditLogService.GetGroupSnapshotAsync(groupId);
+            await _groupVersionService.SaveVersionAsync(groupId, GroupChangeTypes.Baseline);
+
             // 从列表中移除模型
             models.Remove(modelToRemove);
             group.Models = JsonConvert.SerializeObject(models);
@@ -1777,6 +2386,11 @@ public class AdminController : ControllerBase
             // 级联删除相关的健康检查记录
             await DeleteHealthCheckRecordsByModel(groupId, modelId);
 
+            await _groupVersionService.SaveVersionAsync(groupId, GroupChangeTypes.ModelDelete);
+            await _auditLogService.RecordAsync(AuditActions.GroupModelDelete, AuditTargets.Group, groupId,
+                before, await _auditLogService.GetGroupSnapshotAsync(groupId),
+                $"从分组 {group.GroupName} 删除模型 {modelId}");
+
             _logger.LogInformation("成功从分组 {GroupId} 中删除模型 {ModelId} 及相关健康检查记录", groupId, modelId);
             return Ok(new
             {
@@ -1891,6 +2505,24 @@ public class AdminController : ControllerBase
         return Convert.ToHexString(hashBytes);
     }
 
+    /// <summary>
+    /// 构造密钥验证状态快照（用于审计日志）
+    /// </summary>
+    private static object? ToKeyStatusSnapshot(string apiKey, KeyValidation? validation)
+    {
+        if (validation == null)
+            return null;
+
+        return new
+        {
+            api_key = ApiKeyMaskingUtils.MaskApiKey(apiKey),
+            is_valid = validation.IsValid,
+            error_count = validation.ErrorCount,
+            last_status_code = validation.LastStatusCode,
+            last_error = validation.LastError
+        };
+    }
+
     #region Serilog系统日志管理
 
     private string GetSerilogDbPath()
@@ -2118,6 +2750,7 @@ public class AdminController : ControllerBase
     /// 删除指定时间之前的Serilog日志
     /// </summary>
     [HttpDelete("serilog")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> DeleteSerilogLogs([FromQuery] DateTime? before)
     {
         try
@@ -2141,6 +2774,9 @@ public class AdminController : ControllerBase
             await vacuumCmd.ExecuteNonQueryAsync();
 
             _logger.LogInformation("删除了 {Count} 条Serilog日志记录", deletedCount);
+            await _auditLogService.RecordAsync(AuditActions.SerilogDelete, AuditTargets.Logs, null,
+                after: new { before = before.Value, deleted_count = deletedCount },
+                summary: $"删除 {before.Value:yyyy-MM-dd HH:mm:ss} 之前的系统日志");
 
             return Ok(new { deletedCount, message = $"成功删除 {deletedCount} 条日志记录" });
         }
@@ -2155,6 +2791,7 @@ public class AdminController : ControllerBase
     /// 清空所有Serilog日志
     /// </summary>
     [HttpDelete("serilog/clear")]
+    [Authorize(Policy = AuthPolicies.Admin)]
     public async Task<IActionResult> ClearSerilogLogs()
     {
         try
@@ -2174,6 +2811,8 @@ public class AdminController : ControllerBase
             }
 
             _logger.LogWarning("已清空所有Serilog日志记录");
+            await _auditLogService.RecordAsync(AuditActions.SerilogClear, AuditTargets.Logs, null,
+                summary: "清空所有系统日志");
 
             return Ok(new { message = "已清空所有日志记录" });
         }
@@ -80,6 +80,8 @@ public class AnthropicController : ControllerBase
 
             var clientIp = HttpContext.Connection.RemoteIpAddress?.ToString();
             var userAgent = httpRequest.Headers.UserAgent.FirstOrDefault();
+            // 可选：通过请求头指定目标分组（用于对比测试）
+            var targetGroupId = httpRequest.Headers["X-Orchestration-Target-Group"].FirstOrDefault();
 
             // 从字典提取用于日志的信息
             var model = requestDict.TryGetValue("model", out var modelVal) ? modelVal?.ToString() : "unknown";
@@ -90,7 +92,7 @@ public class AnthropicController : ControllerBase
 
             // 使用统一的HTTP透明代理（JSON透传模式，Anthropic）
             var httpResponse = await _multiProviderService.ProcessHttpRequestAsync(
-                rawJsonBody, proxyKey, "anthropic", null, clientIp, userAgent, httpRequest.Path, HttpContext.RequestAborted);
+                rawJsonBody, proxyKey, "anthropic", null, clientIp, userAgent, httpRequest.Path, targetGroupId, HttpContext.RequestAborted);
 
             if (!httpResponse.IsSuccess)
             {
@@ -101,7 +103,7 @@ public class AnthropicController : ControllerBase
                 {
                     error = new
                     {
-                        type = "provider_error",
+                        type = httpResponse.ErrorType ?? "provider_error",
                         message = httpResponse.ErrorMessage ?? "请求失败"
                     }
                 });
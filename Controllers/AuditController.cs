@@ -0,0 +1,105 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using OrchestrationApi.Models;
+using OrchestrationApi.Services.Core;
+
+namespace OrchestrationApi.Controllers;
+
+/// <summary>
+/// 管理操作审计日志控制器
+/// </summary>
+[ApiController]
+[Route("admin/audit")]
+[Produces("application/json")]
+[Authorize]
+public class AuditController : ControllerBase
+{
+    private readonly IAuditLogService _auditLogService;
+    private readonly ILogger<AuditController> _logger;
+
+    public AuditController(IAuditLogService auditLogService, ILogger<AuditController> logger)
+    {
+        _auditLogService = auditLogService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// 分页查询审计日志，支持按操作人、操作类型、目标和时间范围筛选
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetAuditLogs(
+        [FromQuery] int page = 1,
+        [FromQuery(Name = "page_size")] int pageSize = 50,
+        [FromQuery] string? actor = null,
+        [FromQuery] string? action = null,
+        [FromQuery(Name = "target_type")] string? targetType = null,
+        [FromQuery(Name = "target_id")] string? targetId = null,
+        [FromQuery(Name = "start_time")] DateTime? startTime = null,
+        [FromQuery(Name = "end_time")] DateTime? endTime = null)
+    {
+        try
+        {
+            page = Math.Max(1, page);
+            pageSize = Math.Clamp(pageSize, 1, 200);
+
+            var result = await _auditLogService.GetLogsAsync(page, pageSize, actor, action,
+                targetType, targetId, startTime, endTime);
+
+            return Ok(new
+            {
+                success = true,
+                logs = result.Logs.Select(ToDto),
+                total_count = result.TotalCount,
+                page = page,
+                page_size = pageSize,
+                total_pages = (int)Math.Ceiling(result.TotalCount / (double)pageSize)
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "查询审计日志时发生异常");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 获取审计日志筛选选项
+    /// </summary>
+    [HttpGet("filter-options")]
+    public async Task<IActionResult> GetFilterOptions()
+    {
+        try
+        {
+            var options = await _auditLogService.GetFilterOptionsAsync();
+            return Ok(new
+            {
+                success = true,
+                filter_options = new
+                {
+                    actors = options.Actors,
+                    actions = options.Actions,
+                    target_types = options.TargetTypes
+                }
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取审计日志筛选选项时发生异常");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    private static object ToDto(AuditLog log) => new
+    {
+        id = log.Id,
+        actor = log.Actor,
+        action = log.Action,
+        target_type = log.TargetType,
+        target_id = log.TargetId,
+        summary = log.Summary,
+        before = log.BeforeData,
+        after = log.AfterData,
+        ip_address = log.IpAddress,
+        created_at = log.CreatedAt
+    };
+}
@@ -75,24 +75,8 @@ public class AuthController : ControllerBase
                 });
             }
 
-            // 生成JWT Token
-            var token = GenerateJwtToken(user);
-            var expiresAt = DateTime.Now.AddSeconds(
-                _configuration.GetValue<int>("OrchestrationApi:Auth:SessionTimeout", 86400));
-
-            // 创建会话记录
-            var session = new UserSession
-            {
-                UserId = user.Id,
-                Token = token,
-                ExpiresAt = expiresAt,
-                CreatedAt = DateTime.Now,
-                LastAccessedAt = DateTime.Now,
-                IpAddress = GetClientIpAddress(),
-                UserAgent = HttpContext.Request.Headers["User-Agent"].FirstOrDefault()
-            };
-
-            await _db.Insertable(session).ExecuteCommandAsync();
+            // 生成JWT Token并创建会话
+            var (token, expiresAt) = await CreateSessionAsync(user);
 
             // 更新用户最后登录时间
             await _db.Updateable<User>()
@@ -102,17 +86,6 @@ public class AuthController : ControllerBase
 
             _logger.LogInformation("用户登录成功 - {Username} (ID: {UserId})", user.Username, user.Id);
 
-            // 设置认证Cookie
-            var cookieOptions = new CookieOptions
-            {
-                HttpOnly = false, // 允许JavaScript访问，因为前端需要读取token
-                Secure = false, // 开发环境不需要HTTPS
-                SameSite = SameSiteMode.Lax,
-                Expires = expiresAt
-            };
-            
-            HttpContext.Response.Cookies.Append("authToken", token, cookieOptions);
-
             return Ok(new LoginResponse
             {
                 Success = true,
@@ -238,8 +211,11 @@ public class AuthController : ControllerBase
                 { 
                     id = user.Id,
                     username = user.Username,
-                    role = user.Role
-                }
+                    role = UserRoles.Normalize(user.Role) ?? UserRoles.Viewer,
+                    permissions = UserRoles.GetPermissions(user.Role)
+                },
+                expires_at = session.ExpiresAt,
+                expires_in = Math.Max(0, (int)(session.ExpiresAt - DateTime.Now).TotalSeconds)
             });
         }
         catch (SecurityTokenExpiredException)
@@ -258,6 +234,94 @@ public class AuthController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// 续期Token，使用仍然有效的Token换取新的Token
+    /// </summary>
+    [HttpPost("refresh")]
+    [ProducesResponseType(typeof(LoginResponse), 200)]
+    [ProducesResponseType(typeof(LoginResponse), 401)]
+    public async Task<IActionResult> RefreshToken()
+    {
+        try
+        {
+            var authHeader = HttpContext.Request.Headers["Authorization"].FirstOrDefault();
+            var token = ExtractBearerToken(authHeader);
+
+            if (string.IsNullOrEmpty(token))
+            {
+                return Unauthorized(new LoginResponse { Success = false, Message = "Token不能为空" });
+            }
+
+            var tokenHandler = new JwtSecurityTokenHandler();
+            var key = Encoding.UTF8.GetBytes(
+                _configuration.GetValue<string>("OrchestrationApi:Auth:JwtSecret") ?? 
+                throw new InvalidOperationException("JWT密钥未配置"));
+
+            var validationParameters = new TokenValidationParameters
+            {
+                ValidateIssuerSigningKey = true,
+                IssuerSigningKey = new SymmetricSecurityKey(key),
+                ValidateIssuer = false,
+                ValidateAudience = false,
+                ValidateLifetime = true,
+                ClockSkew = TimeSpan.Zero
+            };
+
+            var principal = tokenHandler.ValidateToken(token, validationParameters, out _);
+
+            // 只有未过期的会话才允许续期
+            var session = await _db.Queryable<UserSession>()
+                .Where(s => s.Token == token && s.ExpiresAt > DateTime.Now)
+                .FirstAsync();
+
+            if (session == null)
+            {
+                return Unauthorized(new LoginResponse { Success = false, Message = "会话已过期或不存在" });
+            }
+
+            var userId = int.Parse(principal.FindFirst(ClaimTypes.NameIdentifier)?.Value ?? "0");
+            var user = await _db.Queryable<User>()
+                .Where(u => u.Id == userId && u.Enabled)
+                .FirstAsync();
+
+            if (user == null)
+            {
+                return Unauthorized(new LoginResponse { Success = false, Message = "用户不存在或已禁用" });
+            }
+
+            var (newToken, expiresAt) = await CreateSessionAsync(user);
+
+            // 旧会话立即失效
+            await _db.Deleteable<UserSession>()
+                .Where(s => s.Id == session.Id)
+                .ExecuteCommandAsync();
+
+            _logger.LogInformation("用户会话续期成功 - {Username} (ID: {UserId})", user.Username, user.Id);
+
+            return Ok(new LoginResponse
+            {
+                Success = true,
+                Message = "会话已续期",
+                Token = newToken,
+                ExpiresAt = expiresAt
+            });
+        }
+        catch (SecurityTokenExpiredException)
+        {
+            return Unauthorized(new LoginResponse { Success = false, Message = "Token已过期" });
+        }
+        catch (SecurityTokenException ex)
+        {
+            _logger.LogWarning(ex, "续期Token验证失败");
+            return Unauthorized(new LoginResponse { Success = false, Message = "Token无效" });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "续期Token时发生异常");
+            return StatusCode(500, new LoginResponse { Success = false, Message = "服务器内部错误" });
+        }
+    }
+
     /// <summary>
     /// 修改密码
     /// </summary>
@@ -471,6 +535,43 @@ public class AuthController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// 生成Token、写入会话记录并设置认证Cookie
+    /// </summary>
+    private async Task<(string Token, DateTime ExpiresAt)> CreateSessionAsync(User user)
+    {
+        var token = GenerateJwtToken(user);
+        var expiresAt = DateTime.Now.AddSeconds(
+            _configuration.GetValue<int>("OrchestrationApi:Auth:SessionTimeout", 86400));
+
+        // 创建会话记录
+        var session = new UserSession
+        {
+            UserId = user.Id,
+            Token = token,
+            ExpiresAt = expiresAt,
+            CreatedAt = DateTime.Now,
+            LastAccessedAt = DateTime.Now,
+            IpAddress = GetClientIpAddress(),
+            UserAgent = HttpContext.Request.Headers["User-Agent"].FirstOrDefault()
+        };
+
+        await _db.Insertable(session).ExecuteCommandAsync();
+
+        // 设置认证Cookie
+        var cookieOptions = new CookieOptions
+        {
+            HttpOnly = false, // 允许JavaScript访问，因为前端需要读取token
+            Secure = false, // 开发环境不需要HTTPS
+            SameSite = SameSiteMode.Lax,
+            Expires = expiresAt
+        };
+
+        HttpContext.Response.Cookies.Append("authToken", token, cookieOptions);
+
+        return (token, expiresAt);
+    }
+
     /// <summary>
     /// 生成JWT Token
     /// </summary>
@@ -490,7 +591,7 @@ public class AuthController : ControllerBase
             {
                 new Claim(ClaimTypes.NameIdentifier, user.Id.ToString()),
                 new Claim(ClaimTypes.Name, user.Username),
-                new Claim(ClaimTypes.Role, user.Role)
+                new Claim(ClaimTypes.Role, UserRoles.Normalize(user.Role) ?? UserRoles.Viewer)
             }),
             Expires = DateTime.Now.AddSeconds(sessionTimeout),
             SigningCredentials = new SigningCredentials(new SymmetricSecurityKey(key), 
@@ -518,26 +619,10 @@ public class AuthController : ControllerBase
     }
 
     /// <summary>
-    /// 获取客户端IP地址
+    /// 获取客户端IP地址（转发头已由 UseForwardedHeaders 按受信任代理解析）
     /// </summary>
     private string? GetClientIpAddress()
     {
-        var forwardedFor = HttpContext.Request.Headers["X-Forwarded-For"].FirstOrDefault();
-        if (!string.IsNullOrEmpty(forwardedFor))
-        {
-            var ips = forwardedFor.Split(',', StringSplitOptions.RemoveEmptyEntries);
-            if (ips.Length > 0)
-            {
-                return ips[0].Trim();
-            }
-        }
-
-        var realIp = HttpContext.Request.Headers["X-Real-IP"].FirstOrDefault();
-        if (!string.IsNullOrEmpty(realIp))
-        {
-            return realIp;
-        }
-
         return HttpContext.Connection.RemoteIpAddress?.ToString();
     }
 }
@@ -80,6 +80,8 @@ public class GeminiController : ControllerBase
             }
             var clientIp = HttpContext.Connection.RemoteIpAddress?.ToString();
             var userAgent = httpRequest.Headers.UserAgent.FirstOrDefault();
+            // 可选：通过请求头指定目标分组（用于对比测试）
+            var targetGroupId = httpRequest.Headers["X-Orchestration-Target-Group"].FirstOrDefault();
 
             _logger.LogDebug("接收到Gemini生成内容请求 - Model: {Model}, ProxyKey: {ProxyKey}，原始请求：{RawRequest}",
                 model, string.IsNullOrEmpty(proxyKey) ? "无" : "已提供", rawJsonBody);
@@ -91,7 +93,7 @@ public class GeminiController : ControllerBase
             // 使用统一的HTTP透明代理（JSON透传模式，Gemini非流式）
             var httpResponse = await _multiProviderService.ProcessHttpRequestAsync(
                 modifiedRequestJson, proxyKey, _providerType, false, clientIp, userAgent,
-                httpRequest.Path, HttpContext.RequestAborted);
+                httpRequest.Path, targetGroupId, HttpContext.RequestAborted);
 
             if (!httpResponse.IsSuccess)
             {
@@ -103,7 +105,7 @@ public class GeminiController : ControllerBase
                     Error = new ApiError
                     {
                         Message = httpResponse.ErrorMessage ?? "请求失败",
-                        Type = "provider_error"
+                        Type = httpResponse.ErrorType ?? "provider_error"
                     }
                 });
             }
@@ -209,6 +211,8 @@ public class GeminiController : ControllerBase
             }
             var clientIp = HttpContext.Connection.RemoteIpAddress?.ToString();
             var userAgent = httpRequest.Headers.UserAgent.FirstOrDefault();
+            // 可选：通过请求头指定目标分组（用于对比测试）
+            var targetGroupId = httpRequest.Headers["X-Orchestration-Target-Group"].FirstOrDefault();
 
             _logger.LogDebug("接收到Gemini流式生成内容请求 - Model: {Model}, ProxyKey: {ProxyKey}，原始请求：{RawRequest}",
                 model, string.IsNullOrEmpty(proxyKey) ? "无" : "已提供", rawJsonBody);
@@ -220,7 +224,7 @@ public class GeminiController : ControllerBase
             // 使用统一的HTTP透明代理（JSON透传模式，Gemini流式）
             var httpResponse = await _multiProviderService.ProcessHttpRequestAsync(
                 modifiedRequestJson, proxyKey, _providerType, true, clientIp, userAgent,
-                httpRequest.Path, HttpContext.RequestAborted);
+                httpRequest.Path, targetGroupId, HttpContext.RequestAborted);
 
             if (!httpResponse.IsSuccess)
             {
@@ -232,7 +236,7 @@ public class GeminiController : ControllerBase
                     Error = new ApiError
                     {
                         Message = httpResponse.ErrorMessage ?? "请求失败",
-                        Type = "provider_error"
+                        Type = httpResponse.ErrorType ?? "provider_error"
                     }
                 });
             }
@@ -0,0 +1,131 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Newtonsoft.Json.Linq;
+using OrchestrationApi.Models;
+using OrchestrationApi.Services.Core;
+
+namespace OrchestrationApi.Controllers;
+
+/// <summary>
+/// 分组模板与克隆控制器，返回的配置包含请求头和代理设置，仅运维及以上角色可访问
+/// </summary>
+[ApiController]
+[Route("admin/group-templates")]
+[Produces("application/json")]
+[Authorize(Policy = AuthPolicies.Operator)]
+public class GroupTemplatesController : ControllerBase
+{
+    private readonly IGroupTemplateService _groupTemplateService;
+    private readonly IAuditLogService _auditLogService;
+    private readonly ILogger<GroupTemplatesController> _logger;
+
+    public GroupTemplatesController(IGroupTemplateService groupTemplateService, IAuditLogService auditLogService,
+        ILogger<GroupTemplatesController> logger)
+    {
+        _groupTemplateService = groupTemplateService;
+        _auditLogService = auditLogService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// 获取分组模板列表
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetTemplates()
+    {
+        try
+        {
+            var templates = await _groupTemplateService.GetTemplatesAsync();
+            return Ok(new { success = true, data = templates.Select(ToDto) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取分组模板列表失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 获取用于克隆的分组配置（不含名称和 API 密钥）
+    /// </summary>
+    [HttpGet("from-group/{groupId}")]
+    public async Task<IActionResult> GetGroupConfig(string groupId)
+    {
+        try
+        {
+            var config = await _groupTemplateService.GetGroupConfigAsync(groupId);
+            if (config == null)
+            {
+                return NotFound(new { success = false, error = $"分组 {groupId} 不存在" });
+            }
+
+            return Ok(new { success = true, data = config });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取分组 {GroupId} 克隆配置失败", groupId);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 将现有分组保存为模板
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> CreateTemplate([FromBody] GroupTemplateRequest request)
+    {
+        try
+        {
+            var template = await _groupTemplateService.CreateTemplateAsync(request);
+
+            await _auditLogService.RecordAsync(AuditActions.GroupTemplateCreate, AuditTargets.GroupTemplate,
+                template.Id.ToString(), after: ToDto(template),
+                summary: $"将分组 {template.SourceGroupId} 保存为模板 {template.Name}");
+
+            return Ok(new { success = true, message = "分组模板已保存", data = ToDto(template) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "保存分组模板失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 删除分组模板
+    /// </summary>
+    [HttpDelete("{id:int}")]
+    public async Task<IActionResult> DeleteTemplate(int id)
+    {
+        try
+        {
+            var template = await _groupTemplateService.DeleteTemplateAsync(id);
+            if (template == null)
+            {
+                return NotFound(new { success = false, error = "分组模板不存在" });
+            }
+
+            await _auditLogService.RecordAsync(AuditActions.GroupTemplateDelete, AuditTargets.GroupTemplate,
+                id.ToString(), before: ToDto(template), summary: $"删除分组模板 {template.Name}");
+
+            return Ok(new { success = true, message = "分组模板已删除" });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "删除分组模板失败: {Id}", id);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    private static object ToDto(GroupTemplate template) => new
+    {
+        id = template.Id,
+        name = template.Name,
+        description = template.Description,
+        provider_type = template.ProviderType,
+        source_group_id = template.SourceGroupId,
+        config = JObject.Parse(template.Config),
+        created_by = template.CreatedBy,
+        created_at = template.CreatedAt
+    };
+}
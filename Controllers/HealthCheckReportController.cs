@@ -18,17 +18,23 @@ public class HealthCheckReportController : ControllerBase
     private readonly IHealthCheckService _healthCheckService;
     private readonly IKeyManager _keyManager;
     private readonly ISqlSugarClient _db;
+    private readonly ICircuitBreakerService _circuitBreaker;
+    private readonly IMaintenanceService _maintenanceService;
     private readonly ILogger<HealthCheckReportController> _logger;
 
     public HealthCheckReportController(
         IHealthCheckService healthCheckService,
         IKeyManager keyManager,
         ISqlSugarClient db,
+        ICircuitBreakerService circuitBreaker,
+        IMaintenanceService maintenanceService,
         ILogger<HealthCheckReportController> logger)
     {
         _healthCheckService = healthCheckService;
         _keyManager = keyManager;
         _db = db;
+        _circuitBreaker = circuitBreaker;
+        _maintenanceService = maintenanceService;
         _logger = logger;
     }
 
@@ -42,6 +48,7 @@ public class HealthCheckReportController : ControllerBase
         {
             var groups = await _keyManager.GetAllGroupsAsync();
             var allStats = await _healthCheckService.GetAllHealthCheckStatsAsync();
+            var maintenanceStatuses = await _maintenanceService.GetGroupStatusesAsync();
             
             var reportData = new List<object>();
 
@@ -89,7 +96,13 @@ public class HealthCheckReportController : ControllerBase
                     },
 
                     // 模型健康状态汇总
-                    models_health = await CalculateGroupModelHealthStats(group, modelStats)
+                    models_health = await CalculateGroupModelHealthStats(group, modelStats),
+
+                    // 熔断器状态（基于实际请求结果，与定时健康检查相互独立）
+                    circuit_breaker = _circuitBreaker.GetSnapshot(group),
+
+                    // 维护窗口状态（维护期间跳过定时健康检查，失败结果不再告警）
+                    maintenance = maintenanceStatuses.GetValueOrDefault(group.Id)
                 };
 
                 reportData.Add(groupReport);
@@ -297,6 +310,7 @@ public class HealthCheckReportController : ControllerBase
     /// 手动触发健康检查
     /// </summary>
     [HttpPost("trigger")]
+    [Authorize(Policy = AuthPolicies.Operator)]
     public async Task<IActionResult> TriggerHealthCheck([FromBody] TriggerHealthCheckRequest request)
     {
         try
@@ -369,6 +383,9 @@ public class HealthCheckReportController : ControllerBase
             // 只统计启用分组的健康检查数据
             var enabledStats = allStats.Where(s => enabledGroupIds.Contains(s.GroupId)).ToList();
 
+            // 维护中的分组不计入异常服务商
+            var maintenanceGroupIds = await _maintenanceService.GetGroupsInMaintenanceAsync();
+
             // 计算配置的总数（与GetHealthCheckReport方法保持一致）
             var totalConfiguredKeys = enabledGroups.Sum(g => GetApiKeyCount(g));
             var totalConfiguredModels = enabledGroups.Sum(g => GetModelCount(g));
@@ -385,7 +402,9 @@ public class HealthCheckReportController : ControllerBase
             {
                 total_groups = enabledGroups.Count,
                 healthy_providers = enabledStats.Count(s => s.CheckType == HealthCheckTypes.Provider && GetHealthStatus(s) == "healthy"),
-                unhealthy_providers = enabledStats.Count(s => s.CheckType == HealthCheckTypes.Provider && GetHealthStatus(s) == "unhealthy"),
+                unhealthy_providers = enabledStats.Count(s => s.CheckType == HealthCheckTypes.Provider && GetHealthStatus(s) == "unhealthy" &&
+                    !maintenanceGroupIds.Contains(s.GroupId)),
+                maintenance_groups = enabledGroupIds.Count(id => maintenanceGroupIds.Contains(id)),
 
                 total_keys = totalConfiguredKeys, // 使用配置的密钥总数
                 healthy_keys = enabledStats.Count(s => s.CheckType == HealthCheckTypes.ApiKey && GetHealthStatus(s) == "healthy"),
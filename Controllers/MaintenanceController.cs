@@ -0,0 +1,176 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using OrchestrationApi.Models;
+using OrchestrationApi.Services.Core;
+
+namespace OrchestrationApi.Controllers;
+
+/// <summary>
+/// 分组维护窗口管理控制器
+/// </summary>
+[ApiController]
+[Route("admin/maintenance")]
+[Produces("application/json")]
+[Authorize]
+public class MaintenanceController : ControllerBase
+{
+    private readonly IMaintenanceService _maintenanceService;
+    private readonly IKeyManager _keyManager;
+    private readonly IAuditLogService _auditLogService;
+    private readonly ILogger<MaintenanceController> _logger;
+
+    public MaintenanceController(IMaintenanceService maintenanceService, IKeyManager keyManager,
+        IAuditLogService auditLogService, ILogger<MaintenanceController> logger)
+    {
+        _maintenanceService = maintenanceService;
+        _keyManager = keyManager;
+        _auditLogService = auditLogService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// 获取维护窗口列表
+    /// </summary>
+    [HttpGet("windows")]
+    public async Task<IActionResult> GetWindows([FromQuery(Name = "group_id")] string? groupId = null)
+    {
+        try
+        {
+            var windows = await _maintenanceService.GetWindowsAsync(groupId);
+            var groupNames = (await _keyManager.GetAllGroupsAsync()).ToDictionary(g => g.Id, g => g.GroupName);
+            var now = DateTime.Now;
+
+            return Ok(new
+            {
+                success = true,
+                data = windows.Select(w => ToDto(w, groupNames.GetValueOrDefault(w.GroupId), now))
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取维护窗口列表失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 获取未来若干天的维护日历（包含正在进行的维护）
+    /// </summary>
+    [HttpGet("calendar")]
+    public async Task<IActionResult> GetCalendar([FromQuery] int days = 14)
+    {
+        try
+        {
+            days = Math.Clamp(days, 1, 31);
+            var from = DateTime.Now;
+            var occurrences = await _maintenanceService.GetOccurrencesAsync(from, from.Date.AddDays(days));
+
+            return Ok(new { success = true, data = occurrences, server_time = from });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取维护日历失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 新增维护窗口
+    /// </summary>
+    [HttpPost("windows")]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> CreateWindow([FromBody] MaintenanceWindowRequest request)
+    {
+        try
+        {
+            var window = await _maintenanceService.SaveWindowAsync(request);
+
+            await _auditLogService.RecordAsync(AuditActions.MaintenanceSave, AuditTargets.MaintenanceWindow,
+                window.Id.ToString(), after: ToDto(window, null, DateTime.Now),
+                summary: $"新增分组 {window.GroupId} 维护窗口（{MaintenanceService.DescribeSchedule(window)}）");
+
+            return Ok(new { success = true, message = "维护窗口已保存", data = ToDto(window, null, DateTime.Now) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "新增维护窗口失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 修改维护窗口
+    /// </summary>
+    [HttpPut("windows/{id:int}")]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> UpdateWindow(int id, [FromBody] MaintenanceWindowRequest request)
+    {
+        try
+        {
+            var before = (await _maintenanceService.GetWindowsAsync()).FirstOrDefault(w => w.Id == id);
+            if (before == null)
+            {
+                return NotFound(new { success = false, error = "维护窗口不存在" });
+            }
+            var beforeDto = ToDto(before, null, DateTime.Now);
+
+            var window = await _maintenanceService.SaveWindowAsync(request, id);
+
+            await _auditLogService.RecordAsync(AuditActions.MaintenanceSave, AuditTargets.MaintenanceWindow,
+                id.ToString(), before: beforeDto, after: ToDto(window, null, DateTime.Now),
+                summary: $"修改分组 {window.GroupId} 维护窗口（{MaintenanceService.DescribeSchedule(window)}）");
+
+            return Ok(new { success = true, message = "维护窗口已保存", data = ToDto(window, null, DateTime.Now) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "修改维护窗口失败: {Id}", id);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 删除维护窗口
+    /// </summary>
+    [HttpDelete("windows/{id:int}")]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> DeleteWindow(int id)
+    {
+        try
+        {
+            var window = await _maintenanceService.DeleteWindowAsync(id);
+            if (window == null)
+            {
+                return NotFound(new { success = false, error = "维护窗口不存在" });
+            }
+
+            await _auditLogService.RecordAsync(AuditActions.MaintenanceDelete, AuditTargets.MaintenanceWindow,
+                id.ToString(), before: ToDto(window, null, DateTime.Now),
+                summary: $"删除分组 {window.GroupId} 维护窗口（{MaintenanceService.DescribeSchedule(window)}）");
+
+            return Ok(new { success = true, message = "维护窗口已删除" });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "删除维护窗口失败: {Id}", id);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    private static object ToDto(GroupMaintenanceWindow window, string? groupName, DateTime now) => new
+    {
+        id = window.Id,
+        group_id = window.GroupId,
+        group_name = groupName,
+        title = window.Title,
+        schedule_type = window.ScheduleType,
+        start_time = window.StartTime,
+        end_time = window.EndTime,
+        cron_expression = window.CronExpression,
+        duration_minutes = window.DurationMinutes,
+        enabled = window.Enabled,
+        active = window.Enabled && MaintenanceService.IsActiveAt(window, now),
+        next_start = window.Enabled ? MaintenanceService.GetNextStart(window, now) : null,
+        updated_at = window.UpdatedAt
+    };
+}
@@ -0,0 +1,159 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using OrchestrationApi.Models;
+using OrchestrationApi.Services.Core;
+
+namespace OrchestrationApi.Controllers;
+
+/// <summary>
+/// 模型价格管理控制器（用于估算请求成本）
+/// </summary>
+[ApiController]
+[Route("admin/pricing")]
+[Produces("application/json")]
+[Authorize]
+public class PricingController : ControllerBase
+{
+    private readonly IPricingService _pricingService;
+    private readonly IAuditLogService _auditLogService;
+    private readonly ILogger<PricingController> _logger;
+
+    public PricingController(IPricingService pricingService, IAuditLogService auditLogService,
+        ILogger<PricingController> logger)
+    {
+        _pricingService = pricingService;
+        _auditLogService = auditLogService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// 获取模型价格列表
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetPrices()
+    {
+        try
+        {
+            var prices = await _pricingService.GetPricesAsync();
+            return Ok(new { success = true, data = prices.Select(ToDto) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取模型价格列表失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 新增模型价格
+    /// </summary>
+    [HttpPost]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> CreatePrice([FromBody] ModelPriceRequest request)
+    {
+        try
+        {
+            var price = await _pricingService.SavePriceAsync(request);
+
+            await _auditLogService.RecordAsync(AuditActions.PricingSave, AuditTargets.ModelPrice, price.Id.ToString(),
+                after: ToDto(price), summary: $"新增模型价格 {price.Model}");
+
+            return Ok(new { success = true, message = "价格已保存", data = ToDto(price) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "新增模型价格失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 修改模型价格
+    /// </summary>
+    [HttpPut("{id:int}")]
+    [Authorize(Policy = AuthPolicies.Operator)]
+    public async Task<IActionResult> UpdatePrice(int id, [FromBody] ModelPriceRequest request)
+    {
+        try
+        {
+            var before = (await _pricingService.GetPricesAsync()).FirstOrDefault(p => p.Id == id);
+            if (before == null)
+            {
+                return NotFound(new { success = false, error = "价格记录不存在" });
+            }
+            var beforeDto = ToDto(before);
+
+            var price = await _pricingService.SavePriceAsync(request, id);
+
+            await _auditLogService.RecordAsync(AuditActions.PricingSave, AuditTargets.ModelPrice, id.ToString(),
+                before: beforeDto, after: ToDto(price), summary: $"修改模型价格 {price.Model}");
+
+            return Ok(new { success = true, message = "价格已保存", data = ToDto(price) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "修改模型价格失败: {Id}", id);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 删除模型价格
+    /// </summary>
+    [HttpDelete("{id:int}")]
+    [Authorize(Policy = AuthPolicies.Admin)]
+    public async Task<IActionResult> DeletePrice(int id)
+    {
+        try
+        {
+            var price = await _pricingService.DeletePriceAsync(id);
+            if (price == null)
+            {
+                return NotFound(new { success = false, error = "价格记录不存在" });
+            }
+
+            await _auditLogService.RecordAsync(AuditActions.PricingDelete, AuditTargets.ModelPrice, id.ToString(),
+                before: ToDto(price), summary: $"删除模型价格 {price.Model}");
+
+            return Ok(new { success = true, message = "价格已删除" });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "删除模型价格失败: {Id}", id);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 恢复内置默认价格（不影响自定义的模型价格）
+    /// </summary>
+    [HttpPost("restore-defaults")]
+    [Authorize(Policy = AuthPolicies.Admin)]
+    public async Task<IActionResult> RestoreDefaults()
+    {
+        try
+        {
+            var changed = await _pricingService.RestoreDefaultPricesAsync();
+
+            await _auditLogService.RecordAsync(AuditActions.PricingRestoreDefaults, AuditTargets.ModelPrice, null,
+                after: new { changed }, summary: $"恢复默认模型价格，变更 {changed} 条");
+
+            return Ok(new { success = true, message = $"已恢复默认价格，变更 {changed} 条", changed });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "恢复默认模型价格失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    private static object ToDto(ModelPrice price) => new
+    {
+        id = price.Id,
+        model = price.Model,
+        input_price = price.InputPrice,
+        output_price = price.OutputPrice,
+        is_builtin = price.IsBuiltin,
+        updated_at = price.UpdatedAt
+    };
+}
@@ -0,0 +1,201 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using OrchestrationApi.Models;
+using OrchestrationApi.Services.Core;
+using SqlSugar;
+using System.Security.Claims;
+
+namespace OrchestrationApi.Controllers;
+
+/// <summary>
+/// 用户管理控制器（仅管理员）
+/// </summary>
+[ApiController]
+[Route("admin/users")]
+[Produces("application/json")]
+[Authorize(Policy = AuthPolicies.Admin)]
+public class UsersController : ControllerBase
+{
+    private readonly ISqlSugarClient _db;
+    private readonly ILogger<UsersController> _logger;
+    private readonly IAuditLogService _auditLogService;
+
+    public UsersController(ISqlSugarClient db, ILogger<UsersController> logger, IAuditLogService auditLogService)
+    {
+        _db = db;
+        _logger = logger;
+        _auditLogService = auditLogService;
+    }
+
+    /// <summary>
+    /// 获取用户列表
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetUsers()
+    {
+        try
+        {
+            var users = await _db.Queryable<User>()
+                .OrderBy(u => u.Id)
+                .ToListAsync();
+
+            return Ok(new { success = true, data = users.Select(ToDto) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取用户列表失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 创建用户
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> CreateUser([FromBody] CreateUserRequest request)
+    {
+        try
+        {
+            var username = request.Username.Trim();
+            if (string.IsNullOrEmpty(username))
+            {
+                return BadRequest(new { success = false, error = "用户名不能为空" });
+            }
+
+            var role = UserRoles.Normalize(request.Role);
+            if (role == null)
+            {
+                return BadRequest(new { success = false, error = $"无效的角色: {request.Role}" });
+            }
+
+            var exists = await _db.Queryable<User>().AnyAsync(u => u.Username == username);
+            if (exists)
+            {
+                return BadRequest(new { success = false, error = $"用户名 {username} 已存在" });
+            }
+
+            var user = new User
+            {
+                Username = username,
+                PasswordHash = BCrypt.Net.BCrypt.HashPassword(request.Password),
+                Role = role,
+                Enabled = true,
+                CreatedAt = DateTime.Now
+            };
+
+            user.Id = await _db.Insertable(user).ExecuteReturnIdentityAsync();
+
+            _logger.LogInformation("管理员 {Operator} 创建用户 {Username}，角色 {Role}",
+                User.Identity?.Name, username, role);
+            await _auditLogService.RecordAsync(AuditActions.UserCreate, AuditTargets.User, user.Id.ToString(),
+                after: ToDto(user), summary: $"创建用户 {username}（{role}）");
+
+            return Ok(new { success = true, message = "用户创建成功", data = ToDto(user) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "创建用户失败");
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 修改用户角色、启用状态或重置密码
+    /// </summary>
+    [HttpPut("{id:int}")]
+    public async Task<IActionResult> UpdateUser(int id, [FromBody] UpdateUserAccountRequest request)
+    {
+        try
+        {
+            var user = await _db.Queryable<User>().Where(u => u.Id == id).FirstAsync();
+            if (user == null)
+            {
+                return NotFound(new { success = false, error = "用户不存在" });
+            }
+
+            var before = ToDto(user);
+
+            string? newRole = null;
+            if (request.Role != null)
+            {
+                newRole = UserRoles.Normalize(request.Role);
+                if (newRole == null)
+                {
+                    return BadRequest(new { success = false, error = $"无效的角色: {request.Role}" });
+                }
+            }
+
+            var currentUserId = int.Parse(User.FindFirst(ClaimTypes.NameIdentifier)?.Value ?? "0");
+            var currentRole = UserRoles.Normalize(user.Role);
+            var roleChanged = newRole != null && newRole != currentRole;
+            var disabling = request.Enabled == false && user.Enabled;
+
+            if (id == currentUserId && (roleChanged || disabling))
+            {
+                return BadRequest(new { success = false, error = "不能修改自己的角色或禁用自己" });
+            }
+
+            // 至少保留一个启用的管理员
+            if (currentRole == UserRoles.Admin && user.Enabled &&
+                ((roleChanged && newRole != UserRoles.Admin) || disabling))
+            {
+                var otherAdmins = await _db.Queryable<User>()
+                    .Where(u => u.Id != id && u.Role.ToLower() == "admin" && u.Enabled)
+                    .CountAsync();
+                if (otherAdmins == 0)
+                {
+                    return BadRequest(new { success = false, error = "至少需要保留一个启用的管理员" });
+                }
+            }
+
+            if (newRole != null)
+            {
+                user.Role = newRole;
+            }
+            if (request.Enabled.HasValue)
+            {
+                user.Enabled = request.Enabled.Value;
+            }
+            var passwordReset = !string.IsNullOrEmpty(request.Password);
+            if (passwordReset)
+            {
+                user.PasswordHash = BCrypt.Net.BCrypt.HashPassword(request.Password);
+            }
+
+            await _db.Updateable(user)
+                .UpdateColumns(u => new { u.Role, u.Enabled, u.PasswordHash })
+                .ExecuteCommandAsync();
+
+            // 角色、状态或密码变化后清除该用户的会话，使其重新登录后生效
+            if (roleChanged || disabling || passwordReset)
+            {
+                await _db.Deleteable<UserSession>()
+                    .Where(s => s.UserId == id)
+                    .ExecuteCommandAsync();
+            }
+
+            _logger.LogInformation("管理员 {Operator} 修改用户 {Username}: 角色 {Role}, 启用 {Enabled}, 重置密码 {PasswordReset}",
+                User.Identity?.Name, user.Username, user.Role, user.Enabled, passwordReset);
+            await _auditLogService.RecordAsync(AuditActions.UserUpdate, AuditTargets.User, id.ToString(),
+                before, ToDto(user),
+                passwordReset ? $"修改用户 {user.Username}（已重置密码）" : $"修改用户 {user.Username}");
+
+            return Ok(new { success = true, message = "用户已更新", data = ToDto(user) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "修改用户失败: {UserId}", id);
+            return BadRequest(new { success = false, error = ex.Message });
+        }
+    }
+
+    private static object ToDto(User user) => new
+    {
+        id = user.Id,
+        username = user.Username,
+        role = UserRoles.Normalize(user.Role) ?? user.Role,
+        enabled = user.Enabled,
+        created_at = user.CreatedAt,
+        last_login_at = user.LastLoginAt
+    };
+}
@@ -89,6 +89,8 @@ public class V1Controller : ControllerBase
             }
             var clientIp = HttpContext.Connection.RemoteIpAddress?.ToString();
             var userAgent = httpRequest.Headers.UserAgent.FirstOrDefault();
+            // 可选：通过请求头指定目标分组（用于对比测试）
+            var targetGroupId = httpRequest.Headers["X-Orchestration-Target-Group"].FirstOrDefault();
 
             // 根据请求路径动态确定provider类型
             var providerType = GetProviderTypeFromPath(httpRequest.Path);
@@ -98,7 +100,7 @@ public class V1Controller : ControllerBase
 
             // 使用统一的HTTP透明代理（直接传递JSON字符串，内部会进行模型验证和路由）
             var httpResponse = await _multiProviderService.ProcessHttpRequestAsync(
-                rawJsonBody, proxyKey, providerType, null, clientIp, userAgent, httpRequest.Path, HttpContext.RequestAborted);
+                rawJsonBody, proxyKey, providerType, null, clientIp, userAgent, httpRequest.Path, targetGroupId, HttpContext.RequestAborted);
 
             if (!httpResponse.IsSuccess)
             {
@@ -110,7 +112,7 @@ public class V1Controller : ControllerBase
                     Error = new ApiError
                     {
                         Message = httpResponse.ErrorMessage ?? "请求失败",
-                        Type = "provider_error"
+                        Type = httpResponse.ErrorType ?? "provider_error"
                     }
                 });
             }
@@ -298,7 +300,7 @@ public class V1Controller : ControllerBase
                     Error = new ApiError
                     {
                         Message = httpResponse.ErrorMessage ?? "请求失败",
-                        Type = "provider_error"
+                        Type = httpResponse.ErrorType ?? "provider_error"
                     }
                 });
             }
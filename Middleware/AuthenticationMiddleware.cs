@@ -1,5 +1,8 @@
 using Microsoft.IdentityModel.Tokens;
+using Newtonsoft.Json;
 using OrchestrationApi.Models;
+using OrchestrationApi.Services.Core;
+using OrchestrationApi.Utils;
 using SqlSugar;
 using System.IdentityModel.Tokens.Jwt;
 using System.Net;
@@ -9,7 +12,7 @@ using System.Text;
 namespace OrchestrationApi.Middleware;
 
 /// <summary>
-/// 身份验证中间件，用于保护静态页面
+/// 身份验证中间件，用于保护静态页面，并对代理接口执行代理密钥的客户端来源限制
 /// </summary>
 public class AuthenticationMiddleware
 {
@@ -23,10 +26,12 @@ public class AuthenticationMiddleware
         "/dashboard",
         "/logs",
         "/health-report",
+        "/audit",
         "/",
         "/dashboard.html",
         "/logs.html",
-        "/health-report.html"
+        "/health-report.html",
+        "/audit.html"
     };
 
     // 公共路径（不需要认证）
@@ -54,6 +59,18 @@ public class AuthenticationMiddleware
     {
         var path = context.Request.Path.Value ?? string.Empty;
 
+        // 代理接口：检查代理密钥的 IP 与来源限制
+        if (IsProxyApiPath(path))
+        {
+            if (!await ValidateProxyKeyClientAsync(context))
+            {
+                return;
+            }
+
+            await _next(context);
+            return;
+        }
+
         // 检查是否是受保护的路径
         if (IsProtectedPath(path))
         {
@@ -73,6 +90,101 @@ public class AuthenticationMiddleware
         await _next(context);
     }
 
+    private static bool IsProxyApiPath(string path)
+    {
+        // /v1 同时覆盖 /v1beta（Gemini）
+        return path.StartsWith("/v1", StringComparison.OrdinalIgnoreCase) ||
+               path.StartsWith("/claude/", StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// 获取请求中携带的所有代理密钥候选值。各代理控制器读取的位置不同（V1 读 Authorization，
+    /// Claude 读 x-api-key，Gemini 读 x-goog-api-key 或 ?key），这里全部收集，读取方式与控制器保持一致
+    /// </summary>
+    private static List<string> GetPresentedProxyKeys(HttpRequest request)
+    {
+        var candidates = new[]
+        {
+            request.Headers.Authorization.FirstOrDefault()?.Replace("Bearer ", ""),
+            request.Headers["x-api-key"].FirstOrDefault(),
+            request.Headers["x-goog-api-key"].FirstOrDefault(),
+            request.Query["key"].FirstOrDefault()
+        };
+
+        return candidates
+            .Where(key => !string.IsNullOrEmpty(key))
+            .Select(key => key!)
+            .Distinct()
+            .ToList();
+    }
+
+    /// <summary>
+    /// 检查代理密钥的客户端 IP 与来源限制，拒绝时写入 403 响应并记录请求日志。
+    /// 请求携带的每个有效密钥都需要通过检查，避免用无效的 Authorization 绕过其他请求头中受限密钥的检查
+    /// </summary>
+    private async Task<bool> ValidateProxyKeyClientAsync(HttpContext context)
+    {
+        var presentedKeys = GetPresentedProxyKeys(context.Request);
+        if (presentedKeys.Count == 0)
+        {
+            // 缺少密钥由控制器返回对应错误
+            return true;
+        }
+
+        var keyManager = context.RequestServices.GetRequiredService<IKeyManager>();
+        foreach (var proxyKeyValue in presentedKeys)
+        {
+            var proxyKey = await keyManager.ValidateProxyKeyAsync(proxyKeyValue);
+            if (proxyKey == null)
+            {
+                // 密钥无效由控制器返回对应错误
+                continue;
+            }
+
+            if (!await EnsureClientAllowedAsync(context, proxyKey))
+            {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// 检查单个代理密钥的客户端限制，不满足时写入 403 响应
+    /// </summary>
+    private async Task<bool> EnsureClientAllowedAsync(HttpContext context, ProxyKey proxyKey)
+    {
+        var clientIp = context.Connection.RemoteIpAddress;
+        var origin = context.Request.Headers.Origin.FirstOrDefault() ?? context.Request.Headers.Referer.FirstOrDefault();
+        var deniedMessage = ClientAccessFilter.GetAccessDeniedMessage(proxyKey, clientIp, origin);
+        if (deniedMessage == null)
+        {
+            return true;
+        }
+
+        _logger.LogWarning("代理密钥来源限制拒绝请求: {Path}, 原因: {Reason}", context.Request.Path, deniedMessage);
+
+        var requestLogger = context.RequestServices.GetRequiredService<IRequestLogger>();
+        var userAgent = context.Request.Headers.UserAgent.FirstOrDefault();
+        var requestId = await requestLogger.LogRequestStartAsync(context.Request.Method, context.Request.Path,
+            null, null, proxyKey.Id, clientIp?.ToString(), userAgent);
+        await requestLogger.LogRequestEndAsync(requestId, StatusCodes.Status403Forbidden, errorMessage: deniedMessage);
+
+        context.Response.StatusCode = StatusCodes.Status403Forbidden;
+        context.Response.ContentType = "application/json";
+        await context.Response.WriteAsync(JsonConvert.SerializeObject(new ApiErrorResponse
+        {
+            Error = new ApiError
+            {
+                Message = deniedMessage,
+                Type = "permission_error",
+                Code = "client_not_allowed"
+            }
+        }));
+        return false;
+    }
+
     private bool IsProtectedPath(string path)
     {
         // 检查是否是公共路径
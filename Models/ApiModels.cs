@@ -401,6 +401,45 @@ public class GroupRequest
 
     [JsonProperty("health_check_enabled")]
     public bool HealthCheckEnabled { get; set; } = true;
+
+    /// <summary>
+    /// 分组模型价格表，键为模型名（以 * 结尾表示前缀匹配）
+    /// </summary>
+    [JsonProperty("model_prices")]
+    public Dictionary<string, GroupModelPrice> ModelPrices { get; set; } = new();
+
+    [JsonProperty("circuit_breaker_enabled")]
+    public bool CircuitBreakerEnabled { get; set; } = true;
+
+    [Range(0, 1000)]
+    [JsonProperty("circuit_breaker_failure_threshold")]
+    public int CircuitBreakerFailureThreshold { get; set; } = 5;
+
+    [Range(0, 100)]
+    [JsonProperty("circuit_breaker_error_rate")]
+    public int CircuitBreakerErrorRate { get; set; } = 50;
+
+    [Range(1, 86400)]
+    [JsonProperty("circuit_breaker_cooldown")]
+    public int CircuitBreakerCooldown { get; set; } = 60;
+
+    /// <summary>
+    /// 服务商类型特有配置，可用字段见 GET /admin/provider-types
+    /// </summary>
+    [JsonProperty("provider_settings")]
+    public Dictionary<string, object> ProviderSettings { get; set; } = new();
+}
+
+/// <summary>
+/// 分组模型价格（美元 / 1K tokens）
+/// </summary>
+public class GroupModelPrice
+{
+    [JsonProperty("input_price")]
+    public decimal InputPrice { get; set; }
+
+    [JsonProperty("output_price")]
+    public decimal OutputPrice { get; set; }
 }
 
 /// <summary>
@@ -482,6 +521,58 @@ public class ProxyKeyRequest
 
     [JsonProperty("description")]
     public string? Description { get; set; }
+
+    [Range(0, int.MaxValue)]
+    [JsonProperty("rpm_limit")]
+    public int? RpmLimit { get; set; }
+
+    [Range(0, long.MaxValue)]
+    [JsonProperty("daily_token_limit")]
+    public long? DailyTokenLimit { get; set; }
+
+    [Range(0, long.MaxValue)]
+    [JsonProperty("monthly_token_limit")]
+    public long? MonthlyTokenLimit { get; set; }
+
+    [Range(1, 100)]
+    [JsonProperty("quota_warning_threshold")]
+    public int? QuotaWarningThreshold { get; set; }
+
+    /// <summary>
+    /// 生效时间，为空表示立即生效
+    /// </summary>
+    [JsonProperty("not_before")]
+    public DateTime? NotBefore { get; set; }
+
+    /// <summary>
+    /// 过期时间，为空表示永不过期
+    /// </summary>
+    [JsonProperty("expires_at")]
+    public DateTime? ExpiresAt { get; set; }
+
+    /// <summary>
+    /// 允许访问的模型（支持 * 和 ? 通配符），为空表示不限制
+    /// </summary>
+    [JsonProperty("allowed_models")]
+    public List<string>? AllowedModels { get; set; }
+
+    /// <summary>
+    /// 禁止访问的模型，优先级高于允许列表
+    /// </summary>
+    [JsonProperty("denied_models")]
+    public List<string>? DeniedModels { get; set; }
+
+    /// <summary>
+    /// 允许访问的客户端 IP 或 CIDR 网段，为空表示不限制
+    /// </summary>
+    [JsonProperty("allowed_ips")]
+    public List<string>? AllowedIps { get; set; }
+
+    /// <summary>
+    /// 允许的请求来源（匹配 Origin/Referer 的域名，支持通配符），为空表示不限制
+    /// </summary>
+    [JsonProperty("allowed_referrers")]
+    public List<string>? AllowedReferrers { get; set; }
 }
 
 /// <summary>
@@ -505,9 +596,58 @@ public class UpdateProxyKeyRequest
     [JsonProperty("group_balance_policy")]
     public string? GroupBalancePolicy { get; set; }
 
+    [Range(0, int.MaxValue)]
     [JsonProperty("rpm_limit")]
     public int? RpmLimit { get; set; }
 
+    [Range(0, long.MaxValue)]
+    [JsonProperty("daily_token_limit")]
+    public long? DailyTokenLimit { get; set; }
+
+    [Range(0, long.MaxValue)]
+    [JsonProperty("monthly_token_limit")]
+    public long? MonthlyTokenLimit { get; set; }
+
+    [Range(1, 100)]
+    [JsonProperty("quota_warning_threshold")]
+    public int? QuotaWarningThreshold { get; set; }
+
+    /// <summary>
+    /// 生效时间，为空表示立即生效
+    /// </summary>
+    [JsonProperty("not_before")]
+    public DateTime? NotBefore { get; set; }
+
+    /// <summary>
+    /// 过期时间，为空表示永不过期
+    /// </summary>
+    [JsonProperty("expires_at")]
+    public DateTime? ExpiresAt { get; set; }
+
+    /// <summary>
+    /// 允许访问的模型（支持 * 和 ? 通配符），为空列表表示不限制，为 null 时保持不变
+    /// </summary>
+    [JsonProperty("allowed_models")]
+    public List<string>? AllowedModels { get; set; }
+
+    /// <summary>
+    /// 禁止访问的模型，优先级高于允许列表
+    /// </summary>
+    [JsonProperty("denied_models")]
+    public List<string>? DeniedModels { get; set; }
+
+    /// <summary>
+    /// 允许访问的客户端 IP 或 CIDR 网段，为空列表表示不限制，为 null 时保持不变
+    /// </summary>
+    [JsonProperty("allowed_ips")]
+    public List<string>? AllowedIps { get; set; }
+
+    /// <summary>
+    /// 允许的请求来源（匹配 Origin/Referer 的域名，支持通配符），为空列表表示不限制，为 null 时保持不变
+    /// </summary>
+    [JsonProperty("allowed_referrers")]
+    public List<string>? AllowedReferrers { get; set; }
+
     [JsonProperty("group_selection_config")]
     public GroupSelectionConfig? GroupSelectionConfig { get; set; }
 }
@@ -601,16 +741,99 @@ public class ProxyKeyInfo
     [JsonProperty("allowed_groups")]
     public List<string> AllowedGroups { get; set; } = new();
 
+    [JsonProperty("allowed_models")]
+    public List<string> AllowedModels { get; set; } = new();
+
+    [JsonProperty("denied_models")]
+    public List<string> DeniedModels { get; set; } = new();
+
+    [JsonProperty("allowed_ips")]
+    public List<string> AllowedIps { get; set; } = new();
+
+    [JsonProperty("allowed_referrers")]
+    public List<string> AllowedReferrers { get; set; } = new();
+
     [JsonProperty("group_balance_policy")]
     public string? GroupBalancePolicy { get; set; }
 
     [JsonProperty("rpm_limit")]
     public int RpmLimit { get; set; } = 0;
 
+    [JsonProperty("daily_token_limit")]
+    public long DailyTokenLimit { get; set; } = 0;
+
+    [JsonProperty("monthly_token_limit")]
+    public long MonthlyTokenLimit { get; set; } = 0;
+
+    [JsonProperty("quota_warning_threshold")]
+    public int QuotaWarningThreshold { get; set; } = 80;
+
+    [JsonProperty("quota_usage")]
+    public ProxyKeyQuotaUsage? QuotaUsage { get; set; }
+
+    [JsonProperty("not_before")]
+    public DateTime? NotBefore { get; set; }
+
+    [JsonProperty("expires_at")]
+    public DateTime? ExpiresAt { get; set; }
+
+    [JsonProperty("rotated_at")]
+    public DateTime? RotatedAt { get; set; }
+
+    /// <summary>
+    /// 轮换前旧密钥的失效时间，仅在宽限期内返回
+    /// </summary>
+    [JsonProperty("previous_key_expires_at")]
+    public DateTime? PreviousKeyExpiresAt { get; set; }
+
+    /// <summary>
+    /// 有效期状态：active / scheduled（未到生效时间）/ expired
+    /// </summary>
+    [JsonProperty("validity_status")]
+    public string ValidityStatus { get; set; } = ProxyKeyValidityStatus.Active;
+
     [JsonProperty("group_selection_config")]
     public GroupSelectionConfig? GroupSelectionConfig { get; set; }
 }
 
+/// <summary>
+/// 代理密钥有效期状态
+/// </summary>
+public static class ProxyKeyValidityStatus
+{
+    public const string Active = "active";
+    public const string Scheduled = "scheduled";
+    public const string Expired = "expired";
+}
+
+/// <summary>
+/// 轮换代理密钥请求
+/// </summary>
+public class RotateProxyKeyRequest
+{
+    /// <summary>
+    /// 旧密钥的宽限期（分钟），0 表示旧密钥立即失效，最长30天
+    /// </summary>
+    [Range(0, 43200)]
+    [JsonProperty("grace_period_minutes")]
+    public int GracePeriodMinutes { get; set; } = 1440;
+}
+
+/// <summary>
+/// 代理密钥当前配额用量
+/// </summary>
+public class ProxyKeyQuotaUsage
+{
+    [JsonProperty("requests_last_minute")]
+    public int RequestsLastMinute { get; set; }
+
+    [JsonProperty("tokens_today")]
+    public long TokensToday { get; set; }
+
+    [JsonProperty("tokens_this_month")]
+    public long TokensThisMonth { get; set; }
+}
+
 /// <summary>
 /// 密钥统计信息
 /// </summary>
@@ -686,10 +909,126 @@ public class ImportGroupsResult
     [JsonProperty("total_groups")]
     public int TotalGroups { get; set; }
 
+    [JsonProperty("updated_count")]
+    public int UpdatedCount { get; set; }
+
+    [JsonProperty("skipped_count")]
+    public int SkippedCount { get; set; }
+
+    /// <summary>
+    /// 被覆盖或合并更新的已有分组ID
+    /// </summary>
+    [JsonProperty("updated_group_ids")]
+    public List<string> UpdatedGroupIds { get; set; } = new();
+
     [JsonProperty("errors")]
     public List<string> Errors { get; set; } = new();
 }
 
+/// <summary>
+/// 导入时同名分组的冲突处理方式
+/// </summary>
+public static class ImportConflictStrategies
+{
+    /// <summary>
+    /// 跳过，保留现有分组不变
+    /// </summary>
+    public const string Skip = "skip";
+
+    /// <summary>
+    /// 用导入文件中的字段覆盖现有配置，文件中未包含的字段保持不变
+    /// </summary>
+    public const string Overwrite = "overwrite";
+
+    /// <summary>
+    /// 合并：追加密钥和模型，补充缺失的映射、参数和请求头，其余配置保持不变
+    /// </summary>
+    public const string Merge = "merge";
+}
+
+/// <summary>
+/// 分组批量操作类型
+/// </summary>
+public static class BulkGroupActions
+{
+    public const string Enable = "enable";
+    public const string Disable = "disable";
+    public const string SetPriority = "set_priority";
+    public const string AddModel = "add_model";
+    public const string RemoveModel = "remove_model";
+    public const string SetHeader = "set_header";       // 新增或覆盖请求头
+    public const string SetParam = "set_param";         // 新增或覆盖请求参数
+    public const string AttachProxyKey = "attach_proxy_key"; // 将分组加入代理密钥的允许分组
+    public const string ValidateKeys = "validate_keys";
+
+    public static readonly string[] All =
+    {
+        Enable, Disable, SetPriority, AddModel, RemoveModel, SetHeader, SetParam, AttachProxyKey, ValidateKeys
+    };
+}
+
+/// <summary>
+/// 分组批量操作请求，按 action 读取对应的参数
+/// </summary>
+public class BulkGroupActionRequest
+{
+    [Required]
+    [JsonProperty("group_ids")]
+    public List<string> GroupIds { get; set; } = new();
+
+    [Required]
+    [JsonProperty("action")]
+    public string Action { get; set; } = string.Empty;
+
+    [JsonProperty("priority")]
+    public int? Priority { get; set; }
+
+    [JsonProperty("model")]
+    public string? Model { get; set; }
+
+    [JsonProperty("header_name")]
+    public string? HeaderName { get; set; }
+
+    [JsonProperty("header_value")]
+    public string? HeaderValue { get; set; }
+
+    [JsonProperty("param_name")]
+    public string? ParamName { get; set; }
+
+    /// <summary>
+    /// 请求参数值，保持 JSON 原始类型（数字、布尔、对象等）
+    /// </summary>
+    [JsonProperty("param_value")]
+    public object? ParamValue { get; set; }
+
+    [JsonProperty("proxy_key_id")]
+    public int? ProxyKeyId { get; set; }
+}
+
+/// <summary>
+/// 分组批量操作中单个分组的执行结果
+/// </summary>
+public class BulkGroupActionResult
+{
+    [JsonProperty("group_id")]
+    public string GroupId { get; set; } = string.Empty;
+
+    [JsonProperty("group_name")]
+    public string? GroupName { get; set; }
+
+    [JsonProperty("success")]
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// 分组配置是否实际发生变化（例如模型已存在时添加模型不算变化）
+    /// </summary>
+    [JsonProperty("changed")]
+    public bool Changed { get; set; }
+
+    [JsonProperty("message")]
+    public string Message { get; set; } = string.Empty;
+}
+
 /// <summary>
 /// 按类型获取模型请求
 /// </summary>
@@ -714,6 +1053,9 @@ public class GetModelsByTypeRequest
 
     [JsonProperty("headers")]
     public Dictionary<string, string> Headers { get; set; } = new();
+
+    [JsonProperty("provider_settings")]
+    public Dictionary<string, object> ProviderSettings { get; set; } = new();
 }
 
 /// <summary>
@@ -760,6 +1102,9 @@ public class LogResponseDto
     [JsonProperty("provider_group")]
     public string? ProviderGroup { get; set; }
 
+    [JsonProperty("group_id")]
+    public string? GroupId { get; set; }
+
     [JsonProperty("model")]
     public string? Model { get; set; }
 
@@ -813,6 +1158,9 @@ public class LogResponseDto
 
     [JsonProperty("content_truncated")]
     public bool ContentTruncated { get; set; }
+
+    [JsonProperty("estimated_cost")]
+    public decimal? EstimatedCost { get; set; } // 按当前价格表估算，未配置价格或无Token数据时为空
 }
 
 #endregion Admin API Models
@@ -861,6 +1209,118 @@ public class UpdateUserRequest
     public string? NewPassword { get; set; }
 }
 
+/// <summary>
+/// 创建用户请求（管理员）
+/// </summary>
+public class CreateUserRequest
+{
+    [Required]
+    [MaxLength(50)]
+    [JsonProperty("username")]
+    public string Username { get; set; } = string.Empty;
+
+    [Required]
+    [MinLength(6)]
+    [JsonProperty("password")]
+    public string Password { get; set; } = string.Empty;
+
+    [JsonProperty("role")]
+    public string Role { get; set; } = UserRoles.Viewer;
+}
+
+/// <summary>
+/// 保存模型价格请求
+/// </summary>
+public class ModelPriceRequest
+{
+    [Required]
+    [MaxLength(100)]
+    [JsonProperty("model")]
+    public string Model { get; set; } = string.Empty;
+
+    [Range(0, 1000)]
+    [JsonProperty("input_price")]
+    public decimal InputPrice { get; set; }
+
+    [Range(0, 1000)]
+    [JsonProperty("output_price")]
+    public decimal OutputPrice { get; set; }
+}
+
+/// <summary>
+/// 保存分组维护窗口请求
+/// </summary>
+public class MaintenanceWindowRequest
+{
+    [Required]
+    [MaxLength(100)]
+    [JsonProperty("group_id")]
+    public string GroupId { get; set; } = string.Empty;
+
+    [MaxLength(100)]
+    [JsonProperty("title")]
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// once: 一次性窗口（使用 start_time/end_time）；cron: 周期性窗口（使用 cron_expression/duration_minutes）
+    /// </summary>
+    [JsonProperty("schedule_type")]
+    public string ScheduleType { get; set; } = MaintenanceScheduleTypes.Once;
+
+    [JsonProperty("start_time")]
+    public DateTime? StartTime { get; set; }
+
+    [JsonProperty("end_time")]
+    public DateTime? EndTime { get; set; }
+
+    [MaxLength(100)]
+    [JsonProperty("cron_expression")]
+    public string? CronExpression { get; set; }
+
+    [Range(1, 10080)]
+    [JsonProperty("duration_minutes")]
+    public int DurationMinutes { get; set; } = 60;
+
+    [JsonProperty("enabled")]
+    public bool Enabled { get; set; } = true;
+}
+
+/// <summary>
+/// 从现有分组保存分组模板请求
+/// </summary>
+public class GroupTemplateRequest
+{
+    [Required]
+    [MaxLength(100)]
+    [JsonProperty("group_id")]
+    public string GroupId { get; set; } = string.Empty;
+
+    [Required]
+    [MaxLength(100)]
+    [JsonProperty("name")]
+    public string Name { get; set; } = string.Empty;
+
+    [MaxLength(500)]
+    [JsonProperty("description")]
+    public string? Description { get; set; }
+}
+
+/// <summary>
+/// 修改用户请求（管理员），未提供的字段保持不变
+/// </summary>
+public class UpdateUserAccountRequest
+{
+    [JsonProperty("role")]
+    public string? Role { get; set; }
+
+    [JsonProperty("enabled")]
+    public bool? Enabled { get; set; }
+
+    [MinLength(6)]
+    [JsonProperty("password")]
+    public string? Password { get; set; }
+}
+
 #endregion Validation Models
 
 #region Gemini API Models
@@ -0,0 +1,60 @@
+namespace OrchestrationApi.Models;
+
+/// <summary>
+/// 审计日志操作类型
+/// </summary>
+public static class AuditActions
+{
+    public const string GroupCreate = "group.create";
+    public const string GroupUpdate = "group.update";
+    public const string GroupToggle = "group.toggle";
+    public const string GroupRestore = "group.restore";
+    public const string GroupDelete = "group.delete";
+    public const string GroupImport = "group.import";
+    public const string GroupClearEmpty = "group.clear_empty";
+    public const string GroupKeyDelete = "group.key_delete";
+    public const string GroupModelDelete = "group.model_delete";
+    public const string GroupCircuitBreakerReset = "group.circuit_breaker_reset";
+    public const string GroupTemplateCreate = "group_template.create";
+    public const string GroupTemplateDelete = "group_template.delete";
+
+    public const string KeyForceStatus = "key.force_status";
+    public const string KeyClearInvalid = "key.clear_invalid";
+
+    public const string ProxyKeyCreate = "proxy_key.create";
+    public const string ProxyKeyUpdate = "proxy_key.update";
+    public const string ProxyKeyDelete = "proxy_key.delete";
+    public const string ProxyKeyRotate = "proxy_key.rotate";
+
+    public const string LogsCleanup = "logs.cleanup";
+    public const string LogsClearErrors = "logs.clear_errors";
+    public const string LogsClearAll = "logs.clear_all";
+    public const string LogsBatchDelete = "logs.batch_delete";
+    public const string SerilogDelete = "serilog.delete";
+    public const string SerilogClear = "serilog.clear";
+
+    public const string UserCreate = "user.create";
+    public const string UserUpdate = "user.update";
+
+    public const string PricingSave = "pricing.save";
+    public const string PricingDelete = "pricing.delete";
+    public const string PricingRestoreDefaults = "pricing.restore_defaults";
+
+    public const string MaintenanceSave = "maintenance.save";
+    public const string MaintenanceDelete = "maintenance.delete";
+}
+
+/// <summary>
+/// 审计日志目标类型
+/// </summary>
+public static class AuditTargets
+{
+    public const string Group = "group";
+    public const string Key = "key";
+    public const string ProxyKey = "proxy_key";
+    public const string Logs = "logs";
+    public const string User = "user";
+    public const string ModelPrice = "model_price";
+    public const string MaintenanceWindow = "maintenance_window";
+    public const string GroupTemplate = "group_template";
+}
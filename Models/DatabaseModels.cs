@@ -93,6 +93,37 @@ public class GroupConfig
     [SugarColumn(ColumnName = "health_check_enabled")]
     [DefaultValue(true)]
     public bool HealthCheckEnabled { get; set; } = true;
+
+    /// <summary>
+    /// 模型价格表（JSON对象，模型名 -> 每 1K tokens 的输入/输出价格），用于 cheapest_first 分组选择策略和成本统计
+    /// </summary>
+    [SugarColumn(ColumnName = "model_prices", ColumnDataType = "TEXT", IsNullable = true)]
+    public string? ModelPrices { get; set; }
+
+    /// <summary>
+    /// 熔断器开关：连续失败或错误率超过阈值时暂停向该分组路由请求
+    /// </summary>
+    [SugarColumn(ColumnName = "circuit_breaker_enabled")]
+    [DefaultValue(true)]
+    public bool CircuitBreakerEnabled { get; set; } = true;
+
+    [SugarColumn(ColumnName = "circuit_breaker_failure_threshold")]
+    [DefaultValue(5)]
+    public int CircuitBreakerFailureThreshold { get; set; } = 5; // 连续失败次数阈值，0 表示不按连续失败熔断
+
+    [SugarColumn(ColumnName = "circuit_breaker_error_rate")]
+    [DefaultValue(50)]
+    public int CircuitBreakerErrorRate { get; set; } = 50; // 最近请求错误率阈值（百分比），0 表示不按错误率熔断
+
+    [SugarColumn(ColumnName = "circuit_breaker_cooldown")]
+    [DefaultValue(60)]
+    public int CircuitBreakerCooldown { get; set; } = 60; // 熔断后等待多少秒放行探测请求
+
+    /// <summary>
+    /// 服务商类型特有配置（JSON对象，字段由 ProviderRegistry 中的服务商描述声明，如 anthropic_version）
+    /// </summary>
+    [SugarColumn(ColumnName = "provider_settings", ColumnDataType = "TEXT", IsNullable = true)]
+    public string? ProviderSettings { get; set; }
 }
 
 /// <summary>
@@ -124,9 +155,45 @@ public class ProxyKey
     [SugarColumn(ColumnName = "group_weights", ColumnDataType = "TEXT")]
     public string GroupWeights { get; set; } = string.Empty;
 
+    [SugarColumn(ColumnName = "allowed_models", ColumnDataType = "TEXT", IsNullable = true)]
+    public string? AllowedModels { get; set; } // 允许访问的模型（JSON数组，支持 * 和 ? 通配符），为空表示不限制
+
+    [SugarColumn(ColumnName = "denied_models", ColumnDataType = "TEXT", IsNullable = true)]
+    public string? DeniedModels { get; set; } // 禁止访问的模型（JSON数组），优先级高于允许列表
+
+    [SugarColumn(ColumnName = "allowed_ips", ColumnDataType = "TEXT", IsNullable = true)]
+    public string? AllowedIps { get; set; } // 允许访问的客户端 IP/CIDR（JSON数组），为空表示不限制
+
+    [SugarColumn(ColumnName = "allowed_referrers", ColumnDataType = "TEXT", IsNullable = true)]
+    public string? AllowedReferrers { get; set; } // 允许的请求来源域名（JSON数组，匹配 Origin/Referer），为空表示不限制
+
     [SugarColumn(ColumnName = "rpm_limit")]
     public int RpmLimit { get; set; } = 0;
 
+    [SugarColumn(ColumnName = "daily_token_limit")]
+    public long DailyTokenLimit { get; set; } = 0; // 0 表示不限制
+
+    [SugarColumn(ColumnName = "monthly_token_limit")]
+    public long MonthlyTokenLimit { get; set; } = 0; // 0 表示不限制
+
+    [SugarColumn(ColumnName = "quota_warning_threshold")]
+    public int QuotaWarningThreshold { get; set; } = 80; // 用量达到配额的百分比时提示预警
+
+    [SugarColumn(ColumnName = "not_before", IsNullable = true)]
+    public DateTime? NotBefore { get; set; } // 生效时间，为空表示立即生效
+
+    [SugarColumn(ColumnName = "expires_at", IsNullable = true)]
+    public DateTime? ExpiresAt { get; set; } // 过期时间，为空表示永不过期
+
+    [SugarColumn(ColumnName = "previous_key_value", Length = 500, IsNullable = true)]
+    public string? PreviousKeyValue { get; set; } // 轮换前的旧密钥，宽限期内仍可使用
+
+    [SugarColumn(ColumnName = "previous_key_expires_at", IsNullable = true)]
+    public DateTime? PreviousKeyExpiresAt { get; set; }
+
+    [SugarColumn(ColumnName = "rotated_at", IsNullable = true)]
+    public DateTime? RotatedAt { get; set; }
+
     [SugarColumn(ColumnName = "enabled")]
     public bool Enabled { get; set; } = true;
 
@@ -140,6 +207,34 @@ public class ProxyKey
     public long UsageCount { get; set; } = 0;
 }
 
+/// <summary>
+/// 代理密钥Token用量表（按天聚合，用于每日/每月Token配额）
+/// </summary>
+[SugarTable("orch_proxy_key_usage")]
+public class ProxyKeyUsage
+{
+    [SugarColumn(ColumnName = "id", IsPrimaryKey = true, IsIdentity = true)]
+    public int Id { get; set; }
+
+    [SugarColumn(ColumnName = "proxy_key_id")]
+    public int ProxyKeyId { get; set; }
+
+    [SugarColumn(ColumnName = "usage_date")]
+    public DateTime UsageDate { get; set; } // 所属日期（当天零点）
+
+    [SugarColumn(ColumnName = "request_count")]
+    public int RequestCount { get; set; } = 0; // 获取到用量信息的请求数
+
+    [SugarColumn(ColumnName = "prompt_tokens")]
+    public long PromptTokens { get; set; } = 0;
+
+    [SugarColumn(ColumnName = "completion_tokens")]
+    public long CompletionTokens { get; set; } = 0;
+
+    [SugarColumn(ColumnName = "updated_at")]
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
+
 /// <summary>
 /// API 密钥验证状态表
 /// </summary>
@@ -210,6 +305,45 @@ public class KeyUsageStats
     public DateTime UpdatedAt { get; set; } = DateTime.Now;
 }
 
+/// <summary>
+/// 密钥请求指标表（按小时聚合，包含重试过程中的每次上游请求）
+/// </summary>
+[SugarTable("orch_key_usage_metrics")]
+public class KeyUsageMetric
+{
+    [SugarColumn(ColumnName = "id", IsPrimaryKey = true, IsIdentity = true)]
+    public int Id { get; set; }
+
+    [SugarColumn(ColumnName = "group_id", Length = 100)]
+    [Required]
+    public string GroupId { get; set; } = string.Empty;
+
+    [SugarColumn(ColumnName = "api_key_hash", Length = 64)]
+    [Required]
+    public string ApiKeyHash { get; set; } = string.Empty;
+
+    [SugarColumn(ColumnName = "bucket_start")]
+    public DateTime BucketStart { get; set; } // 所属小时的起始时间
+
+    [SugarColumn(ColumnName = "request_count")]
+    public int RequestCount { get; set; } = 0;
+
+    [SugarColumn(ColumnName = "error_count")]
+    public int ErrorCount { get; set; } = 0;
+
+    [SugarColumn(ColumnName = "throttled_count")]
+    public int ThrottledCount { get; set; } = 0; // 429 次数
+
+    [SugarColumn(ColumnName = "prompt_tokens")]
+    public long PromptTokens { get; set; } = 0;
+
+    [SugarColumn(ColumnName = "completion_tokens")]
+    public long CompletionTokens { get; set; } = 0;
+
+    [SugarColumn(ColumnName = "updated_at")]
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
+
 /// <summary>
 /// 请求日志表
 /// </summary>
@@ -313,7 +447,7 @@ public class User
     public string PasswordHash { get; set; } = string.Empty;
 
     [SugarColumn(ColumnName = "role", Length = 20)]
-    public string Role { get; set; } = "admin";
+    public string Role { get; set; } = UserRoles.Viewer;
 
     [SugarColumn(ColumnName = "enabled")]
     public bool Enabled { get; set; } = true;
@@ -450,3 +584,185 @@ public class HealthCheckStats
     [SugarColumn(ColumnName = "updated_at")]
     public DateTime UpdatedAt { get; set; } = DateTime.Now;
 }
+
+/// <summary>
+/// 管理操作审计日志表
+/// </summary>
+[SugarTable("orch_audit_logs")]
+public class AuditLog
+{
+    [SugarColumn(ColumnName = "id", IsPrimaryKey = true, IsIdentity = true)]
+    public int Id { get; set; }
+
+    [SugarColumn(ColumnName = "actor", Length = 50)]
+    [Required]
+    public string Actor { get; set; } = string.Empty;
+
+    [SugarColumn(ColumnName = "action", Length = 50)]
+    [Required]
+    public string Action { get; set; } = string.Empty; // group.update, proxy_key.delete, logs.clear ...
+
+    [SugarColumn(ColumnName = "target_type", Length = 30)]
+    public string TargetType { get; set; } = string.Empty; // group, proxy_key, logs, user ...
+
+    [SugarColumn(ColumnName = "target_id", Length = 100, IsNullable = true)]
+    public string? TargetId { get; set; }
+
+    [SugarColumn(ColumnName = "summary", Length = 500, IsNullable = true)]
+    public string? Summary { get; set; }
+
+    [SugarColumn(ColumnName = "before_data", ColumnDataType = "TEXT", IsNullable = true)]
+    public string? BeforeData { get; set; }
+
+    [SugarColumn(ColumnName = "after_data", ColumnDataType = "TEXT", IsNullable = true)]
+    public string? AfterData { get; set; }
+
+    [SugarColumn(ColumnName = "ip_address", Length = 45, IsNullable = true)]
+    public string? IpAddress { get; set; }
+
+    [SugarColumn(ColumnName = "created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.Now;
+}
+
+/// <summary>
+/// 分组配置历史版本表
+/// </summary>
+[SugarTable("orch_group_versions")]
+public class GroupConfigVersion
+{
+    [SugarColumn(ColumnName = "id", IsPrimaryKey = true, IsIdentity = true)]
+    public int Id { get; set; }
+
+    [SugarColumn(ColumnName = "group_id", Length = 100)]
+    [Required]
+    public string GroupId { get; set; } = string.Empty;
+
+    [SugarColumn(ColumnName = "version")]
+    public int Version { get; set; }
+
+    [SugarColumn(ColumnName = "change_type", Length = 30)]
+    public string ChangeType { get; set; } = string.Empty; // baseline, create, update, toggle, restore ...
+
+    [SugarColumn(ColumnName = "source_version", IsNullable = true)]
+    public int? SourceVersion { get; set; } // 恢复操作的来源版本
+
+    [SugarColumn(ColumnName = "snapshot", ColumnDataType = "TEXT")]
+    public string Snapshot { get; set; } = string.Empty;
+
+    [SugarColumn(ColumnName = "actor", Length = 50, IsNullable = true)]
+    public string? Actor { get; set; }
+
+    [SugarColumn(ColumnName = "created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.Now;
+}
+
+/// <summary>
+/// 模型价格表（每1K Token价格，用于估算请求成本）
+/// </summary>
+[SugarTable("orch_model_prices")]
+public class ModelPrice
+{
+    [SugarColumn(ColumnName = "id", IsPrimaryKey = true, IsIdentity = true)]
+    public int Id { get; set; }
+
+    [SugarColumn(ColumnName = "model", Length = 100)]
+    [Required]
+    public string Model { get; set; } = string.Empty; // 模型名或别名，以 * 结尾表示前缀匹配
+
+    [SugarColumn(ColumnName = "input_price", DecimalDigits = 8, Length = 18)]
+    public decimal InputPrice { get; set; } = 0;
+
+    [SugarColumn(ColumnName = "output_price", DecimalDigits = 8, Length = 18)]
+    public decimal OutputPrice { get; set; } = 0;
+
+    [SugarColumn(ColumnName = "is_builtin")]
+    public bool IsBuiltin { get; set; } = false; // 是否为内置默认价格
+
+    [SugarColumn(ColumnName = "created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.Now;
+
+    [SugarColumn(ColumnName = "updated_at")]
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
+
+/// <summary>
+/// 分组维护窗口表（窗口期内分组不参与路由，定时健康检查跳过该分组）
+/// </summary>
+[SugarTable("orch_group_maintenance_windows")]
+public class GroupMaintenanceWindow
+{
+    [SugarColumn(ColumnName = "id", IsPrimaryKey = true, IsIdentity = true)]
+    public int Id { get; set; }
+
+    [SugarColumn(ColumnName = "group_id", Length = 100)]
+    [Required]
+    public string GroupId { get; set; } = string.Empty;
+
+    [SugarColumn(ColumnName = "title", Length = 100, IsNullable = true)]
+    public string? Title { get; set; }
+
+    [SugarColumn(ColumnName = "schedule_type", Length = 20)]
+    public string ScheduleType { get; set; } = MaintenanceScheduleTypes.Once; // once: 一次性, cron: 周期性
+
+    [SugarColumn(ColumnName = "start_time", IsNullable = true)]
+    public DateTime? StartTime { get; set; } // 一次性窗口的开始时间
+
+    [SugarColumn(ColumnName = "end_time", IsNullable = true)]
+    public DateTime? EndTime { get; set; } // 一次性窗口的结束时间
+
+    [SugarColumn(ColumnName = "cron_expression", Length = 100, IsNullable = true)]
+    public string? CronExpression { get; set; } // 周期性窗口的开始时间（五段式 cron）
+
+    [SugarColumn(ColumnName = "duration_minutes")]
+    public int DurationMinutes { get; set; } = 60; // 周期性窗口每次持续的分钟数
+
+    [SugarColumn(ColumnName = "enabled")]
+    public bool Enabled { get; set; } = true;
+
+    [SugarColumn(ColumnName = "created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.Now;
+
+    [SugarColumn(ColumnName = "updated_at")]
+    public DateTime UpdatedAt { get; set; } = DateTime.Now;
+}
+
+/// <summary>
+/// 维护窗口计划类型
+/// </summary>
+public static class MaintenanceScheduleTypes
+{
+    public const string Once = "once";
+    public const string Cron = "cron";
+}
+
+/// <summary>
+/// 分组模板表（保存分组除密钥外的配置，新建分组时套用）
+/// </summary>
+[SugarTable("orch_group_templates")]
+public class GroupTemplate
+{
+    [SugarColumn(ColumnName = "id", IsPrimaryKey = true, IsIdentity = true)]
+    public int Id { get; set; }
+
+    [SugarColumn(ColumnName = "name", Length = 100)]
+    [Required]
+    public string Name { get; set; } = string.Empty;
+
+    [SugarColumn(ColumnName = "description", Length = 500, IsNullable = true)]
+    public string? Description { get; set; }
+
+    [SugarColumn(ColumnName = "provider_type", Length = 50)]
+    public string ProviderType { get; set; } = string.Empty;
+
+    [SugarColumn(ColumnName = "source_group_id", Length = 100, IsNullable = true)]
+    public string? SourceGroupId { get; set; } // 保存模板时的来源分组
+
+    [SugarColumn(ColumnName = "config", ColumnDataType = "TEXT")]
+    public string Config { get; set; } = "{}"; // 与分组配置快照格式相同，不含 group_name 和 api_keys
+
+    [SugarColumn(ColumnName = "created_by", Length = 50, IsNullable = true)]
+    public string? CreatedBy { get; set; }
+
+    [SugarColumn(ColumnName = "created_at")]
+    public DateTime CreatedAt { get; set; } = DateTime.Now;
+}
@@ -0,0 +1,63 @@
+namespace OrchestrationApi.Models;
+
+/// <summary>
+/// 常用模型的默认价格（美元/1K Token，参考各服务商公开标准价格，可在管理后台修改）
+/// </summary>
+public static class DefaultModelPrices
+{
+    // 模型名以 * 结尾表示前缀匹配，匹配时优先精确名称，其次最长前缀
+    private static readonly (string Model, decimal Input, decimal Output)[] Prices =
+    {
+        // OpenAI
+        ("gpt-4o*", 0.0025m, 0.01m),
+        ("gpt-4o-mini*", 0.00015m, 0.0006m),
+        ("gpt-4.1*", 0.002m, 0.008m),
+        ("gpt-4.1-mini*", 0.0004m, 0.0016m),
+        ("gpt-4.1-nano*", 0.0001m, 0.0004m),
+        ("gpt-4-turbo*", 0.01m, 0.03m),
+        ("gpt-4*", 0.03m, 0.06m),
+        ("gpt-3.5-turbo*", 0.0005m, 0.0015m),
+        ("o1*", 0.015m, 0.06m),
+        ("o1-mini*", 0.0011m, 0.0044m),
+        ("o3*", 0.002m, 0.008m),
+        ("o3-mini*", 0.0011m, 0.0044m),
+        ("o4-mini*", 0.0011m, 0.0044m),
+        ("text-embedding-3-small", 0.00002m, 0m),
+        ("text-embedding-3-large", 0.00013m, 0m),
+
+        // Anthropic
+        ("claude-opus-4*", 0.015m, 0.075m),
+        ("claude-sonnet-4*", 0.003m, 0.015m),
+        ("claude-3-7-sonnet*", 0.003m, 0.015m),
+        ("claude-3-5-sonnet*", 0.003m, 0.015m),
+        ("claude-3-5-haiku*", 0.0008m, 0.004m),
+        ("claude-3-opus*", 0.015m, 0.075m),
+        ("claude-3-haiku*", 0.00025m, 0.00125m),
+
+        // Gemini
+        ("gemini-2.5-pro*", 0.00125m, 0.01m),
+        ("gemini-2.5-flash*", 0.0003m, 0.0025m),
+        ("gemini-2.5-flash-lite*", 0.0001m, 0.0004m),
+        ("gemini-2.0-flash*", 0.0001m, 0.0004m),
+        ("gemini-2.0-flash-lite*", 0.000075m, 0.0003m),
+        ("gemini-1.5-pro*", 0.00125m, 0.005m),
+        ("gemini-1.5-flash*", 0.000075m, 0.0003m)
+    };
+
+    /// <summary>
+    /// 生成默认价格记录
+    /// </summary>
+    public static List<ModelPrice> Create()
+    {
+        var now = DateTime.Now;
+        return Prices.Select(p => new ModelPrice
+        {
+            Model = p.Model,
+            InputPrice = p.Input,
+            OutputPrice = p.Output,
+            IsBuiltin = true,
+            CreatedAt = now,
+            UpdatedAt = now
+        }).ToList();
+    }
+}
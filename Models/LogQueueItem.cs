@@ -15,7 +15,12 @@ public enum LogQueueItemType
     /// <summary>
     /// 更新日志记录
     /// </summary>
-    Update
+    Update,
+
+    /// <summary>
+    /// 补充Token用量（响应透传结束后解析得到，仅更新Token字段）
+    /// </summary>
+    TokenUsage
 }
 
 /// <summary>
@@ -39,7 +44,7 @@ public class LogQueueItem
     public RequestLog? LogData { get; set; }
     
     /// <summary>
-    /// 更新数据（用于Update操作）
+    /// 更新数据（用于Update/TokenUsage操作）
     /// </summary>
     public LogUpdateData? UpdateData { get; set; }
     
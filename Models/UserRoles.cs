@@ -0,0 +1,84 @@
+namespace OrchestrationApi.Models;
+
+/// <summary>
+/// 用户角色
+/// </summary>
+public static class UserRoles
+{
+    /// <summary>
+    /// 只读用户，只能查看数据
+    /// </summary>
+    public const string Viewer = "Viewer";
+
+    /// <summary>
+    /// 运维用户，可修改配置但不能执行删除和清理类操作
+    /// </summary>
+    public const string Operator = "Operator";
+
+    /// <summary>
+    /// 管理员，拥有全部权限（包括用户管理）
+    /// </summary>
+    public const string Admin = "Admin";
+
+    public static readonly string[] All = { Viewer, Operator, Admin };
+
+    /// <summary>
+    /// 规范化角色名称（忽略大小写），无法识别时返回 null
+    /// </summary>
+    public static string? Normalize(string? role)
+    {
+        if (string.IsNullOrWhiteSpace(role))
+            return null;
+
+        return All.FirstOrDefault(r => r.Equals(role.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// 获取角色拥有的权限列表，供前端控制按钮显示
+    /// </summary>
+    public static List<string> GetPermissions(string? role)
+    {
+        var permissions = new List<string> { Permissions.Read };
+
+        switch (Normalize(role))
+        {
+            case Admin:
+                permissions.Add(Permissions.Operate);
+                permissions.Add(Permissions.Delete);
+                permissions.Add(Permissions.ManageUsers);
+                break;
+            case Operator:
+                permissions.Add(Permissions.Operate);
+                break;
+        }
+
+        return permissions;
+    }
+}
+
+/// <summary>
+/// 前端使用的权限标识
+/// </summary>
+public static class Permissions
+{
+    public const string Read = "read";
+    public const string Operate = "operate";
+    public const string Delete = "delete";
+    public const string ManageUsers = "manage_users";
+}
+
+/// <summary>
+/// 授权策略名称
+/// </summary>
+public static class AuthPolicies
+{
+    /// <summary>
+    /// 运维及以上角色（修改配置、触发检查等）
+    /// </summary>
+    public const string Operator = "OperatorOrAbove";
+
+    /// <summary>
+    /// 仅管理员（删除、清理、用户管理）
+    /// </summary>
+    public const string Admin = "AdminOnly";
+}
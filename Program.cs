@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.AspNetCore.HttpOverrides;
 using Microsoft.Extensions.Diagnostics.HealthChecks;
 using Microsoft.IdentityModel.Tokens;
 using Microsoft.OpenApi.Models;
@@ -9,6 +10,7 @@ using OrchestrationApi.Services.Providers;
 using Serilog;
 using SqlSugar;
 
+using System.Net;
 using System.Text;
 using System.Reflection;
 
@@ -81,6 +83,37 @@ builder.Services.AddCors(options =>
     });
 });
 
+// 配置转发头：仅信任已配置的反向代理传入的 X-Forwarded-For / X-Forwarded-Proto
+builder.Services.Configure<ForwardedHeadersOptions>(options =>
+{
+    options.ForwardedHeaders = ForwardedHeaders.XForwardedFor | ForwardedHeaders.XForwardedProto;
+
+    var section = builder.Configuration.GetSection("OrchestrationApi:ForwardedHeaders");
+    foreach (var proxy in section.GetSection("KnownProxies").Get<string[]>() ?? Array.Empty<string>())
+    {
+        if (IPAddress.TryParse(proxy, out var address))
+        {
+            options.KnownProxies.Add(address);
+        }
+        else
+        {
+            Log.Warning("忽略无效的受信任代理地址: {Proxy}", proxy);
+        }
+    }
+
+    foreach (var network in section.GetSection("KnownNetworks").Get<string[]>() ?? Array.Empty<string>())
+    {
+        if (Microsoft.AspNetCore.HttpOverrides.IPNetwork.TryParse(network, out var ipNetwork))
+        {
+            options.KnownNetworks.Add(ipNetwork);
+        }
+        else
+        {
+            Log.Warning("忽略无效的受信任代理网段: {Network}", network);
+        }
+    }
+});
+
 // 配置数据库
 DatabaseConfiguration.ConfigureDatabase(builder.Services, builder.Configuration);
 
@@ -92,9 +125,18 @@ builder.Services.Configure<RequestLoggingOptions>(
 builder.Services.AddScoped<IRequestLogger, RequestLogger>();
 builder.Services.AddScoped<IKeyManager, KeyManager>();
 builder.Services.AddScoped<IProviderRouter, ProviderRouter>();
+builder.Services.AddSingleton<IGroupLoadTracker, GroupLoadTracker>();
+builder.Services.AddSingleton<ICircuitBreakerService, CircuitBreakerService>();
+builder.Services.AddSingleton<IProxyKeyRateLimiter, ProxyKeyRateLimiter>();
 builder.Services.AddScoped<IProviderFactory, ProviderFactory>();
 builder.Services.AddScoped<IProxyHttpClientService, ProxyHttpClientService>();
 builder.Services.AddScoped<IVersionService, VersionService>();
+builder.Services.AddScoped<IAuditLogService, AuditLogService>();
+builder.Services.AddScoped<IGroupVersionService, GroupVersionService>();
+builder.Services.AddScoped<IPricingService, PricingService>();
+builder.Services.AddScoped<IMaintenanceService, MaintenanceService>();
+builder.Services.AddScoped<IGroupTemplateService, GroupTemplateService>();
+builder.Services.AddHttpContextAccessor();
 builder.Services.AddHttpClient();
 
 // 注册具体的服务商
@@ -105,6 +147,20 @@ builder.Services.AddScoped<OpenAiProvider>(provider =>
     return new OpenAiProvider(proxyHttpClientService, logger);
 });
 
+builder.Services.AddScoped<AzureOpenAiProvider>(provider =>
+{
+    var proxyHttpClientService = provider.GetRequiredService<IProxyHttpClientService>();
+    var logger = provider.GetRequiredService<ILogger<AzureOpenAiProvider>>();
+    return new AzureOpenAiProvider(proxyHttpClientService, logger);
+});
+
+builder.Services.AddScoped<OllamaProvider>(provider =>
+{
+    var proxyHttpClientService = provider.GetRequiredService<IProxyHttpClientService>();
+    var logger = provider.GetRequiredService<ILogger<OllamaProvider>>();
+    return new OllamaProvider(proxyHttpClientService, logger);
+});
+
 builder.Services.AddScoped<AnthropicProvider>(provider =>
 {
     var httpClient = provider.GetRequiredService<HttpClient>();
@@ -170,12 +226,38 @@ builder.Services.AddAuthentication(JwtBearerDefaults.AuthenticationScheme)
                 }
 
                 return Task.CompletedTask;
+            },
+            OnTokenValidated = async context =>
+            {
+                // 会话被删除（登出、禁用用户、修改角色或密码）后Token立即失效
+                var token = context.Request.Headers["Authorization"]
+                    .FirstOrDefault()?.Replace("Bearer ", "");
+                if (string.IsNullOrEmpty(token))
+                {
+                    token = context.Request.Cookies["authToken"];
+                }
+
+                var db = context.HttpContext.RequestServices.GetRequiredService<ISqlSugarClient>();
+                var sessionExists = await db.Queryable<OrchestrationApi.Models.UserSession>()
+                    .Where(s => s.Token == token && s.ExpiresAt > DateTime.Now)
+                    .AnyAsync();
+
+                if (!sessionExists)
+                {
+                    context.Fail("会话已失效");
+                }
             }
         };
     });
 
-// 添加授权
-builder.Services.AddAuthorization();
+// 添加授权（按角色划分的策略）
+builder.Services.AddAuthorization(options =>
+{
+    options.AddPolicy(OrchestrationApi.Models.AuthPolicies.Operator, policy =>
+        policy.RequireRole(OrchestrationApi.Models.UserRoles.Operator, OrchestrationApi.Models.UserRoles.Admin));
+    options.AddPolicy(OrchestrationApi.Models.AuthPolicies.Admin, policy =>
+        policy.RequireRole(OrchestrationApi.Models.UserRoles.Admin));
+});
 
 var app = builder.Build();
 
@@ -191,6 +273,9 @@ if (app.Environment.IsDevelopment())
 }
 
 // 中间件顺序很重要
+// 转发头需最先处理，后续的客户端 IP 白名单与审计日志才能拿到真实来源地址
+app.UseForwardedHeaders();
+
 app.UseCors("AllowAll");
 
 // 自定义认证中间件（用于保护静态页面）
@@ -233,6 +318,12 @@ app.MapGet("/serilog", async context =>
     await context.Response.SendFileAsync("wwwroot/serilog.html");
 });
 
+// 审计日志查看器路由
+app.MapGet("/audit", async context =>
+{
+    await context.Response.SendFileAsync("wwwroot/audit.html");
+});
+
 // 健康检查报表路由
 app.MapGet("/health-report", async context =>
 {
@@ -225,6 +225,7 @@ public class AsyncLogProcessingService : BackgroundService
     {
         var insertItems = batch.Where(x => x.Type == LogQueueItemType.Insert && x.LogData != null).ToList();
         var updateItems = batch.Where(x => x.Type == LogQueueItemType.Update && x.UpdateData != null).ToList();
+        var tokenUsageItems = batch.Where(x => x.Type == LogQueueItemType.TokenUsage && x.UpdateData != null).ToList();
 
         // 批量插入
         if (insertItems.Count > 0)
@@ -259,6 +260,21 @@ public class AsyncLogProcessingService : BackgroundService
                 .Where(rl => rl.RequestId == updateItem.RequestId)
                 .ExecuteCommandAsync();
         }
+
+        // Token用量补充（在完成记录之后执行，避免被其中的空Token字段覆盖）
+        foreach (var tokenUsageItem in tokenUsageItems)
+        {
+            var updateData = tokenUsageItem.UpdateData!;
+            await db.Updateable<RequestLog>()
+                .SetColumns(it => new RequestLog
+                {
+                    PromptTokens = updateData.PromptTokens,
+                    CompletionTokens = updateData.CompletionTokens,
+                    TotalTokens = updateData.TotalTokens
+                })
+                .Where(rl => rl.RequestId == tokenUsageItem.RequestId)
+                .ExecuteCommandAsync();
+        }
     }
 
     /// <summary>
@@ -20,6 +20,10 @@ public class LogCleanupService : BackgroundService
     private readonly IConfiguration _configuration;
     private readonly TimeSpan _cleanupInterval;
 
+    // 密钥请求趋势最长展示30天
+    private const int KeyUsageMetricsRetentionDays = 31;
+    private const int ProxyKeyUsageRetentionDays = 62;
+
     public LogCleanupService(
         IServiceProvider serviceProvider,
         ILogger<LogCleanupService> logger,
@@ -96,6 +100,7 @@ public class LogCleanupService : BackgroundService
     {
         using var scope = _serviceProvider.CreateScope();
         var requestLogger = scope.ServiceProvider.GetRequiredService<IRequestLogger>();
+        var keyManager = scope.ServiceProvider.GetRequiredService<IKeyManager>();
 
         try
         {
@@ -106,6 +111,12 @@ public class LogCleanupService : BackgroundService
             
             // 2. 清理系统日志 (orch_logs)
             await CleanupSerilogLogsAsync();
+
+            // 3. 清理密钥请求指标 (key_usage_metrics)，保留时长覆盖密钥趋势的最大时间窗口
+            await keyManager.CleanupKeyUsageMetricsAsync(KeyUsageMetricsRetentionDays);
+
+            // 4. 清理代理密钥Token用量 (proxy_key_usage)，每月配额只需要当月数据，多保留一个月便于核对
+            await keyManager.CleanupProxyKeyUsageAsync(ProxyKeyUsageRetentionDays);
             
             _logger.LogInformation("定期日志清理完成");
         }
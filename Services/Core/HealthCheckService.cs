@@ -20,19 +20,22 @@ public class HealthCheckService : IHealthCheckService
     private readonly IProxyHttpClientService _httpClientService;
     private readonly IProviderFactory _providerFactory;
     private readonly IConfiguration _configuration;
+    private readonly IMaintenanceService _maintenanceService;
 
     public HealthCheckService(
         ISqlSugarClient db,
         ILogger<HealthCheckService> logger,
         IProxyHttpClientService httpClientService,
         IProviderFactory providerFactory,
-        IConfiguration configuration)
+        IConfiguration configuration,
+        IMaintenanceService maintenanceService)
     {
         _db = db;
         _logger = logger;
         _httpClientService = httpClientService;
         _providerFactory = providerFactory;
         _configuration = configuration;
+        _maintenanceService = maintenanceService;
     }
 
     public async Task<HealthCheckResult> CheckProviderHealthAsync(string groupId, string? apiKey = null, CancellationToken cancellationToken = default)
@@ -58,8 +61,11 @@ public class HealthCheckService : IHealthCheckService
             }
 
             // 构建健康检查请求URL
-            var baseUrl = provider.GetBaseUrl(new ProviderConfig { BaseUrl = group.BaseUrl });
-            var healthCheckUrl = $"{baseUrl.TrimEnd('/')}/models"; // 使用模型列表端点作为健康检查
+            var providerConfig = new ProviderConfig { BaseUrl = group.BaseUrl, ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings) };
+            var baseUrl = provider.GetBaseUrl(providerConfig);
+            var healthCheckUrl = provider is AzureOpenAiProvider azureProvider
+                ? azureProvider.GetModelsUrl(providerConfig)
+                : $"{baseUrl.TrimEnd('/')}/models"; // 使用模型列表端点作为健康检查
 
             using var cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
             cts.CancelAfter(TimeSpan.FromSeconds(10));
@@ -70,7 +76,7 @@ public class HealthCheckService : IHealthCheckService
             if (!string.IsNullOrEmpty(apiKey))
             {
                 // 如果提供了API密钥，则添加认证头
-                var headers = provider.PrepareRequestHeaders(apiKey, new ProviderConfig { BaseUrl = group.BaseUrl });
+                var headers = provider.PrepareRequestHeaders(apiKey, providerConfig);
                 foreach (var header in headers)
                 {
                     request.Headers.TryAddWithoutValidation(header.Key, header.Value);
@@ -163,10 +169,13 @@ public class HealthCheckService : IHealthCheckService
             }
 
             // 构建API密钥验证请求
-            var baseUrl = provider.GetBaseUrl(new ProviderConfig { BaseUrl = group.BaseUrl });
-            var modelsUrl = $"{baseUrl.TrimEnd('/')}/models";
+            var providerConfig = new ProviderConfig { BaseUrl = group.BaseUrl, ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings) };
+            var baseUrl = provider.GetBaseUrl(providerConfig);
+            var modelsUrl = provider is AzureOpenAiProvider azureProvider
+                ? azureProvider.GetModelsUrl(providerConfig)
+                : $"{baseUrl.TrimEnd('/')}/models";
 
-            var headers = provider.PrepareRequestHeaders(apiKey, new ProviderConfig { BaseUrl = group.BaseUrl });
+            var headers = provider.PrepareRequestHeaders(apiKey, providerConfig);
 
             using var request = new HttpRequestMessage(HttpMethod.Get, modelsUrl);
             foreach (var header in headers)
@@ -249,7 +258,7 @@ public class HealthCheckService : IHealthCheckService
 
             // 构建模型测试请求JSON
             var testRequestJson = CreateTestChatRequestJson(modelId);
-            var providerConfig = new ProviderConfig { BaseUrl = group.BaseUrl };
+            var providerConfig = new ProviderConfig { BaseUrl = group.BaseUrl, ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings) };
 
             // 根据不同的Provider类型准备请求内容
             HttpContent content;
@@ -279,6 +288,12 @@ public class HealthCheckService : IHealthCheckService
 
             var chatUrl = $"{baseUrl.TrimEnd('/')}{endpoint}";
 
+            // Azure OpenAI 按部署名称构建请求地址
+            if (provider is AzureOpenAiProvider azureProvider)
+            {
+                chatUrl = azureProvider.GetChatCompletionUrl(providerConfig, modelId);
+            }
+
             using var request = new HttpRequestMessage(HttpMethod.Post, chatUrl)
             {
                 Content = content
@@ -591,10 +606,19 @@ public class HealthCheckService : IHealthCheckService
                 .Where(g => g.Enabled && !g.IsDeleted && g.HealthCheckEnabled)
                 .ToListAsync();
 
+            // 维护窗口内的分组（如计划重启的自建服务）跳过检查，避免产生大量失败记录
+            var maintenanceGroupIds = await _maintenanceService.GetGroupsInMaintenanceAsync();
+
             foreach (var group in groups)
             {
                 if (cancellationToken.IsCancellationRequested) break;
 
+                if (maintenanceGroupIds.Contains(group.Id))
+                {
+                    _logger.LogInformation("分组 {GroupId} 处于维护窗口内，跳过健康检查", group.Id);
+                    continue;
+                }
+
                 var groupResults = await CheckGroupCompleteHealthAsync(group.Id, cancellationToken);
                 results.AddRange(groupResults);
             }
@@ -0,0 +1,237 @@
+using OrchestrationApi.Models;
+using OrchestrationApi.Utils;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+using SqlSugar;
+using System.Security.Claims;
+
+namespace OrchestrationApi.Services.Core;
+
+/// <summary>
+/// 审计日志分页结果
+/// </summary>
+public class PagedAuditLogsResult
+{
+    public List<AuditLog> Logs { get; set; } = new();
+    public int TotalCount { get; set; }
+}
+
+/// <summary>
+/// 审计日志筛选选项
+/// </summary>
+public class AuditLogFilterOptions
+{
+    public List<string> Actors { get; set; } = new();
+    public List<string> Actions { get; set; } = new();
+    public List<string> TargetTypes { get; set; } = new();
+}
+
+/// <summary>
+/// 管理操作审计服务接口
+/// </summary>
+public interface IAuditLogService
+{
+    /// <summary>
+    /// 记录一次管理操作，操作人和IP从当前请求中获取；记录失败不影响业务操作
+    /// </summary>
+    Task RecordAsync(string action, string targetType, string? targetId,
+        object? before = null, object? after = null, string? summary = null);
+
+    /// <summary>
+    /// 获取分组当前配置快照（密钥已掩码），用于记录变更前后差异
+    /// </summary>
+    Task<JObject?> GetGroupSnapshotAsync(string groupId);
+
+    /// <summary>
+    /// 获取代理密钥当前配置快照（密钥已掩码）
+    /// </summary>
+    Task<JObject?> GetProxyKeySnapshotAsync(int proxyKeyId);
+
+    /// <summary>
+    /// 分页查询审计日志
+    /// </summary>
+    Task<PagedAuditLogsResult> GetLogsAsync(int page, int pageSize, string? actor = null,
+        string? action = null, string? targetType = null, string? targetId = null,
+        DateTime? startTime = null, DateTime? endTime = null);
+
+    /// <summary>
+    /// 获取审计日志筛选选项（操作人、操作类型）
+    /// </summary>
+    Task<AuditLogFilterOptions> GetFilterOptionsAsync();
+}
+
+/// <summary>
+/// 管理操作审计服务实现
+/// </summary>
+public class AuditLogService : IAuditLogService
+{
+    private readonly ISqlSugarClient _db;
+    private readonly IHttpContextAccessor _httpContextAccessor;
+    private readonly ILogger<AuditLogService> _logger;
+
+    public AuditLogService(ISqlSugarClient db, IHttpContextAccessor httpContextAccessor, ILogger<AuditLogService> logger)
+    {
+        _db = db;
+        _httpContextAccessor = httpContextAccessor;
+        _logger = logger;
+    }
+
+    public async Task RecordAsync(string action, string targetType, string? targetId,
+        object? before = null, object? after = null, string? summary = null)
+    {
+        try
+        {
+            var httpContext = _httpContextAccessor.HttpContext;
+            var actor = httpContext?.User.FindFirst(ClaimTypes.Name)?.Value;
+
+            var log = new AuditLog
+            {
+                Actor = string.IsNullOrEmpty(actor) ? "system" : actor,
+                Action = action,
+                TargetType = targetType,
+                TargetId = targetId,
+                Summary = summary != null && summary.Length > 500 ? summary.Substring(0, 500) : summary,
+                BeforeData = Serialize(before),
+                AfterData = Serialize(after),
+                IpAddress = GetClientIpAddress(httpContext),
+                CreatedAt = DateTime.Now
+            };
+
+            await _db.Insertable(log).ExecuteCommandAsync();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "记录审计日志失败: {Action} {TargetType} {TargetId}", action, targetType, targetId);
+        }
+    }
+
+    public async Task<JObject?> GetGroupSnapshotAsync(string groupId)
+    {
+        var group = await _db.Queryable<GroupConfig>()
+            .Where(g => g.Id == groupId && !g.IsDeleted)
+            .FirstAsync();
+
+        return group == null ? null : Sanitize(group);
+    }
+
+    public async Task<JObject?> GetProxyKeySnapshotAsync(int proxyKeyId)
+    {
+        var proxyKey = await _db.Queryable<ProxyKey>()
+            .Where(k => k.Id == proxyKeyId)
+            .FirstAsync();
+
+        if (proxyKey == null)
+            return null;
+
+        var snapshot = Sanitize(proxyKey);
+        // 使用次数和最后使用时间随请求变化，不属于配置
+        snapshot.Remove(nameof(ProxyKey.UsageCount));
+        snapshot.Remove(nameof(ProxyKey.LastUsedAt));
+        return snapshot;
+    }
+
+    public async Task<PagedAuditLogsResult> GetLogsAsync(int page, int pageSize, string? actor = null,
+        string? action = null, string? targetType = null, string? targetId = null,
+        DateTime? startTime = null, DateTime? endTime = null)
+    {
+        var query = _db.Queryable<AuditLog>();
+
+        if (!string.IsNullOrEmpty(actor))
+            query = query.Where(l => l.Actor == actor);
+        if (!string.IsNullOrEmpty(action))
+            query = query.Where(l => l.Action == action);
+        if (!string.IsNullOrEmpty(targetType))
+            query = query.Where(l => l.TargetType == targetType);
+        if (!string.IsNullOrEmpty(targetId))
+            query = query.Where(l => l.TargetId == targetId);
+        if (startTime.HasValue)
+            query = query.Where(l => l.CreatedAt >= startTime.Value);
+        if (endTime.HasValue)
+            query = query.Where(l => l.CreatedAt <= endTime.Value);
+
+        // 获取总数
+        var totalCount = await query.CountAsync();
+
+        var logs = await query
+            .OrderByDescending(l => l.Id)
+            .ToPageListAsync(page, pageSize);
+
+        return new PagedAuditLogsResult { Logs = logs, TotalCount = totalCount };
+    }
+
+    public async Task<AuditLogFilterOptions> GetFilterOptionsAsync()
+    {
+        var actors = await _db.Queryable<AuditLog>()
+            .GroupBy(l => l.Actor)
+            .Select(l => l.Actor)
+            .ToListAsync();
+
+        var actions = await _db.Queryable<AuditLog>()
+            .GroupBy(l => l.Action)
+            .Select(l => l.Action)
+            .ToListAsync();
+
+        var targetTypes = await _db.Queryable<AuditLog>()
+            .GroupBy(l => l.TargetType)
+            .Select(l => l.TargetType)
+            .ToListAsync();
+
+        return new AuditLogFilterOptions
+        {
+            Actors = actors.OrderBy(a => a).ToList(),
+            Actions = actions.OrderBy(a => a).ToList(),
+            TargetTypes = targetTypes.OrderBy(t => t).ToList()
+        };
+    }
+
+    private static string? Serialize(object? data)
+    {
+        if (data == null)
+            return null;
+
+        var token = data as JToken ?? JToken.FromObject(data);
+        ApiKeyMaskingUtils.MaskSensitiveFields(token);
+        return token.ToString(Formatting.None);
+    }
+
+    /// <summary>
+    /// 将实体转换为JObject：展开以JSON字符串存储的字段，并对密钥类字段做掩码
+    /// </summary>
+    private static JObject Sanitize(object entity)
+    {
+        var obj = JObject.FromObject(entity);
+
+        foreach (var property in obj.Properties().ToList())
+        {
+            if (property.Value.Type != JTokenType.String)
+                continue;
+
+            var text = property.Value.ToString().Trim();
+            if (!text.StartsWith("[") && !text.StartsWith("{"))
+                continue;
+
+            try
+            {
+                property.Value = JToken.Parse(text);
+            }
+            catch (JsonException)
+            {
+                // 非JSON内容保持原样
+            }
+        }
+
+        ApiKeyMaskingUtils.MaskSensitiveFields(obj);
+        return obj;
+    }
+
+    /// <summary>
+    /// 获取客户端IP地址（转发头已由 UseForwardedHeaders 按受信任代理解析）
+    /// </summary>
+    private static string? GetClientIpAddress(HttpContext? httpContext)
+    {
+        if (httpContext == null)
+            return null;
+
+        return httpContext.Connection.RemoteIpAddress?.ToString();
+    }
+}
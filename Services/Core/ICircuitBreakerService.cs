@@ -0,0 +1,333 @@
+using System.Collections.Concurrent;
+using Newtonsoft.Json;
+using OrchestrationApi.Models;
+
+namespace OrchestrationApi.Services.Core;
+
+/// <summary>
+/// 熔断器状态
+/// </summary>
+public static class CircuitBreakerStates
+{
+    public const string Closed = "closed";
+    public const string Open = "open";
+    public const string HalfOpen = "half_open";
+}
+
+/// <summary>
+/// 分组熔断器状态快照
+/// </summary>
+public class CircuitBreakerSnapshot
+{
+    [JsonProperty("group_id")]
+    public string GroupId { get; set; } = string.Empty;
+
+    [JsonProperty("enabled")]
+    public bool Enabled { get; set; }
+
+    [JsonProperty("state")]
+    public string State { get; set; } = CircuitBreakerStates.Closed;
+
+    [JsonProperty("consecutive_failures")]
+    public int ConsecutiveFailures { get; set; }
+
+    /// <summary>
+    /// 错误率统计窗口内的请求数与失败数
+    /// </summary>
+    [JsonProperty("recent_requests")]
+    public int RecentRequests { get; set; }
+
+    [JsonProperty("recent_failures")]
+    public int RecentFailures { get; set; }
+
+    /// <summary>
+    /// 窗口内错误率（百分比）
+    /// </summary>
+    [JsonProperty("error_rate")]
+    public double ErrorRate { get; set; }
+
+    [JsonProperty("opened_at")]
+    public DateTime? OpenedAt { get; set; }
+
+    /// <summary>
+    /// 熔断打开后允许下一次探测请求的时间
+    /// </summary>
+    [JsonProperty("retry_at")]
+    public DateTime? RetryAt { get; set; }
+
+    [JsonProperty("retry_in_seconds")]
+    public int RetryInSeconds { get; set; }
+
+    [JsonProperty("trip_count")]
+    public int TripCount { get; set; }
+
+    [JsonProperty("last_failure_at")]
+    public DateTime? LastFailureAt { get; set; }
+
+    [JsonProperty("last_error")]
+    public string? LastError { get; set; }
+}
+
+/// <summary>
+/// 分组熔断器接口，连续错误或错误率超过阈值时暂停向分组路由请求，冷却后放行单个探测请求
+/// </summary>
+public interface ICircuitBreakerService
+{
+    /// <summary>
+    /// 分组当前是否可以参与路由（不改变熔断器状态）
+    /// </summary>
+    bool CanRoute(GroupConfig group);
+
+    /// <summary>
+    /// 发送请求前调用；熔断打开且未到重试时间、或半开状态已有探测请求时返回 false
+    /// </summary>
+    bool TryBeginAttempt(GroupConfig group);
+
+    /// <summary>
+    /// 记录上游可达的请求结果
+    /// </summary>
+    void RecordSuccess(string groupId);
+
+    /// <summary>
+    /// 记录上游故障（超时、网络错误、5xx）
+    /// </summary>
+    void RecordFailure(GroupConfig group, string? error);
+
+    /// <summary>
+    /// 请求未产生结果（如客户端取消）时释放半开状态的探测名额
+    /// </summary>
+    void ReleaseAttempt(string groupId);
+
+    /// <summary>
+    /// 获取分组熔断器快照
+    /// </summary>
+    CircuitBreakerSnapshot GetSnapshot(GroupConfig group);
+
+    /// <summary>
+    /// 手动重置分组熔断器
+    /// </summary>
+    void Reset(string groupId);
+}
+
+/// <summary>
+/// 分组熔断器实现（进程内内存状态，重启后恢复为关闭）
+/// </summary>
+public class CircuitBreakerService : ICircuitBreakerService
+{
+    // 错误率按最近的请求数统计，样本不足时只按连续错误判断
+    private const int WindowSize = 20;
+    private const int MinimumSamples = 10;
+
+    private readonly ConcurrentDictionary<string, BreakerState> _states = new();
+    private readonly ILogger<CircuitBreakerService> _logger;
+
+    public CircuitBreakerService(ILogger<CircuitBreakerService> logger)
+    {
+        _logger = logger;
+    }
+
+    public bool CanRoute(GroupConfig group)
+    {
+        if (!group.CircuitBreakerEnabled || !_states.TryGetValue(group.Id, out var state))
+            return true;
+
+        lock (state)
+        {
+            return state.State switch
+            {
+                CircuitBreakerStates.Open => DateTime.Now >= state.RetryAt,
+                CircuitBreakerStates.HalfOpen => !IsProbeActive(state, group),
+                _ => true
+            };
+        }
+    }
+
+    public bool TryBeginAttempt(GroupConfig group)
+    {
+        if (!group.CircuitBreakerEnabled)
+            return true;
+
+        var state = _states.GetOrAdd(group.Id, _ => new BreakerState());
+        lock (state)
+        {
+            switch (state.State)
+            {
+                case CircuitBreakerStates.Open:
+                    if (DateTime.Now < state.RetryAt)
+                        return false;
+
+                    state.State = CircuitBreakerStates.HalfOpen;
+                    state.ProbeStartedAt = DateTime.Now;
+                    _logger.LogInformation("分组 {GroupId} 熔断冷却结束，进入半开状态并放行探测请求", group.Id);
+                    return true;
+
+                case CircuitBreakerStates.HalfOpen:
+                    if (IsProbeActive(state, group))
+                        return false;
+
+                    state.ProbeStartedAt = DateTime.Now;
+                    return true;
+
+                default:
+                    return true;
+            }
+        }
+    }
+
+    public void RecordSuccess(string groupId)
+    {
+        if (!_states.TryGetValue(groupId, out var state))
+            return;
+
+        lock (state)
+        {
+            state.ConsecutiveFailures = 0;
+            if (state.State == CircuitBreakerStates.HalfOpen)
+            {
+                // 探测成功后重新开始统计，避免熔断前的失败样本立即再次触发熔断
+                state.State = CircuitBreakerStates.Closed;
+                state.ProbeStartedAt = null;
+                state.RetryAt = null;
+                state.Outcomes.Clear();
+                _logger.LogInformation("分组 {GroupId} 探测请求成功，熔断器已关闭", groupId);
+                return;
+            }
+
+            AddOutcome(state, false);
+        }
+    }
+
+    public void RecordFailure(GroupConfig group, string? error)
+    {
+        var state = _states.GetOrAdd(group.Id, _ => new BreakerState());
+        lock (state)
+        {
+            state.ConsecutiveFailures++;
+            state.LastFailureAt = DateTime.Now;
+            state.LastError = error;
+            AddOutcome(state, true);
+
+            if (!group.CircuitBreakerEnabled)
+                return;
+
+            if (state.State == CircuitBreakerStates.HalfOpen)
+            {
+                Trip(state, group, "探测请求失败");
+            }
+            else if (state.State == CircuitBreakerStates.Closed)
+            {
+                var threshold = group.CircuitBreakerFailureThreshold;
+                if (threshold > 0 && state.ConsecutiveFailures >= threshold)
+                {
+                    Trip(state, group, $"连续失败 {state.ConsecutiveFailures} 次");
+                }
+                else if (group.CircuitBreakerErrorRate > 0 && state.Outcomes.Count >= MinimumSamples &&
+                         GetErrorRate(state) >= group.CircuitBreakerErrorRate)
+                {
+                    Trip(state, group, $"最近 {state.Outcomes.Count} 次请求错误率 {GetErrorRate(state):F0}%");
+                }
+            }
+        }
+    }
+
+    public void ReleaseAttempt(string groupId)
+    {
+        if (!_states.TryGetValue(groupId, out var state))
+            return;
+
+        lock (state)
+        {
+            if (state.State == CircuitBreakerStates.HalfOpen)
+            {
+                state.ProbeStartedAt = null;
+            }
+        }
+    }
+
+    public CircuitBreakerSnapshot GetSnapshot(GroupConfig group)
+    {
+        var snapshot = new CircuitBreakerSnapshot
+        {
+            GroupId = group.Id,
+            Enabled = group.CircuitBreakerEnabled
+        };
+
+        if (!_states.TryGetValue(group.Id, out var state))
+            return snapshot;
+
+        lock (state)
+        {
+            snapshot.State = group.CircuitBreakerEnabled ? state.State : CircuitBreakerStates.Closed;
+            snapshot.ConsecutiveFailures = state.ConsecutiveFailures;
+            snapshot.RecentRequests = state.Outcomes.Count;
+            snapshot.RecentFailures = state.Outcomes.Count(failed => failed);
+            snapshot.ErrorRate = Math.Round(GetErrorRate(state), 1);
+            snapshot.OpenedAt = state.OpenedAt;
+            snapshot.RetryAt = state.RetryAt;
+            snapshot.RetryInSeconds = state.RetryAt.HasValue
+                ? Math.Max(0, (int)Math.Ceiling((state.RetryAt.Value - DateTime.Now).TotalSeconds))
+                : 0;
+            snapshot.TripCount = state.TripCount;
+            snapshot.LastFailureAt = state.LastFailureAt;
+            snapshot.LastError = state.LastError;
+        }
+
+        return snapshot;
+    }
+
+    public void Reset(string groupId)
+    {
+        if (_states.TryRemove(groupId, out _))
+        {
+            _logger.LogInformation("分组 {GroupId} 熔断器已手动重置", groupId);
+        }
+    }
+
+    private void Trip(BreakerState state, GroupConfig group, string reason)
+    {
+        state.State = CircuitBreakerStates.Open;
+        state.OpenedAt = DateTime.Now;
+        state.RetryAt = DateTime.Now.AddSeconds(Math.Max(1, group.CircuitBreakerCooldown));
+        state.ProbeStartedAt = null;
+        state.TripCount++;
+
+        _logger.LogWarning("分组 {GroupId} 触发熔断（{Reason}），{Cooldown} 秒内不再路由请求，最近错误: {Error}",
+            group.Id, reason, group.CircuitBreakerCooldown, state.LastError);
+    }
+
+    /// <summary>
+    /// 半开状态下探测请求是否仍在进行；超过分组超时时间仍未返回结果的探测视为丢失，允许重新探测
+    /// </summary>
+    private static bool IsProbeActive(BreakerState state, GroupConfig group)
+    {
+        return state.ProbeStartedAt.HasValue &&
+               DateTime.Now - state.ProbeStartedAt.Value < TimeSpan.FromSeconds(Math.Max(group.Timeout, 1));
+    }
+
+    private static void AddOutcome(BreakerState state, bool failed)
+    {
+        state.Outcomes.Enqueue(failed);
+        while (state.Outcomes.Count > WindowSize)
+        {
+            state.Outcomes.Dequeue();
+        }
+    }
+
+    private static double GetErrorRate(BreakerState state)
+    {
+        return state.Outcomes.Count == 0 ? 0 : state.Outcomes.Count(failed => failed) * 100.0 / state.Outcomes.Count;
+    }
+
+    private class BreakerState
+    {
+        public string State = CircuitBreakerStates.Closed;
+        public int ConsecutiveFailures;
+        public Queue<bool> Outcomes = new();
+        public DateTime? OpenedAt;
+        public DateTime? RetryAt;
+        public DateTime? ProbeStartedAt;
+        public int TripCount;
+        public DateTime? LastFailureAt;
+        public string? LastError;
+    }
+}
@@ -0,0 +1,194 @@
+using System.Collections.Concurrent;
+using Newtonsoft.Json;
+
+namespace OrchestrationApi.Services.Core;
+
+/// <summary>
+/// 分组实时负载快照
+/// </summary>
+public class GroupLoadSnapshot
+{
+    [JsonProperty("group_id")]
+    public string GroupId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 最近响应时间的指数加权移动平均（毫秒），上游失败按惩罚耗时计入，尚无样本时为 null
+    /// </summary>
+    [JsonProperty("ewma_latency_ms")]
+    public double? EwmaLatencyMs { get; set; }
+
+    [JsonProperty("latency_samples")]
+    public long LatencySamples { get; set; }
+
+    /// <summary>
+    /// 计入延迟样本的上游失败次数
+    /// </summary>
+    [JsonProperty("failure_samples")]
+    public long FailureSamples { get; set; }
+
+    /// <summary>
+    /// 已开始处理的请求总数
+    /// </summary>
+    [JsonProperty("requests")]
+    public long Requests { get; set; }
+
+    /// <summary>
+    /// 按延迟选择分组时使用的分数（越小越优先）：有样本时为 EWMA 延迟；
+    /// 尚无样本的分组在前几个探测请求内为 0 以便尽快获得样本，探测后仍无样本时为 null，排在所有分组之后
+    /// </summary>
+    [JsonProperty("latency_score_ms")]
+    public double? LatencyScoreMs => EwmaLatencyMs
+        ?? (Requests < GroupLoadTracker.LatencyProbeRequests ? 0 : null);
+
+    /// <summary>
+    /// 当前正在处理（含流式透传中）的请求数
+    /// </summary>
+    [JsonProperty("inflight")]
+    public int Inflight { get; set; }
+
+    [JsonProperty("last_updated_at")]
+    public DateTime? LastUpdatedAt { get; set; }
+}
+
+/// <summary>
+/// 分组负载跟踪接口，为 lowest_latency 和 least_inflight 分组选择策略提供实时数据
+/// </summary>
+public interface IGroupLoadTracker
+{
+    /// <summary>
+    /// 标记分组开始处理一个请求，释放返回的对象时计数减一（重复释放无副作用）
+    /// </summary>
+    IDisposable BeginRequest(string groupId);
+
+    /// <summary>
+    /// 记录一次成功请求的响应时间（上游返回响应头的耗时）
+    /// </summary>
+    void RecordLatency(string groupId, double latencyMs);
+
+    /// <summary>
+    /// 记录一次上游失败（5xx、超时、连接失败），按实际耗时与惩罚耗时中的较大值计入延迟
+    /// </summary>
+    void RecordFailure(string groupId, double elapsedMs);
+
+    /// <summary>
+    /// 获取指定分组的负载快照
+    /// </summary>
+    GroupLoadSnapshot GetSnapshot(string groupId);
+
+    /// <summary>
+    /// 获取所有已跟踪分组的负载快照
+    /// </summary>
+    List<GroupLoadSnapshot> GetAllSnapshots();
+}
+
+/// <summary>
+/// 分组负载跟踪实现（进程内内存统计，重启后重新累计）
+/// </summary>
+public class GroupLoadTracker : IGroupLoadTracker
+{
+    /// <summary>
+    /// 尚无延迟样本的分组优先分配的探测请求数
+    /// </summary>
+    public const int LatencyProbeRequests = 3;
+
+    // 新样本权重，越大对最近的响应时间越敏感
+    private const double EwmaAlpha = 0.3;
+
+    // 上游失败计入的最小耗时，避免快速失败的分组因延迟低而被优先选择
+    private const double FailureLatencyPenaltyMs = 10_000;
+
+    private readonly ConcurrentDictionary<string, GroupLoadState> _states = new();
+
+    public IDisposable BeginRequest(string groupId)
+    {
+        var state = _states.GetOrAdd(groupId, _ => new GroupLoadState());
+        Interlocked.Increment(ref state.Inflight);
+        Interlocked.Increment(ref state.Requests);
+        return new InflightLease(state);
+    }
+
+    public void RecordLatency(string groupId, double latencyMs)
+    {
+        AddLatencySample(groupId, latencyMs, isFailure: false);
+    }
+
+    public void RecordFailure(string groupId, double elapsedMs)
+    {
+        AddLatencySample(groupId, Math.Max(elapsedMs, FailureLatencyPenaltyMs), isFailure: true);
+    }
+
+    private void AddLatencySample(string groupId, double latencyMs, bool isFailure)
+    {
+        var state = _states.GetOrAdd(groupId, _ => new GroupLoadState());
+        lock (state)
+        {
+            state.EwmaLatencyMs = state.EwmaLatencyMs.HasValue
+                ? EwmaAlpha * latencyMs + (1 - EwmaAlpha) * state.EwmaLatencyMs.Value
+                : latencyMs;
+            state.LatencySamples++;
+            if (isFailure)
+            {
+                state.FailureSamples++;
+            }
+            state.LastUpdatedAt = DateTime.Now;
+        }
+    }
+
+    public GroupLoadSnapshot GetSnapshot(string groupId)
+    {
+        return _states.TryGetValue(groupId, out var state)
+            ? CreateSnapshot(groupId, state)
+            : new GroupLoadSnapshot { GroupId = groupId };
+    }
+
+    public List<GroupLoadSnapshot> GetAllSnapshots()
+    {
+        return _states.Select(kvp => CreateSnapshot(kvp.Key, kvp.Value)).ToList();
+    }
+
+    private static GroupLoadSnapshot CreateSnapshot(string groupId, GroupLoadState state)
+    {
+        lock (state)
+        {
+            return new GroupLoadSnapshot
+            {
+                GroupId = groupId,
+                EwmaLatencyMs = state.EwmaLatencyMs.HasValue ? Math.Round(state.EwmaLatencyMs.Value, 1) : null,
+                LatencySamples = state.LatencySamples,
+                FailureSamples = state.FailureSamples,
+                Requests = Interlocked.Read(ref state.Requests),
+                Inflight = Volatile.Read(ref state.Inflight),
+                LastUpdatedAt = state.LastUpdatedAt
+            };
+        }
+    }
+
+    private class GroupLoadState
+    {
+        public int Inflight;
+        public double? EwmaLatencyMs;
+        public long LatencySamples;
+        public long FailureSamples;
+        public long Requests;
+        public DateTime? LastUpdatedAt;
+    }
+
+    private class InflightLease : IDisposable
+    {
+        private GroupLoadState? _state;
+
+        public InflightLease(GroupLoadState state)
+        {
+            _state = state;
+        }
+
+        public void Dispose()
+        {
+            var state = Interlocked.Exchange(ref _state, null);
+            if (state != null)
+            {
+                Interlocked.Decrement(ref state.Inflight);
+            }
+        }
+    }
+}
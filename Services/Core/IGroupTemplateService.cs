@@ -0,0 +1,125 @@
+using OrchestrationApi.Models;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+using SqlSugar;
+using System.Security.Claims;
+
+namespace OrchestrationApi.Services.Core;
+
+/// <summary>
+/// 分组模板服务接口，提供克隆分组和模板库所需的分组配置（均不含 API 密钥）
+/// </summary>
+public interface IGroupTemplateService
+{
+    /// <summary>
+    /// 获取所有分组模板
+    /// </summary>
+    Task<List<GroupTemplate>> GetTemplatesAsync();
+
+    /// <summary>
+    /// 获取分组除名称和 API 密钥外的配置，用于克隆分组；分组不存在时返回 null
+    /// </summary>
+    Task<JObject?> GetGroupConfigAsync(string groupId);
+
+    /// <summary>
+    /// 将现有分组的配置保存为模板
+    /// </summary>
+    Task<GroupTemplate> CreateTemplateAsync(GroupTemplateRequest request);
+
+    /// <summary>
+    /// 删除模板，返回被删除的记录
+    /// </summary>
+    Task<GroupTemplate?> DeleteTemplateAsync(int id);
+}
+
+/// <summary>
+/// 分组模板服务实现
+/// </summary>
+public class GroupTemplateService : IGroupTemplateService
+{
+    private readonly ISqlSugarClient _db;
+    private readonly IHttpContextAccessor _httpContextAccessor;
+    private readonly ILogger<GroupTemplateService> _logger;
+
+    public GroupTemplateService(
+        ISqlSugarClient db,
+        IHttpContextAccessor httpContextAccessor,
+        ILogger<GroupTemplateService> logger)
+    {
+        _db = db;
+        _httpContextAccessor = httpContextAccessor;
+        _logger = logger;
+    }
+
+    public async Task<List<GroupTemplate>> GetTemplatesAsync()
+    {
+        return await _db.Queryable<GroupTemplate>()
+            .OrderBy(t => t.Name)
+            .ToListAsync();
+    }
+
+    public async Task<JObject?> GetGroupConfigAsync(string groupId)
+    {
+        var group = await _db.Queryable<GroupConfig>()
+            .Where(g => g.Id == groupId && !g.IsDeleted)
+            .FirstAsync();
+        if (group == null)
+            return null;
+
+        // 沿用配置快照的字段格式，去掉分组名称和密钥
+        var config = GroupVersionService.BuildSnapshot(group);
+        config.Remove("group_name");
+        config.Remove("api_keys");
+        return config;
+    }
+
+    public async Task<GroupTemplate> CreateTemplateAsync(GroupTemplateRequest request)
+    {
+        var name = request.Name.Trim();
+        if (string.IsNullOrEmpty(name))
+        {
+            throw new ArgumentException("模板名称不能为空");
+        }
+
+        var nameExists = await _db.Queryable<GroupTemplate>()
+            .Where(t => t.Name == name)
+            .AnyAsync();
+        if (nameExists)
+        {
+            throw new ArgumentException($"模板 {name} 已存在");
+        }
+
+        var groupId = request.GroupId.Trim();
+        var config = await GetGroupConfigAsync(groupId)
+            ?? throw new ArgumentException($"分组 {groupId} 不存在");
+
+        var template = new GroupTemplate
+        {
+            Name = name,
+            Description = string.IsNullOrWhiteSpace(request.Description) ? null : request.Description.Trim(),
+            ProviderType = config["provider_type"]?.ToString() ?? string.Empty,
+            SourceGroupId = groupId,
+            Config = config.ToString(Formatting.None),
+            CreatedBy = _httpContextAccessor.HttpContext?.User.FindFirst(ClaimTypes.Name)?.Value,
+            CreatedAt = DateTime.Now
+        };
+        template.Id = await _db.Insertable(template).ExecuteReturnIdentityAsync();
+
+        _logger.LogInformation("分组 {GroupId} 已保存为模板 {TemplateName}", groupId, name);
+        return template;
+    }
+
+    public async Task<GroupTemplate?> DeleteTemplateAsync(int id)
+    {
+        var template = await _db.Queryable<GroupTemplate>()
+            .Where(t => t.Id == id)
+            .FirstAsync();
+        if (template == null)
+            return null;
+
+        await _db.Deleteable<GroupTemplate>().Where(t => t.Id == id).ExecuteCommandAsync();
+
+        _logger.LogInformation("已删除分组模板 {TemplateName}", template.Name);
+        return template;
+    }
+}
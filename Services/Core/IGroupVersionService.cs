@@ -0,0 +1,272 @@
+using OrchestrationApi.Models;
+using OrchestrationApi.Utils;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+using SqlSugar;
+using System.Security.Claims;
+
+namespace OrchestrationApi.Services.Core;
+
+/// <summary>
+/// 分组配置版本变更类型
+/// </summary>
+public static class GroupChangeTypes
+{
+    /// <summary>
+    /// 变更前的基线（首次记录或检测到未经记录的修改）
+    /// </summary>
+    public const string Baseline = "baseline";
+    public const string Create = "create";
+    public const string Update = "update";
+    public const string Toggle = "toggle";
+    public const string KeyDelete = "key_delete";
+    public const string ModelDelete = "model_delete";
+    public const string Import = "import";
+    public const string Restore = "restore";
+}
+
+/// <summary>
+/// 分组配置版本历史服务接口
+/// </summary>
+public interface IGroupVersionService
+{
+    /// <summary>
+    /// 保存分组当前配置为新版本；与最新版本内容一致时不重复保存并返回 null
+    /// </summary>
+    Task<GroupConfigVersion?> SaveVersionAsync(string groupId, string changeType, int? sourceVersion = null);
+
+    /// <summary>
+    /// 获取分组的历史版本列表（按版本号倒序）
+    /// </summary>
+    Task<List<GroupConfigVersion>> GetVersionsAsync(string groupId);
+
+    /// <summary>
+    /// 将分组恢复到指定版本，并记录为新的版本
+    /// </summary>
+    Task<GroupConfigVersion> RestoreVersionAsync(string groupId, int version);
+
+    /// <summary>
+    /// 获取用于展示的版本快照（API密钥、代理密码等已掩码）
+    /// </summary>
+    JObject GetMaskedSnapshot(GroupConfigVersion version);
+}
+
+/// <summary>
+/// 分组配置版本历史服务实现
+/// </summary>
+public class GroupVersionService : IGroupVersionService
+{
+    // 每个分组最多保留的历史版本数
+    private const int MaxVersionsPerGroup = 100;
+
+    // 恢复时用快照覆盖当前配置，列表和字典整体替换而不是追加
+    private static readonly JsonSerializer SnapshotSerializer = JsonSerializer.Create(new JsonSerializerSettings
+    {
+        ObjectCreationHandling = ObjectCreationHandling.Replace
+    });
+
+    private readonly ISqlSugarClient _db;
+    private readonly IKeyManager _keyManager;
+    private readonly IHttpContextAccessor _httpContextAccessor;
+    private readonly ILogger<GroupVersionService> _logger;
+
+    public GroupVersionService(
+        ISqlSugarClient db,
+        IKeyManager keyManager,
+        IHttpContextAccessor httpContextAccessor,
+        ILogger<GroupVersionService> logger)
+    {
+        _db = db;
+        _keyManager = keyManager;
+        _httpContextAccessor = httpContextAccessor;
+        _logger = logger;
+    }
+
+    public async Task<GroupConfigVersion?> SaveVersionAsync(string groupId, string changeType, int? sourceVersion = null)
+    {
+        try
+        {
+            var group = await _db.Queryable<GroupConfig>()
+                .Where(g => g.Id == groupId && !g.IsDeleted)
+                .FirstAsync();
+            if (group == null)
+                return null;
+
+            var snapshot = BuildSnapshot(group).ToString(Formatting.None);
+
+            var latest = await _db.Queryable<GroupConfigVersion>()
+                .Where(v => v.GroupId == groupId)
+                .OrderByDescending(v => v.Version)
+                .FirstAsync();
+
+            if (latest != null && latest.Snapshot == snapshot)
+                return null;
+
+            var version = new GroupConfigVersion
+            {
+                GroupId = groupId,
+                Version = (latest?.Version ?? 0) + 1,
+                ChangeType = changeType,
+                SourceVersion = sourceVersion,
+                Snapshot = snapshot,
+                Actor = _httpContextAccessor.HttpContext?.User.FindFirst(ClaimTypes.Name)?.Value,
+                CreatedAt = DateTime.Now
+            };
+            version.Id = await _db.Insertable(version).ExecuteReturnIdentityAsync();
+
+            await PruneVersionsAsync(groupId, version.Version);
+            return version;
+        }
+        catch (Exception ex)
+        {
+            // 版本记录失败不影响分组操作本身
+            _logger.LogWarning(ex, "保存分组 {GroupId} 配置版本失败", groupId);
+            return null;
+        }
+    }
+
+    public async Task<List<GroupConfigVersion>> GetVersionsAsync(string groupId)
+    {
+        return await _db.Queryable<GroupConfigVersion>()
+            .Where(v => v.GroupId == groupId)
+            .OrderByDescending(v => v.Version)
+            .ToListAsync();
+    }
+
+    public async Task<GroupConfigVersion> RestoreVersionAsync(string groupId, int version)
+    {
+        var target = await _db.Queryable<GroupConfigVersion>()
+            .Where(v => v.GroupId == groupId && v.Version == version)
+            .FirstAsync();
+        if (target == null)
+        {
+            throw new InvalidOperationException($"分组 {groupId} 不存在版本 v{version}");
+        }
+
+        var group = await _db.Queryable<GroupConfig>()
+            .Where(g => g.Id == groupId && !g.IsDeleted)
+            .FirstAsync();
+        if (group == null)
+        {
+            throw new InvalidOperationException($"分组 {groupId} 不存在");
+        }
+
+        if (BuildSnapshot(group).ToString(Formatting.None) == target.Snapshot)
+        {
+            throw new InvalidOperationException($"当前配置与版本 v{version} 一致，无需恢复");
+        }
+
+        // 恢复前先记录当前状态，保证恢复操作本身可以被撤销
+        await SaveVersionAsync(groupId, GroupChangeTypes.Baseline);
+
+        // 以当前配置为基础，只覆盖快照中存在的字段：较早的快照没有后来新增的字段（如模型价格、熔断参数、服务商设置），
+        // 这些字段保留当前值，而不是被重置为默认值
+        var snapshot = JObject.Parse(target.Snapshot);
+        var request = KeyManager.ToGroupRequest(group);
+        try
+        {
+            SnapshotSerializer.Populate(snapshot.CreateReader(), request);
+        }
+        catch (JsonException ex)
+        {
+            throw new InvalidOperationException("版本快照数据无效", ex);
+        }
+        request.Id = groupId;
+
+        await _keyManager.UpdateGroupAsync(groupId, request);
+
+        // UpdateGroupAsync 不处理代理配置，单独恢复（快照中没有代理字段时保留当前值）
+        var proxyEnabled = snapshot["proxy_enabled"]?.Value<bool?>() ?? group.ProxyEnabled;
+        var proxyConfigText = group.ProxyConfig;
+        if (snapshot.TryGetValue("proxy_config", out var proxyConfig))
+        {
+            proxyConfigText = proxyConfig.Type == JTokenType.Null
+                ? string.Empty
+                : proxyConfig.ToString(Formatting.None);
+        }
+        await _db.Updateable<GroupConfig>()
+            .SetColumns(g => new GroupConfig
+            {
+                ProxyEnabled = proxyEnabled,
+                ProxyConfig = proxyConfigText
+            })
+            .Where(g => g.Id == groupId)
+            .ExecuteCommandAsync();
+
+        var restored = await SaveVersionAsync(groupId, GroupChangeTypes.Restore, version);
+
+        _logger.LogInformation("分组 {GroupId} 已恢复到版本 v{Version}", groupId, version);
+        return restored ?? target;
+    }
+
+    public JObject GetMaskedSnapshot(GroupConfigVersion version)
+    {
+        var snapshot = JObject.Parse(version.Snapshot);
+        ApiKeyMaskingUtils.MaskSensitiveFields(snapshot);
+        return snapshot;
+    }
+
+    /// <summary>
+    /// 构造分组配置快照，字段名与分组创建/更新请求保持一致，便于直接恢复
+    /// </summary>
+    public static JObject BuildSnapshot(GroupConfig group)
+    {
+        return new JObject
+        {
+            ["group_name"] = group.GroupName,
+            ["provider_type"] = group.ProviderType,
+            ["base_url"] = group.BaseUrl,
+            ["api_keys"] = ParseJson(group.ApiKeys, new JArray()),
+            ["models"] = ParseJson(group.Models, new JArray()),
+            ["model_aliases"] = ParseJson(group.ModelAliases, new JObject()),
+            ["parameter_overrides"] = ParseJson(group.ParameterOverrides, new JObject()),
+            ["headers"] = ParseJson(group.Headers, new JObject()),
+            ["balance_policy"] = group.BalancePolicy,
+            ["retry_count"] = group.RetryCount,
+            ["timeout"] = group.Timeout,
+            ["rpm_limit"] = group.RpmLimit,
+            ["test_model"] = group.TestModel,
+            ["priority"] = group.Priority,
+            ["enabled"] = group.Enabled,
+            ["fake_streaming"] = group.FakeStreaming,
+            ["health_check_enabled"] = group.HealthCheckEnabled,
+            ["model_prices"] = ParseJson(group.ModelPrices, new JObject()),
+            ["circuit_breaker_enabled"] = group.CircuitBreakerEnabled,
+            ["circuit_breaker_failure_threshold"] = group.CircuitBreakerFailureThreshold,
+            ["circuit_breaker_error_rate"] = group.CircuitBreakerErrorRate,
+            ["circuit_breaker_cooldown"] = group.CircuitBreakerCooldown,
+            ["provider_settings"] = ParseJson(group.ProviderSettings, new JObject()),
+            ["proxy_enabled"] = group.ProxyEnabled,
+            ["proxy_config"] = ParseJson(group.ProxyConfig, JValue.CreateNull())
+        };
+    }
+
+    private static JToken ParseJson(string? text, JToken fallback)
+    {
+        if (string.IsNullOrWhiteSpace(text))
+            return fallback;
+
+        try
+        {
+            return JToken.Parse(text);
+        }
+        catch (JsonException)
+        {
+            return fallback;
+        }
+    }
+
+    /// <summary>
+    /// 清理超出保留数量的旧版本
+    /// </summary>
+    private async Task PruneVersionsAsync(string groupId, int latestVersion)
+    {
+        var minVersion = latestVersion - MaxVersionsPerGroup;
+        if (minVersion <= 0)
+            return;
+
+        await _db.Deleteable<GroupConfigVersion>()
+            .Where(v => v.GroupId == groupId && v.Version <= minVersion)
+            .ExecuteCommandAsync();
+    }
+}
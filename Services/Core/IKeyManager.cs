@@ -1,10 +1,12 @@
 using OrchestrationApi.Models;
 using Microsoft.Extensions.Caching.Memory;
 using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
 using SqlSugar;
 using System.Security.Cryptography;
 using System.Text;
 using OrchestrationApi.Services.Providers;
+using OrchestrationApi.Utils;
 
 namespace OrchestrationApi.Services.Core;
 
@@ -48,6 +50,21 @@ public interface IKeyManager
     /// </summary>
     Task<bool> CheckRpmLimitAsync(int proxyKeyId, string groupId);
 
+    /// <summary>
+    /// 检查代理密钥的每分钟请求数及每日/每月Token配额，超出时返回错误信息，未超出返回 null
+    /// </summary>
+    Task<string?> CheckProxyKeyQuotaAsync(int proxyKeyId);
+
+    /// <summary>
+    /// 累加代理密钥当天的Token用量
+    /// </summary>
+    Task RecordProxyKeyTokenUsageAsync(int proxyKeyId, int promptTokens, int completionTokens);
+
+    /// <summary>
+    /// 清理过期的代理密钥Token用量记录，返回删除的记录数
+    /// </summary>
+    Task<int> CleanupProxyKeyUsageAsync(int retentionDays);
+
     /// <summary>
     /// 获取分组的API密钥列表
     /// </summary>
@@ -64,9 +81,9 @@ public interface IKeyManager
     Task<List<GroupConfig>> GetAllGroupsAsync();
 
     /// <summary>
-    /// 获取分组管理数据
+    /// 获取分组管理数据，maskSecrets 为 true 时掩码 API 密钥和敏感请求头（只读角色使用）
     /// </summary>
-    Task<object> GetGroupsManageDataAsync();
+    Task<object> GetGroupsManageDataAsync(bool maskSecrets = false);
 
     /// <summary>
     /// 创建分组
@@ -88,6 +105,16 @@ public interface IKeyManager
     /// </summary>
     Task ToggleGroupAsync(string id);
 
+    /// <summary>
+    /// 对单个分组执行批量操作中的配置修改（启用/禁用、优先级、模型、请求头、请求参数），配置无变化时不写入
+    /// </summary>
+    Task<BulkGroupActionResult> ApplyBulkGroupChangeAsync(string groupId, BulkGroupActionRequest request);
+
+    /// <summary>
+    /// 将分组加入代理密钥的允许分组列表，返回新加入的分组ID；代理密钥未限制分组（可访问全部分组）时返回 null
+    /// </summary>
+    Task<List<string>?> AddGroupsToProxyKeyAsync(int keyId, List<string> groupIds);
+
     /// <summary>
     /// 获取系统状态
     /// </summary>
@@ -136,13 +163,18 @@ public interface IKeyManager
     /// <summary>
     /// 生成代理密钥
     /// </summary>
-    Task<ProxyKeyInfo> GenerateProxyKeyAsync(string name, string? description);
+    Task<ProxyKeyInfo> GenerateProxyKeyAsync(ProxyKeyRequest request);
 
     /// <summary>
     /// 更新代理密钥
     /// </summary>
     Task UpdateProxyKeyAsync(int keyId, UpdateProxyKeyRequest request);
 
+    /// <summary>
+    /// 轮换代理密钥：生成新密钥，旧密钥在宽限期内仍可使用
+    /// </summary>
+    Task<ProxyKeyInfo> RotateProxyKeyAsync(int keyId, int gracePeriodMinutes);
+
     /// <summary>
     /// 删除代理密钥
     /// </summary>
@@ -167,7 +199,8 @@ public interface IKeyManager
         List<string> apiKeys,
         int timeoutSeconds,
         int maxRetries,
-        Dictionary<string, string> headers);
+        Dictionary<string, string> headers,
+        Dictionary<string, object>? providerSettings = null);
 
     /// <summary>
     /// 验证分组密钥
@@ -187,7 +220,9 @@ public interface IKeyManager
     /// <summary>
     /// 导入分组配置
     /// </summary>
-    Task<ImportGroupsResult> ImportGroupsAsync(string configContent);
+    /// <param name="configContent">导出的配置文件内容</param>
+    /// <param name="resolutions">同名分组的冲突处理方式（分组名称 → skip/overwrite/merge），未指定时跳过</param>
+    Task<ImportGroupsResult> ImportGroupsAsync(string configContent, Dictionary<string, string>? resolutions = null);
 
     /// <summary>
     /// 刷新健康状态
@@ -214,6 +249,26 @@ public interface IKeyManager
     /// </summary>
     Task<KeyUsageStats?> GetKeyUsageStatsAsync(string groupId, string apiKeyHash);
 
+    /// <summary>
+    /// 记录一次使用该密钥的上游请求（按小时聚合，重试过程中的每次请求都会记录）
+    /// </summary>
+    Task RecordKeyRequestMetricAsync(string groupId, string apiKey, int statusCode);
+
+    /// <summary>
+    /// 将响应解析出的Token用量累加到该密钥当前小时的指标中（不增加请求数）
+    /// </summary>
+    Task RecordKeyTokenUsageAsync(string groupId, string apiKey, int promptTokens, int completionTokens);
+
+    /// <summary>
+    /// 获取分组内各密钥在指定时间窗口（24h/7d/30d）内的请求趋势
+    /// </summary>
+    Task<object> GetGroupKeyUsageAnalyticsAsync(string groupId, string window);
+
+    /// <summary>
+    /// 清理过期的密钥请求指标，返回删除的记录数
+    /// </summary>
+    Task<int> CleanupKeyUsageMetricsAsync(int retentionDays);
+
     /// <summary>
     /// 检查和恢复无效密钥（后台服务使用）
     /// 返回 Dictionary<string, object> 格式的结果
@@ -240,17 +295,24 @@ public class KeyManager : IKeyManager
     private readonly ISqlSugarClient _db;
     private readonly ILogger<KeyManager> _logger;
     private readonly IMemoryCache _cache;
+    private readonly ICircuitBreakerService _circuitBreaker;
+    private readonly IMaintenanceService _maintenanceService;
+    private readonly IProxyKeyRateLimiter _proxyKeyRateLimiter;
     private readonly IProviderFactory _providerFactory;
     private readonly Dictionary<string, Dictionary<string, DateTime>> _keyLastUsed;
     private readonly Dictionary<string, Dictionary<string, int>> _keyUsageCount; // 添加密钥使用次数统计
     private readonly Dictionary<string, int> _keyIndexes;
     private readonly Lock _lockObj = new();
 
-    public KeyManager(ISqlSugarClient db, ILogger<KeyManager> logger, IMemoryCache cache, IProviderFactory providerFactory)
+    public KeyManager(ISqlSugarClient db, ILogger<KeyManager> logger, IMemoryCache cache, IProviderFactory providerFactory,
+        ICircuitBreakerService circuitBreaker, IMaintenanceService maintenanceService, IProxyKeyRateLimiter proxyKeyRateLimiter)
     {
         _db = db;
         _logger = logger;
         _cache = cache;
+        _circuitBreaker = circuitBreaker;
+        _maintenanceService = maintenanceService;
+        _proxyKeyRateLimiter = proxyKeyRateLimiter;
         _providerFactory = providerFactory;
         _keyLastUsed = [];
         _keyUsageCount = []; // 初始化密钥使用次数统计
@@ -312,18 +374,40 @@ public class KeyManager : IKeyManager
         try
         {
             var cacheKey = $"proxy_key:{proxyKey}";
-            if (_cache.TryGetValue(cacheKey, out ProxyKey? cachedKey))
+            if (!_cache.TryGetValue(cacheKey, out ProxyKey? key))
             {
-                return cachedKey;
+                // 轮换后的旧密钥在宽限期内同样可以通过验证
+                key = await _db.Queryable<ProxyKey>()
+                    .Where(pk => (pk.KeyValue == proxyKey || pk.PreviousKeyValue == proxyKey) && pk.Enabled)
+                    .FirstAsync();
+
+                if (key != null)
+                {
+                    _cache.Set(cacheKey, key, TimeSpan.FromMinutes(5));
+                }
             }
 
-            var key = await _db.Queryable<ProxyKey>()
-                .Where(pk => pk.KeyValue == proxyKey && pk.Enabled)
-                .FirstAsync();
+            if (key == null)
+                return null;
+
+            // 有效期每次都重新判断，不受缓存时间影响
+            var now = DateTime.Now;
+            if (key.NotBefore.HasValue && key.NotBefore.Value > now)
+            {
+                _logger.LogDebug("代理密钥 {KeyName} 尚未到生效时间 {NotBefore}", key.KeyName, key.NotBefore);
+                return null;
+            }
+
+            if (key.ExpiresAt.HasValue && key.ExpiresAt.Value <= now)
+            {
+                _logger.LogDebug("代理密钥 {KeyName} 已于 {ExpiresAt} 过期", key.KeyName, key.ExpiresAt);
+                return null;
+            }
 
-            if (key != null)
+            if (key.KeyValue != proxyKey && !(key.PreviousKeyExpiresAt.HasValue && key.PreviousKeyExpiresAt.Value > now))
             {
-                _cache.Set(cacheKey, key, TimeSpan.FromMinutes(5));
+                _logger.LogDebug("代理密钥 {KeyName} 的旧密钥宽限期已结束", key.KeyName);
+                return null;
             }
 
             return key;
@@ -522,6 +606,156 @@ public class KeyManager : IKeyManager
         }
     }
 
+    public async Task<string?> CheckProxyKeyQuotaAsync(int proxyKeyId)
+    {
+        try
+        {
+            // 不使用 ValidateProxyKeyAsync 的缓存，保证修改配额后立即生效
+            var proxyKey = await _db.Queryable<ProxyKey>()
+                .Where(pk => pk.Id == proxyKeyId)
+                .FirstAsync();
+
+            if (proxyKey == null)
+                return null;
+
+            if (proxyKey.RpmLimit <= 0 && proxyKey.DailyTokenLimit <= 0 && proxyKey.MonthlyTokenLimit <= 0)
+                return null; // 没有限制
+
+            if (proxyKey.DailyTokenLimit > 0 || proxyKey.MonthlyTokenLimit > 0)
+            {
+                var usage = (await GetProxyKeyQuotaUsageAsync(new List<int> { proxyKeyId }))[proxyKeyId];
+
+                if (proxyKey.DailyTokenLimit > 0 && usage.TokensToday >= proxyKey.DailyTokenLimit)
+                {
+                    return $"超出代理密钥每日Token配额（已用 {usage.TokensToday} / {proxyKey.DailyTokenLimit}）";
+                }
+
+                if (proxyKey.MonthlyTokenLimit > 0 && usage.TokensThisMonth >= proxyKey.MonthlyTokenLimit)
+                {
+                    return $"超出代理密钥每月Token配额（已用 {usage.TokensThisMonth} / {proxyKey.MonthlyTokenLimit}）";
+                }
+            }
+
+            // 最后检查RPM，通过时才占用窗口，避免因Token配额被拒绝的请求计入每分钟请求数
+            if (proxyKey.RpmLimit > 0 && !_proxyKeyRateLimiter.TryAcquire(proxyKeyId, proxyKey.RpmLimit))
+            {
+                return $"超出代理密钥RPM限制（{proxyKey.RpmLimit} 次/分钟）";
+            }
+
+            return null;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "检查代理密钥配额时发生异常: {ProxyKeyId}", proxyKeyId);
+            return null; // 默认允许
+        }
+    }
+
+    public async Task RecordProxyKeyTokenUsageAsync(int proxyKeyId, int promptTokens, int completionTokens)
+    {
+        if (promptTokens <= 0 && completionTokens <= 0)
+            return;
+
+        try
+        {
+            var now = DateTime.Now;
+            var usageDate = now.Date;
+            var promptIncrement = (long)Math.Max(promptTokens, 0);
+            var completionIncrement = (long)Math.Max(completionTokens, 0);
+
+            for (var attempt = 0; attempt < 2; attempt++)
+            {
+                var updated = await _db.Updateable<ProxyKeyUsage>()
+                    .SetColumns(u => new ProxyKeyUsage
+                    {
+                        RequestCount = u.RequestCount + 1,
+                        PromptTokens = u.PromptTokens + promptIncrement,
+                        CompletionTokens = u.CompletionTokens + completionIncrement,
+                        UpdatedAt = now
+                    })
+                    .Where(u => u.ProxyKeyId == proxyKeyId && u.UsageDate == usageDate)
+                    .ExecuteCommandAsync();
+
+                if (updated > 0)
+                    return;
+
+                try
+                {
+                    await _db.Insertable(new ProxyKeyUsage
+                    {
+                        ProxyKeyId = proxyKeyId,
+                        UsageDate = usageDate,
+                        RequestCount = 1,
+                        PromptTokens = promptIncrement,
+                        CompletionTokens = completionIncrement,
+                        UpdatedAt = now
+                    }).ExecuteCommandAsync();
+                    return;
+                }
+                catch (Exception ex) when (attempt == 0)
+                {
+                    // 并发请求已插入当天的记录（唯一索引冲突），重新走更新逻辑
+                    _logger.LogDebug(ex, "插入代理密钥Token用量冲突，重试更新: {ProxyKeyId}", proxyKeyId);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            // 用量记录失败不影响请求本身
+            _logger.LogWarning(ex, "记录代理密钥Token用量时发生异常: {ProxyKeyId}", proxyKeyId);
+        }
+    }
+
+    public async Task<int> CleanupProxyKeyUsageAsync(int retentionDays)
+    {
+        var cutoff = DateTime.Now.Date.AddDays(-retentionDays);
+        var deleted = await _db.Deleteable<ProxyKeyUsage>()
+            .Where(u => u.UsageDate < cutoff)
+            .ExecuteCommandAsync();
+
+        if (deleted > 0)
+        {
+            _logger.LogInformation("已清理 {Count} 条过期的代理密钥Token用量记录（保留最近 {Days} 天）", deleted, retentionDays);
+        }
+        return deleted;
+    }
+
+    /// <summary>
+    /// 统计代理密钥最近一分钟的请求数（内存滑动窗口）及当天、当月的Token用量
+    /// </summary>
+    private async Task<Dictionary<int, ProxyKeyQuotaUsage>> GetProxyKeyQuotaUsageAsync(List<int> proxyKeyIds)
+    {
+        var result = proxyKeyIds.Distinct().ToDictionary(id => id, _ => new ProxyKeyQuotaUsage());
+        if (result.Count == 0)
+            return result;
+
+        var now = DateTime.Now;
+        var today = now.Date;
+        var monthStart = new DateTime(now.Year, now.Month, 1);
+
+        var usages = await _db.Queryable<ProxyKeyUsage>()
+            .Where(u => proxyKeyIds.Contains(u.ProxyKeyId) && u.UsageDate >= monthStart)
+            .ToListAsync();
+
+        foreach (var usage in usages)
+        {
+            var tokens = usage.PromptTokens + usage.CompletionTokens;
+            var item = result[usage.ProxyKeyId];
+            item.TokensThisMonth += tokens;
+            if (usage.UsageDate >= today)
+            {
+                item.TokensToday += tokens;
+            }
+        }
+
+        foreach (var (proxyKeyId, item) in result)
+        {
+            item.RequestsLastMinute = _proxyKeyRateLimiter.GetRequestsLastMinute(proxyKeyId);
+        }
+
+        return result;
+    }
+
     public async Task<List<string>> GetGroupApiKeysAsync(string groupId)
     {
         try
@@ -722,7 +956,7 @@ public class KeyManager : IKeyManager
         }
     }
 
-    public async Task<object> GetGroupsManageDataAsync()
+    public async Task<object> GetGroupsManageDataAsync(bool maskSecrets = false)
     {
         try
         {
@@ -730,6 +964,7 @@ public class KeyManager : IKeyManager
                 .Where(g => !g.IsDeleted)
                 .OrderBy(g => g.Id)
                 .ToListAsync();
+            var maintenanceStatuses = await _maintenanceService.GetGroupStatusesAsync();
 
             var groupsDict = new Dictionary<string, object>();
 
@@ -819,11 +1054,14 @@ public class KeyManager : IKeyManager
                     group_name = group.GroupName,
                     provider_type = group.ProviderType,
                     base_url = group.BaseUrl,
-                    api_keys = apiKeys,
+                    api_keys = maskSecrets ? apiKeys.Select(ApiKeyMaskingUtils.MaskApiKey).ToList() : apiKeys,
                     models = models,
                     model_aliases = modelAliases,
                     parameter_overrides = parameterOverrides,
-                    headers = headers,
+                    headers = maskSecrets
+                        ? headers.ToDictionary(h => h.Key,
+                            h => ApiKeyMaskingUtils.IsSensitiveField(h.Key) ? ApiKeyMaskingUtils.MaskApiKey(h.Value) : h.Value)
+                        : headers,
                     balance_policy = group.BalancePolicy,
                     retry_count = group.RetryCount,
                     timeout = group.Timeout,
@@ -832,6 +1070,14 @@ public class KeyManager : IKeyManager
                     priority = group.Priority,
                     enabled = group.Enabled,
                     health_check_enabled = group.HealthCheckEnabled, // 添加健康检查开关
+                    model_prices = PricingService.ParseGroupPrices(group.ModelPrices),
+                    circuit_breaker_enabled = group.CircuitBreakerEnabled,
+                    circuit_breaker_failure_threshold = group.CircuitBreakerFailureThreshold,
+                    circuit_breaker_error_rate = group.CircuitBreakerErrorRate,
+                    circuit_breaker_cooldown = group.CircuitBreakerCooldown,
+                    provider_settings = ProviderRegistry.ParseSettings(group.ProviderSettings),
+                    circuit_breaker = _circuitBreaker.GetSnapshot(group),
+                    maintenance = maintenanceStatuses.GetValueOrDefault(group.Id),
                     healthy = isHealthy,
                     total_keys = totalKeys,
                     available_keys = availableKeys,
@@ -867,7 +1113,7 @@ public class KeyManager : IKeyManager
                 GroupName = groupRequest.GroupName,
                 ProviderType = groupRequest.ProviderType,
                 BaseUrl = groupRequest.BaseUrl,
-                ApiKeys = JsonConvert.SerializeObject(groupRequest.ApiKeys),
+                ApiKeys = JsonConvert.SerializeObject(ProviderRegistry.NormalizeApiKeys(groupRequest.ProviderType, groupRequest.ApiKeys)),
                 Models = JsonConvert.SerializeObject(groupRequest.Models),
                 ModelAliases = JsonConvert.SerializeObject(groupRequest.ModelAliases),
                 ParameterOverrides = JsonConvert.SerializeObject(groupRequest.ParameterOverrides),
@@ -881,11 +1127,19 @@ public class KeyManager : IKeyManager
                 Enabled = groupRequest.Enabled,
                 FakeStreaming = groupRequest.FakeStreaming, // 添加假流配置支持
                 HealthCheckEnabled = groupRequest.HealthCheckEnabled, // 添加健康检查开关支持
+                ModelPrices = PricingService.SerializeGroupPrices(groupRequest.ModelPrices),
+                CircuitBreakerEnabled = groupRequest.CircuitBreakerEnabled,
+                CircuitBreakerFailureThreshold = groupRequest.CircuitBreakerFailureThreshold,
+                CircuitBreakerErrorRate = groupRequest.CircuitBreakerErrorRate,
+                CircuitBreakerCooldown = groupRequest.CircuitBreakerCooldown,
+                ProviderSettings = ProviderRegistry.SerializeSettings(
+                    ProviderRegistry.NormalizeSettings(groupRequest.ProviderType, groupRequest.ProviderSettings)),
                 CreatedAt = DateTime.Now,
                 UpdatedAt = DateTime.Now
             };
 
             var result = await _db.Insertable(groupConfig).ExecuteReturnEntityAsync();
+            _cache.Remove(PricingService.PriceTableCacheKey);
             _logger.LogInformation("创建分组成功: {GroupName} (ID: {GroupId})", groupRequest.GroupName, result.Id);
             return result;
         }
@@ -932,7 +1186,7 @@ public class KeyManager : IKeyManager
             existingGroup.GroupName = groupRequest.GroupName;
             existingGroup.ProviderType = groupRequest.ProviderType;
             existingGroup.BaseUrl = groupRequest.BaseUrl;
-            existingGroup.ApiKeys = JsonConvert.SerializeObject(groupRequest.ApiKeys);
+            existingGroup.ApiKeys = JsonConvert.SerializeObject(ProviderRegistry.NormalizeApiKeys(groupRequest.ProviderType, groupRequest.ApiKeys));
             existingGroup.Models = JsonConvert.SerializeObject(groupRequest.Models);
             existingGroup.ModelAliases = JsonConvert.SerializeObject(groupRequest.ModelAliases);
             existingGroup.ParameterOverrides = JsonConvert.SerializeObject(groupRequest.ParameterOverrides);
@@ -946,9 +1200,17 @@ public class KeyManager : IKeyManager
             existingGroup.Enabled = groupRequest.Enabled;
             existingGroup.FakeStreaming = groupRequest.FakeStreaming; // 添加假流配置支持
             existingGroup.HealthCheckEnabled = groupRequest.HealthCheckEnabled; // 添加健康检查开关支持
+            existingGroup.ModelPrices = PricingService.SerializeGroupPrices(groupRequest.ModelPrices);
+            existingGroup.CircuitBreakerEnabled = groupRequest.CircuitBreakerEnabled;
+            existingGroup.CircuitBreakerFailureThreshold = groupRequest.CircuitBreakerFailureThreshold;
+            existingGroup.CircuitBreakerErrorRate = groupRequest.CircuitBreakerErrorRate;
+            existingGroup.CircuitBreakerCooldown = groupRequest.CircuitBreakerCooldown;
+            existingGroup.ProviderSettings = ProviderRegistry.SerializeSettings(
+                ProviderRegistry.NormalizeSettings(groupRequest.ProviderType, groupRequest.ProviderSettings));
             existingGroup.UpdatedAt = DateTime.Now;
 
             await _db.Updateable(existingGroup).ExecuteCommandAsync();
+            _cache.Remove(PricingService.PriceTableCacheKey);
 
             // 如果有模型被删除，联动删除相关的健康检查记录
             if (deletedModels.Any())
@@ -1020,6 +1282,121 @@ public class KeyManager : IKeyManager
         }
     }
 
+    public async Task<BulkGroupActionResult> ApplyBulkGroupChangeAsync(string groupId, BulkGroupActionRequest request)
+    {
+        var group = await _db.Queryable<GroupConfig>()
+            .Where(g => g.Id == groupId && !g.IsDeleted)
+            .FirstAsync();
+        if (group == null)
+        {
+            throw new InvalidOperationException($"分组 {groupId} 不存在");
+        }
+
+        var update = ToGroupRequest(group);
+        var result = new BulkGroupActionResult { GroupId = groupId, GroupName = group.GroupName, Success = true };
+
+        switch (request.Action)
+        {
+            case BulkGroupActions.Enable:
+            case BulkGroupActions.Disable:
+                var enabled = request.Action == BulkGroupActions.Enable;
+                result.Changed = update.Enabled != enabled;
+                result.Message = enabled
+                    ? (result.Changed ? "已启用" : "已是启用状态")
+                    : (result.Changed ? "已禁用" : "已是禁用状态");
+                update.Enabled = enabled;
+                break;
+
+            case BulkGroupActions.SetPriority:
+                var priority = request.Priority ?? 0;
+                result.Changed = update.Priority != priority;
+                result.Message = result.Changed ? $"优先级 {update.Priority} → {priority}" : $"优先级已是 {priority}";
+                update.Priority = priority;
+                break;
+
+            case BulkGroupActions.AddModel:
+                var modelToAdd = request.Model!.Trim();
+                result.Changed = !update.Models.Contains(modelToAdd);
+                result.Message = result.Changed ? $"已添加模型 {modelToAdd}" : $"模型 {modelToAdd} 已存在";
+                if (result.Changed)
+                {
+                    update.Models.Add(modelToAdd);
+                }
+                break;
+
+            case BulkGroupActions.RemoveModel:
+                var modelToRemove = request.Model!.Trim();
+                result.Changed = update.Models.Remove(modelToRemove);
+                result.Message = result.Changed ? $"已移除模型 {modelToRemove}" : $"未配置模型 {modelToRemove}";
+                if (result.Changed)
+                {
+                    // 同时移除指向该模型或以该模型为别名的映射
+                    update.ModelAliases = update.ModelAliases
+                        .Where(kv => kv.Key != modelToRemove && kv.Value != modelToRemove)
+                        .ToDictionary(kv => kv.Key, kv => kv.Value);
+                }
+                break;
+
+            case BulkGroupActions.SetHeader:
+                var headerName = request.HeaderName!.Trim();
+                var headerValue = request.HeaderValue ?? string.Empty;
+                result.Changed = !update.Headers.TryGetValue(headerName, out var oldHeaderValue) || oldHeaderValue != headerValue;
+                result.Message = result.Changed ? $"已设置请求头 {headerName}" : $"请求头 {headerName} 未变化";
+                update.Headers[headerName] = headerValue;
+                break;
+
+            case BulkGroupActions.SetParam:
+                var paramName = request.ParamName!.Trim();
+                var paramValue = request.ParamValue == null ? JValue.CreateNull() : JToken.FromObject(request.ParamValue);
+                result.Changed = !update.ParameterOverrides.TryGetValue(paramName, out var oldParamValue)
+                    || !JToken.DeepEquals(oldParamValue == null ? JValue.CreateNull() : JToken.FromObject(oldParamValue), paramValue);
+                result.Message = result.Changed ? $"已设置请求参数 {paramName}" : $"请求参数 {paramName} 未变化";
+                update.ParameterOverrides[paramName] = paramValue;
+                break;
+
+            default:
+                throw new ArgumentException($"不支持的分组批量操作: {request.Action}");
+        }
+
+        if (result.Changed)
+        {
+            await UpdateGroupAsync(groupId, update);
+        }
+
+        return result;
+    }
+
+    public async Task<List<string>?> AddGroupsToProxyKeyAsync(int keyId, List<string> groupIds)
+    {
+        var proxyKey = await _db.Queryable<ProxyKey>()
+            .Where(pk => pk.Id == keyId)
+            .FirstAsync();
+        if (proxyKey == null)
+        {
+            throw new ArgumentException($"代理密钥不存在: {keyId}");
+        }
+
+        var allowedGroups = ParseAllowedGroups(proxyKey.AllowedGroups);
+        if (allowedGroups.Count == 0)
+        {
+            return null;
+        }
+
+        var added = groupIds.Where(id => !allowedGroups.Contains(id)).ToList();
+        if (added.Count > 0)
+        {
+            allowedGroups.AddRange(added);
+            proxyKey.AllowedGroups = JsonConvert.SerializeObject(allowedGroups);
+
+            await _db.Updateable(proxyKey).ExecuteCommandAsync();
+            InvalidateProxyKeyCache(proxyKey);
+
+            _logger.LogInformation("代理密钥 {KeyId} 新增允许分组: {GroupIds}", keyId, string.Join(", ", added));
+        }
+
+        return added;
+    }
+
     public async Task<SystemStatusResponse> GetSystemStatusAsync()
     {
         try
@@ -1313,6 +1690,9 @@ public class KeyManager : IKeyManager
                 .Where(pk => pk.Enabled)
                 .ToListAsync();
 
+            var quotaUsage = await GetProxyKeyQuotaUsageAsync(proxyKeys.Select(pk => pk.Id).ToList());
+            var now = DateTime.Now;
+
             return proxyKeys.Select(pk => new ProxyKeyInfo
             {
                 Id = pk.Id,
@@ -1323,8 +1703,21 @@ public class KeyManager : IKeyManager
                 CreatedAt = pk.CreatedAt,
                 IsActive = pk.Enabled,
                 AllowedGroups = ParseAllowedGroups(pk.AllowedGroups),
+                AllowedModels = ModelAccessFilter.ParsePatterns(pk.AllowedModels),
+                DeniedModels = ModelAccessFilter.ParsePatterns(pk.DeniedModels),
+                AllowedIps = ModelAccessFilter.ParsePatterns(pk.AllowedIps),
+                AllowedReferrers = ModelAccessFilter.ParsePatterns(pk.AllowedReferrers),
                 GroupBalancePolicy = pk.GroupBalancePolicy,
                 RpmLimit = pk.RpmLimit,
+                DailyTokenLimit = pk.DailyTokenLimit,
+                MonthlyTokenLimit = pk.MonthlyTokenLimit,
+                QuotaWarningThreshold = pk.QuotaWarningThreshold,
+                QuotaUsage = quotaUsage[pk.Id],
+                NotBefore = pk.NotBefore,
+                ExpiresAt = pk.ExpiresAt,
+                RotatedAt = pk.RotatedAt,
+                PreviousKeyExpiresAt = pk.PreviousKeyExpiresAt > now ? pk.PreviousKeyExpiresAt : null,
+                ValidityStatus = GetProxyKeyValidityStatus(pk, now),
                 GroupSelectionConfig = new GroupSelectionConfig
                 {
                     Strategy = pk.GroupBalancePolicy,
@@ -1339,40 +1732,36 @@ public class KeyManager : IKeyManager
         }
     }
 
-    public async Task<ProxyKeyInfo> GenerateProxyKeyAsync(string name, string? description)
+    public async Task<ProxyKeyInfo> GenerateProxyKeyAsync(ProxyKeyRequest request)
     {
         try
         {
-            // 生成类似OpenAI API密钥格式的密钥
-            // OpenAI密钥格式: sk-xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx
-            // 使用Base64编码的随机字节，然后转换为URL安全的Base64字符串
-            var randomBytes = new byte[32]; // 32字节 = 256位
-            using (var rng = System.Security.Cryptography.RandomNumberGenerator.Create())
-            {
-                rng.GetBytes(randomBytes);
-            }
-
-            // 转换为Base64并移除填充字符，然后替换URL不安全的字符
-            var base64String = Convert.ToBase64String(randomBytes)
-                .Replace("+", "A")
-                .Replace("/", "B")
-                .Replace("=", "");
+            EnsureValidityRange(request.NotBefore, request.ExpiresAt);
+            ClientAccessFilter.EnsureValidNetworks(request.AllowedIps);
 
-            // 确保长度为48个字符（sk- + 44个字符）
-            var keyValue = "sk-" + base64String.Substring(0, Math.Min(44, base64String.Length));
+            var keyValue = GenerateProxyKeyValue();
 
             // 验证生成的密钥格式
-            _logger.LogDebug("生成代理密钥: {KeyName}, 格式: {KeyFormat}", name, keyValue);
+            _logger.LogDebug("生成代理密钥: {KeyName}, 格式: {KeyFormat}", request.Name, keyValue);
 
             var proxyKey = new ProxyKey
             {
                 KeyValue = keyValue,
-                KeyName = name,
-                Description = description,
+                KeyName = request.Name,
+                Description = request.Description,
                 CreatedAt = DateTime.Now,
                 LastUsedAt = null,
                 UsageCount = 0,
-                RpmLimit = 0,
+                RpmLimit = request.RpmLimit ?? 0,
+                DailyTokenLimit = request.DailyTokenLimit ?? 0,
+                MonthlyTokenLimit = request.MonthlyTokenLimit ?? 0,
+                QuotaWarningThreshold = request.QuotaWarningThreshold ?? 80,
+                NotBefore = request.NotBefore,
+                ExpiresAt = request.ExpiresAt,
+                AllowedModels = ModelAccessFilter.SerializePatterns(request.AllowedModels),
+                DeniedModels = ModelAccessFilter.SerializePatterns(request.DeniedModels),
+                AllowedIps = ModelAccessFilter.SerializePatterns(request.AllowedIps),
+                AllowedReferrers = ModelAccessFilter.SerializePatterns(request.AllowedReferrers),
                 Enabled = true
             };
 
@@ -1386,7 +1775,18 @@ public class KeyManager : IKeyManager
                 Description = result.Description,
                 UsageCount = (int)result.UsageCount,
                 CreatedAt = result.CreatedAt,
-                IsActive = result.Enabled
+                IsActive = result.Enabled,
+                RpmLimit = result.RpmLimit,
+                DailyTokenLimit = result.DailyTokenLimit,
+                MonthlyTokenLimit = result.MonthlyTokenLimit,
+                QuotaWarningThreshold = result.QuotaWarningThreshold,
+                AllowedModels = ModelAccessFilter.ParsePatterns(result.AllowedModels),
+                DeniedModels = ModelAccessFilter.ParsePatterns(result.DeniedModels),
+                AllowedIps = ModelAccessFilter.ParsePatterns(result.AllowedIps),
+                AllowedReferrers = ModelAccessFilter.ParsePatterns(result.AllowedReferrers),
+                NotBefore = result.NotBefore,
+                ExpiresAt = result.ExpiresAt,
+                ValidityStatus = GetProxyKeyValidityStatus(result, DateTime.Now)
             };
         }
         catch (Exception ex)
@@ -1396,6 +1796,110 @@ public class KeyManager : IKeyManager
         }
     }
 
+    public async Task<ProxyKeyInfo> RotateProxyKeyAsync(int keyId, int gracePeriodMinutes)
+    {
+        try
+        {
+            var existingKey = await _db.Queryable<ProxyKey>()
+                .Where(pk => pk.Id == keyId)
+                .FirstAsync();
+
+            if (existingKey == null)
+            {
+                throw new ArgumentException($"代理密钥不存在: {keyId}");
+            }
+
+            InvalidateProxyKeyCache(existingKey);
+
+            var now = DateTime.Now;
+            // 宽限期为0时旧密钥立即失效；再次轮换会覆盖上一次轮换保留的旧密钥
+            existingKey.PreviousKeyValue = gracePeriodMinutes > 0 ? existingKey.KeyValue : null;
+            existingKey.PreviousKeyExpiresAt = gracePeriodMinutes > 0 ? now.AddMinutes(gracePeriodMinutes) : null;
+            existingKey.KeyValue = GenerateProxyKeyValue();
+            existingKey.RotatedAt = now;
+
+            await _db.Updateable(existingKey)
+                .UpdateColumns(pk => new { pk.KeyValue, pk.PreviousKeyValue, pk.PreviousKeyExpiresAt, pk.RotatedAt })
+                .ExecuteCommandAsync();
+
+            _logger.LogInformation("轮换代理密钥成功: {KeyId}, 名称: {KeyName}, 旧密钥宽限期: {GracePeriod} 分钟",
+                keyId, existingKey.KeyName, gracePeriodMinutes);
+
+            return new ProxyKeyInfo
+            {
+                Id = existingKey.Id,
+                Key = existingKey.KeyValue,
+                Name = existingKey.KeyName,
+                Description = existingKey.Description,
+                UsageCount = (int)existingKey.UsageCount,
+                CreatedAt = existingKey.CreatedAt,
+                IsActive = existingKey.Enabled,
+                NotBefore = existingKey.NotBefore,
+                ExpiresAt = existingKey.ExpiresAt,
+                RotatedAt = existingKey.RotatedAt,
+                PreviousKeyExpiresAt = existingKey.PreviousKeyExpiresAt,
+                ValidityStatus = GetProxyKeyValidityStatus(existingKey, now)
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "轮换代理密钥时发生异常: {KeyId}", keyId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// 生成类似OpenAI API密钥格式的密钥
+    /// </summary>
+    private static string GenerateProxyKeyValue()
+    {
+        // OpenAI密钥格式: sk-xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx
+        // 使用Base64编码的随机字节，然后转换为URL安全的Base64字符串
+        var randomBytes = new byte[32]; // 32字节 = 256位
+        using (var rng = System.Security.Cryptography.RandomNumberGenerator.Create())
+        {
+            rng.GetBytes(randomBytes);
+        }
+
+        // 转换为Base64并移除填充字符，然后替换URL不安全的字符
+        var base64String = Convert.ToBase64String(randomBytes)
+            .Replace("+", "A")
+            .Replace("/", "B")
+            .Replace("=", "");
+
+        // 确保长度为48个字符（sk- + 44个字符）
+        return "sk-" + base64String.Substring(0, Math.Min(44, base64String.Length));
+    }
+
+    private static void EnsureValidityRange(DateTime? notBefore, DateTime? expiresAt)
+    {
+        if (notBefore.HasValue && expiresAt.HasValue && expiresAt.Value <= notBefore.Value)
+        {
+            throw new ArgumentException("过期时间必须晚于生效时间");
+        }
+    }
+
+    private static string GetProxyKeyValidityStatus(ProxyKey key, DateTime now)
+    {
+        if (key.ExpiresAt.HasValue && key.ExpiresAt.Value <= now)
+            return ProxyKeyValidityStatus.Expired;
+        if (key.NotBefore.HasValue && key.NotBefore.Value > now)
+            return ProxyKeyValidityStatus.Scheduled;
+        return ProxyKeyValidityStatus.Active;
+    }
+
+    /// <summary>
+    /// 清除代理密钥（含宽限期内的旧密钥）的验证缓存，使修改立即生效
+    /// </summary>
+    private void InvalidateProxyKeyCache(ProxyKey key)
+    {
+        _cache.Remove($"proxy_key:{key.KeyValue}");
+        if (!string.IsNullOrEmpty(key.PreviousKeyValue))
+        {
+            _cache.Remove($"proxy_key:{key.PreviousKeyValue}");
+        }
+    }
+
     public async Task UpdateProxyKeyAsync(int keyId, UpdateProxyKeyRequest request)
     {
         try
@@ -1410,6 +1914,9 @@ public class KeyManager : IKeyManager
                 throw new ArgumentException($"代理密钥不存在: {keyId}");
             }
 
+            EnsureValidityRange(request.NotBefore, request.ExpiresAt);
+            ClientAccessFilter.EnsureValidNetworks(request.AllowedIps);
+
             // 更新代理密钥字段
             existingKey.KeyName = request.Name;
             existingKey.Description = request.Description;
@@ -1449,13 +1956,53 @@ public class KeyManager : IKeyManager
                 }
             }
 
+            if (request.AllowedModels != null)
+            {
+                existingKey.AllowedModels = ModelAccessFilter.SerializePatterns(request.AllowedModels);
+            }
+
+            if (request.DeniedModels != null)
+            {
+                existingKey.DeniedModels = ModelAccessFilter.SerializePatterns(request.DeniedModels);
+            }
+
+            if (request.AllowedIps != null)
+            {
+                existingKey.AllowedIps = ModelAccessFilter.SerializePatterns(request.AllowedIps);
+            }
+
+            if (request.AllowedReferrers != null)
+            {
+                existingKey.AllowedReferrers = ModelAccessFilter.SerializePatterns(request.AllowedReferrers);
+            }
+
             if (request.RpmLimit.HasValue)
             {
                 existingKey.RpmLimit = request.RpmLimit.Value;
             }
 
+            if (request.DailyTokenLimit.HasValue)
+            {
+                existingKey.DailyTokenLimit = request.DailyTokenLimit.Value;
+            }
+
+            if (request.MonthlyTokenLimit.HasValue)
+            {
+                existingKey.MonthlyTokenLimit = request.MonthlyTokenLimit.Value;
+            }
+
+            if (request.QuotaWarningThreshold.HasValue)
+            {
+                existingKey.QuotaWarningThreshold = request.QuotaWarningThreshold.Value;
+            }
+
+            // 有效期为空表示不限制，编辑时总是按请求内容覆盖
+            existingKey.NotBefore = request.NotBefore;
+            existingKey.ExpiresAt = request.ExpiresAt;
+
             // 执行更新
             await _db.Updateable(existingKey).ExecuteCommandAsync();
+            InvalidateProxyKeyCache(existingKey);
 
             _logger.LogInformation("更新代理密钥成功: {KeyId}, 名称: {KeyName}, 状态: {IsActive}",
                 keyId, request.Name, request.IsActive);
@@ -1471,10 +2018,19 @@ public class KeyManager : IKeyManager
     {
         try
         {
+            var existingKey = await _db.Queryable<ProxyKey>()
+                .Where(pk => pk.Id == keyId)
+                .FirstAsync();
+
             await _db.Deleteable<ProxyKey>()
                 .Where(pk => pk.Id == keyId)
                 .ExecuteCommandAsync();
 
+            if (existingKey != null)
+            {
+                InvalidateProxyKeyCache(existingKey);
+            }
+
             _logger.LogInformation("删除代理密钥成功: {KeyId}", keyId);
         }
         catch (Exception ex)
@@ -1533,12 +2089,15 @@ public class KeyManager : IKeyManager
         List<string> apiKeys,
         int timeoutSeconds,
         int maxRetries,
-        Dictionary<string, string> headers)
+        Dictionary<string, string> headers,
+        Dictionary<string, object>? providerSettings = null)
     {
         try
         {
             _logger.LogInformation("获取 {ProviderType} 的可用模型列表", providerType);
 
+            // 无需 API Key 的本地服务使用占位密钥
+            apiKeys = ProviderRegistry.NormalizeApiKeys(providerType, apiKeys);
             if (!apiKeys.Any())
             {
                 _logger.LogWarning("未提供API密钥，无法获取模型列表");
@@ -1567,6 +2126,7 @@ public class KeyManager : IKeyManager
                 TimeoutSeconds = timeoutSeconds,
                 MaxRetries = maxRetries,
                 Headers = headers,
+                ProviderSettings = providerSettings ?? new Dictionary<string, object>(),
             };
 
             var modelsResponse = await provider.GetModelsAsync(providerConfig, cts.Token);
@@ -1850,22 +2410,25 @@ public class KeyManager : IKeyManager
                 ? new Dictionary<string, string>()
                 : JsonConvert.DeserializeObject<Dictionary<string, string>>(group.Headers) ?? new Dictionary<string, string>();
 
+            var configuredModels = JsonConvert.DeserializeObject<string[]>(group.Models);
+            var testModel = string.IsNullOrWhiteSpace(group.TestModel)
+                ? (configuredModels?.FirstOrDefault() ?? GetDefaultModelForProvider(group.ProviderType))
+                : group.TestModel;
+
             var providerConfig = new ProviderConfig
             {
                 ApiKeys = [apiKey],
                 BaseUrl = group.BaseUrl,
                 TimeoutSeconds = 30,
                 MaxRetries = 0,  // 验证时不重试
+                Model = testModel,  // Azure OpenAI 按模型确定部署
                 GroupId = group.Id,
                 GroupName = group.GroupName,
-                Headers = groupHeaders  // 添加分组配置的请求头
+                Headers = groupHeaders,  // 添加分组配置的请求头
+                ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings)
             };
 
             // 创建一个非常简单的测试请求，限制最大token数量
-            var configuredModels = JsonConvert.DeserializeObject<string[]>(group.Models);
-            var testModel = string.IsNullOrWhiteSpace(group.TestModel)
-                ? (configuredModels?.FirstOrDefault() ?? GetDefaultModelForProvider(group.ProviderType))
-                : group.TestModel;
 
             // 使用字典构建测试请求的JSON
             var testRequestDict = new Dictionary<string, object>
@@ -1937,7 +2500,8 @@ public class KeyManager : IKeyManager
                 Model = testModel,
                 GroupId = group.Id,
                 GroupName = group.GroupName,
-                Headers = groupHeaders  // 添加分组配置的请求头
+                Headers = groupHeaders,  // 添加分组配置的请求头
+                ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings)
             };
 
             // 创建 Gemini 原生格式的测试请求（使用字典构建）
@@ -2000,13 +2564,7 @@ public class KeyManager : IKeyManager
     /// </summary>
     private string GetDefaultModelForProvider(string providerType)
     {
-        return providerType.ToLower() switch
-        {
-            "openai" => "gpt-3.5-turbo",
-            "anthropic" => "claude-3-haiku-20240307",
-            "gemini" => "gemini-1.5-flash",
-            _ => "gpt-3.5-turbo"
-        };
+        return ProviderRegistry.Find(providerType)?.DefaultTestModel ?? "gpt-3.5-turbo";
     }
 
     public async Task<object> GetGroupKeyValidationStatusAsync(string groupId)
@@ -2120,16 +2678,27 @@ public class KeyManager : IKeyManager
                 {
                     group_name = g.GroupName,
                     provider_type = g.ProviderType,
+                    base_url = g.BaseUrl,
                     api_keys = JsonConvert.DeserializeObject<List<string>>(g.ApiKeys),
                     models = JsonConvert.DeserializeObject<List<string>>(g.Models),
                     model_aliases = JsonConvert.DeserializeObject<Dictionary<string, string>>(g.ModelAliases),
                     parameter_overrides = JsonConvert.DeserializeObject<Dictionary<string, object>>(g.ParameterOverrides),
+                    headers = JsonConvert.DeserializeObject<Dictionary<string, string>>(g.Headers),
                     balance_policy = g.BalancePolicy,
                     retry_count = g.RetryCount,
                     timeout = g.Timeout,
                     rpm_limit = g.RpmLimit,
+                    test_model = g.TestModel,
                     priority = g.Priority,
-                    enabled = g.Enabled
+                    enabled = g.Enabled,
+                    fake_streaming = g.FakeStreaming,
+                    health_check_enabled = g.HealthCheckEnabled,
+                    model_prices = PricingService.ParseGroupPrices(g.ModelPrices),
+                    circuit_breaker_enabled = g.CircuitBreakerEnabled,
+                    circuit_breaker_failure_threshold = g.CircuitBreakerFailureThreshold,
+                    circuit_breaker_error_rate = g.CircuitBreakerErrorRate,
+                    circuit_breaker_cooldown = g.CircuitBreakerCooldown,
+                    provider_settings = ProviderRegistry.ParseSettings(g.ProviderSettings)
                 }).ToList()
             };
 
@@ -2142,60 +2711,68 @@ public class KeyManager : IKeyManager
         }
     }
 
-    public async Task<ImportGroupsResult> ImportGroupsAsync(string configContent)
+    public async Task<ImportGroupsResult> ImportGroupsAsync(string configContent, Dictionary<string, string>? resolutions = null)
     {
         try
         {
             var result = new ImportGroupsResult();
             var errors = new List<string>();
 
-            dynamic? config = JsonConvert.DeserializeObject(configContent);
+            var config = JsonConvert.DeserializeObject<JObject>(configContent);
 
-            if (config?.groups == null)
+            if (config?["groups"] is not JArray groups)
             {
                 throw new InvalidOperationException("配置文件格式无效");
             }
 
-            var groups = config.groups;
             result.TotalGroups = groups.Count;
 
-            foreach (var groupData in groups)
+            foreach (var groupData in groups.OfType<JObject>())
             {
+                var groupName = groupData.Value<string>("group_name") ?? string.Empty;
                 try
                 {
-                    var groupRequest = new GroupRequest
-                    {
-                        GroupName = groupData.group_name,
-                        ProviderType = groupData.provider_type,
-                        ApiKeys = groupData.api_keys?.ToObject<List<string>>() ?? new List<string>(),
-                        Models = groupData.models?.ToObject<List<string>>() ?? new List<string>(),
-                        ModelAliases = groupData.model_aliases?.ToObject<Dictionary<string, string>>() ?? new Dictionary<string, string>(),
-                        ParameterOverrides = groupData.parameter_overrides?.ToObject<Dictionary<string, object>>() ?? new Dictionary<string, object>(),
-                        BalancePolicy = groupData.balance_policy ?? "round_robin",
-                        RetryCount = (int)(groupData.retry_count ?? 3),
-                        Timeout = (int)(groupData.timeout ?? 60),
-                        RpmLimit = (int)(groupData.rpm_limit ?? 0),
-                        Priority = (int)(groupData.priority ?? 0),
-                        Enabled = groupData.enabled ?? true
-                    };
-
                     // 检查是否已存在同名分组
                     var existingGroup = await _db.Queryable<GroupConfig>()
-                        .Where(g => g.GroupName == groupRequest.GroupName)
+                        .Where(g => g.GroupName == groupName && !g.IsDeleted)
                         .FirstAsync();
 
-                    if (existingGroup != null)
+                    if (existingGroup == null)
                     {
-                        errors.Add($"分组 '{groupRequest.GroupName}' 已存在，跳过导入");
+                        var groupRequest = new GroupRequest();
+                        ApplyImportedGroupFields(groupRequest, groupData, merge: false);
+                        await CreateGroupAsync(groupRequest);
+                        result.ImportedCount++;
+                        continue;
+                    }
+
+                    var strategy = resolutions != null && resolutions.TryGetValue(groupName, out var resolution)
+                        ? resolution
+                        : ImportConflictStrategies.Skip;
+
+                    if (strategy != ImportConflictStrategies.Overwrite && strategy != ImportConflictStrategies.Merge)
+                    {
+                        result.SkippedCount++;
+                        // 未指定处理方式的旧版调用保持原有的提示
+                        if (resolutions == null)
+                        {
+                            errors.Add($"分组 '{groupName}' 已存在，跳过导入");
+                        }
                         continue;
                     }
 
-                    await CreateGroupAsync(groupRequest);
-                    result.ImportedCount++;
+                    var updateRequest = ToGroupRequest(existingGroup);
+                    ApplyImportedGroupFields(updateRequest, groupData, merge: strategy == ImportConflictStrategies.Merge);
+                    await UpdateGroupAsync(existingGroup.Id, updateRequest);
+
+                    result.UpdatedCount++;
+                    result.UpdatedGroupIds.Add(existingGroup.Id);
+                    _logger.LogInformation("导入时{Strategy}已有分组: {GroupName} (ID: {GroupId})",
+                        strategy == ImportConflictStrategies.Merge ? "合并" : "覆盖", groupName, existingGroup.Id);
                 }
                 catch (Exception ex)
                 {
-                    errors.Add($"导入分组失败: {ex.Message}");
+                    errors.Add($"导入分组 '{groupName}' 失败: {ex.Message}");
                 }
             }
 
@@ -2209,6 +2786,119 @@ public class KeyManager : IKeyManager
         }
     }
 
+    /// <summary>
+    /// 将现有分组配置转换为更新请求
+    /// </summary>
+    public static GroupRequest ToGroupRequest(GroupConfig group)
+    {
+        return new GroupRequest
+        {
+            Id = group.Id,
+            GroupName = group.GroupName,
+            ProviderType = group.ProviderType,
+            BaseUrl = group.BaseUrl,
+            ApiKeys = JsonConvert.DeserializeObject<List<string>>(group.ApiKeys) ?? new List<string>(),
+            Models = JsonConvert.DeserializeObject<List<string>>(group.Models) ?? new List<string>(),
+            ModelAliases = JsonConvert.DeserializeObject<Dictionary<string, string>>(group.ModelAliases) ?? new Dictionary<string, string>(),
+            ParameterOverrides = JsonConvert.DeserializeObject<Dictionary<string, object>>(group.ParameterOverrides) ?? new Dictionary<string, object>(),
+            Headers = JsonConvert.DeserializeObject<Dictionary<string, string>>(group.Headers) ?? new Dictionary<string, string>(),
+            BalancePolicy = group.BalancePolicy,
+            RetryCount = group.RetryCount,
+            Timeout = group.Timeout,
+            RpmLimit = group.RpmLimit,
+            TestModel = group.TestModel,
+            Priority = group.Priority,
+            Enabled = group.Enabled,
+            FakeStreaming = group.FakeStreaming,
+            HealthCheckEnabled = group.HealthCheckEnabled,
+            ModelPrices = PricingService.ParseGroupPrices(group.ModelPrices),
+            CircuitBreakerEnabled = group.CircuitBreakerEnabled,
+            CircuitBreakerFailureThreshold = group.CircuitBreakerFailureThreshold,
+            CircuitBreakerErrorRate = group.CircuitBreakerErrorRate,
+            CircuitBreakerCooldown = group.CircuitBreakerCooldown,
+            ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings)
+        };
+    }
+
+    /// <summary>
+    /// 将导入文件中的分组字段应用到请求上；文件中未出现的字段保持原值。
+    /// 合并模式只追加密钥和模型、补充缺失的映射/参数/请求头/模型价格，不修改其他配置。
+    /// </summary>
+    private static void ApplyImportedGroupFields(GroupRequest request, JObject data, bool merge)
+    {
+        if (data["api_keys"] is JArray apiKeys)
+        {
+            var imported = apiKeys.ToObject<List<string>>() ?? new List<string>();
+            request.ApiKeys = merge ? request.ApiKeys.Union(imported).ToList() : imported;
+        }
+
+        if (data["models"] is JArray models)
+        {
+            var imported = models.ToObject<List<string>>() ?? new List<string>();
+            request.Models = merge ? request.Models.Union(imported).ToList() : imported;
+        }
+
+        if (data["model_aliases"] is JObject modelAliases)
+        {
+            var imported = modelAliases.ToObject<Dictionary<string, string>>() ?? new Dictionary<string, string>();
+            request.ModelAliases = merge ? MergeMissingEntries(request.ModelAliases, imported) : imported;
+        }
+
+        if (data["parameter_overrides"] is JObject parameterOverrides)
+        {
+            var imported = parameterOverrides.ToObject<Dictionary<string, object>>() ?? new Dictionary<string, object>();
+            request.ParameterOverrides = merge ? MergeMissingEntries(request.ParameterOverrides, imported) : imported;
+        }
+
+        if (data["headers"] is JObject headers)
+        {
+            var imported = headers.ToObject<Dictionary<string, string>>() ?? new Dictionary<string, string>();
+            request.Headers = merge ? MergeMissingEntries(request.Headers, imported) : imported;
+        }
+
+        if (data["model_prices"] is JObject modelPrices)
+        {
+            var imported = modelPrices.ToObject<Dictionary<string, GroupModelPrice>>() ?? new Dictionary<string, GroupModelPrice>();
+            request.ModelPrices = merge ? MergeMissingEntries(request.ModelPrices, imported) : imported;
+        }
+
+        if (data["provider_settings"] is JObject providerSettings)
+        {
+            var imported = providerSettings.ToObject<Dictionary<string, object>>() ?? new Dictionary<string, object>();
+            request.ProviderSettings = merge ? MergeMissingEntries(request.ProviderSettings, imported) : imported;
+        }
+
+        if (merge)
+            return;
+
+        request.GroupName = data.Value<string>("group_name") ?? request.GroupName;
+        request.ProviderType = data.Value<string>("provider_type") ?? request.ProviderType;
+        request.BaseUrl = data.Value<string>("base_url") ?? request.BaseUrl;
+        request.BalancePolicy = data.Value<string>("balance_policy") ?? request.BalancePolicy;
+        request.RetryCount = data.Value<int?>("retry_count") ?? request.RetryCount;
+        request.Timeout = data.Value<int?>("timeout") ?? request.Timeout;
+        request.RpmLimit = data.Value<int?>("rpm_limit") ?? request.RpmLimit;
+        request.TestModel = data.Value<string>("test_model") ?? request.TestModel;
+        request.Priority = data.Value<int?>("priority") ?? request.Priority;
+        request.Enabled = data.Value<bool?>("enabled") ?? request.Enabled;
+        request.FakeStreaming = data.Value<bool?>("fake_streaming") ?? request.FakeStreaming;
+        request.HealthCheckEnabled = data.Value<bool?>("health_check_enabled") ?? request.HealthCheckEnabled;
+        request.CircuitBreakerEnabled = data.Value<bool?>("circuit_breaker_enabled") ?? request.CircuitBreakerEnabled;
+        request.CircuitBreakerFailureThreshold = data.Value<int?>("circuit_breaker_failure_threshold") ?? request.CircuitBreakerFailureThreshold;
+        request.CircuitBreakerErrorRate = data.Value<int?>("circuit_breaker_error_rate") ?? request.CircuitBreakerErrorRate;
+        request.CircuitBreakerCooldown = data.Value<int?>("circuit_breaker_cooldown") ?? request.CircuitBreakerCooldown;
+    }
+
+    private static Dictionary<string, T> MergeMissingEntries<T>(Dictionary<string, T> current, Dictionary<string, T> imported)
+    {
+        var merged = new Dictionary<string, T>(current);
+        foreach (var (key, value) in imported)
+        {
+            merged.TryAdd(key, value);
+        }
+        return merged;
+    }
+
     public async Task<object> RefreshHealthStatusAsync()
     {
         try
@@ -2599,6 +3289,204 @@ public class KeyManager : IKeyManager
         }
     }
 
+    public Task RecordKeyRequestMetricAsync(string groupId, string apiKey, int statusCode)
+    {
+        var errorIncrement = statusCode >= 200 && statusCode < 300 ? 0 : 1;
+        var throttledIncrement = statusCode == 429 ? 1 : 0;
+        return UpsertKeyUsageMetricAsync(groupId, apiKey, 1, errorIncrement, throttledIncrement, 0, 0);
+    }
+
+    public Task RecordKeyTokenUsageAsync(string groupId, string apiKey, int promptTokens, int completionTokens)
+    {
+        if (promptTokens <= 0 && completionTokens <= 0)
+            return Task.CompletedTask;
+
+        return UpsertKeyUsageMetricAsync(groupId, apiKey, 0, 0, 0, promptTokens, completionTokens);
+    }
+
+    /// <summary>
+    /// 按小时聚合累加密钥指标，当前小时无记录时插入新记录
+    /// </summary>
+    private async Task UpsertKeyUsageMetricAsync(string groupId, string apiKey, int requestIncrement,
+        int errorIncrement, int throttledIncrement, long promptIncrement, long completionIncrement)
+    {
+        if (string.IsNullOrEmpty(groupId) || string.IsNullOrEmpty(apiKey))
+            return;
+
+        try
+        {
+            var keyHash = ComputeKeyHash(apiKey);
+            var now = DateTime.Now;
+            var bucketStart = new DateTime(now.Year, now.Month, now.Day, now.Hour, 0, 0);
+
+            for (var attempt = 0; attempt < 2; attempt++)
+            {
+                var updated = await _db.Updateable<KeyUsageMetric>()
+                    .SetColumns(m => new KeyUsageMetric
+                    {
+                        RequestCount = m.RequestCount + requestIncrement,
+                        ErrorCount = m.ErrorCount + errorIncrement,
+                        ThrottledCount = m.ThrottledCount + throttledIncrement,
+                        PromptTokens = m.PromptTokens + promptIncrement,
+                        CompletionTokens = m.CompletionTokens + completionIncrement,
+                        UpdatedAt = now
+                    })
+                    .Where(m => m.GroupId == groupId && m.ApiKeyHash == keyHash && m.BucketStart == bucketStart)
+                    .ExecuteCommandAsync();
+
+                if (updated > 0)
+                    return;
+
+                try
+                {
+                    await _db.Insertable(new KeyUsageMetric
+                    {
+                        GroupId = groupId,
+                        ApiKeyHash = keyHash,
+                        BucketStart = bucketStart,
+                        RequestCount = requestIncrement,
+                        ErrorCount = errorIncrement,
+                        ThrottledCount = throttledIncrement,
+                        PromptTokens = promptIncrement,
+                        CompletionTokens = completionIncrement,
+                        UpdatedAt = now
+                    }).ExecuteCommandAsync();
+                    return;
+                }
+                catch (Exception ex) when (attempt == 0)
+                {
+                    // 并发请求已插入同一小时的记录（唯一索引冲突），重新走更新逻辑
+                    _logger.LogDebug(ex, "插入密钥请求指标冲突，重试更新 - 分组: {GroupId}", groupId);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            // 指标记录失败不影响请求本身
+            _logger.LogWarning(ex, "记录密钥请求指标时发生异常 - 分组: {GroupId}", groupId);
+        }
+    }
+
+    /// <summary>
+    /// 获取分组内各密钥的请求趋势
+    /// </summary>
+    public async Task<object> GetGroupKeyUsageAnalyticsAsync(string groupId, string window)
+    {
+        try
+        {
+            var group = await _db.Queryable<GroupConfig>()
+                .Where(g => g.Id == groupId)
+                .FirstAsync();
+
+            if (group == null)
+            {
+                return new { success = false, error = "分组不存在" };
+            }
+
+            // 时间窗口与聚合粒度：24小时按小时、7天按6小时、30天按天
+            var (bucketSize, bucketCount) = window switch
+            {
+                "7d" => (TimeSpan.FromHours(6), 28),
+                "30d" => (TimeSpan.FromDays(1), 30),
+                _ => (TimeSpan.FromHours(1), 24)
+            };
+            window = window is "7d" or "30d" ? window : "24h";
+
+            var now = DateTime.Now;
+            var currentHour = new DateTime(now.Year, now.Month, now.Day, now.Hour, 0, 0);
+            var currentBucket = bucketSize >= TimeSpan.FromDays(1)
+                ? currentHour.Date
+                : currentHour.AddHours(-(currentHour.Hour % (int)bucketSize.TotalHours));
+            var windowStart = currentBucket - bucketSize * (bucketCount - 1);
+
+            var metrics = await _db.Queryable<KeyUsageMetric>()
+                .Where(m => m.GroupId == groupId && m.BucketStart >= windowStart)
+                .ToListAsync();
+
+            var buckets = Enumerable.Range(0, bucketCount)
+                .Select(i => windowStart + bucketSize * i)
+                .ToList();
+
+            var apiKeys = JsonConvert.DeserializeObject<List<string>>(group.ApiKeys) ?? [];
+            var keyAnalytics = apiKeys.Select(apiKey =>
+            {
+                var keyHash = ComputeKeyHash(apiKey);
+                var keyMetrics = metrics.Where(m => m.ApiKeyHash == keyHash).ToList();
+
+                var requests = new int[bucketCount];
+                var errors = new int[bucketCount];
+                var throttled = new int[bucketCount];
+                var tokens = new long[bucketCount];
+
+                foreach (var metric in keyMetrics)
+                {
+                    var index = (int)((metric.BucketStart - windowStart).Ticks / bucketSize.Ticks);
+                    if (index < 0 || index >= bucketCount)
+                        continue;
+
+                    requests[index] += metric.RequestCount;
+                    errors[index] += metric.ErrorCount;
+                    throttled[index] += metric.ThrottledCount;
+                    tokens[index] += metric.PromptTokens + metric.CompletionTokens;
+                }
+
+                var totalRequests = requests.Sum();
+                var totalErrors = errors.Sum();
+
+                return new
+                {
+                    api_key_hash = keyHash.Substring(0, 8),
+                    api_key_prefix = apiKey.Substring(0, Math.Min(8, apiKey.Length)) + "****",
+                    totals = new
+                    {
+                        requests = totalRequests,
+                        errors = totalErrors,
+                        throttled = throttled.Sum(),
+                        tokens = tokens.Sum(),
+                        error_rate = totalRequests > 0 ? Math.Round((double)totalErrors / totalRequests * 100, 2) : 0
+                    },
+                    series = new
+                    {
+                        requests,
+                        errors,
+                        throttled,
+                        tokens
+                    },
+                    last_request_at = keyMetrics.Count > 0 ? keyMetrics.Max(m => m.UpdatedAt) : (DateTime?)null
+                };
+            }).ToList();
+
+            return new
+            {
+                success = true,
+                group_id = groupId,
+                window,
+                bucket_minutes = (int)bucketSize.TotalMinutes,
+                buckets,
+                keys = keyAnalytics
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取分组密钥请求趋势时发生异常 - 分组: {GroupId}", groupId);
+            return new { success = false, error = ex.Message };
+        }
+    }
+
+    public async Task<int> CleanupKeyUsageMetricsAsync(int retentionDays)
+    {
+        var cutoff = DateTime.Now.AddDays(-retentionDays);
+        var deleted = await _db.Deleteable<KeyUsageMetric>()
+            .Where(m => m.BucketStart < cutoff)
+            .ExecuteCommandAsync();
+
+        if (deleted > 0)
+        {
+            _logger.LogInformation("已清理 {Count} 条过期的密钥请求指标（保留最近 {Days} 天）", deleted, retentionDays);
+        }
+        return deleted;
+    }
+
     /// <summary>
     /// 检查和恢复无效密钥（后台服务使用）
     /// </summary>
@@ -2892,6 +3780,9 @@ public class KeyManager : IKeyManager
                         await _db.Deleteable<KeyUsageStats>()
                             .Where(s => s.GroupId == groupId && keyHashes.Contains(s.ApiKeyHash))
                             .ExecuteCommandAsync();
+                        await _db.Deleteable<KeyUsageMetric>()
+                            .Where(m => m.GroupId == groupId && keyHashes.Contains(m.ApiKeyHash))
+                            .ExecuteCommandAsync();
 
                         clearedKeysCount += keysToRemove.Count;
                         affectedGroups.Add($"{group.GroupName} ({groupId})");
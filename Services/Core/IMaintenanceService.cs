@@ -0,0 +1,471 @@
+using Microsoft.Extensions.Caching.Memory;
+using Newtonsoft.Json;
+using OrchestrationApi.Models;
+using OrchestrationApi.Utils;
+using SqlSugar;
+
+namespace OrchestrationApi.Services.Core;
+
+/// <summary>
+/// 分组维护状态（当前是否处于维护窗口，以及下一次计划维护）
+/// </summary>
+public class GroupMaintenanceStatus
+{
+    [JsonProperty("group_id")]
+    public string GroupId { get; set; } = string.Empty;
+
+    [JsonProperty("active")]
+    public bool Active { get; set; }
+
+    [JsonProperty("title")]
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// 当前维护的开始与结束时间（相邻或重叠的窗口会合并计算）
+    /// </summary>
+    [JsonProperty("started_at")]
+    public DateTime? StartedAt { get; set; }
+
+    [JsonProperty("ends_at")]
+    public DateTime? EndsAt { get; set; }
+
+    /// <summary>
+    /// 下一次计划维护（仅统计未来 7 天）
+    /// </summary>
+    [JsonProperty("next_title")]
+    public string? NextTitle { get; set; }
+
+    [JsonProperty("next_start")]
+    public DateTime? NextStart { get; set; }
+
+    [JsonProperty("next_end")]
+    public DateTime? NextEnd { get; set; }
+}
+
+/// <summary>
+/// 维护窗口的一次具体维护时段，用于日历展示
+/// </summary>
+public class MaintenanceOccurrence
+{
+    [JsonProperty("window_id")]
+    public int WindowId { get; set; }
+
+    [JsonProperty("group_id")]
+    public string GroupId { get; set; } = string.Empty;
+
+    [JsonProperty("group_name")]
+    public string GroupName { get; set; } = string.Empty;
+
+    [JsonProperty("title")]
+    public string? Title { get; set; }
+
+    [JsonProperty("schedule_type")]
+    public string ScheduleType { get; set; } = MaintenanceScheduleTypes.Once;
+
+    [JsonProperty("start")]
+    public DateTime Start { get; set; }
+
+    [JsonProperty("end")]
+    public DateTime End { get; set; }
+
+    [JsonProperty("active")]
+    public bool Active { get; set; }
+}
+
+/// <summary>
+/// 分组维护窗口服务接口，维护期间分组不参与路由且跳过定时健康检查
+/// </summary>
+public interface IMaintenanceService
+{
+    /// <summary>
+    /// 获取维护窗口列表，可按分组过滤
+    /// </summary>
+    Task<List<GroupMaintenanceWindow>> GetWindowsAsync(string? groupId = null);
+
+    /// <summary>
+    /// 新增或修改维护窗口；id 为空时新增
+    /// </summary>
+    Task<GroupMaintenanceWindow> SaveWindowAsync(MaintenanceWindowRequest request, int? id = null);
+
+    /// <summary>
+    /// 删除维护窗口，返回被删除的记录
+    /// </summary>
+    Task<GroupMaintenanceWindow?> DeleteWindowAsync(int id);
+
+    /// <summary>
+    /// 获取当前处于维护窗口内的分组ID
+    /// </summary>
+    Task<HashSet<string>> GetGroupsInMaintenanceAsync();
+
+    /// <summary>
+    /// 获取正在维护或未来 7 天内有计划维护的分组状态
+    /// </summary>
+    Task<Dictionary<string, GroupMaintenanceStatus>> GetGroupStatusesAsync();
+
+    /// <summary>
+    /// 获取时间区间内的维护时段（按开始时间排序，包含区间开始时仍在进行的时段）
+    /// </summary>
+    Task<List<MaintenanceOccurrence>> GetOccurrencesAsync(DateTime from, DateTime to);
+}
+
+/// <summary>
+/// 分组维护窗口服务实现
+/// </summary>
+public class MaintenanceService : IMaintenanceService
+{
+    private const string WindowsCacheKey = "maintenance:windows";
+
+    // 维护状态只向后看 7 天；单个窗口在一次查询中最多展开的时段数，避免每分钟执行的表达式产生大量结果
+    private const int StatusLookaheadDays = 7;
+    private const int MaxOccurrencesPerWindow = 500;
+
+    private readonly ISqlSugarClient _db;
+    private readonly IMemoryCache _cache;
+    private readonly ILogger<MaintenanceService> _logger;
+
+    public MaintenanceService(ISqlSugarClient db, IMemoryCache cache, ILogger<MaintenanceService> logger)
+    {
+        _db = db;
+        _cache = cache;
+        _logger = logger;
+    }
+
+    public async Task<List<GroupMaintenanceWindow>> GetWindowsAsync(string? groupId = null)
+    {
+        var query = _db.Queryable<GroupMaintenanceWindow>();
+        if (!string.IsNullOrEmpty(groupId))
+        {
+            query = query.Where(w => w.GroupId == groupId);
+        }
+
+        return await query
+            .OrderBy(w => w.GroupId)
+            .OrderBy(w => w.Id)
+            .ToListAsync();
+    }
+
+    public async Task<GroupMaintenanceWindow> SaveWindowAsync(MaintenanceWindowRequest request, int? id = null)
+    {
+        var groupId = request.GroupId.Trim();
+        var groupExists = await _db.Queryable<GroupConfig>()
+            .Where(g => g.Id == groupId && !g.IsDeleted)
+            .AnyAsync();
+        if (!groupExists)
+        {
+            throw new ArgumentException($"分组 {groupId} 不存在");
+        }
+
+        var scheduleType = request.ScheduleType?.Trim().ToLowerInvariant() ?? string.Empty;
+        string? cronExpression = null;
+        switch (scheduleType)
+        {
+            case MaintenanceScheduleTypes.Once:
+                if (!request.StartTime.HasValue || !request.EndTime.HasValue)
+                {
+                    throw new ArgumentException("一次性维护窗口必须设置开始和结束时间");
+                }
+                if (request.EndTime.Value <= request.StartTime.Value)
+                {
+                    throw new ArgumentException("维护结束时间必须晚于开始时间");
+                }
+                break;
+
+            case MaintenanceScheduleTypes.Cron:
+                cronExpression = CronSchedule.Parse(request.CronExpression ?? string.Empty).Expression;
+                if (request.DurationMinutes < 1 || request.DurationMinutes > 10080)
+                {
+                    throw new ArgumentException("维护时长必须在 1 到 10080 分钟（7 天）之间");
+                }
+                break;
+
+            default:
+                throw new ArgumentException($"不支持的维护计划类型: {request.ScheduleType}");
+        }
+
+        GroupMaintenanceWindow window;
+        if (id.HasValue)
+        {
+            var windowId = id.Value;
+            window = await _db.Queryable<GroupMaintenanceWindow>().Where(w => w.Id == windowId).FirstAsync()
+                ?? throw new InvalidOperationException("维护窗口不存在");
+        }
+        else
+        {
+            window = new GroupMaintenanceWindow { CreatedAt = DateTime.Now };
+        }
+
+        window.GroupId = groupId;
+        window.Title = string.IsNullOrWhiteSpace(request.Title) ? null : request.Title.Trim();
+        window.ScheduleType = scheduleType;
+        window.Enabled = request.Enabled;
+        window.UpdatedAt = DateTime.Now;
+        if (scheduleType == MaintenanceScheduleTypes.Once)
+        {
+            window.StartTime = request.StartTime;
+            window.EndTime = request.EndTime;
+            window.CronExpression = null;
+        }
+        else
+        {
+            window.StartTime = null;
+            window.EndTime = null;
+            window.CronExpression = cronExpression;
+            window.DurationMinutes = request.DurationMinutes;
+        }
+
+        if (id.HasValue)
+        {
+            await _db.Updateable(window).ExecuteCommandAsync();
+        }
+        else
+        {
+            window.Id = await _db.Insertable(window).ExecuteReturnIdentityAsync();
+        }
+
+        InvalidateWindows();
+        _logger.LogInformation("保存分组 {GroupId} 维护窗口 {Id}: {Schedule}", groupId, window.Id, DescribeSchedule(window));
+        return window;
+    }
+
+    public async Task<GroupMaintenanceWindow?> DeleteWindowAsync(int id)
+    {
+        var window = await _db.Queryable<GroupMaintenanceWindow>().Where(w => w.Id == id).FirstAsync();
+        if (window == null)
+            return null;
+
+        await _db.Deleteable<GroupMaintenanceWindow>().Where(w => w.Id == id).ExecuteCommandAsync();
+
+        InvalidateWindows();
+        _logger.LogInformation("删除分组 {GroupId} 维护窗口 {Id}", window.GroupId, id);
+        return window;
+    }
+
+    public async Task<HashSet<string>> GetGroupsInMaintenanceAsync()
+    {
+        var now = DateTime.Now;
+        var windows = await GetCachedWindowsAsync();
+        return windows
+            .Where(w => IsActive(w, now))
+            .Select(w => w.Window.GroupId)
+            .ToHashSet();
+    }
+
+    public async Task<Dictionary<string, GroupMaintenanceStatus>> GetGroupStatusesAsync()
+    {
+        var now = DateTime.Now;
+        var windows = await GetCachedWindowsAsync();
+        var statuses = new Dictionary<string, GroupMaintenanceStatus>();
+
+        foreach (var groupWindows in windows.GroupBy(w => w.Window.GroupId))
+        {
+            var periods = MergePeriods(groupWindows
+                .SelectMany(w => ExpandOccurrences(w, now, now.AddDays(StatusLookaheadDays))));
+
+            var current = periods.FirstOrDefault(p => p.Start <= now && p.End > now);
+            var next = periods.FirstOrDefault(p => p.Start > now);
+            if (current == null && next == null)
+                continue;
+
+            statuses[groupWindows.Key] = new GroupMaintenanceStatus
+            {
+                GroupId = groupWindows.Key,
+                Active = current != null,
+                Title = current?.Title,
+                StartedAt = current?.Start,
+                EndsAt = current?.End,
+                NextTitle = next?.Title,
+                NextStart = next?.Start,
+                NextEnd = next?.End
+            };
+        }
+
+        return statuses;
+    }
+
+    public async Task<List<MaintenanceOccurrence>> GetOccurrencesAsync(DateTime from, DateTime to)
+    {
+        var now = DateTime.Now;
+        var windows = await GetCachedWindowsAsync();
+        var groupNames = (await _db.Queryable<GroupConfig>()
+                .Where(g => !g.IsDeleted)
+                .Select(g => new { Id = g.Id, GroupName = g.GroupName })
+                .ToListAsync())
+            .ToDictionary(g => g.Id, g => g.GroupName);
+
+        return windows
+            .Where(w => groupNames.ContainsKey(w.Window.GroupId))
+            .SelectMany(w => ExpandOccurrences(w, from, to).Select(period => new MaintenanceOccurrence
+            {
+                WindowId = w.Window.Id,
+                GroupId = w.Window.GroupId,
+                GroupName = groupNames[w.Window.GroupId],
+                Title = w.Window.Title,
+                ScheduleType = w.Window.ScheduleType,
+                Start = period.Start,
+                End = period.End,
+                Active = period.Start <= now && period.End > now
+            }))
+            .OrderBy(o => o.Start)
+            .ThenBy(o => o.GroupName)
+            .ToList();
+    }
+
+    /// <summary>
+    /// 获取维护窗口下一次开始的时间（一次性窗口已开始或已结束时返回 null）
+    /// </summary>
+    public static DateTime? GetNextStart(GroupMaintenanceWindow window, DateTime after)
+    {
+        if (window.ScheduleType == MaintenanceScheduleTypes.Cron)
+        {
+            return CronSchedule.TryParse(window.CronExpression, out var schedule) ? schedule!.GetNextOccurrence(after) : null;
+        }
+
+        return window.StartTime > after ? window.StartTime : null;
+    }
+
+    /// <summary>
+    /// 维护窗口在指定时间是否处于维护中（忽略启用状态）
+    /// </summary>
+    public static bool IsActiveAt(GroupMaintenanceWindow window, DateTime time)
+    {
+        CronSchedule.TryParse(window.CronExpression, out var schedule);
+        return IsActive(new CachedWindow(window, schedule), time);
+    }
+
+    /// <summary>
+    /// 维护计划的文字描述，用于日志和审计摘要
+    /// </summary>
+    public static string DescribeSchedule(GroupMaintenanceWindow window)
+    {
+        return window.ScheduleType == MaintenanceScheduleTypes.Cron
+            ? $"cron {window.CronExpression}，持续 {window.DurationMinutes} 分钟"
+            : $"{window.StartTime:yyyy-MM-dd HH:mm} 至 {window.EndTime:yyyy-MM-dd HH:mm}";
+    }
+
+    private async Task<List<CachedWindow>> GetCachedWindowsAsync()
+    {
+        if (_cache.TryGetValue(WindowsCacheKey, out List<CachedWindow>? cachedWindows) && cachedWindows != null)
+        {
+            return cachedWindows;
+        }
+
+        var windows = await _db.Queryable<GroupMaintenanceWindow>()
+            .Where(w => w.Enabled)
+            .ToListAsync();
+
+        var result = new List<CachedWindow>();
+        foreach (var window in windows)
+        {
+            CronSchedule? schedule = null;
+            if (window.ScheduleType == MaintenanceScheduleTypes.Cron &&
+                !CronSchedule.TryParse(window.CronExpression, out schedule))
+            {
+                _logger.LogWarning("维护窗口 {Id} 的 cron 表达式无效，已忽略: {Expression}", window.Id, window.CronExpression);
+                continue;
+            }
+            result.Add(new CachedWindow(window, schedule));
+        }
+
+        _cache.Set(WindowsCacheKey, result, TimeSpan.FromMinutes(5));
+        return result;
+    }
+
+    private static bool IsActive(CachedWindow cached, DateTime now)
+    {
+        var window = cached.Window;
+        if (window.ScheduleType != MaintenanceScheduleTypes.Cron)
+        {
+            return window.StartTime <= now && window.EndTime > now;
+        }
+
+        if (cached.Schedule == null)
+            return false;
+
+        // 只需找到 (now - 时长, now] 内最早的一次开始时间
+        var earliestStart = now.AddMinutes(-window.DurationMinutes);
+        return cached.Schedule.GetOccurrences(earliestStart, now.AddTicks(1), 2).Any(start => start > earliestStart);
+    }
+
+    /// <summary>
+    /// 展开维护窗口在 [from, to) 区间内有交集的时段
+    /// </summary>
+    private static IEnumerable<MaintenancePeriod> ExpandOccurrences(CachedWindow cached, DateTime from, DateTime to)
+    {
+        var window = cached.Window;
+        if (window.ScheduleType != MaintenanceScheduleTypes.Cron)
+        {
+            if (window.StartTime < to && window.EndTime > from)
+            {
+                yield return new MaintenancePeriod(window.StartTime!.Value, window.EndTime!.Value, window.Title);
+            }
+            yield break;
+        }
+
+        if (cached.Schedule == null)
+            yield break;
+
+        var duration = TimeSpan.FromMinutes(window.DurationMinutes);
+        foreach (var start in cached.Schedule.GetOccurrences(from - duration, to, MaxOccurrencesPerWindow))
+        {
+            if (start + duration > from)
+            {
+                yield return new MaintenancePeriod(start, start + duration, window.Title);
+            }
+        }
+    }
+
+    /// <summary>
+    /// 按开始时间合并相邻或重叠的时段
+    /// </summary>
+    private static List<MaintenancePeriod> MergePeriods(IEnumerable<MaintenancePeriod> periods)
+    {
+        var merged = new List<MaintenancePeriod>();
+        foreach (var period in periods.OrderBy(p => p.Start))
+        {
+            var last = merged.LastOrDefault();
+            if (last != null && period.Start <= last.End)
+            {
+                if (period.End > last.End)
+                {
+                    last.End = period.End;
+                }
+            }
+            else
+            {
+                merged.Add(period);
+            }
+        }
+        return merged;
+    }
+
+    private void InvalidateWindows()
+    {
+        _cache.Remove(WindowsCacheKey);
+    }
+
+    private class CachedWindow
+    {
+        public CachedWindow(GroupMaintenanceWindow window, CronSchedule? schedule)
+        {
+            Window = window;
+            Schedule = schedule;
+        }
+
+        public GroupMaintenanceWindow Window { get; }
+        public CronSchedule? Schedule { get; }
+    }
+
+    private class MaintenancePeriod
+    {
+        public MaintenancePeriod(DateTime start, DateTime end, string? title)
+        {
+            Start = start;
+            End = end;
+            Title = title;
+        }
+
+        public DateTime Start { get; }
+        public DateTime End { get; set; }
+        public string? Title { get; }
+    }
+}
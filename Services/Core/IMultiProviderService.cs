@@ -1,8 +1,10 @@
+using System.Diagnostics;
 using System.Text;
 using Newtonsoft.Json;
 using Newtonsoft.Json.Linq;
 using OrchestrationApi.Models;
 using OrchestrationApi.Services.Providers;
+using OrchestrationApi.Utils;
 
 namespace OrchestrationApi.Services.Core;
 
@@ -44,6 +46,7 @@ public interface IMultiProviderService
     /// <param name="clientIp">客户端IP</param>
     /// <param name="userAgent">用户代理</param>
     /// <param name="endpoint">请求端点</param>
+    /// <param name="targetGroupId">指定分组ID（可选，指定后只路由到该分组）</param>
     /// <param name="cancellationToken">取消令牌</param>
     /// <returns>Provider HTTP响应</returns>
     Task<ProviderHttpResponse> ProcessHttpRequestAsync(
@@ -54,6 +57,7 @@ public interface IMultiProviderService
         string? clientIp = null,
         string? userAgent = null,
         string? endpoint = null,
+        string? targetGroupId = null,
         CancellationToken cancellationToken = default);
 
     /// <summary>
@@ -112,6 +116,9 @@ public class MultiProviderService : IMultiProviderService
     private readonly IRequestLogger _requestLogger;
     private readonly ILogger<MultiProviderService> _logger;
     private readonly IConfiguration _configuration;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly IGroupLoadTracker _loadTracker;
+    private readonly ICircuitBreakerService _circuitBreaker;
 
     public MultiProviderService(
         IProviderRouter router,
@@ -119,7 +126,10 @@ public class MultiProviderService : IMultiProviderService
         IKeyManager keyManager,
         IRequestLogger requestLogger,
         ILogger<MultiProviderService> logger,
-        IConfiguration configuration)
+        IConfiguration configuration,
+        IServiceScopeFactory scopeFactory,
+        IGroupLoadTracker loadTracker,
+        ICircuitBreakerService circuitBreaker)
     {
         _router = router;
         _providerFactory = providerFactory;
@@ -127,6 +137,9 @@ public class MultiProviderService : IMultiProviderService
         _requestLogger = requestLogger;
         _logger = logger;
         _configuration = configuration;
+        _scopeFactory = scopeFactory;
+        _loadTracker = loadTracker;
+        _circuitBreaker = circuitBreaker;
     }
 
     /// <summary>
@@ -281,7 +294,8 @@ public class MultiProviderService : IMultiProviderService
                                 GroupId = group.Id,
                                 GroupName = group.GroupName,
                                 ProxyConfig = ParseProxyConfig(group),
-                                FakeStreaming = group.FakeStreaming // 传递假流配置
+                                FakeStreaming = group.FakeStreaming, // 传递假流配置
+                                ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings)
                             };
 
                             var providerModels = await provider.GetModelsAsync(config);
@@ -334,6 +348,13 @@ public class MultiProviderService : IMultiProviderService
                 }
             }
 
+            // 按代理密钥的模型访问限制过滤
+            var validatedProxyKey = await _keyManager.ValidateProxyKeyAsync(proxyKey);
+            if (validatedProxyKey != null)
+            {
+                allModels = allModels.Where(m => ModelAccessFilter.IsModelAllowed(validatedProxyKey, m.Id)).ToList();
+            }
+
             var finalModels = allModels.OrderBy(m => m.Id).ToList();
             _logger.LogInformation("返回 {ModelCount} 个可用模型: {Models}",
                 finalModels.Count, string.Join(", ", finalModels.Take(10).Select(m => m.Id)));
@@ -440,7 +461,8 @@ public class MultiProviderService : IMultiProviderService
                                 GroupId = group.Id,
                                 GroupName = group.GroupName,
                                 ProxyConfig = ParseProxyConfig(group),
-                                FakeStreaming = group.FakeStreaming // 传递假流配置
+                                FakeStreaming = group.FakeStreaming, // 传递假流配置
+                                ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings)
                             };
 
                             var providerModels = await provider.GetModelsAsync(config);
@@ -495,6 +517,13 @@ public class MultiProviderService : IMultiProviderService
                 }
             }
 
+            // 按代理密钥的模型访问限制过滤
+            var validatedProxyKey = await _keyManager.ValidateProxyKeyAsync(proxyKey);
+            if (validatedProxyKey != null)
+            {
+                allModels = allModels.Where(m => ModelAccessFilter.IsModelAllowed(validatedProxyKey, m.Name)).ToList();
+            }
+
             var finalModels = allModels.OrderBy(m => m.Name).ToList();
             _logger.LogInformation("返回 {ModelCount} 个可用的 Gemini 模型: {Models}",
                 finalModels.Count, string.Join(", ", finalModels.Take(10).Select(m => m.Name)));
@@ -532,7 +561,8 @@ public class MultiProviderService : IMultiProviderService
             GroupId = group.Id,
             GroupName = group.GroupName,
             ProxyConfig = ParseProxyConfig(group),
-            FakeStreaming = group.FakeStreaming // 传递假流配置
+            FakeStreaming = group.FakeStreaming, // 传递假流配置
+            ProviderSettings = ProviderRegistry.ParseSettings(group.ProviderSettings)
         };
     }
 
@@ -573,6 +603,166 @@ public class MultiProviderService : IMultiProviderService
         return null;
     }
 
+    /// <summary>
+    /// 在成功响应中附加路由信息头，便于客户端（如管理面板的调试台）识别实际服务的分组
+    /// </summary>
+    /// <param name="response">HTTP响应</param>
+    /// <param name="requestId">请求ID</param>
+    /// <param name="group">实际服务的分组</param>
+    private static void AppendRoutingHeaders(ProviderHttpResponse response, string requestId, GroupConfig group)
+    {
+        response.Headers["X-Orchestration-Request-Id"] = requestId;
+        response.Headers["X-Orchestration-Group-Id"] = group.Id;
+        // 分组名称可能包含非ASCII字符，需要编码后才能放入响应头
+        response.Headers["X-Orchestration-Group-Name"] = Uri.EscapeDataString(group.GroupName ?? string.Empty);
+        response.Headers["X-Orchestration-Provider-Type"] = group.ProviderType;
+    }
+
+    /// <summary>
+    /// 包装响应流，在响应透传结束后解析Token用量，补充到请求日志并计入代理密钥配额
+    /// </summary>
+    /// <param name="response">HTTP响应</param>
+    /// <param name="requestId">请求ID</param>
+    /// <param name="proxyKeyId">代理密钥ID</param>
+    /// <param name="groupId">处理请求的分组ID</param>
+    /// <param name="apiKey">本次使用的上游密钥</param>
+    /// <param name="inflightLease">分组并发计数，随响应透传结束释放</param>
+    private void TrackTokenUsage(ProviderHttpResponse response, string requestId, int? proxyKeyId,
+        string groupId, string apiKey, IDisposable? inflightLease = null)
+    {
+        if (response.ResponseStream == null)
+        {
+            inflightLease?.Dispose();
+            return;
+        }
+
+        // 流式响应透传结束后才算请求处理完毕，此时再释放分组并发计数
+        response.ResponseStream = new UsageTrackingStream(response.ResponseStream, usage =>
+        {
+            inflightLease?.Dispose();
+            _ = Task.Run(() => RecordTokenUsageAsync(requestId, proxyKeyId, groupId, apiKey, usage));
+        });
+    }
+
+    /// <summary>
+    /// 发送请求到服务商并记录分组负载（并发数与响应时间）和熔断器结果
+    /// 成功时返回的并发计数由调用方在响应透传结束后释放，失败时立即释放
+    /// </summary>
+    private async Task<(ProviderHttpResponse Response, IDisposable InflightLease)> SendTrackedHttpRequestAsync(
+        ILLMProvider provider, GroupConfig group, HttpContent httpContent, string apiKey, ProviderConfig providerConfig,
+        bool isStreaming, CancellationToken cancellationToken)
+    {
+        var inflightLease = _loadTracker.BeginRequest(group.Id);
+        var stopwatch = Stopwatch.StartNew();
+        try
+        {
+            var response = await provider.SendHttpRequestAsync(httpContent, apiKey, providerConfig, isStreaming, cancellationToken);
+            if (response.IsSuccess)
+            {
+                _loadTracker.RecordLatency(group.Id, stopwatch.Elapsed.TotalMilliseconds);
+            }
+            else
+            {
+                inflightLease.Dispose();
+            }
+
+            // 只有上游不可用类错误计入熔断和延迟，4xx 说明上游可达
+            if (IsCircuitBreakerFailure(response.StatusCode))
+            {
+                _loadTracker.RecordFailure(group.Id, stopwatch.Elapsed.TotalMilliseconds);
+                _circuitBreaker.RecordFailure(group, response.ErrorMessage ?? $"HTTP {response.StatusCode}");
+            }
+            else
+            {
+                _circuitBreaker.RecordSuccess(group.Id);
+            }
+            return (response, inflightLease);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            // 客户端取消不代表上游故障
+            inflightLease.Dispose();
+            _circuitBreaker.ReleaseAttempt(group.Id);
+            throw;
+        }
+        catch (Exception ex) when (ex is InvalidOperationException or NotSupportedException)
+        {
+            // 分组配置错误，请求没有发往上游，不计入熔断
+            inflightLease.Dispose();
+            _circuitBreaker.ReleaseAttempt(group.Id);
+            throw;
+        }
+        catch (Exception ex)
+        {
+            inflightLease.Dispose();
+            _loadTracker.RecordFailure(group.Id, stopwatch.Elapsed.TotalMilliseconds);
+            _circuitBreaker.RecordFailure(group, ex.Message);
+            throw;
+        }
+    }
+
+    private static bool IsCircuitBreakerFailure(int statusCode)
+    {
+        return statusCode == 0 || statusCode == 408 || statusCode >= 500;
+    }
+
+    /// <summary>
+    /// 发送前检查分组熔断器，熔断中时将分组加入失败列表以便切换到其他分组
+    /// </summary>
+    private bool TryBeginCircuitBreakerAttempt(string requestId, GroupConfig group, HashSet<string> failedGroups)
+    {
+        if (_circuitBreaker.TryBeginAttempt(group))
+            return true;
+
+        failedGroups.Add(group.Id);
+        _logger.LogDebug("RequestId: {RequestId}, 分组 {GroupId} 处于熔断状态，切换到其他分组", requestId, group.Id);
+        return false;
+    }
+
+    private async Task RecordTokenUsageAsync(string requestId, int? proxyKeyId, string groupId, string apiKey,
+        TokenUsage usage)
+    {
+        try
+        {
+            // 回调发生在响应透传结束时，请求作用域可能已释放，使用独立的作用域
+            using var scope = _scopeFactory.CreateScope();
+            var requestLogger = scope.ServiceProvider.GetRequiredService<IRequestLogger>();
+            await requestLogger.UpdateTokenUsageAsync(requestId, usage.PromptTokens, usage.CompletionTokens);
+
+            var keyManager = scope.ServiceProvider.GetRequiredService<IKeyManager>();
+            await keyManager.RecordKeyTokenUsageAsync(groupId, apiKey, usage.PromptTokens, usage.CompletionTokens);
+
+            if (proxyKeyId.HasValue)
+            {
+                await keyManager.RecordProxyKeyTokenUsageAsync(proxyKeyId.Value, usage.PromptTokens, usage.CompletionTokens);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "记录Token用量失败 - RequestId: {RequestId}", requestId);
+        }
+    }
+
+    /// <summary>
+    /// 在转发到服务商之前拒绝请求（模型访问限制、配额等），并记录请求日志
+    /// </summary>
+    private async Task<ProviderHttpResponse> RejectRequestAsync(string requestId, int statusCode, string errorType,
+        string errorMessage, string? model, bool hasTools, bool stream)
+    {
+        _logger.LogWarning("拒绝代理请求 - RequestId: {RequestId}, 状态码: {StatusCode}, 原因: {Reason}",
+            requestId, statusCode, errorMessage);
+        await _requestLogger.LogRequestEndAsync(requestId, statusCode, null, null, errorMessage,
+            null, null, null, null, null, model, hasTools, stream, null);
+
+        return new ProviderHttpResponse
+        {
+            StatusCode = statusCode,
+            IsSuccess = false,
+            ErrorMessage = errorMessage,
+            ErrorType = errorType
+        };
+    }
+
     /// <summary>
     /// 应用参数覆盖到请求字典（用于JSON透传模式）
     /// </summary>
@@ -661,6 +851,7 @@ public class MultiProviderService : IMultiProviderService
             TaskCanceledException => (false, false, true), // 取消操作，尝试其他Provider
             ArgumentException => (false, false, true), // 参数错误，尝试其他Provider
             InvalidOperationException => (false, false, true), // 操作异常，尝试其他Provider
+            NotSupportedException => (false, false, true), // 分组不支持该接口，尝试其他Provider
             _ => (true, false, false) // 默认重试
         };
     }
@@ -722,6 +913,7 @@ public class MultiProviderService : IMultiProviderService
         string? clientIp = null,
         string? userAgent = null,
         string? endpoint = null,
+        string? targetGroupId = null,
         CancellationToken cancellationToken = default)
     {
         // 解析JSON为字典以便灵活操作
@@ -752,14 +944,23 @@ public class MultiProviderService : IMultiProviderService
         var stream = isStreamRequest ?? (requestDict.ContainsKey("stream") && Convert.ToBoolean(requestDict["stream"]));
         var hasTools = requestDict.ContainsKey("tools") && requestDict["tools"] != null;
 
-        // 获取代理密钥ID
+        // 获取代理密钥ID，并检查模型访问限制（使用客户端请求的模型名，与 /models 列表一致）
         int? proxyKeyId = null;
+        string? modelAccessError = null;
         if (!string.IsNullOrEmpty(proxyKey))
         {
             var validatedProxyKey = await _keyManager.ValidateProxyKeyAsync(proxyKey);
             proxyKeyId = validatedProxyKey?.Id;
+            modelAccessError = validatedProxyKey != null
+                ? ModelAccessFilter.GetAccessDeniedMessage(validatedProxyKey, originalModelName)
+                : null;
         }
 
+        // 检查代理密钥配额（RPM 通过时即计入该代理密钥的每分钟请求窗口）
+        var quotaError = proxyKeyId.HasValue && modelAccessError == null
+            ? await _keyManager.CheckProxyKeyQuotaAsync(proxyKeyId.Value)
+            : null;
+
         // 记录请求开始
         var requestId = await _requestLogger.LogRequestStartAsync(
             "POST",
@@ -770,6 +971,16 @@ public class MultiProviderService : IMultiProviderService
             clientIp,
             userAgent);
 
+        if (modelAccessError != null)
+        {
+            return await RejectRequestAsync(requestId, 403, "permission_error", modelAccessError, originalModelName, hasTools, stream);
+        }
+
+        if (quotaError != null)
+        {
+            return await RejectRequestAsync(requestId, 429, "rate_limit_error", quotaError, originalModelName, hasTools, stream);
+        }
+
         try
         {
             _logger.LogInformation("开始处理HTTP透明代理请求 - RequestId: {RequestId}, Model: {Model}, ProviderType: {ProviderType}",
@@ -787,7 +998,7 @@ public class MultiProviderService : IMultiProviderService
                 try
                 {
                     // 路由请求，传递已失败的分组以实现智能降级
-                    var routeResult = await _router.RouteRequestAsync(originalModelName ?? string.Empty, proxyKey, providerType, failedGroups);
+                    var routeResult = await _router.RouteRequestAsync(originalModelName ?? string.Empty, proxyKey, providerType, failedGroups, targetGroupId);
                     if (!routeResult.Success)
                     {
                         // 如果路由失败但有失败的分组ID，记录它以避免重复选择
@@ -865,7 +1076,11 @@ public class MultiProviderService : IMultiProviderService
                             // 发送HTTP请求（Provider不再包含重试逻辑）
                             // 注意：这里不能直接传入request.Stream，因为假流模式需要发送非流式请求到上游
                             var actualIsStreaming = providerConfig.FakeStreaming ? false : stream;
-                            var response = await provider.SendHttpRequestAsync(
+                            if (!TryBeginCircuitBreakerAttempt(requestId, routeResult.Group, failedGroups))
+                            {
+                                break;
+                            }
+                            var (response, inflightLease) = await SendTrackedHttpRequestAsync(provider, routeResult.Group,
                                 httpContent, currentApiKey!, providerConfig, actualIsStreaming, cancellationToken);
 
                             // 分析响应并决定后续策略
@@ -873,11 +1088,15 @@ public class MultiProviderService : IMultiProviderService
 
                             if (response.IsSuccess)
                             {
+                                // 先接管并发计数，确保在后续处理异常时也能随响应释放
+                                TrackTokenUsage(response, requestId, proxyKeyId, routeResult.Group.Id, currentApiKey!, inflightLease);
+
                                 // 成功 - 重置密钥错误计数
                                 await _keyManager.ResetKeyErrorCountAsync(routeResult.Group.Id, currentApiKey!);
 
                                 // 更新密钥使用统计（HTTP透明代理）
                                 await _keyManager.UpdateKeyUsageStatsAsync(routeResult.Group.Id, currentApiKey!);
+                                await _keyManager.RecordKeyRequestMetricAsync(routeResult.Group.Id, currentApiKey!, response.StatusCode);
 
                                 // 更新代理密钥使用统计
                                 if (!string.IsNullOrEmpty(proxyKey))
@@ -905,6 +1124,7 @@ public class MultiProviderService : IMultiProviderService
                                 _logger.LogInformation("HTTP透明代理请求成功 - RequestId: {RequestId}, 服务商: {ProviderType}, 尝试次数: {Attempt}",
                                     requestId, routeResult.Group.ProviderType, attempt + 1);
 
+                                AppendRoutingHeaders(response, requestId, routeResult.Group);
                                 return response;
                             }
                             else
@@ -912,6 +1132,7 @@ public class MultiProviderService : IMultiProviderService
                                 // 失败 - 报告密钥错误
                                 await _keyManager.ReportKeyErrorAsync(routeResult.Group.Id, currentApiKey!,
                                     response.ErrorMessage ?? "HTTP请求失败");
+                                await _keyManager.RecordKeyRequestMetricAsync(routeResult.Group.Id, currentApiKey!, response.StatusCode);
 
                                 _logger.LogWarning("Provider响应失败 - Provider: {ProviderType}, 状态码: {StatusCode}, 错误: {Error}, 策略: 重试={ShouldRetry}, 切换密钥={ShouldSwitchApiKey}, 切换Provider={ShouldSwitchProvider}",
                                     routeResult.Group.ProviderType, response.StatusCode, response.ErrorMessage, shouldRetry, shouldSwitchApiKey, shouldSwitchProvider);
@@ -969,6 +1190,7 @@ public class MultiProviderService : IMultiProviderService
 
                             // 报告密钥错误
                             await _keyManager.ReportKeyErrorAsync(routeResult.Group.Id, routeResult.ApiKey!, ex.Message);
+                            await _keyManager.RecordKeyRequestMetricAsync(routeResult.Group.Id, routeResult.ApiKey!, 0);
 
                             if (shouldSwitchProvider)
                             {
@@ -1086,10 +1308,11 @@ public class MultiProviderService : IMultiProviderService
     {
         // 获取代理密钥ID
         int? proxyKeyId = null;
+        ProxyKey? validatedKey = null;
         if (!string.IsNullOrEmpty(proxyKey))
         {
-            var validatedProxyKey = await _keyManager.ValidateProxyKeyAsync(proxyKey);
-            proxyKeyId = validatedProxyKey?.Id;
+            validatedKey = await _keyManager.ValidateProxyKeyAsync(proxyKey);
+            proxyKeyId = validatedKey?.Id;
         }
 
         // 从JSON中解析请求字段
@@ -1110,6 +1333,16 @@ public class MultiProviderService : IMultiProviderService
             // JSON解析失败，使用默认值
         }
 
+        // 检查模型访问限制
+        var modelAccessError = validatedKey != null
+            ? ModelAccessFilter.GetAccessDeniedMessage(validatedKey, originalModelName)
+            : null;
+
+        // 检查代理密钥配额（RPM 通过时即计入该代理密钥的每分钟请求窗口）
+        var quotaError = proxyKeyId.HasValue && modelAccessError == null
+            ? await _keyManager.CheckProxyKeyQuotaAsync(proxyKeyId.Value)
+            : null;
+
         // 记录请求开始
         var requestId = await _requestLogger.LogRequestStartAsync(
             "POST",
@@ -1120,6 +1353,16 @@ public class MultiProviderService : IMultiProviderService
             clientIp,
             userAgent);
 
+        if (modelAccessError != null)
+        {
+            return await RejectRequestAsync(requestId, 403, "permission_error", modelAccessError, originalModelName, hasTools == true, stream == true);
+        }
+
+        if (quotaError != null)
+        {
+            return await RejectRequestAsync(requestId, 429, "rate_limit_error", quotaError, originalModelName, hasTools == true, stream == true);
+        }
+
         try
         {
             _logger.LogInformation("开始处理Responses API HTTP透明代理请求 - RequestId: {RequestId}, Model: {Model}",
@@ -1164,12 +1407,21 @@ public class MultiProviderService : IMultiProviderService
                     _logger.LogDebug("RequestId: {RequestId}, 尝试服务商 {ProviderType} (分组: {GroupId}) - 第 {AttemptNumber} 次",
                         requestId, routeResult.Group.ProviderType, routeResult.Group.Id, providerAttempt + 1);
 
+                    if (!ProviderRegistry.SupportsResponses(routeResult.Group.ProviderType))
+                    {
+                        failedGroups.Add(routeResult.Group.Id);
+                        _logger.LogDebug("RequestId: {RequestId}, 分组 {GroupId} 的服务商类型 {ProviderType} 不支持 Responses 接口，跳过",
+                            requestId, routeResult.Group.Id, routeResult.Group.ProviderType);
+                        continue;
+                    }
+
                     // 获取服务商实例
                     var provider = _providerFactory.GetProvider(routeResult.Group.ProviderType);
                     var providerConfig = BuildProviderConfig(routeResult);
 
                     // 设置端点类型为responses
                     providerConfig.EndpointType = "responses";
+                    providerConfig.Model = routeResult.ResolvedModel;
 
                     // 准备Responses API请求内容（JSON透传模式）
                     var httpContent = new StringContent(requestJson, Encoding.UTF8);
@@ -1206,16 +1458,24 @@ public class MultiProviderService : IMultiProviderService
                             // 发送HTTP请求
                             // 注意：假流模式需要发送非流式请求到上游
                             var actualIsStreaming = providerConfig.FakeStreaming ? false : (stream == true);
-                            var response = await provider.SendHttpRequestAsync(
+                            if (!TryBeginCircuitBreakerAttempt(requestId, routeResult.Group, failedGroups))
+                            {
+                                break;
+                            }
+                            var (response, inflightLease) = await SendTrackedHttpRequestAsync(provider, routeResult.Group,
                                 httpContent, currentApiKey!, providerConfig, actualIsStreaming, cancellationToken);
 
                             var (shouldRetry, shouldSwitchApiKey, shouldSwitchProvider) = AnalyzeProviderResponse(response, null);
 
                             if (response.IsSuccess)
                             {
+                                // 先接管并发计数，确保在后续处理异常时也能随响应释放
+                                TrackTokenUsage(response, requestId, proxyKeyId, routeResult.Group.Id, currentApiKey!, inflightLease);
+
                                 // 成功处理
                                 await _keyManager.ResetKeyErrorCountAsync(routeResult.Group.Id, currentApiKey!);
                                 await _keyManager.UpdateKeyUsageStatsAsync(routeResult.Group.Id, currentApiKey!);
+                                await _keyManager.RecordKeyRequestMetricAsync(routeResult.Group.Id, currentApiKey!, response.StatusCode);
 
                                 // 更新代理密钥使用统计
                                 if (!string.IsNullOrEmpty(proxyKey))
@@ -1236,6 +1496,7 @@ public class MultiProviderService : IMultiProviderService
                                 _logger.LogInformation("Responses API HTTP透明代理请求成功 - RequestId: {RequestId}, 服务商: {ProviderType}",
                                     requestId, routeResult.Group.ProviderType);
 
+                                AppendRoutingHeaders(response, requestId, routeResult.Group);
                                 return response;
                             }
                             else
@@ -1243,6 +1504,7 @@ public class MultiProviderService : IMultiProviderService
                                 // 失败处理
                                 await _keyManager.ReportKeyErrorAsync(routeResult.Group.Id, currentApiKey!,
                                     response.ErrorMessage ?? "HTTP请求失败");
+                                await _keyManager.RecordKeyRequestMetricAsync(routeResult.Group.Id, currentApiKey!, response.StatusCode);
 
                                 _logger.LogWarning("Responses Provider响应失败 - Provider: {ProviderType}, 状态码: {StatusCode}, 错误: {Error}",
                                     routeResult.Group.ProviderType, response.StatusCode, response.ErrorMessage);
@@ -1272,6 +1534,7 @@ public class MultiProviderService : IMultiProviderService
                                 routeResult.Group.ProviderType, attempt + 1);
 
                             await _keyManager.ReportKeyErrorAsync(routeResult.Group.Id, routeResult.ApiKey!, ex.Message);
+                            await _keyManager.RecordKeyRequestMetricAsync(routeResult.Group.Id, routeResult.ApiKey!, 0);
 
                             if (shouldSwitchProvider) break;
                             if (!shouldRetry) throw;
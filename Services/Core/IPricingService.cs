@@ -0,0 +1,643 @@
+using OrchestrationApi.Models;
+using Microsoft.Extensions.Caching.Memory;
+using Newtonsoft.Json;
+using SqlSugar;
+
+namespace OrchestrationApi.Services.Core;
+
+/// <summary>
+/// 模型价格查找表（精确名称优先，其次按最长前缀匹配 * 通配；分组自定义价格优先于全局价格）
+/// </summary>
+public class ModelPriceTable
+{
+    private readonly Dictionary<string, ModelPrice> _exactPrices;
+    private readonly List<ModelPrice> _prefixPrices;
+    private readonly Dictionary<string, Dictionary<string, string>> _groupAliases;
+    private readonly Dictionary<string, ModelPriceTable> _groupPrices;
+
+    public ModelPriceTable(IEnumerable<ModelPrice> prices, Dictionary<string, Dictionary<string, string>> groupAliases,
+        Dictionary<string, ModelPriceTable>? groupPrices = null)
+    {
+        var priceList = prices.ToList();
+        _exactPrices = priceList
+            .Where(p => !p.Model.EndsWith("*"))
+            .GroupBy(p => p.Model, StringComparer.OrdinalIgnoreCase)
+            .ToDictionary(g => g.Key, g => g.First(), StringComparer.OrdinalIgnoreCase);
+        _prefixPrices = priceList
+            .Where(p => p.Model.EndsWith("*"))
+            .OrderByDescending(p => p.Model.Length)
+            .ToList();
+        _groupAliases = groupAliases;
+        _groupPrices = groupPrices ?? new Dictionary<string, ModelPriceTable>();
+    }
+
+    /// <summary>
+    /// 查找模型价格；未配置别名本身的价格时，按分组的模型映射使用实际模型的价格
+    /// </summary>
+    public ModelPrice? FindPrice(string? model, string? groupId = null)
+    {
+        if (string.IsNullOrWhiteSpace(model))
+            return null;
+
+        return FindGroupPrice(model, groupId) ?? Match(model) ?? MatchAliasTarget(this, model, groupId);
+    }
+
+    /// <summary>
+    /// 仅在分组自定义价格表中查找模型价格，分组未配置该模型价格时返回 null
+    /// </summary>
+    public ModelPrice? FindGroupPrice(string? model, string? groupId)
+    {
+        if (string.IsNullOrWhiteSpace(model) || groupId == null ||
+            !_groupPrices.TryGetValue(groupId, out var groupTable))
+            return null;
+
+        return groupTable.Match(model) ?? MatchAliasTarget(groupTable, model, groupId);
+    }
+
+    /// <summary>
+    /// 估算成本（美元），无Token数据或未配置价格时返回 null
+    /// </summary>
+    public decimal? EstimateCost(string? model, string? groupId, int? promptTokens, int? completionTokens)
+    {
+        if (promptTokens == null && completionTokens == null)
+            return null;
+
+        var price = FindPrice(model, groupId);
+        if (price == null)
+            return null;
+
+        return ((promptTokens ?? 0) * price.InputPrice + (completionTokens ?? 0) * price.OutputPrice) / 1000m;
+    }
+
+    private ModelPrice? Match(string model)
+    {
+        if (_exactPrices.TryGetValue(model, out var exact))
+            return exact;
+
+        // 兼容带服务商前缀的模型名，例如 openai/gpt-4o
+        var slashIndex = model.LastIndexOf('/');
+        if (slashIndex >= 0 && slashIndex < model.Length - 1)
+        {
+            var bareModel = model[(slashIndex + 1)..];
+            if (_exactPrices.TryGetValue(bareModel, out exact))
+                return exact;
+
+            return MatchPrefix(model) ?? MatchPrefix(bareModel);
+        }
+
+        return MatchPrefix(model);
+    }
+
+    private ModelPrice? MatchAliasTarget(ModelPriceTable table, string model, string? groupId)
+    {
+        if (groupId != null &&
+            _groupAliases.TryGetValue(groupId, out var aliases) &&
+            aliases.TryGetValue(model, out var targetModel) &&
+            !string.IsNullOrWhiteSpace(targetModel))
+        {
+            return table.Match(targetModel);
+        }
+
+        return null;
+    }
+
+    private ModelPrice? MatchPrefix(string model)
+    {
+        return _prefixPrices.FirstOrDefault(p =>
+            model.StartsWith(p.Model[..^1], StringComparison.OrdinalIgnoreCase));
+    }
+}
+
+/// <summary>
+/// 成本统计结果
+/// </summary>
+public class CostStatsResult
+{
+    [JsonProperty("range")]
+    public string Range { get; set; } = string.Empty;
+
+    [JsonProperty("bucket_minutes")]
+    public int BucketMinutes { get; set; }
+
+    [JsonProperty("total_cost")]
+    public decimal TotalCost { get; set; }
+
+    [JsonProperty("prompt_tokens")]
+    public long PromptTokens { get; set; }
+
+    [JsonProperty("completion_tokens")]
+    public long CompletionTokens { get; set; }
+
+    [JsonProperty("priced_requests")]
+    public long PricedRequests { get; set; }
+
+    /// <summary>
+    /// 有Token数据但未匹配到价格的请求数
+    /// </summary>
+    [JsonProperty("unpriced_requests")]
+    public long UnpricedRequests { get; set; }
+
+    [JsonProperty("unpriced_models")]
+    public List<string> UnpricedModels { get; set; } = new();
+
+    [JsonProperty("timeline")]
+    public List<CostTimelinePoint> Timeline { get; set; } = new();
+
+    [JsonProperty("by_proxy_key")]
+    public List<CostBreakdownItem> ByProxyKey { get; set; } = new();
+
+    [JsonProperty("by_group")]
+    public List<CostBreakdownItem> ByGroup { get; set; } = new();
+
+    [JsonProperty("by_model")]
+    public List<CostBreakdownItem> ByModel { get; set; } = new();
+}
+
+/// <summary>
+/// 成本时间线数据点
+/// </summary>
+public class CostTimelinePoint
+{
+    [JsonProperty("time")]
+    public DateTime Time { get; set; }
+
+    [JsonProperty("cost")]
+    public decimal Cost { get; set; }
+
+    [JsonProperty("tokens")]
+    public long Tokens { get; set; }
+}
+
+/// <summary>
+/// 成本分项统计（代理密钥 / 分组 / 模型）
+/// </summary>
+public class CostBreakdownItem
+{
+    [JsonProperty("key")]
+    public string Key { get; set; } = string.Empty;
+
+    [JsonProperty("name")]
+    public string Name { get; set; } = string.Empty;
+
+    [JsonProperty("requests")]
+    public long Requests { get; set; }
+
+    [JsonProperty("prompt_tokens")]
+    public long PromptTokens { get; set; }
+
+    [JsonProperty("completion_tokens")]
+    public long CompletionTokens { get; set; }
+
+    [JsonProperty("cost")]
+    public decimal Cost { get; set; }
+}
+
+/// <summary>
+/// 模型价格与成本估算服务接口
+/// </summary>
+public interface IPricingService
+{
+    /// <summary>
+    /// 获取所有模型价格
+    /// </summary>
+    Task<List<ModelPrice>> GetPricesAsync();
+
+    /// <summary>
+    /// 新增或修改模型价格；id 为空时新增
+    /// </summary>
+    Task<ModelPrice> SavePriceAsync(ModelPriceRequest request, int? id = null);
+
+    /// <summary>
+    /// 删除模型价格，返回被删除的记录
+    /// </summary>
+    Task<ModelPrice?> DeletePriceAsync(int id);
+
+    /// <summary>
+    /// 恢复内置默认价格（补充缺失项并将同名项重置为默认值），返回变更条数
+    /// </summary>
+    Task<int> RestoreDefaultPricesAsync();
+
+    /// <summary>
+    /// 获取当前价格查找表（带缓存）
+    /// </summary>
+    Task<ModelPriceTable> GetPriceTableAsync();
+
+    /// <summary>
+    /// 为日志列表填充估算成本
+    /// </summary>
+    Task ApplyEstimatedCostsAsync(IEnumerable<LogResponseDto> logs);
+
+    /// <summary>
+    /// 按时间范围统计成本（1h、6h、24h、7d、30d，空为全部）
+    /// </summary>
+    Task<CostStatsResult> GetCostStatsAsync(string? range);
+}
+
+/// <summary>
+/// 模型价格与成本估算服务实现
+/// </summary>
+public class PricingService : IPricingService
+{
+    /// <summary>
+    /// 价格查找表缓存键，分组价格变更时需要清除
+    /// </summary>
+    public const string PriceTableCacheKey = "pricing:price_table";
+
+    private readonly ISqlSugarClient _db;
+    private readonly IMemoryCache _cache;
+    private readonly ILogger<PricingService> _logger;
+
+    public PricingService(ISqlSugarClient db, IMemoryCache cache, ILogger<PricingService> logger)
+    {
+        _db = db;
+        _cache = cache;
+        _logger = logger;
+    }
+
+    public async Task<List<ModelPrice>> GetPricesAsync()
+    {
+        return await _db.Queryable<ModelPrice>()
+            .OrderBy(p => p.Model)
+            .ToListAsync();
+    }
+
+    public async Task<ModelPrice> SavePriceAsync(ModelPriceRequest request, int? id = null)
+    {
+        var model = request.Model.Trim();
+        EnsureValidPrice(model, request.InputPrice, request.OutputPrice);
+
+        var currentId = id ?? 0;
+        var duplicate = await _db.Queryable<ModelPrice>()
+            .Where(p => p.Model == model && p.Id != currentId)
+            .AnyAsync();
+        if (duplicate)
+        {
+            throw new InvalidOperationException($"模型 {model} 的价格已存在");
+        }
+
+        ModelPrice price;
+        if (id.HasValue)
+        {
+            price = await _db.Queryable<ModelPrice>().Where(p => p.Id == currentId).FirstAsync()
+                ?? throw new InvalidOperationException("价格记录不存在");
+
+            // 手动修改后标记为自定义价格，恢复默认时同名项会被重置为内置价格
+            price.IsBuiltin = false;
+            price.Model = model;
+            price.InputPrice = request.InputPrice;
+            price.OutputPrice = request.OutputPrice;
+            price.UpdatedAt = DateTime.Now;
+            await _db.Updateable(price).ExecuteCommandAsync();
+        }
+        else
+        {
+            price = new ModelPrice
+            {
+                Model = model,
+                InputPrice = request.InputPrice,
+                OutputPrice = request.OutputPrice,
+                CreatedAt = DateTime.Now,
+                UpdatedAt = DateTime.Now
+            };
+            price.Id = await _db.Insertable(price).ExecuteReturnIdentityAsync();
+        }
+
+        InvalidatePriceTable();
+        _logger.LogInformation("保存模型价格: {Model}, 输入 {InputPrice}/1K, 输出 {OutputPrice}/1K",
+            model, price.InputPrice, price.OutputPrice);
+        return price;
+    }
+
+    public async Task<ModelPrice?> DeletePriceAsync(int id)
+    {
+        var price = await _db.Queryable<ModelPrice>().Where(p => p.Id == id).FirstAsync();
+        if (price == null)
+            return null;
+
+        await _db.Deleteable<ModelPrice>().Where(p => p.Id == id).ExecuteCommandAsync();
+
+        InvalidatePriceTable();
+        _logger.LogInformation("删除模型价格: {Model}", price.Model);
+        return price;
+    }
+
+    public async Task<int> RestoreDefaultPricesAsync()
+    {
+        var existing = (await _db.Queryable<ModelPrice>().ToListAsync())
+            .GroupBy(p => p.Model, StringComparer.OrdinalIgnoreCase)
+            .ToDictionary(g => g.Key, g => g.First(), StringComparer.OrdinalIgnoreCase);
+
+        var inserts = new List<ModelPrice>();
+        var updates = new List<ModelPrice>();
+
+        foreach (var defaultPrice in DefaultModelPrices.Create())
+        {
+            if (!existing.TryGetValue(defaultPrice.Model, out var current))
+            {
+                inserts.Add(defaultPrice);
+            }
+            else if (!current.IsBuiltin ||
+                     current.InputPrice != defaultPrice.InputPrice ||
+                     current.OutputPrice != defaultPrice.OutputPrice)
+            {
+                current.InputPrice = defaultPrice.InputPrice;
+                current.OutputPrice = defaultPrice.OutputPrice;
+                current.IsBuiltin = true;
+                current.UpdatedAt = DateTime.Now;
+                updates.Add(current);
+            }
+        }
+
+        if (inserts.Count > 0)
+            await _db.Insertable(inserts).ExecuteCommandAsync();
+        if (updates.Count > 0)
+            await _db.Updateable(updates).ExecuteCommandAsync();
+
+        InvalidatePriceTable();
+        _logger.LogInformation("恢复默认模型价格: 新增 {Inserted} 条，重置 {Updated} 条", inserts.Count, updates.Count);
+        return inserts.Count + updates.Count;
+    }
+
+    public async Task<ModelPriceTable> GetPriceTableAsync()
+    {
+        if (_cache.TryGetValue(PriceTableCacheKey, out ModelPriceTable? cachedTable) && cachedTable != null)
+        {
+            return cachedTable;
+        }
+
+        var prices = await _db.Queryable<ModelPrice>().ToListAsync();
+
+        // 包含已删除的分组，历史日志仍可按其模型映射估算成本
+        var groups = await _db.Queryable<GroupConfig>()
+            .Select(g => new { Id = g.Id, ModelAliases = g.ModelAliases, ModelPrices = g.ModelPrices })
+            .ToListAsync();
+        var groupAliases = new Dictionary<string, Dictionary<string, string>>();
+        var groupPrices = new Dictionary<string, ModelPriceTable>();
+        foreach (var group in groups)
+        {
+            if (!string.IsNullOrEmpty(group.ModelAliases))
+            {
+                try
+                {
+                    var aliases = JsonConvert.DeserializeObject<Dictionary<string, string>>(group.ModelAliases);
+                    if (aliases != null && aliases.Count > 0)
+                    {
+                        groupAliases[group.Id] = aliases;
+                    }
+                }
+                catch (JsonException ex)
+                {
+                    _logger.LogDebug(ex, "解析分组 {GroupId} 模型映射失败", group.Id);
+                }
+            }
+
+            var modelPrices = ParseGroupPrices(group.ModelPrices);
+            if (modelPrices.Count > 0)
+            {
+                groupPrices[group.Id] = new ModelPriceTable(
+                    modelPrices.Select(p => new ModelPrice
+                    {
+                        Model = p.Key,
+                        InputPrice = p.Value.InputPrice,
+                        OutputPrice = p.Value.OutputPrice
+                    }),
+                    new Dictionary<string, Dictionary<string, string>>());
+            }
+        }
+
+        var table = new ModelPriceTable(prices, groupAliases, groupPrices);
+        _cache.Set(PriceTableCacheKey, table, TimeSpan.FromMinutes(5));
+        return table;
+    }
+
+    public async Task ApplyEstimatedCostsAsync(IEnumerable<LogResponseDto> logs)
+    {
+        try
+        {
+            var table = await GetPriceTableAsync();
+            foreach (var log in logs)
+            {
+                log.EstimatedCost = table.EstimateCost(log.Model, log.GroupId, log.PromptTokens, log.CompletionTokens);
+            }
+        }
+        catch (Exception ex)
+        {
+            // 成本仅用于展示，估算失败不影响日志查询
+            _logger.LogWarning(ex, "估算日志成本失败");
+        }
+    }
+
+    public async Task<CostStatsResult> GetCostStatsAsync(string? range)
+    {
+        var now = DateTime.Now;
+        var (startTime, bucket) = ResolveRange(range, now);
+
+        var query = _db.Queryable<RequestLog>()
+            .Where(rl => rl.PromptTokens != null || rl.CompletionTokens != null);
+        if (startTime.HasValue)
+        {
+            query = query.Where(rl => rl.CreatedAt >= startTime.Value);
+        }
+
+        var rawData = await query
+            .Select(rl => new
+            {
+                ProxyKeyId = rl.ProxyKeyId,
+                GroupId = rl.GroupId,
+                Model = rl.Model,
+                PromptTokens = rl.PromptTokens,
+                CompletionTokens = rl.CompletionTokens,
+                CreatedAt = rl.CreatedAt
+            })
+            .ToListAsync();
+
+        var table = await GetPriceTableAsync();
+        var proxyKeyNames = await _db.Queryable<ProxyKey>()
+            .Select(pk => new { Id = pk.Id, KeyName = pk.KeyName })
+            .ToListAsync();
+        var groupNames = await _db.Queryable<GroupConfig>()
+            .Select(g => new { Id = g.Id, GroupName = g.GroupName })
+            .ToListAsync();
+
+        var rows = rawData.Select(r => new
+        {
+            r.ProxyKeyId,
+            r.GroupId,
+            Model = r.Model ?? string.Empty,
+            PromptTokens = (long)(r.PromptTokens ?? 0),
+            CompletionTokens = (long)(r.CompletionTokens ?? 0),
+            r.CreatedAt,
+            Cost = table.EstimateCost(r.Model, r.GroupId, r.PromptTokens, r.CompletionTokens)
+        }).ToList();
+
+        var result = new CostStatsResult
+        {
+            Range = range ?? string.Empty,
+            BucketMinutes = (int)bucket.TotalMinutes,
+            TotalCost = Math.Round(rows.Sum(r => r.Cost ?? 0), 6),
+            PromptTokens = rows.Sum(r => r.PromptTokens),
+            CompletionTokens = rows.Sum(r => r.CompletionTokens),
+            PricedRequests = rows.Count(r => r.Cost.HasValue),
+            UnpricedRequests = rows.Count(r => !r.Cost.HasValue),
+            UnpricedModels = rows
+                .Where(r => !r.Cost.HasValue && r.Model.Length > 0)
+                .Select(r => r.Model)
+                .Distinct()
+                .OrderBy(m => m)
+                .ToList()
+        };
+
+        // 时间线：有明确范围时补齐空桶，便于图表连续展示
+        var costByBucket = rows
+            .GroupBy(r => FloorToBucket(r.CreatedAt, bucket))
+            .ToDictionary(g => g.Key, g => (Cost: g.Sum(r => r.Cost ?? 0), Tokens: g.Sum(r => r.PromptTokens + r.CompletionTokens)));
+        var bucketTimes = startTime.HasValue
+            ? EnumerateBuckets(FloorToBucket(startTime.Value, bucket), now, bucket)
+            : costByBucket.Keys.OrderBy(t => t);
+        result.Timeline = bucketTimes.Select(time =>
+        {
+            costByBucket.TryGetValue(time, out var point);
+            return new CostTimelinePoint
+            {
+                Time = time,
+                Cost = Math.Round(point.Cost, 6),
+                Tokens = point.Tokens
+            };
+        }).ToList();
+
+        result.ByProxyKey = rows
+            .GroupBy(r => r.ProxyKeyId)
+            .Select(g => BuildBreakdown(
+                g.Key?.ToString() ?? string.Empty,
+                g.Key == null ? "无代理密钥" : proxyKeyNames.FirstOrDefault(pk => pk.Id == g.Key)?.KeyName ?? $"已删除密钥 #{g.Key}",
+                g.Select(r => (r.PromptTokens, r.CompletionTokens, r.Cost))))
+            .OrderByDescending(b => b.Cost)
+            .ToList();
+
+        result.ByGroup = rows
+            .GroupBy(r => r.GroupId ?? string.Empty)
+            .Select(g => BuildBreakdown(
+                g.Key,
+                g.Key.Length == 0 ? "无分组" : groupNames.FirstOrDefault(gc => gc.Id == g.Key)?.GroupName ?? g.Key,
+                g.Select(r => (r.PromptTokens, r.CompletionTokens, r.Cost))))
+            .OrderByDescending(b => b.Cost)
+            .ToList();
+
+        result.ByModel = rows
+            .GroupBy(r => r.Model)
+            .Select(g => BuildBreakdown(
+                g.Key,
+                g.Key.Length == 0 ? "未知模型" : g.Key,
+                g.Select(r => (r.PromptTokens, r.CompletionTokens, r.Cost))))
+            .OrderByDescending(b => b.Cost)
+            .ToList();
+
+        return result;
+    }
+
+    /// <summary>
+    /// 解析分组模型价格字段，格式无效时返回空表
+    /// </summary>
+    public static Dictionary<string, GroupModelPrice> ParseGroupPrices(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+            return new Dictionary<string, GroupModelPrice>();
+
+        try
+        {
+            return JsonConvert.DeserializeObject<Dictionary<string, GroupModelPrice>>(json)
+                ?? new Dictionary<string, GroupModelPrice>();
+        }
+        catch (JsonException)
+        {
+            return new Dictionary<string, GroupModelPrice>();
+        }
+    }
+
+    /// <summary>
+    /// 校验并序列化分组模型价格，价格表为空时返回 null
+    /// </summary>
+    public static string? SerializeGroupPrices(Dictionary<string, GroupModelPrice>? prices)
+    {
+        if (prices == null || prices.Count == 0)
+            return null;
+
+        var normalized = new Dictionary<string, GroupModelPrice>(StringComparer.OrdinalIgnoreCase);
+        foreach (var (rawModel, price) in prices)
+        {
+            var model = rawModel.Trim();
+            EnsureValidPrice(model, price.InputPrice, price.OutputPrice);
+            if (!normalized.TryAdd(model, price))
+            {
+                throw new ArgumentException($"模型 {model} 的价格重复配置");
+            }
+        }
+
+        return JsonConvert.SerializeObject(normalized);
+    }
+
+    private static void EnsureValidPrice(string model, decimal inputPrice, decimal outputPrice)
+    {
+        if (string.IsNullOrEmpty(model))
+        {
+            throw new ArgumentException("模型名称不能为空");
+        }
+        if (model.IndexOf('*') >= 0 && (model.IndexOf('*') != model.Length - 1 || model.Length == 1))
+        {
+            throw new ArgumentException("通配符 * 只能出现在模型名称末尾，例如 gpt-4o*");
+        }
+        if (inputPrice < 0 || outputPrice < 0)
+        {
+            throw new ArgumentException("价格不能为负数");
+        }
+    }
+
+    private void InvalidatePriceTable()
+    {
+        _cache.Remove(PriceTableCacheKey);
+    }
+
+    private static CostBreakdownItem BuildBreakdown(string key, string name,
+        IEnumerable<(long PromptTokens, long CompletionTokens, decimal? Cost)> rows)
+    {
+        var list = rows.ToList();
+        return new CostBreakdownItem
+        {
+            Key = key,
+            Name = name,
+            Requests = list.Count,
+            PromptTokens = list.Sum(r => r.PromptTokens),
+            CompletionTokens = list.Sum(r => r.CompletionTokens),
+            Cost = Math.Round(list.Sum(r => r.Cost ?? 0), 6)
+        };
+    }
+
+    /// <summary>
+    /// 解析统计时间范围，返回起始时间和时间线分桶大小
+    /// </summary>
+    private static (DateTime? StartTime, TimeSpan Bucket) ResolveRange(string? range, DateTime now)
+    {
+        return range switch
+        {
+            "1h" => (now.AddHours(-1), TimeSpan.FromMinutes(5)),
+            "6h" => (now.AddHours(-6), TimeSpan.FromMinutes(30)),
+            "24h" => (now.AddHours(-24), TimeSpan.FromHours(1)),
+            "7d" => (now.AddDays(-7), TimeSpan.FromDays(1)),
+            "30d" => (now.AddDays(-30), TimeSpan.FromDays(1)),
+            _ => (null, TimeSpan.FromDays(1))
+        };
+    }
+
+    private static DateTime FloorToBucket(DateTime time, TimeSpan bucket)
+    {
+        return new DateTime(time.Ticks - time.Ticks % bucket.Ticks, time.Kind);
+    }
+
+    private static IEnumerable<DateTime> EnumerateBuckets(DateTime start, DateTime end, TimeSpan bucket)
+    {
+        for (var time = start; time <= end; time = time.Add(bucket))
+        {
+            yield return time;
+        }
+    }
+}
@@ -1,4 +1,5 @@
 using OrchestrationApi.Models;
+using OrchestrationApi.Services.Providers;
 using Microsoft.Extensions.Caching.Memory;
 using Newtonsoft.Json;
 using SqlSugar;
@@ -35,9 +36,10 @@ public interface IProviderRouter
     /// <param name="proxyKey">代理密钥</param>
     /// <param name="forcedProviderType">强制服务商类型</param>
     /// <param name="excludedGroups">需要排除的分组ID列表（用于避免重复选择已失败的分组）</param>
+    /// <param name="targetGroupId">指定分组ID（用于对比测试等需要固定分组的场景，仍受代理密钥权限限制）</param>
     /// <returns>路由结果</returns>
     /// </summary>
-    Task<ProviderRouteResult> RouteRequestAsync(string model, string proxyKey, string? forcedProviderType, HashSet<string>? excludedGroups = null);
+    Task<ProviderRouteResult> RouteRequestAsync(string model, string proxyKey, string? forcedProviderType, HashSet<string>? excludedGroups = null, string? targetGroupId = null);
 
     /// <summary>
     /// 获取指定代理密钥允许访问的分组
@@ -82,17 +84,29 @@ public class ProviderRouter : IProviderRouter
     private readonly IKeyManager _keyManager;
     private readonly ILogger<ProviderRouter> _logger;
     private readonly IMemoryCache _cache;
+    private readonly IGroupLoadTracker _loadTracker;
+    private readonly IPricingService _pricingService;
+    private readonly ICircuitBreakerService _circuitBreaker;
+    private readonly IMaintenanceService _maintenanceService;
 
     public ProviderRouter(
         ISqlSugarClient db,
         IKeyManager keyManager,
         ILogger<ProviderRouter> logger,
-        IMemoryCache cache)
+        IMemoryCache cache,
+        IGroupLoadTracker loadTracker,
+        IPricingService pricingService,
+        ICircuitBreakerService circuitBreaker,
+        IMaintenanceService maintenanceService)
     {
         _db = db;
         _keyManager = keyManager;
         _logger = logger;
         _cache = cache;
+        _loadTracker = loadTracker;
+        _pricingService = pricingService;
+        _circuitBreaker = circuitBreaker;
+        _maintenanceService = maintenanceService;
     }
 
     /// <summary>
@@ -102,12 +116,14 @@ public class ProviderRouter : IProviderRouter
     /// <param name="proxyKey">代理密钥</param>
     /// <param name="forcedProviderType">强制服务商类型</param>
     /// <param name="excludedGroups">需要排除的分组ID列表（用于避免重复选择已失败的分组）</param>
+    /// <param name="targetGroupId">指定分组ID（用于对比测试等需要固定分组的场景，仍受代理密钥权限限制）</param>
     /// <returns>路由结果</returns>
     public async Task<ProviderRouteResult> RouteRequestAsync(
         string model,
         string proxyKey,
         string? forcedProviderType,
-        HashSet<string>? excludedGroups = null)
+        HashSet<string>? excludedGroups = null,
+        string? targetGroupId = null)
     {
         try
         {
@@ -148,7 +164,20 @@ public class ProviderRouter : IProviderRouter
                 };
             }
 
-            // 2.1 排除已失败的分组
+            // 2.1 指定分组时只保留该分组
+            if (!string.IsNullOrEmpty(targetGroupId))
+            {
+                candidateGroups = candidateGroups.Where(g => g.Id == targetGroupId).ToList();
+                if (candidateGroups.Count == 0)
+                {
+                    return new ProviderRouteResult
+                    {
+                        ErrorMessage = $"指定的分组 {targetGroupId} 不支持模型 {model} 或无权访问"
+                    };
+                }
+            }
+
+            // 2.2 排除已失败的分组
             if (excludedGroups != null && excludedGroups.Count > 0)
             {
                 var originalCount = candidateGroups.Count;
@@ -164,8 +193,44 @@ public class ProviderRouter : IProviderRouter
                     string.Join(", ", excludedGroups), originalCount, candidateGroups.Count);
             }
 
+            // 2.3 排除熔断中的分组
+            var openGroups = candidateGroups.Where(g => !_circuitBreaker.CanRoute(g)).ToList();
+            if (openGroups.Count > 0)
+            {
+                candidateGroups = candidateGroups.Except(openGroups).ToList();
+                if (candidateGroups.Count == 0)
+                {
+                    return new ProviderRouteResult
+                    {
+                        ErrorMessage = $"所有支持模型 {model} 的分组都处于熔断状态"
+                    };
+                }
+                _logger.LogDebug("排除熔断中的分组 [{OpenGroups}] 后，剩余候选分组 {RemainingCount} 个",
+                    string.Join(", ", openGroups.Select(g => g.Id)), candidateGroups.Count);
+            }
+
+            // 2.4 排除处于维护窗口内的分组
+            var maintenanceGroupIds = await _maintenanceService.GetGroupsInMaintenanceAsync();
+            if (maintenanceGroupIds.Count > 0)
+            {
+                var maintenanceGroups = candidateGroups.Where(g => maintenanceGroupIds.Contains(g.Id)).ToList();
+                if (maintenanceGroups.Count > 0)
+                {
+                    candidateGroups = candidateGroups.Except(maintenanceGroups).ToList();
+                    if (candidateGroups.Count == 0)
+                    {
+                        return new ProviderRouteResult
+                        {
+                            ErrorMessage = $"所有支持模型 {model} 的分组都处于维护窗口内"
+                        };
+                    }
+                    _logger.LogDebug("排除维护中的分组 [{MaintenanceGroups}] 后，剩余候选分组 {RemainingCount} 个",
+                        string.Join(", ", maintenanceGroups.Select(g => g.Id)), candidateGroups.Count);
+                }
+            }
+
             // 3. 应用代理密钥的分组间负载均衡策略
-            var selectedGroup = SelectGroupByProxyKeyPolicy(candidateGroups, validatedProxyKey, forcedProviderType);
+            var selectedGroup = await SelectGroupByProxyKeyPolicyAsync(candidateGroups, validatedProxyKey, forcedProviderType, model);
 
             // 4. 检查分组权限
             if (!await CheckGroupPermissionAsync(selectedGroup.Id, proxyKey, forcedProviderType))
@@ -253,16 +318,19 @@ public class ProviderRouter : IProviderRouter
                 [] :
                 JsonConvert.DeserializeObject<List<string>>(validatedProxyKey.AllowedGroups) ?? [];
 
+            // 请求协议可能对应多种服务商类型（如 openai 协议包含 azure_openai）
+            var providerTypes = ProviderRegistry.GetTypesForProtocol(providerType);
+
             if (allowedGroupIds.Count == 0)
             {
                 // 如果没有指定允许的分组，则返回所有启用的分组
                 return await _db.Queryable<GroupConfig>()
-                    .Where(g => !g.IsDeleted && g.Enabled && (string.IsNullOrEmpty(providerType) || g.ProviderType == providerType))
+                    .Where(g => !g.IsDeleted && g.Enabled && (string.IsNullOrEmpty(providerType) || providerTypes.Contains(g.ProviderType)))
                     .ToListAsync();
             }
 
             return await _db.Queryable<GroupConfig>()
-                .Where(g => !g.IsDeleted && allowedGroupIds.Contains(g.Id) && g.Enabled && (string.IsNullOrEmpty(providerType) || g.ProviderType == providerType))
+                .Where(g => !g.IsDeleted && allowedGroupIds.Contains(g.Id) && g.Enabled && (string.IsNullOrEmpty(providerType) || providerTypes.Contains(g.ProviderType)))
                 .ToListAsync();
         }
         catch (Exception ex)
@@ -288,8 +356,9 @@ public class ProviderRouter : IProviderRouter
                 return cachedGroups ?? new List<GroupConfig>();
             }
 
+            var providerTypes = ProviderRegistry.GetTypesForProtocol(providerType);
             var query = _db.Queryable<GroupConfig>()
-                .Where(g => !g.IsDeleted && g.Enabled && (string.IsNullOrEmpty(providerType) || g.ProviderType == providerType));
+                .Where(g => !g.IsDeleted && g.Enabled && (string.IsNullOrEmpty(providerType) || providerTypes.Contains(g.ProviderType)));
 
             var allGroups = await query.ToListAsync();
 
@@ -428,13 +497,16 @@ public class ProviderRouter : IProviderRouter
     /// <param name="candidateGroups">候选分组</param>
     /// <param name="proxyKey">代理密钥</param>
     /// <param name="forcedProviderType">强制服务商类型</param>
+    /// <param name="model">请求的模型名称</param>
     /// <returns>选择的分组</returns>
-    private GroupConfig SelectGroupByProxyKeyPolicy(List<GroupConfig> candidateGroups, ProxyKey? proxyKey, string? forcedProviderType)
+    private async Task<GroupConfig> SelectGroupByProxyKeyPolicyAsync(List<GroupConfig> candidateGroups, ProxyKey? proxyKey,
+        string? forcedProviderType, string model)
     {
 
+        var forcedProviderTypes = ProviderRegistry.GetTypesForProtocol(forcedProviderType);
         List<GroupConfig> filteredGroups = string.IsNullOrEmpty(forcedProviderType)
             ? candidateGroups
-            : candidateGroups.Where(g => g.ProviderType == forcedProviderType).ToList();
+            : candidateGroups.Where(g => forcedProviderTypes.Contains(g.ProviderType)).ToList();
 
         // 如果没有代理密钥或只有一个候选分组，使用默认故障转移策略
         if (proxyKey == null || filteredGroups.Count == 1)
@@ -452,6 +524,9 @@ public class ProviderRouter : IProviderRouter
             "weighted" => SelectGroupByWeight(filteredGroups, proxyKey),
             "random" => SelectGroupByRandom(filteredGroups),
             "failover" => SelectGroupByFailover(filteredGroups),
+            "lowest_latency" => SelectGroupByLowestLatency(filteredGroups),
+            "least_inflight" => SelectGroupByLeastInflight(filteredGroups),
+            "cheapest_first" => await SelectGroupByCheapestAsync(filteredGroups, model),
             _ => SelectGroupByFailover(filteredGroups) // 默认使用故障转移策略
         };
     }
@@ -466,6 +541,66 @@ public class ProviderRouter : IProviderRouter
         return groups.OrderByDescending(g => g.Priority).First();
     }
 
+    /// <summary>
+    /// 按最低延迟策略选择分组（响应时间EWMA最小，失败按惩罚耗时计入），尚无样本的分组先分配少量探测请求
+    /// </summary>
+    /// <param name="groups">分组</param>
+    /// <returns>选择的分组</returns>
+    private GroupConfig SelectGroupByLowestLatency(List<GroupConfig> groups)
+    {
+        var selected = groups
+            .Select(g => (Group: g, Load: _loadTracker.GetSnapshot(g.Id)))
+            .OrderBy(x => x.Load.LatencyScoreMs ?? double.MaxValue)
+            .ThenBy(x => x.Load.Inflight)
+            .ThenByDescending(x => x.Group.Priority)
+            .First();
+
+        _logger.LogDebug("最低延迟选择分组 - 分组: {GroupId}, EWMA延迟: {Latency}ms",
+            selected.Group.Id, selected.Load.EwmaLatencyMs);
+        return selected.Group;
+    }
+
+    /// <summary>
+    /// 按最少并发策略选择分组（当前处理中的请求数最少），并发相同时选择延迟较低的分组
+    /// </summary>
+    /// <param name="groups">分组</param>
+    /// <returns>选择的分组</returns>
+    private GroupConfig SelectGroupByLeastInflight(List<GroupConfig> groups)
+    {
+        var selected = groups
+            .Select(g => (Group: g, Load: _loadTracker.GetSnapshot(g.Id)))
+            .OrderBy(x => x.Load.Inflight)
+            .ThenBy(x => x.Load.LatencyScoreMs ?? double.MaxValue)
+            .ThenByDescending(x => x.Group.Priority)
+            .First();
+
+        _logger.LogDebug("最少并发选择分组 - 分组: {GroupId}, 并发数: {Inflight}",
+            selected.Group.Id, selected.Load.Inflight);
+        return selected.Group;
+    }
+
+    /// <summary>
+    /// 按最低价格策略选择分组（分组价格表中该模型输入+输出单价之和最小），未配置价格的分组排在最后；
+    /// 失败的分组会被排除后重新路由，因此出错时按价格从低到高依次回退
+    /// </summary>
+    /// <param name="groups">分组</param>
+    /// <param name="model">请求的模型名称</param>
+    /// <returns>选择的分组</returns>
+    private async Task<GroupConfig> SelectGroupByCheapestAsync(List<GroupConfig> groups, string model)
+    {
+        var priceTable = await _pricingService.GetPriceTableAsync();
+        var selected = groups
+            .Select(g => (Group: g, Price: priceTable.FindGroupPrice(model, g.Id)))
+            .OrderBy(x => x.Price == null)
+            .ThenBy(x => x.Price == null ? 0 : x.Price.InputPrice + x.Price.OutputPrice)
+            .ThenByDescending(x => x.Group.Priority)
+            .First();
+
+        _logger.LogDebug("最低价格选择分组 - 分组: {GroupId}, 模型: {Model}, 输入 {InputPrice}/1K, 输出 {OutputPrice}/1K",
+            selected.Group.Id, model, selected.Price?.InputPrice, selected.Price?.OutputPrice);
+        return selected.Group;
+    }
+
     /// <summary>
     /// 按轮询策略选择分组
     /// </summary>
@@ -0,0 +1,67 @@
+using System.Collections.Concurrent;
+
+namespace OrchestrationApi.Services.Core;
+
+/// <summary>
+/// 代理密钥每分钟请求数限流接口（滑动窗口）
+/// </summary>
+public interface IProxyKeyRateLimiter
+{
+    /// <summary>
+    /// 尝试在最近一分钟的窗口内占用一次请求，未超出限制时计入窗口并返回 true，被拒绝的请求不计入
+    /// </summary>
+    bool TryAcquire(int proxyKeyId, int rpmLimit);
+
+    /// <summary>
+    /// 获取代理密钥最近一分钟内已计入的请求数
+    /// </summary>
+    int GetRequestsLastMinute(int proxyKeyId);
+}
+
+/// <summary>
+/// 代理密钥限流实现（进程内内存统计，不依赖请求日志是否开启或已写入数据库，重启后重新累计）
+/// </summary>
+public class ProxyKeyRateLimiter : IProxyKeyRateLimiter
+{
+    private static readonly TimeSpan Window = TimeSpan.FromMinutes(1);
+
+    private readonly ConcurrentDictionary<int, Queue<DateTime>> _windows = new();
+
+    public bool TryAcquire(int proxyKeyId, int rpmLimit)
+    {
+        var window = _windows.GetOrAdd(proxyKeyId, _ => new Queue<DateTime>());
+        var now = DateTime.UtcNow;
+        lock (window)
+        {
+            Evict(window, now);
+            if (rpmLimit > 0 && window.Count >= rpmLimit)
+            {
+                return false;
+            }
+
+            window.Enqueue(now);
+            return true;
+        }
+    }
+
+    public int GetRequestsLastMinute(int proxyKeyId)
+    {
+        if (!_windows.TryGetValue(proxyKeyId, out var window))
+            return 0;
+
+        lock (window)
+        {
+            Evict(window, DateTime.UtcNow);
+            return window.Count;
+        }
+    }
+
+    private static void Evict(Queue<DateTime> window, DateTime now)
+    {
+        var cutoff = now - Window;
+        while (window.Count > 0 && window.Peek() <= cutoff)
+        {
+            window.Dequeue();
+        }
+    }
+}
@@ -2,6 +2,7 @@ using OrchestrationApi.Models;
 using OrchestrationApi.Configuration;
 using SqlSugar;
 using Microsoft.Extensions.Options;
+using System.Linq.Expressions;
 
 namespace OrchestrationApi.Services.Core;
 
@@ -23,6 +24,29 @@ public class PagedLogsDtoResult
     public int TotalCount { get; set; }
 }
 
+/// <summary>
+/// 实时日志流增量结果
+/// </summary>
+public class LogTailResult
+{
+    public List<LogResponseDto> Logs { get; set; } = new();
+
+    /// <summary>
+    /// 下次查询的起始游标（该ID及之前的日志均已处理完毕）
+    /// </summary>
+    public int Cursor { get; set; }
+
+    /// <summary>
+    /// 已扫描到的最大日志ID，下次从这里之后查询新日志
+    /// </summary>
+    public int ScannedId { get; set; }
+
+    /// <summary>
+    /// 已扫描范围内仍未完成的日志ID，完成后在下次查询时补推
+    /// </summary>
+    public List<int> WaitingIds { get; set; } = new();
+}
+
 /// <summary>
 /// 请求日志接口
 /// </summary>
@@ -47,12 +71,30 @@ public interface IRequestLogger
         int? promptTokens = null, int? completionTokens = null, int? totalTokens = null,
         string? groupId = null, string? providerType = null, string? model = null, bool hasTools = false, bool isStreaming = false, string? openrouterKey = null);
 
+    /// <summary>
+    /// 补充请求的Token用量（响应透传结束后才能解析得到）
+    /// </summary>
+    Task UpdateTokenUsageAsync(string requestId, int promptTokens, int completionTokens);
+
     /// <summary>
     /// 获取请求日志 - 返回前端格式DTO
     /// </summary>
     Task<PagedLogsDtoResult> GetLogsDtoAsync(int page = 1, int pageSize = 20, string? proxyKeyFilter = null, 
         string? groupFilter = null, string? modelFilter = null, string? statusFilter = null, string? typeFilter = null);
 
+    /// <summary>
+    /// 获取当前最大日志ID（实时日志流的初始游标）
+    /// </summary>
+    Task<int> GetMaxLogIdAsync();
+
+    /// <summary>
+    /// 获取游标之后新完成的日志（实时日志流），筛选条件与GetLogsDtoAsync一致。
+    /// scannedId 与 waitingIds 取自上一次的结果，deliveredIds 用于去除已推送过的日志
+    /// </summary>
+    Task<LogTailResult> GetLogTailAsync(int afterId, int scannedId, IReadOnlyCollection<int> waitingIds,
+        ISet<int> deliveredIds, string? proxyKeyFilter = null,
+        string? groupFilter = null, string? modelFilter = null, string? statusFilter = null, string? typeFilter = null);
+
     /// <summary>
     /// 获取日志统计信息
     /// </summary>
@@ -170,6 +212,38 @@ public class RequestLogger : IRequestLogger
         _serviceProvider = serviceProvider;
     }
 
+    /// <summary>
+    /// 日志列表DTO投影（列表查询与实时日志流共用）
+    /// </summary>
+    private static readonly Expression<Func<RequestLog, ProxyKey, GroupConfig, LogResponseDto>> LogDtoSelector =
+        (rl, pk, gc) => new LogResponseDto
+        {
+            Id = rl.Id,
+            RequestId = rl.RequestId,
+            ProxyKeyName = pk.KeyName,
+            ProxyKeyId = rl.ProxyKeyId,
+            ProviderGroup = $"{rl.ProviderType ?? "未知"} ({rl.GroupId ?? "无分组"})",
+            GroupId = rl.GroupId,
+            Model = rl.Model,
+            StatusCode = rl.StatusCode,
+            Duration = rl.DurationMs,
+            TokensUsed = rl.TotalTokens,
+            ClientIp = rl.ClientIp,
+            OpenrouterKey = rl.OpenrouterKey,
+            Error = rl.ErrorMessage,
+            IsStream = rl.IsStreaming,
+            CreatedAt = rl.CreatedAt,
+            RequestBody = rl.RequestBody,
+            ResponseBody = rl.ResponseBody,
+            RequestHeaders = rl.RequestHeaders,
+            ResponseHeaders = rl.ResponseHeaders,
+            PromptTokens = rl.PromptTokens,
+            CompletionTokens = rl.CompletionTokens,
+            TotalTokens = rl.TotalTokens,
+            HasTools = rl.HasTools,
+            ContentTruncated = rl.ContentTruncated
+        };
+
     public async Task LogRequestAsync(RequestLog requestLog)
     {
         if (!_options.Enabled) return;
@@ -422,74 +496,58 @@ public class RequestLogger : IRequestLogger
             .ExecuteCommandAsync();
     }
 
-    public async Task<PagedLogsDtoResult> GetLogsDtoAsync(int page = 1, int pageSize = 20, string? proxyKeyFilter = null,
-        string? groupFilter = null, string? modelFilter = null, string? statusFilter = null, string? typeFilter = null)
+    public async Task UpdateTokenUsageAsync(string requestId, int promptTokens, int completionTokens)
     {
+        if (!_options.Enabled) return;
+
         try
         {
-            var query = _db.Queryable<RequestLog>()
-                .LeftJoin<ProxyKey>((rl, pk) => rl.ProxyKeyId == pk.Id)
-                .LeftJoin<GroupConfig>((rl, pk, gc) => rl.GroupId == gc.Id);
-
-            if (!string.IsNullOrEmpty(proxyKeyFilter) && proxyKeyFilter != "所有密钥")
-            {
-                // 前端发送的是密钥名称字符串，使用JOIN的ProxyKey表匹配KeyName
-                query = query.Where((rl, pk, gc) => pk.KeyName == proxyKeyFilter);
-            }
+            var totalTokens = promptTokens + completionTokens;
 
-            if (!string.IsNullOrEmpty(groupFilter) && groupFilter != "所有分组")
+            // 启用异步队列时必须同样走队列，保证在插入和完成记录之后执行
+            if (_options.Queue.Enabled)
             {
-                // 解析格式化的分组字符串: "ProviderType (GroupId)"
-                // 例如: "openai_responses (packycode_rp)" -> ProviderType="openai_responses", GroupId="packycode_rp"
-                var openParenIndex = groupFilter.IndexOf(" (");
-                var closeParenIndex = groupFilter.LastIndexOf(')');
-
-                if (openParenIndex > 0 && closeParenIndex > openParenIndex)
+                var queueItem = new LogQueueItem
                 {
-                    var providerType = groupFilter.Substring(0, openParenIndex);
-                    var groupId = groupFilter.Substring(openParenIndex + 2, closeParenIndex - openParenIndex - 2);
+                    Type = LogQueueItemType.TokenUsage,
+                    RequestId = requestId,
+                    UpdateData = new LogUpdateData
+                    {
+                        PromptTokens = promptTokens,
+                        CompletionTokens = completionTokens,
+                        TotalTokens = totalTokens
+                    }
+                };
 
-                    query = query.Where((rl, pk, gc) =>
-                        (rl.ProviderType == providerType || (string.IsNullOrEmpty(rl.ProviderType) && providerType == "未知")) &&
-                        (rl.GroupId == groupId || (string.IsNullOrEmpty(rl.GroupId) && groupId == "无分组")));
-                }
-                else
+                var logProcessingService = _serviceProvider.GetService<OrchestrationApi.Services.Background.AsyncLogProcessingService>();
+                if (logProcessingService != null && logProcessingService.EnqueueLog(queueItem))
                 {
-                    // 如果格式不匹配，回退到直接匹配GroupId
-                    query = query.Where((rl, pk, gc) => rl.GroupId == groupFilter);
+                    return;
                 }
             }
 
-            if (!string.IsNullOrEmpty(modelFilter) && modelFilter != "所有模型")
-            {
-                query = query.Where((rl, pk, gc) => rl.Model == modelFilter);
-            }
-
-            if (!string.IsNullOrEmpty(statusFilter) && statusFilter != "所有状态")
-            {
-                // 前端发送的是 "200" 或 "error"
-                if (statusFilter == "200")
-                {
-                    query = query.Where((rl, pk, gc) => rl.StatusCode >= 200 && rl.StatusCode < 300);
-                }
-                else if (statusFilter == "error")
+            await _db.Updateable<RequestLog>()
+                .SetColumns(it => new RequestLog
                 {
-                    query = query.Where((rl, pk, gc) => rl.StatusCode < 200 || rl.StatusCode >= 300);
-                }
-            }
+                    PromptTokens = promptTokens,
+                    CompletionTokens = completionTokens,
+                    TotalTokens = totalTokens
+                })
+                .Where(rl => rl.RequestId == requestId)
+                .ExecuteCommandAsync();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "更新请求Token用量时发生异常: {RequestId}", requestId);
+        }
+    }
 
-            if (!string.IsNullOrEmpty(typeFilter) && typeFilter != "所有类型")
-            {
-                // 前端发送的是 "true" 或 "false" 字符串
-                if (typeFilter == "true")
-                {
-                    query = query.Where((rl, pk, gc) => rl.IsStreaming);
-                }
-                else if (typeFilter == "false")
-                {
-                    query = query.Where((rl, pk, gc) => !rl.IsStreaming);
-                }
-            }
+    public async Task<PagedLogsDtoResult> GetLogsDtoAsync(int page = 1, int pageSize = 20, string? proxyKeyFilter = null,
+        string? groupFilter = null, string? modelFilter = null, string? statusFilter = null, string? typeFilter = null)
+    {
+        try
+        {
+            var query = BuildLogsQuery(proxyKeyFilter, groupFilter, modelFilter, statusFilter, typeFilter);
 
             // 获取总数
             var totalCount = await query.CountAsync();
@@ -497,32 +555,7 @@ public class RequestLogger : IRequestLogger
             // 获取分页数据并转换为DTO
             var logs = await query
                 .OrderByDescending((rl, pk, gc) => rl.CreatedAt)
-                .Select((rl, pk, gc) => new LogResponseDto
-                {
-                    Id = rl.Id,
-                    RequestId = rl.RequestId,
-                    ProxyKeyName = pk.KeyName,
-                    ProxyKeyId = rl.ProxyKeyId,
-                    ProviderGroup = $"{rl.ProviderType ?? "未知"} ({rl.GroupId ?? "无分组"})",
-                    Model = rl.Model,
-                    StatusCode = rl.StatusCode,
-                    Duration = rl.DurationMs,
-                    TokensUsed = rl.TotalTokens,
-                    ClientIp = rl.ClientIp,
-                    OpenrouterKey = rl.OpenrouterKey,
-                    Error = rl.ErrorMessage,
-                    IsStream = rl.IsStreaming,
-                    CreatedAt = rl.CreatedAt,
-                    RequestBody = rl.RequestBody,
-                    ResponseBody = rl.ResponseBody,
-                    RequestHeaders = rl.RequestHeaders,
-                    ResponseHeaders = rl.ResponseHeaders,
-                    PromptTokens = rl.PromptTokens,
-                    CompletionTokens = rl.CompletionTokens,
-                    TotalTokens = rl.TotalTokens,
-                    HasTools = rl.HasTools,
-                    ContentTruncated = rl.ContentTruncated
-                })
+                .Select(LogDtoSelector)
                 .ToPageListAsync(page, pageSize);
 
             return new PagedLogsDtoResult
@@ -542,6 +575,165 @@ public class RequestLogger : IRequestLogger
         }
     }
 
+    public async Task<int> GetMaxLogIdAsync()
+    {
+        try
+        {
+            return await _db.Queryable<RequestLog>().MaxAsync(rl => rl.Id);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取最大日志ID时发生异常");
+            return 0;
+        }
+    }
+
+    public async Task<LogTailResult> GetLogTailAsync(int afterId, int scannedId, IReadOnlyCollection<int> waitingIds,
+        ISet<int> deliveredIds, string? proxyKeyFilter = null,
+        string? groupFilter = null, string? modelFilter = null, string? statusFilter = null, string? typeFilter = null)
+    {
+        const int batchSize = 200;
+        var scanFrom = Math.Max(afterId, scannedId);
+
+        try
+        {
+            // 先固定本轮的ID上限，避免查询期间新写入的日志被跳过
+            var maxId = await GetMaxLogIdAsync();
+
+            // 日志在请求开始时写入（状态码为0），结束时才更新，超过10分钟仍未完成的视为已中断。
+            // 未完成的日志需在补推查询之前获取，避免两次查询之间完成的日志被遗漏
+            var staleBefore = DateTime.Now.AddMinutes(-10);
+            var pendingIds = await _db.Queryable<RequestLog>()
+                .Where(rl => rl.Id > afterId && rl.Id <= maxId && rl.StatusCode == 0 && rl.CreatedAt > staleBefore)
+                .Select(rl => rl.Id)
+                .ToListAsync();
+
+            // 新日志从已扫描位置之后分页查询，不会因为游标停在未完成的日志之前而反复查到已推送的日志
+            var newLogs = maxId <= scanFrom
+                ? new List<LogResponseDto>()
+                : await BuildLogsQuery(proxyKeyFilter, groupFilter, modelFilter, statusFilter, typeFilter)
+                    .Where((rl, pk, gc) => rl.Id > scanFrom && rl.Id <= maxId && rl.StatusCode != 0)
+                    .OrderBy((rl, pk, gc) => rl.Id)
+                    .Select(LogDtoSelector)
+                    .Take(batchSize)
+                    .ToListAsync();
+            var newScannedId = newLogs.Count == batchSize ? newLogs[^1].Id : Math.Max(scanFrom, maxId);
+
+            // 上次扫描时仍未完成的日志，完成后补推
+            var waiting = waitingIds.Where(id => id > afterId).ToList();
+            var lateLogs = waiting.Count == 0
+                ? new List<LogResponseDto>()
+                : await BuildLogsQuery(proxyKeyFilter, groupFilter, modelFilter, statusFilter, typeFilter)
+                    .Where((rl, pk, gc) => waiting.Contains(rl.Id) && rl.StatusCode != 0)
+                    .Select(LogDtoSelector)
+                    .ToListAsync();
+
+            // 游标停在已扫描范围内最早一条仍未完成的日志之前
+            var scannedPendingIds = pendingIds.Where(id => id <= newScannedId).ToList();
+            var cursor = scannedPendingIds.Count > 0 ? scannedPendingIds.Min() - 1 : newScannedId;
+
+            return new LogTailResult
+            {
+                Logs = lateLogs.Concat(newLogs)
+                    .Where(l => !deliveredIds.Contains(l.Id))
+                    .DistinctBy(l => l.Id)
+                    .OrderBy(l => l.Id)
+                    .ToList(),
+                Cursor = cursor,
+                ScannedId = newScannedId,
+                WaitingIds = scannedPendingIds
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "获取实时日志增量时发生异常");
+            return new LogTailResult
+            {
+                Cursor = afterId,
+                ScannedId = scanFrom,
+                WaitingIds = waitingIds.ToList()
+            };
+        }
+    }
+
+    /// <summary>
+    /// 构建带筛选条件的日志查询
+    /// </summary>
+    private ISugarQueryable<RequestLog, ProxyKey, GroupConfig> BuildLogsQuery(string? proxyKeyFilter,
+        string? groupFilter, string? modelFilter, string? statusFilter, string? typeFilter)
+    {
+        var query = _db.Queryable<RequestLog>()
+            .LeftJoin<ProxyKey>((rl, pk) => rl.ProxyKeyId == pk.Id)
+            .LeftJoin<GroupConfig>((rl, pk, gc) => rl.GroupId == gc.Id);
+
+        if (!string.IsNullOrEmpty(proxyKeyFilter) && proxyKeyFilter != "所有密钥")
+        {
+            // 前端发送的是密钥名称字符串，使用JOIN的ProxyKey表匹配KeyName
+            query = query.Where((rl, pk, gc) => pk.KeyName == proxyKeyFilter);
+        }
+
+        if (!string.IsNullOrEmpty(groupFilter) && groupFilter != "所有分组")
+        {
+            // 解析格式化的分组字符串: "ProviderType (GroupId)"
+            // 例如: "openai_responses (packycode_rp)" -> ProviderType="openai_responses", GroupId="packycode_rp"
+            var openParenIndex = groupFilter.IndexOf(" (");
+            var closeParenIndex = groupFilter.LastIndexOf(')');
+
+            if (openParenIndex > 0 && closeParenIndex > openParenIndex)
+            {
+                var providerType = groupFilter.Substring(0, openParenIndex);
+                var groupId = groupFilter.Substring(openParenIndex + 2, closeParenIndex - openParenIndex - 2);
+
+                query = query.Where((rl, pk, gc) =>
+                    (rl.ProviderType == providerType || (string.IsNullOrEmpty(rl.ProviderType) && providerType == "未知")) &&
+                    (rl.GroupId == groupId || (string.IsNullOrEmpty(rl.GroupId) && groupId == "无分组")));
+            }
+            else
+            {
+                // 如果格式不匹配，回退到直接匹配GroupId
+                query = query.Where((rl, pk, gc) => rl.GroupId == groupFilter);
+            }
+        }
+
+        if (!string.IsNullOrEmpty(modelFilter) && modelFilter != "所有模型")
+        {
+            query = query.Where((rl, pk, gc) => rl.Model == modelFilter);
+        }
+
+        if (!string.IsNullOrEmpty(statusFilter) && statusFilter != "所有状态")
+        {
+            // 前端发送的是 "200"、"error" 或 "denied"
+            if (statusFilter == "200")
+            {
+                query = query.Where((rl, pk, gc) => rl.StatusCode >= 200 && rl.StatusCode < 300);
+            }
+            else if (statusFilter == "error")
+            {
+                query = query.Where((rl, pk, gc) => rl.StatusCode < 200 || rl.StatusCode >= 300);
+            }
+            else if (statusFilter == "denied")
+            {
+                // 网关自身因代理密钥限制（来源、模型）拒绝的请求：403 且未路由到任何分组
+                query = query.Where((rl, pk, gc) => rl.StatusCode == 403 && (rl.GroupId == null || rl.GroupId == ""));
+            }
+        }
+
+        if (!string.IsNullOrEmpty(typeFilter) && typeFilter != "所有类型")
+        {
+            // 前端发送的是 "true" 或 "false" 字符串
+            if (typeFilter == "true")
+            {
+                query = query.Where((rl, pk, gc) => rl.IsStreaming);
+            }
+            else if (typeFilter == "false")
+            {
+                query = query.Where((rl, pk, gc) => !rl.IsStreaming);
+            }
+        }
+
+        return query;
+    }
+
     public async Task<RequestLogStats> GetLogStatsAsync(DateTime? startDate = null, DateTime? endDate = null)
     {
         try
@@ -777,6 +969,7 @@ public class RequestLogger : IRequestLogger
                     ProxyKeyName = pk.KeyName,
                     ProxyKeyId = rl.ProxyKeyId,
                     ProviderGroup = $"{rl.ProviderType ?? "未知"} ({rl.GroupId ?? "无分组"})",
+                    GroupId = rl.GroupId,
                     Model = rl.Model,
                     StatusCode = rl.StatusCode,
                     Duration = rl.DurationMs,
@@ -99,6 +99,9 @@ public class AnthropicProvider : ILLMProvider
             ["Content-Type"] = "application/json"
         };
 
+        // 分组配置的 anthropic-version / anthropic-beta，自定义请求头仍可覆盖
+        ProviderRegistry.ApplySettingHeaders("anthropic", config, headers);
+
         foreach (var header in config.Headers)
         {
             headers[header.Key] = header.Value;
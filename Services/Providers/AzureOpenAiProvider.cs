@@ -0,0 +1,126 @@
+using OrchestrationApi.Models;
+using OrchestrationApi.Services.Core;
+
+namespace OrchestrationApi.Services.Providers;
+
+/// <summary>
+/// Azure OpenAI 服务商实现：请求格式与 OpenAI 一致，按部署名称和 api-version 构建请求地址
+/// </summary>
+public class AzureOpenAiProvider : OpenAiProvider
+{
+    /// <summary>
+    /// 分组未配置 API 版本时使用的版本
+    /// </summary>
+    public const string DefaultApiVersion = "2024-10-21";
+
+    public override string ProviderType => "azure_openai";
+
+    public AzureOpenAiProvider(
+        IProxyHttpClientService proxyHttpClientService,
+        ILogger<AzureOpenAiProvider> logger)
+        : base(proxyHttpClientService, (ILogger)logger)
+    {
+    }
+
+    /// <summary>
+    /// 资源终结点，兼容填写时带上了 /openai 后缀的地址
+    /// </summary>
+    public override string GetBaseUrl(ProviderConfig config)
+    {
+        var baseUrl = (config.BaseUrl ?? string.Empty).TrimEnd('/');
+        return baseUrl.EndsWith("/openai", StringComparison.OrdinalIgnoreCase)
+            ? baseUrl[..^"/openai".Length]
+            : baseUrl;
+    }
+
+    public override Dictionary<string, string> PrepareRequestHeaders(string apiKey, ProviderConfig config)
+    {
+        var headers = new Dictionary<string, string>
+        {
+            ["api-key"] = apiKey,
+            ["Content-Type"] = "application/json"
+        };
+
+        ProviderRegistry.ApplySettingHeaders("azure_openai", config, headers);
+
+        // 添加自定义请求头
+        foreach (var header in config.Headers)
+        {
+            headers[header.Key] = header.Value;
+        }
+
+        return headers;
+    }
+
+    /// <summary>
+    /// 按分组的部署映射表获取模型对应的部署名称，未配置时直接使用模型名
+    /// </summary>
+    public static string ResolveDeployment(ProviderConfig config, string model)
+    {
+        var deployments = ProviderRegistry.GetMap(config.ProviderSettings, "deployments");
+        return deployments.TryGetValue(model, out var deployment) ? deployment : model;
+    }
+
+    /// <summary>
+    /// 获取指定模型的 Chat Completions 请求地址
+    /// </summary>
+    public string GetChatCompletionUrl(ProviderConfig config, string model)
+    {
+        var deployment = Uri.EscapeDataString(ResolveDeployment(config, model));
+        return $"{GetBaseUrl(config)}/openai/deployments/{deployment}/chat/completions?api-version={GetApiVersion(config)}";
+    }
+
+    /// <summary>
+    /// 获取资源可用的基础模型列表地址，用于连通性和密钥检查
+    /// </summary>
+    public string GetModelsUrl(ProviderConfig config)
+    {
+        return $"{GetBaseUrl(config)}/openai/models?api-version={GetApiVersion(config)}";
+    }
+
+    protected override string BuildRequestUrl(ProviderConfig config)
+    {
+        if (string.Equals(config.EndpointType, "responses", StringComparison.OrdinalIgnoreCase))
+        {
+            throw new NotSupportedException("Azure OpenAI 分组不支持 Responses 接口");
+        }
+
+        if (string.IsNullOrEmpty(config.Model))
+        {
+            throw new InvalidOperationException("Azure OpenAI 请求缺少模型名称，无法确定部署");
+        }
+
+        return GetChatCompletionUrl(config, config.Model);
+    }
+
+    protected override string BuildModelsUrl(ProviderConfig config)
+    {
+        return GetModelsUrl(config);
+    }
+
+    /// <summary>
+    /// Azure 的模型列表接口返回的是资源支持的基础模型而不是已创建的部署，这里返回部署映射表中配置的模型
+    /// </summary>
+    public override Task<ModelsResponse> GetModelsAsync(
+        ProviderConfig config,
+        CancellationToken cancellationToken = default)
+    {
+        var created = DateTimeOffset.Now.ToUnixTimeSeconds();
+        var models = ProviderRegistry.GetMap(config.ProviderSettings, "deployments").Keys
+            .Select(model => new ModelInfo
+            {
+                Id = model,
+                Object = "model",
+                Created = created,
+                OwnedBy = "azure"
+            })
+            .ToList();
+
+        return Task.FromResult(new ModelsResponse { Data = models });
+    }
+
+    private static string GetApiVersion(ProviderConfig config)
+    {
+        return Uri.EscapeDataString(ProviderRegistry.GetText(config.ProviderSettings, "api_version") ?? DefaultApiVersion);
+    }
+}
@@ -82,6 +82,9 @@ public class GeminiProvider : ILLMProvider
             ["Content-Type"] = "application/json"
         };
 
+        // 注册表中声明了请求头的附加配置
+        ProviderRegistry.ApplySettingHeaders("gemini", config, headers);
+
         // 添加自定义请求头
         foreach (var header in config.Headers)
         {
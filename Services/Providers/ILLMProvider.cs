@@ -52,6 +52,11 @@ public class ProviderConfig
     /// </summary>
     public Dictionary<string, object> ParameterOverrides { get; set; } = new();
 
+    /// <summary>
+    /// 服务商类型特有配置（见 ProviderRegistry 中各类型声明的附加字段）
+    /// </summary>
+    public Dictionary<string, object> ProviderSettings { get; set; } = new();
+
     /// <summary>
     /// 模型
     /// </summary>
@@ -134,6 +139,7 @@ public class ProviderHttpResponse
     public bool IsSuccess { get; set; }
     public Stream? ResponseStream { get; set; }
     public string? ErrorMessage { get; set; }
+    public string? ErrorType { get; set; } // 网关自身拒绝请求时的错误类型，如 permission_error
     public Dictionary<string, string> Headers { get; set; } = new();
     public bool ShouldRetry { get; set; }
     public bool ShouldTryNextKey { get; set; }
@@ -0,0 +1,65 @@
+using Newtonsoft.Json.Linq;
+using OrchestrationApi.Models;
+using OrchestrationApi.Services.Core;
+
+namespace OrchestrationApi.Services.Providers;
+
+/// <summary>
+/// Ollama 服务商实现：请求走 Ollama 的 OpenAI 兼容接口（/v1），模型列表读取原生的 /api/tags
+/// </summary>
+public class OllamaProvider : OpenAiProvider
+{
+    public override string ProviderType => "ollama";
+
+    public OllamaProvider(
+        IProxyHttpClientService proxyHttpClientService,
+        ILogger<OllamaProvider> logger)
+        : base(proxyHttpClientService, (ILogger)logger)
+    {
+    }
+
+    /// <summary>
+    /// OpenAI 兼容接口地址，兼容填写时带上了 /v1 后缀的地址
+    /// </summary>
+    public override string GetBaseUrl(ProviderConfig config)
+    {
+        return $"{GetServerUrl(config)}/v1";
+    }
+
+    protected override string BuildModelsUrl(ProviderConfig config)
+    {
+        return $"{GetServerUrl(config)}/api/tags";
+    }
+
+    /// <summary>
+    /// 解析 /api/tags 的响应：{"models":[{"name":"llama3.2:latest","modified_at":"..."}]}
+    /// </summary>
+    protected override ModelsResponse ParseModelsResponse(string content)
+    {
+        var tags = JObject.Parse(content)["models"] as JArray ?? new JArray();
+        var models = tags
+            .Select(tag => new ModelInfo
+            {
+                Id = tag["name"]?.ToString() ?? tag["model"]?.ToString() ?? string.Empty,
+                Object = "model",
+                Created = DateTime.TryParse(tag["modified_at"]?.ToString(), out var modifiedAt)
+                    ? new DateTimeOffset(modifiedAt).ToUnixTimeSeconds()
+                    : 0,
+                OwnedBy = "ollama"
+            })
+            .Where(model => !string.IsNullOrEmpty(model.Id))
+            .ToList();
+
+        return new ModelsResponse { Data = models };
+    }
+
+    private static string GetServerUrl(ProviderConfig config)
+    {
+        var baseUrl = string.IsNullOrEmpty(config.BaseUrl)
+            ? "http://localhost:11434"
+            : config.BaseUrl.TrimEnd('/');
+        return baseUrl.EndsWith("/v1", StringComparison.OrdinalIgnoreCase)
+            ? baseUrl[..^"/v1".Length]
+            : baseUrl;
+    }
+}
@@ -14,15 +14,23 @@ namespace OrchestrationApi.Services.Providers;
 public class OpenAiProvider : ILLMProvider
 {
     private readonly IProxyHttpClientService _proxyHttpClientService;
-    private readonly ILogger<OpenAiProvider> _logger;
+    private readonly ILogger _logger;
 
-    public string ProviderType => "openai";
+    public virtual string ProviderType => "openai";
     public bool SupportsStreaming => true;
     public bool SupportsTools => true;
 
     public OpenAiProvider(
         IProxyHttpClientService proxyHttpClientService,
         ILogger<OpenAiProvider> logger)
+        : this(proxyHttpClientService, (ILogger)logger)
+    {
+    }
+
+    /// <summary>
+    /// 供 OpenAI 兼容协议的派生服务商（如 Azure OpenAI）使用自己的日志分类
+    /// </summary>
+    protected OpenAiProvider(IProxyHttpClientService proxyHttpClientService, ILogger logger)
     {
         _proxyHttpClientService = proxyHttpClientService;
         _logger = logger;
@@ -33,7 +41,7 @@ public class OpenAiProvider : ILLMProvider
     /// </summary>
     /// <param name="config">提供商配置</param>
     /// <returns>API基础URL</returns>
-    public string GetBaseUrl(ProviderConfig config)
+    public virtual string GetBaseUrl(ProviderConfig config)
     {
         return string.IsNullOrEmpty(config.BaseUrl)
             ? "https://api.openai.com"
@@ -84,6 +92,26 @@ public class OpenAiProvider : ILLMProvider
         };
     }
 
+    /// <summary>
+    /// 构建请求上游的完整URL
+    /// </summary>
+    /// <param name="config">提供商配置</param>
+    /// <returns>请求URL</returns>
+    protected virtual string BuildRequestUrl(ProviderConfig config)
+    {
+        return $"{GetBaseUrl(config)}{GetEndpointByType(config.EndpointType)}";
+    }
+
+    /// <summary>
+    /// 构建模型列表接口的完整URL
+    /// </summary>
+    /// <param name="config">提供商配置</param>
+    /// <returns>模型列表URL</returns>
+    protected virtual string BuildModelsUrl(ProviderConfig config)
+    {
+        return $"{GetBaseUrl(config)}{GetModelsEndpoint()}";
+    }
+
     /// <summary>
     /// 从JSON字符串准备HTTP请求内容（用于透明代理模式）
     /// </summary>
@@ -103,15 +131,23 @@ public class OpenAiProvider : ILLMProvider
     /// <param name="apiKey">API密钥</param>
     /// <param name="config">提供商配置</param>
     /// <returns>HTTP请求头</returns>
-    public Dictionary<string, string> PrepareRequestHeaders(string apiKey, ProviderConfig config)
+    public virtual Dictionary<string, string> PrepareRequestHeaders(string apiKey, ProviderConfig config)
     {
         var headers = new Dictionary<string, string>
         {
-            ["Authorization"] = $"Bearer {apiKey}",
-            ["x-api-key"] = $"{apiKey}",
             ["Content-Type"] = "application/json"
         };
 
+        // 无需 API Key 的本地服务使用占位密钥，不发送认证头
+        if (!ProviderRegistry.IsNoApiKeyPlaceholder(apiKey))
+        {
+            headers["Authorization"] = $"Bearer {apiKey}";
+            headers["x-api-key"] = $"{apiKey}";
+        }
+
+        // OpenAI-Organization / OpenAI-Project 等附加配置
+        ProviderRegistry.ApplySettingHeaders("openai", config, headers);
+
         // 添加自定义请求头
         foreach (var header in config.Headers)
         {
@@ -163,16 +199,15 @@ public class OpenAiProvider : ILLMProvider
 
         Exception? lastException = null;
 
+        // 请求地址由分组配置决定，配置错误（如缺少部署名称）直接抛出，不作为上游失败返回
+        var fullUrl = BuildRequestUrl(config);
+
         // 直接发送HTTP请求，不使用内部重试策略
         try
         {
             _logger.LogDebug("执行OpenAI HTTP请求, API密钥: {ApiKey}, 流式: {IsStreaming}, 分组: {GroupId}({GroupName})",
                 MaskApiKey(apiKey), isStreaming, config.GroupId ?? "未知", config.GroupName ?? "未知");
 
-            var baseUrl = GetBaseUrl(config);
-            var endpoint = GetEndpointByType(config.EndpointType);
-            var fullUrl = $"{baseUrl}{endpoint}";
-
             using var request = new HttpRequestMessage(HttpMethod.Post, fullUrl);
             request.Content = content;
 
@@ -358,7 +393,7 @@ public class OpenAiProvider : ILLMProvider
     /// <param name="config">提供商配置</param>
     /// <param name="cancellationToken">取消令牌</param>
     /// <returns>模型列表</returns>
-    public async Task<ModelsResponse> GetModelsAsync(
+    public virtual async Task<ModelsResponse> GetModelsAsync(
         ProviderConfig config,
         CancellationToken cancellationToken = default)
     {
@@ -371,9 +406,7 @@ public class OpenAiProvider : ILLMProvider
         {
             try
             {
-                var baseUrl = GetBaseUrl(config);
-                var endpoint = GetModelsEndpoint();
-                var fullUrl = $"{baseUrl}{endpoint}";
+                var fullUrl = BuildModelsUrl(config);
 
                 using var request = new HttpRequestMessage(HttpMethod.Get, fullUrl);
 
@@ -396,8 +429,7 @@ public class OpenAiProvider : ILLMProvider
                 if (response.IsSuccessStatusCode)
                 {
                     var content = await response.Content.ReadAsStringAsync();
-                    var modelsResponse = JsonConvert.DeserializeObject<ModelsResponse>(content);
-                    return modelsResponse ?? new ModelsResponse { Data = new List<ModelInfo>() };
+                    return ParseModelsResponse(content);
                 }
 
                 var errorContent = await response.Content.ReadAsStringAsync();
@@ -424,6 +456,17 @@ public class OpenAiProvider : ILLMProvider
         throw lastException ?? new Exception("获取 OpenAI 模型列表失败");
     }
 
+    /// <summary>
+    /// 解析模型列表接口的响应
+    /// </summary>
+    /// <param name="content">响应内容</param>
+    /// <returns>模型列表</returns>
+    protected virtual ModelsResponse ParseModelsResponse(string content)
+    {
+        var modelsResponse = JsonConvert.DeserializeObject<ModelsResponse>(content);
+        return modelsResponse ?? new ModelsResponse { Data = new List<ModelInfo>() };
+    }
+
     public int EstimateTokens(string text)
     {
         if (string.IsNullOrEmpty(text))
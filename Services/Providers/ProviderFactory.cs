@@ -32,18 +32,21 @@ public class ProviderFactory : IProviderFactory
 
     public ILLMProvider GetProvider(string providerType)
     {
-        return providerType.ToLower() switch
+        // 服务商类型先经注册表映射到实现，协议兼容的类型共用同一个实现
+        var descriptor = ProviderRegistry.Get(providerType);
+        return descriptor.Handler switch
         {
             "openai" => _serviceProvider.GetRequiredService<OpenAiProvider>(),
-            "openai_responses" => _serviceProvider.GetRequiredService<OpenAiProvider>(),
+            "azure_openai" => _serviceProvider.GetRequiredService<AzureOpenAiProvider>(),
+            "ollama" => _serviceProvider.GetRequiredService<OllamaProvider>(),
             "anthropic" => _serviceProvider.GetRequiredService<AnthropicProvider>(),
             "gemini" => _serviceProvider.GetRequiredService<GeminiProvider>(),
-            _ => throw new NotSupportedException($"Provider '{providerType}' is not supported."),
+            _ => throw new NotSupportedException($"Provider handler '{descriptor.Handler}' is not supported."),
         };
     }
 
     public IEnumerable<string> GetSupportedProviderTypes()
     {
-        return new[] { "openai", "openai_responses", "anthropic", "gemini" };
+        return ProviderRegistry.All.Select(d => d.Type);
     }
 }
\ No newline at end of file
@@ -0,0 +1,674 @@
+using System.Text.RegularExpressions;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+
+namespace OrchestrationApi.Services.Providers;
+
+/// <summary>
+/// 服务商认证方式
+/// </summary>
+public static class ProviderAuthStyles
+{
+    public const string Bearer = "bearer";           // Authorization: Bearer {key}
+    public const string XApiKey = "x_api_key";       // x-api-key: {key}
+    public const string GoogApiKey = "x_goog_api_key"; // x-goog-api-key: {key}
+    public const string AzureApiKey = "azure_api_key"; // api-key: {key}
+}
+
+/// <summary>
+/// 服务商模型列表获取方式
+/// </summary>
+public static class ModelListingMethods
+{
+    public const string Api = "api";       // 调用上游模型列表接口
+    public const string Static = "static"; // 返回内置的模型列表
+    public const string Deployments = "deployments"; // 返回部署映射表中的模型
+    public const string None = "none";     // 不支持获取，只能手动填写
+}
+
+/// <summary>
+/// 服务商附加字段的输入类型
+/// </summary>
+public static class ProviderFieldTypes
+{
+    public const string Text = "text";
+    public const string Select = "select";
+    public const string Map = "map"; // 键值对表格，保存为 JSON 对象
+}
+
+/// <summary>
+/// 服务商类型描述，后台分组表单按描述动态渲染默认地址、附加字段和提示信息
+/// </summary>
+public class ProviderDescriptor
+{
+    [JsonProperty("type")]
+    public string Type { get; set; } = string.Empty;
+
+    [JsonProperty("display_name")]
+    public string DisplayName { get; set; } = string.Empty;
+
+    [JsonProperty("description")]
+    public string Description { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 处理请求的服务商实现（openai / azure_openai / anthropic / gemini），协议兼容的类型可以共用同一个实现
+    /// </summary>
+    [JsonProperty("handler")]
+    public string Handler { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 对外接口协议（openai / openai_responses / anthropic / gemini），客户端请求按协议路由到分组，默认与类型相同
+    /// </summary>
+    [JsonProperty("protocol")]
+    public string Protocol { get; set; } = string.Empty;
+
+    /// <summary>
+    /// /v1/models 等模型列表接口中的 owned_by 字段
+    /// </summary>
+    [JsonProperty("owned_by")]
+    public string OwnedBy { get; set; } = string.Empty;
+
+    [JsonProperty("default_base_url")]
+    public string DefaultBaseUrl { get; set; } = string.Empty;
+
+    [JsonProperty("base_url_hint")]
+    public string? BaseUrlHint { get; set; }
+
+    [JsonProperty("auth_style")]
+    public string AuthStyle { get; set; } = ProviderAuthStyles.Bearer;
+
+    [JsonProperty("auth_description")]
+    public string AuthDescription { get; set; } = string.Empty;
+
+    [JsonProperty("requires_api_key")]
+    public bool RequiresApiKey { get; set; } = true;
+
+    /// <summary>
+    /// 无需 API Key 的类型在未填写密钥时保存的占位密钥，编辑表单中不展示
+    /// </summary>
+    [JsonProperty("placeholder_api_key")]
+    public string? PlaceholderApiKey => RequiresApiKey ? null : ProviderRegistry.NoApiKeyPlaceholder;
+
+    [JsonProperty("model_listing")]
+    public string ModelListing { get; set; } = ModelListingMethods.Api;
+
+    [JsonProperty("models_endpoint")]
+    public string? ModelsEndpoint { get; set; }
+
+    [JsonProperty("default_test_model")]
+    public string DefaultTestModel { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 上游支持的常用请求参数，用于参数覆盖的填写提示
+    /// </summary>
+    [JsonProperty("supported_params")]
+    public List<string> SupportedParams { get; set; } = new();
+
+    /// <summary>
+    /// 标签颜色（Tailwind 颜色名）
+    /// </summary>
+    [JsonProperty("color")]
+    public string Color { get; set; } = "gray";
+
+    [JsonProperty("extra_fields")]
+    public List<ProviderExtraField> ExtraFields { get; set; } = new();
+
+    /// <summary>
+    /// 常用的兼容服务地址，选择后自动填入 Base URL
+    /// </summary>
+    [JsonProperty("presets")]
+    public List<ProviderPreset> Presets { get; set; } = new();
+}
+
+/// <summary>
+/// 服务商类型特有的配置字段，保存在分组的 provider_settings 中
+/// </summary>
+public class ProviderExtraField
+{
+    [JsonProperty("key")]
+    public string Key { get; set; } = string.Empty;
+
+    [JsonProperty("label")]
+    public string Label { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 输入类型，见 ProviderFieldTypes
+    /// </summary>
+    [JsonProperty("type")]
+    public string Type { get; set; } = ProviderFieldTypes.Text;
+
+    [JsonProperty("required")]
+    public bool Required { get; set; }
+
+    [JsonProperty("placeholder")]
+    public string? Placeholder { get; set; }
+
+    [JsonProperty("default")]
+    public string? Default { get; set; }
+
+    [JsonProperty("help")]
+    public string? Help { get; set; }
+
+    [JsonProperty("options")]
+    public List<string>? Options { get; set; }
+
+    /// <summary>
+    /// 文本字段（map 类型为每个值）需要匹配的正则表达式，前后端共用
+    /// </summary>
+    [JsonProperty("pattern")]
+    public string? Pattern { get; set; }
+
+    /// <summary>
+    /// map 类型的键、值列标题
+    /// </summary>
+    [JsonProperty("key_label")]
+    public string? KeyLabel { get; set; }
+
+    [JsonProperty("value_label")]
+    public string? ValueLabel { get; set; }
+
+    /// <summary>
+    /// 字段值作为该请求头发送给上游，为空表示由服务商实现自行读取
+    /// </summary>
+    [JsonProperty("header")]
+    public string? Header { get; set; }
+}
+
+/// <summary>
+/// 兼容服务地址预设
+/// </summary>
+public class ProviderPreset
+{
+    [JsonProperty("name")]
+    public string Name { get; set; } = string.Empty;
+
+    [JsonProperty("base_url")]
+    public string BaseUrl { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// 服务商类型注册表。新增协议兼容的服务商只需在这里登记描述，后台表单、模型列表和请求转发会自动识别
+/// </summary>
+public static class ProviderRegistry
+{
+    private static readonly List<string> OpenAiChatParams = new()
+    {
+        "temperature", "top_p", "max_tokens", "max_completion_tokens", "presence_penalty", "frequency_penalty",
+        "stop", "seed", "response_format", "tools", "tool_choice", "reasoning_effort", "user"
+    };
+
+    private static List<ProviderExtraField> OpenAiExtraFields() => new()
+    {
+        new ProviderExtraField
+        {
+            Key = "organization",
+            Label = "Organization ID",
+            Placeholder = "org-...",
+            Help = "以 OpenAI-Organization 请求头发送，仅 OpenAI 官方接口需要",
+            Header = "OpenAI-Organization"
+        },
+        new ProviderExtraField
+        {
+            Key = "project",
+            Label = "Project ID",
+            Placeholder = "proj_...",
+            Help = "以 OpenAI-Project 请求头发送，仅 OpenAI 官方接口需要",
+            Header = "OpenAI-Project"
+        }
+    };
+
+    private static List<ProviderPreset> OpenAiPresets() => new()
+    {
+        new ProviderPreset { Name = "OpenAI", BaseUrl = "https://api.openai.com/v1" },
+        new ProviderPreset { Name = "OpenRouter", BaseUrl = "https://openrouter.ai/api/v1" },
+        new ProviderPreset { Name = "DeepSeek", BaseUrl = "https://api.deepseek.com/v1" },
+        new ProviderPreset { Name = "Mistral", BaseUrl = "https://api.mistral.ai/v1" }
+    };
+
+    private static readonly List<ProviderDescriptor> Descriptors = new()
+    {
+        new ProviderDescriptor
+        {
+            Type = "openai",
+            DisplayName = "OpenAI",
+            Description = "OpenAI Chat Completions 协议，也适用于 DeepSeek、Mistral、OpenRouter、vLLM 等兼容服务",
+            Handler = "openai",
+            OwnedBy = "openai",
+            DefaultBaseUrl = "https://api.openai.com/v1",
+            BaseUrlHint = "填写到版本路径为止（如 /v1），请求会发送到 {Base URL}/chat/completions",
+            AuthStyle = ProviderAuthStyles.Bearer,
+            AuthDescription = "Authorization: Bearer {API Key}（同时附带 x-api-key）",
+            ModelListing = ModelListingMethods.Api,
+            ModelsEndpoint = "/models",
+            DefaultTestModel = "gpt-3.5-turbo",
+            SupportedParams = OpenAiChatParams,
+            Color = "blue",
+            ExtraFields = OpenAiExtraFields(),
+            Presets = OpenAiPresets()
+        },
+        new ProviderDescriptor
+        {
+            Type = "openai_responses",
+            DisplayName = "OpenAI Responses",
+            Description = "OpenAI Responses API（/responses）",
+            Handler = "openai",
+            OwnedBy = "openai",
+            DefaultBaseUrl = "https://api.openai.com/v1",
+            BaseUrlHint = "填写到版本路径为止（如 /v1），请求会发送到 {Base URL}/responses",
+            AuthStyle = ProviderAuthStyles.Bearer,
+            AuthDescription = "Authorization: Bearer {API Key}（同时附带 x-api-key）",
+            ModelListing = ModelListingMethods.Api,
+            ModelsEndpoint = "/models",
+            DefaultTestModel = "gpt-4o-mini",
+            SupportedParams = new List<string>
+            {
+                "temperature", "top_p", "max_output_tokens", "reasoning", "tools", "tool_choice", "text",
+                "truncation", "store", "user"
+            },
+            Color = "sky",
+            ExtraFields = OpenAiExtraFields(),
+            Presets = OpenAiPresets()
+        },
+        new ProviderDescriptor
+        {
+            Type = "azure_openai",
+            DisplayName = "Azure OpenAI",
+            Description = "Azure OpenAI 服务，按部署名称调用 Chat Completions 接口，对外仍使用 OpenAI 协议",
+            Handler = "azure_openai",
+            Protocol = "openai",
+            OwnedBy = "azure",
+            DefaultBaseUrl = "https://your-resource-name.openai.azure.com",
+            BaseUrlHint = "资源终结点，不含 /openai，请求会发送到 {Base URL}/openai/deployments/{部署名}/chat/completions?api-version=...",
+            AuthStyle = ProviderAuthStyles.AzureApiKey,
+            AuthDescription = "api-key: {API Key}",
+            ModelListing = ModelListingMethods.Deployments,
+            DefaultTestModel = "gpt-4o-mini",
+            SupportedParams = OpenAiChatParams,
+            Color = "cyan",
+            ExtraFields = new List<ProviderExtraField>
+            {
+                new ProviderExtraField
+                {
+                    Key = "api_version",
+                    Label = "API 版本",
+                    Required = true,
+                    Default = "2024-10-21",
+                    Placeholder = "2024-10-21",
+                    Pattern = @"^\d{4}-\d{2}-\d{2}(-preview)?$",
+                    Help = "作为 api-version 查询参数发送，格式如 2024-10-21 或 2025-01-01-preview"
+                },
+                new ProviderExtraField
+                {
+                    Key = "deployments",
+                    Label = "模型部署映射",
+                    Type = ProviderFieldTypes.Map,
+                    KeyLabel = "模型名称",
+                    ValueLabel = "部署名称",
+                    Pattern = @"^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$",
+                    Help = "请求的模型按此表换成部署名称，未配置的模型直接使用模型名作为部署名称；模型列表也从此表读取"
+                }
+            }
+        },
+        new ProviderDescriptor
+        {
+            Type = "anthropic",
+            DisplayName = "Anthropic Claude",
+            Description = "Anthropic Messages API（/v1/messages）",
+            Handler = "anthropic",
+            OwnedBy = "anthropic",
+            DefaultBaseUrl = "https://api.anthropic.com",
+            BaseUrlHint = "不包含 /v1，请求会发送到 {Base URL}/v1/messages",
+            AuthStyle = ProviderAuthStyles.XApiKey,
+            AuthDescription = "x-api-key: {API Key}，并附带 anthropic-version 请求头",
+            ModelListing = ModelListingMethods.Static,
+            DefaultTestModel = "claude-3-haiku-20240307",
+            SupportedParams = new List<string>
+            {
+                "max_tokens", "temperature", "top_p", "top_k", "stop_sequences", "system", "tools", "tool_choice",
+                "thinking", "metadata"
+            },
+            Color = "purple",
+            ExtraFields = new List<ProviderExtraField>
+            {
+                new ProviderExtraField
+                {
+                    Key = "anthropic_version",
+                    Label = "API 版本",
+                    Required = true,
+                    Default = "2023-06-01",
+                    Placeholder = "2023-06-01",
+                    Help = "以 anthropic-version 请求头发送",
+                    Header = "anthropic-version"
+                },
+                new ProviderExtraField
+                {
+                    Key = "anthropic_beta",
+                    Label = "Beta 功能",
+                    Placeholder = "prompt-caching-2024-07-31",
+                    Help = "以 anthropic-beta 请求头发送，多个功能用逗号分隔",
+                    Header = "anthropic-beta"
+                }
+            }
+        },
+        new ProviderDescriptor
+        {
+            Type = "gemini",
+            DisplayName = "Google Gemini",
+            Description = "Gemini generateContent 原生协议",
+            Handler = "gemini",
+            OwnedBy = "google",
+            DefaultBaseUrl = "https://generativelanguage.googleapis.com",
+            BaseUrlHint = "不包含版本路径，请求会发送到 {Base URL}/v1beta/models/{model}:generateContent",
+            AuthStyle = ProviderAuthStyles.GoogApiKey,
+            AuthDescription = "x-goog-api-key: {API Key}",
+            ModelListing = ModelListingMethods.Api,
+            ModelsEndpoint = "/v1beta/models",
+            DefaultTestModel = "gemini-1.5-flash",
+            SupportedParams = new List<string>
+            {
+                "generationConfig", "safetySettings", "tools", "toolConfig", "systemInstruction", "cachedContent"
+            },
+            Color = "green"
+        },
+        new ProviderDescriptor
+        {
+            Type = "ollama",
+            DisplayName = "Ollama",
+            Description = "自建的 Ollama 服务，通过其 OpenAI 兼容接口调用，对外使用 OpenAI 协议",
+            Handler = "ollama",
+            Protocol = "openai",
+            OwnedBy = "ollama",
+            DefaultBaseUrl = "http://localhost:11434",
+            BaseUrlHint = "Ollama 服务地址，不含 /v1，请求会发送到 {Base URL}/v1/chat/completions",
+            AuthStyle = ProviderAuthStyles.Bearer,
+            AuthDescription = "无需 API Key；服务前有鉴权代理时可填写密钥，以 Authorization: Bearer 发送",
+            RequiresApiKey = false,
+            ModelListing = ModelListingMethods.Api,
+            ModelsEndpoint = "/api/tags",
+            DefaultTestModel = "llama3.2",
+            SupportedParams = new List<string>
+            {
+                "temperature", "top_p", "max_tokens", "presence_penalty", "frequency_penalty", "stop", "seed",
+                "response_format", "tools"
+            },
+            Color = "slate"
+        },
+        new ProviderDescriptor
+        {
+            Type = "openai_compatible",
+            DisplayName = "本地 OpenAI 兼容服务",
+            Description = "vLLM、llama.cpp server、LM Studio 等自建的 OpenAI 兼容服务，对外使用 OpenAI 协议",
+            Handler = "openai",
+            Protocol = "openai",
+            OwnedBy = "local",
+            DefaultBaseUrl = "http://localhost:8000/v1",
+            BaseUrlHint = "填写到版本路径为止（如 /v1），请求会发送到 {Base URL}/chat/completions",
+            AuthStyle = ProviderAuthStyles.Bearer,
+            AuthDescription = "无需 API Key；服务启用了 --api-key 时填写密钥，以 Authorization: Bearer 发送",
+            RequiresApiKey = false,
+            ModelListing = ModelListingMethods.Api,
+            ModelsEndpoint = "/models",
+            SupportedParams = OpenAiChatParams,
+            Color = "teal",
+            Presets = new List<ProviderPreset>
+            {
+                new ProviderPreset { Name = "vLLM", BaseUrl = "http://localhost:8000/v1" },
+                new ProviderPreset { Name = "llama.cpp", BaseUrl = "http://localhost:8080/v1" },
+                new ProviderPreset { Name = "LM Studio", BaseUrl = "http://localhost:1234/v1" }
+            }
+        }
+    };
+
+    /// <summary>
+    /// 无需 API Key 的分组未填写密钥时保存的占位密钥，使密钥轮询、健康检查等流程照常工作，发送请求时不会携带
+    /// </summary>
+    public const string NoApiKeyPlaceholder = "no-api-key";
+
+    /// <summary>
+    /// 所有已登记的服务商类型
+    /// </summary>
+    public static IReadOnlyList<ProviderDescriptor> All => Descriptors;
+
+    /// <summary>
+    /// 按类型查找服务商描述（不区分大小写），未登记时返回 null
+    /// </summary>
+    public static ProviderDescriptor? Find(string? providerType)
+    {
+        if (string.IsNullOrWhiteSpace(providerType))
+            return null;
+
+        return Descriptors.FirstOrDefault(d => string.Equals(d.Type, providerType, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// 按类型获取服务商描述，未登记时抛出 NotSupportedException
+    /// </summary>
+    public static ProviderDescriptor Get(string providerType)
+    {
+        return Find(providerType) ?? throw new NotSupportedException($"Provider '{providerType}' is not supported.");
+    }
+
+    /// <summary>
+    /// 获取模型列表中的 owned_by，未登记的类型直接使用类型名
+    /// </summary>
+    public static string GetOwnedBy(string providerType)
+    {
+        return Find(providerType)?.OwnedBy ?? providerType.ToLower();
+    }
+
+    /// <summary>
+    /// 整理分组的 API 密钥：无需 API Key 的类型未填写密钥时使用占位密钥，填写了真实密钥时去掉占位密钥
+    /// </summary>
+    public static List<string> NormalizeApiKeys(string providerType, List<string>? apiKeys)
+    {
+        var keys = (apiKeys ?? new List<string>()).Where(k => k != NoApiKeyPlaceholder).ToList();
+        if (keys.All(string.IsNullOrWhiteSpace) && Find(providerType)?.RequiresApiKey == false)
+        {
+            return new List<string> { NoApiKeyPlaceholder };
+        }
+        return keys;
+    }
+
+    /// <summary>
+    /// 是否为无需 API Key 分组的占位密钥
+    /// </summary>
+    public static bool IsNoApiKeyPlaceholder(string? apiKey)
+    {
+        return apiKey == NoApiKeyPlaceholder;
+    }
+
+    /// <summary>
+    /// 获取对外使用指定协议的所有服务商类型（如 openai 协议包含 openai 和 azure_openai），用于按请求协议筛选分组
+    /// </summary>
+    public static List<string> GetTypesForProtocol(string? protocol)
+    {
+        if (string.IsNullOrEmpty(protocol))
+            return new List<string>();
+
+        var types = Descriptors.Where(d => GetProtocol(d) == protocol).Select(d => d.Type).ToList();
+        if (!types.Contains(protocol))
+        {
+            types.Add(protocol);
+        }
+        return types;
+    }
+
+    /// <summary>
+    /// 是否可以处理 Responses 请求。Responses 请求原样透传 JSON，只能发往使用 OpenAI 实现的分组；
+    /// Azure 需要按部署名改写地址，不参与 Responses 路由
+    /// </summary>
+    public static bool SupportsResponses(string providerType)
+    {
+        var descriptor = Find(providerType);
+        return descriptor == null || descriptor.Handler == "openai";
+    }
+
+    private static string GetProtocol(ProviderDescriptor descriptor)
+    {
+        return string.IsNullOrEmpty(descriptor.Protocol) ? descriptor.Type : descriptor.Protocol;
+    }
+
+    /// <summary>
+    /// 校验并整理分组的服务商特有配置：去掉未声明和空值的字段，必填字段为空时使用默认值，仍为空或格式不符时抛出 ArgumentException
+    /// </summary>
+    public static Dictionary<string, object> NormalizeSettings(string providerType, Dictionary<string, object>? settings)
+    {
+        var descriptor = Find(providerType) ?? throw new ArgumentException($"不支持的服务商类型: {providerType}");
+        var result = new Dictionary<string, object>();
+
+        foreach (var field in descriptor.ExtraFields)
+        {
+            var rawValue = settings?.GetValueOrDefault(field.Key);
+
+            if (field.Type == ProviderFieldTypes.Map)
+            {
+                var map = NormalizeMap(field, rawValue);
+                if (map.Count == 0)
+                {
+                    if (field.Required)
+                    {
+                        throw new ArgumentException($"{descriptor.DisplayName} 分组必须填写 {field.Label}");
+                    }
+                    continue;
+                }
+
+                result[field.Key] = map;
+                continue;
+            }
+
+            var value = rawValue?.ToString()?.Trim();
+            if (string.IsNullOrEmpty(value))
+            {
+                value = field.Default;
+            }
+
+            if (string.IsNullOrEmpty(value))
+            {
+                if (field.Required)
+                {
+                    throw new ArgumentException($"{descriptor.DisplayName} 分组必须填写 {field.Label}");
+                }
+                continue;
+            }
+
+            if (field.Options != null && field.Options.Count > 0 && !field.Options.Contains(value))
+            {
+                throw new ArgumentException($"{field.Label} 的值 {value} 无效，可选值: {string.Join(", ", field.Options)}");
+            }
+
+            if (!string.IsNullOrEmpty(field.Pattern) && !Regex.IsMatch(value, field.Pattern))
+            {
+                throw new ArgumentException($"{field.Label} 的值 {value} 格式不正确");
+            }
+
+            result[field.Key] = value;
+        }
+
+        return result;
+    }
+
+    private static Dictionary<string, string> NormalizeMap(ProviderExtraField field, object? rawValue)
+    {
+        var source = rawValue switch
+        {
+            null => new Dictionary<string, string>(),
+            JObject jObject => jObject.ToObject<Dictionary<string, string>>() ?? new Dictionary<string, string>(),
+            Dictionary<string, string> dictionary => dictionary,
+            _ => throw new ArgumentException($"{field.Label} 必须是 JSON 对象")
+        };
+
+        var map = new Dictionary<string, string>();
+        foreach (var (rawKey, rawMapValue) in source)
+        {
+            var key = rawKey.Trim();
+            var value = rawMapValue?.Trim();
+            if (string.IsNullOrEmpty(key) && string.IsNullOrEmpty(value))
+                continue;
+
+            if (string.IsNullOrEmpty(key) || string.IsNullOrEmpty(value))
+            {
+                throw new ArgumentException($"{field.Label} 中的 {field.KeyLabel ?? "键"} 和 {field.ValueLabel ?? "值"} 都不能为空");
+            }
+
+            if (!string.IsNullOrEmpty(field.Pattern) && !Regex.IsMatch(value, field.Pattern))
+            {
+                throw new ArgumentException($"{field.Label} 中 {key} 对应的 {field.ValueLabel ?? "值"} {value} 格式不正确");
+            }
+
+            map[key] = value;
+        }
+
+        return map;
+    }
+
+    /// <summary>
+    /// 解析分组保存的服务商特有配置（JSON对象），为空或格式错误时返回空字典
+    /// </summary>
+    public static Dictionary<string, object> ParseSettings(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+            return new Dictionary<string, object>();
+
+        try
+        {
+            return JsonConvert.DeserializeObject<Dictionary<string, object>>(json) ?? new Dictionary<string, object>();
+        }
+        catch (JsonException)
+        {
+            return new Dictionary<string, object>();
+        }
+    }
+
+    /// <summary>
+    /// 序列化服务商特有配置，没有配置时返回 null
+    /// </summary>
+    public static string? SerializeSettings(Dictionary<string, object> settings)
+    {
+        return settings.Count == 0 ? null : JsonConvert.SerializeObject(settings);
+    }
+
+    /// <summary>
+    /// 读取文本类型的配置值
+    /// </summary>
+    public static string? GetText(Dictionary<string, object> settings, string key)
+    {
+        var value = settings.GetValueOrDefault(key)?.ToString();
+        return string.IsNullOrWhiteSpace(value) ? null : value;
+    }
+
+    /// <summary>
+    /// 读取 map 类型的配置值，不存在或格式错误时返回空字典
+    /// </summary>
+    public static Dictionary<string, string> GetMap(Dictionary<string, object> settings, string key)
+    {
+        return settings.GetValueOrDefault(key) switch
+        {
+            JObject jObject => jObject.ToObject<Dictionary<string, string>>() ?? new Dictionary<string, string>(),
+            Dictionary<string, string> dictionary => dictionary,
+            _ => new Dictionary<string, string>()
+        };
+    }
+
+    /// <summary>
+    /// 将声明了请求头的附加字段写入请求头。同一实现下各类型的字段都可能出现，保存时已按类型过滤过
+    /// </summary>
+    public static void ApplySettingHeaders(string handler, ProviderConfig config, Dictionary<string, string> headers)
+    {
+        if (config.ProviderSettings.Count == 0)
+            return;
+
+        var fields = Descriptors
+            .Where(d => d.Handler == handler)
+            .SelectMany(d => d.ExtraFields)
+            .Where(f => !string.IsNullOrEmpty(f.Header));
+
+        foreach (var field in fields)
+        {
+            var value = GetText(config.ProviderSettings, field.Key);
+            if (value != null)
+            {
+                headers[field.Header!] = value;
+            }
+        }
+    }
+}
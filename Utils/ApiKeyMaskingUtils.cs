@@ -1,5 +1,6 @@
 using System.Security.Cryptography;
 using System.Text;
+using Newtonsoft.Json.Linq;
 
 namespace OrchestrationApi.Utils;
 
@@ -9,6 +10,15 @@ namespace OrchestrationApi.Utils;
 /// </summary>
 public static class ApiKeyMaskingUtils
 {
+    // 需要掩码的JSON字段名（忽略大小写）
+    private static readonly HashSet<string> SensitiveFields = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "ApiKeys", "api_keys", "ApiKey", "api_key", "KeyValue", "key_value", "key",
+        "PreviousKeyValue", "previous_key_value",
+        "Password", "PasswordHash", "password_hash",
+        "Authorization", "x-api-key", "x-goog-api-key"
+    };
+
     /// <summary>
     /// 对API密钥进行掩码处理
     /// 保留前4位和后4位字符，中间部分用星号(*)替代
@@ -112,4 +122,51 @@ public static class ApiKeyMaskingUtils
 
         return result;
     }
+
+    /// <summary>
+    /// 判断字段名或请求头名称是否属于敏感字段
+    /// </summary>
+    public static bool IsSensitiveField(string name)
+    {
+        return SensitiveFields.Contains(name);
+    }
+
+    /// <summary>
+    /// 递归掩码JSON中的敏感字段（API密钥、密码、认证头等），用于审计和历史记录展示
+    /// </summary>
+    /// <param name="token">要处理的JSON节点（原地修改）</param>
+    public static void MaskSensitiveFields(JToken token)
+    {
+        if (token is JObject obj)
+        {
+            foreach (var property in obj.Properties())
+            {
+                if (SensitiveFields.Contains(property.Name))
+                {
+                    property.Value = MaskSensitiveValue(property.Value);
+                }
+                else
+                {
+                    MaskSensitiveFields(property.Value);
+                }
+            }
+        }
+        else if (token is JArray array)
+        {
+            foreach (var item in array)
+            {
+                MaskSensitiveFields(item);
+            }
+        }
+    }
+
+    private static JToken MaskSensitiveValue(JToken value)
+    {
+        return value.Type switch
+        {
+            JTokenType.String => MaskApiKey(value.ToString()),
+            JTokenType.Array => new JArray(value.Select(MaskSensitiveValue)),
+            _ => value
+        };
+    }
 }
@@ -0,0 +1,100 @@
+using System.Net;
+using System.Net.Sockets;
+using OrchestrationApi.Models;
+
+namespace OrchestrationApi.Utils;
+
+/// <summary>
+/// 代理密钥客户端来源限制工具类
+/// IP 规则支持单个地址或 CIDR（如 10.0.0.0/8），来源规则匹配 Origin/Referer 的域名或完整源（支持 * 和 ? 通配符），列表为空表示不限制
+/// </summary>
+public static class ClientAccessFilter
+{
+    /// <summary>
+    /// 解析 IP 规则，单个地址按 /32（IPv6 为 /128）处理
+    /// </summary>
+    public static bool TryParseNetwork(string rule, out IPNetwork network)
+    {
+        rule = rule.Trim();
+        if (IPNetwork.TryParse(rule, out network))
+            return true;
+
+        if (!rule.Contains('/') && IPAddress.TryParse(rule, out var address))
+        {
+            network = new IPNetwork(address, address.AddressFamily == AddressFamily.InterNetworkV6 ? 128 : 32);
+            return true;
+        }
+
+        return false;
+    }
+
+    /// <summary>
+    /// 校验 IP 规则格式，存在非法规则时抛出 ArgumentException
+    /// </summary>
+    public static void EnsureValidNetworks(IEnumerable<string>? rules)
+    {
+        var invalid = (rules ?? Enumerable.Empty<string>())
+            .Where(r => !string.IsNullOrWhiteSpace(r) && !TryParseNetwork(r, out _))
+            .ToList();
+
+        if (invalid.Count > 0)
+        {
+            throw new ArgumentException($"无效的 IP/CIDR 规则: {string.Join(", ", invalid)}");
+        }
+    }
+
+    /// <summary>
+    /// 判断客户端 IP 是否在允许的网段内
+    /// </summary>
+    public static bool IsIpAllowed(IEnumerable<string> rules, IPAddress? clientIp)
+    {
+        if (clientIp == null)
+            return false;
+
+        if (clientIp.IsIPv4MappedToIPv6)
+            clientIp = clientIp.MapToIPv4();
+
+        foreach (var rule in rules)
+        {
+            if (TryParseNetwork(rule, out var network) && network.Contains(clientIp))
+                return true;
+        }
+
+        return false;
+    }
+
+    /// <summary>
+    /// 判断请求来源（Origin 或 Referer）是否匹配允许的来源规则
+    /// </summary>
+    public static bool IsOriginAllowed(IEnumerable<string> rules, string? origin)
+    {
+        if (string.IsNullOrEmpty(origin) || !Uri.TryCreate(origin, UriKind.Absolute, out var uri))
+            return false;
+
+        // 规则可以只写域名（example.com、*.example.com），也可以写完整源（https://app.example.com）
+        var candidates = new[] { uri.Host, uri.GetLeftPart(UriPartial.Authority) };
+        return rules.Any(rule => candidates.Any(c => ModelAccessFilter.IsMatch(c, rule.Trim().TrimEnd('/'))));
+    }
+
+    /// <summary>
+    /// 检查代理密钥的客户端来源限制，允许访问时返回 null，否则返回拒绝原因
+    /// </summary>
+    public static string? GetAccessDeniedMessage(ProxyKey proxyKey, IPAddress? clientIp, string? origin)
+    {
+        var allowedIps = ModelAccessFilter.ParsePatterns(proxyKey.AllowedIps);
+        if (allowedIps.Count > 0 && !IsIpAllowed(allowedIps, clientIp))
+        {
+            return $"代理密钥 {proxyKey.KeyName} 不允许从 IP {clientIp?.ToString() ?? "未知"} 访问";
+        }
+
+        var allowedReferrers = ModelAccessFilter.ParsePatterns(proxyKey.AllowedReferrers);
+        if (allowedReferrers.Count > 0 && !IsOriginAllowed(allowedReferrers, origin))
+        {
+            return string.IsNullOrEmpty(origin)
+                ? $"代理密钥 {proxyKey.KeyName} 限制了请求来源，但请求未携带 Origin 或 Referer"
+                : $"代理密钥 {proxyKey.KeyName} 不允许来自 {origin} 的请求";
+        }
+
+        return null;
+    }
+}
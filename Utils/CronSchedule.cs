@@ -0,0 +1,192 @@
+namespace OrchestrationApi.Utils;
+
+/// <summary>
+/// 五段式 cron 表达式（分 时 日 月 周）
+/// 每段支持 *、数字、列表（1,3,5）、范围（1-5）和步长（*/15、0-30/10），周字段 0 和 7 均表示周日；
+/// 日和周同时限制时满足其一即可，与标准 cron 一致。时间按服务器本地时间计算
+/// </summary>
+public sealed class CronSchedule
+{
+    // 查找下一次执行时间的最大天数，避免 2 月 30 日这类永远不会执行的表达式无限循环
+    private const int MaxSearchDays = 366 * 5;
+
+    private readonly bool[] _minutes = new bool[60];
+    private readonly bool[] _hours = new bool[24];
+    private readonly bool[] _days = new bool[32];
+    private readonly bool[] _months = new bool[13];
+    private readonly bool[] _weekdays = new bool[7];
+    private readonly bool _dayRestricted;
+    private readonly bool _weekdayRestricted;
+
+    public string Expression { get; }
+
+    private CronSchedule(string expression)
+    {
+        Expression = expression;
+
+        var fields = expression.Split(' ', StringSplitOptions.RemoveEmptyEntries);
+        if (fields.Length != 5)
+        {
+            throw new ArgumentException($"cron 表达式 \"{expression}\" 必须包含 5 个字段（分 时 日 月 周）");
+        }
+
+        ParseField(fields[0], 0, 59, _minutes, "分钟");
+        ParseField(fields[1], 0, 23, _hours, "小时");
+        ParseField(fields[2], 1, 31, _days, "日");
+        ParseField(fields[3], 1, 12, _months, "月");
+
+        var weekdays = new bool[8];
+        ParseField(fields[4], 0, 7, weekdays, "周");
+        for (var i = 0; i < 7; i++)
+        {
+            _weekdays[i] = weekdays[i];
+        }
+        _weekdays[0] |= weekdays[7];
+
+        // 与 vixie cron 一致，以 * 开头的字段（包括 */2）视为不限制
+        _dayRestricted = !fields[2].StartsWith('*');
+        _weekdayRestricted = !fields[4].StartsWith('*');
+    }
+
+    /// <summary>
+    /// 解析 cron 表达式，格式错误时抛出 ArgumentException
+    /// </summary>
+    public static CronSchedule Parse(string expression)
+    {
+        if (string.IsNullOrWhiteSpace(expression))
+        {
+            throw new ArgumentException("cron 表达式不能为空");
+        }
+
+        return new CronSchedule(string.Join(' ', expression.Split(' ', StringSplitOptions.RemoveEmptyEntries)));
+    }
+
+    public static bool TryParse(string? expression, out CronSchedule? schedule)
+    {
+        try
+        {
+            schedule = Parse(expression ?? string.Empty);
+            return true;
+        }
+        catch (ArgumentException)
+        {
+            schedule = null;
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// 获取严格晚于指定时间的下一次执行时间，五年内没有执行时间时返回 null
+    /// </summary>
+    public DateTime? GetNextOccurrence(DateTime after)
+    {
+        var start = TruncateToMinute(after).AddMinutes(1);
+        return GetOccurrences(start, start.Date.AddDays(MaxSearchDays), 1).Cast<DateTime?>().FirstOrDefault();
+    }
+
+    /// <summary>
+    /// 按时间顺序枚举 [from, to) 区间内的执行时间，最多返回 maxCount 个
+    /// </summary>
+    public IEnumerable<DateTime> GetOccurrences(DateTime from, DateTime to, int maxCount = int.MaxValue)
+    {
+        var count = 0;
+        for (var date = from.Date; date < to && count < maxCount; date = date.AddDays(1))
+        {
+            if (!IsDayMatch(date))
+                continue;
+
+            for (var hour = 0; hour < 24 && count < maxCount; hour++)
+            {
+                if (!_hours[hour])
+                    continue;
+
+                for (var minute = 0; minute < 60 && count < maxCount; minute++)
+                {
+                    if (!_minutes[minute])
+                        continue;
+
+                    var time = date.AddHours(hour).AddMinutes(minute);
+                    if (time < from)
+                        continue;
+                    if (time >= to)
+                        yield break;
+
+                    count++;
+                    yield return time;
+                }
+            }
+        }
+    }
+
+    private bool IsDayMatch(DateTime date)
+    {
+        if (!_months[date.Month])
+            return false;
+
+        var dayMatch = _days[date.Day];
+        var weekdayMatch = _weekdays[(int)date.DayOfWeek];
+
+        if (_dayRestricted && _weekdayRestricted)
+            return dayMatch || weekdayMatch;
+
+        return dayMatch && weekdayMatch;
+    }
+
+    private static DateTime TruncateToMinute(DateTime time)
+    {
+        return new DateTime(time.Year, time.Month, time.Day, time.Hour, time.Minute, 0, time.Kind);
+    }
+
+    private static void ParseField(string field, int min, int max, bool[] values, string name)
+    {
+        foreach (var part in field.Split(','))
+        {
+            var rangePart = part;
+            var step = 1;
+
+            var slashIndex = part.IndexOf('/');
+            if (slashIndex >= 0)
+            {
+                if (!int.TryParse(part[(slashIndex + 1)..], out step) || step <= 0)
+                {
+                    throw new ArgumentException($"cron {name}字段的步长无效: {part}");
+                }
+                rangePart = part[..slashIndex];
+            }
+
+            int start, end;
+            if (rangePart == "*")
+            {
+                start = min;
+                end = max;
+            }
+            else if (rangePart.Contains('-'))
+            {
+                var bounds = rangePart.Split('-');
+                if (bounds.Length != 2 || !int.TryParse(bounds[0], out start) || !int.TryParse(bounds[1], out end))
+                {
+                    throw new ArgumentException($"cron {name}字段的范围无效: {part}");
+                }
+            }
+            else
+            {
+                if (!int.TryParse(rangePart, out start))
+                {
+                    throw new ArgumentException($"cron {name}字段的值无效: {part}");
+                }
+                // 5/10 表示从 5 开始每 10 个单位执行一次
+                end = slashIndex >= 0 ? max : start;
+            }
+
+            if (start < min || end > max || start > end)
+            {
+                throw new ArgumentException($"cron {name}字段超出范围 {min}-{max}: {part}");
+            }
+
+            for (var value = start; value <= end; value += step)
+            {
+                values[value] = true;
+            }
+        }
+    }
+}
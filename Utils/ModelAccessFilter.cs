@@ -0,0 +1,95 @@
+using System.Collections.Concurrent;
+using System.Text.RegularExpressions;
+using Newtonsoft.Json;
+using OrchestrationApi.Models;
+
+namespace OrchestrationApi.Utils;
+
+/// <summary>
+/// 代理密钥模型访问限制工具类
+/// 模型规则支持 * 和 ? 通配符（不区分大小写），禁止列表优先于允许列表，允许列表为空表示不限制
+/// </summary>
+public static class ModelAccessFilter
+{
+    private static readonly ConcurrentDictionary<string, Regex> PatternCache = new(StringComparer.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// 解析数据库中保存的模型规则（JSON数组）
+    /// </summary>
+    public static List<string> ParsePatterns(string? patternsJson)
+    {
+        if (string.IsNullOrWhiteSpace(patternsJson))
+            return new List<string>();
+
+        try
+        {
+            return JsonConvert.DeserializeObject<List<string>>(patternsJson) ?? new List<string>();
+        }
+        catch
+        {
+            // 如果解析失败，视为未配置
+            return new List<string>();
+        }
+    }
+
+    /// <summary>
+    /// 规范化并序列化模型规则，去除空白与重复项，为空时返回 null
+    /// </summary>
+    public static string? SerializePatterns(IEnumerable<string>? patterns)
+    {
+        var normalized = (patterns ?? Enumerable.Empty<string>())
+            .Select(p => p?.Trim() ?? string.Empty)
+            .Where(p => p.Length > 0)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        return normalized.Count > 0 ? JsonConvert.SerializeObject(normalized) : null;
+    }
+
+    /// <summary>
+    /// 判断模型名是否匹配通配符规则
+    /// </summary>
+    public static bool IsMatch(string model, string pattern)
+    {
+        var regex = PatternCache.GetOrAdd(pattern, p => new Regex(
+            "^" + Regex.Escape(p).Replace("\\*", ".*").Replace("\\?", ".") + "$",
+            RegexOptions.IgnoreCase | RegexOptions.CultureInvariant));
+        return regex.IsMatch(model);
+    }
+
+    /// <summary>
+    /// 判断代理密钥是否允许访问指定模型
+    /// </summary>
+    public static bool IsModelAllowed(ProxyKey proxyKey, string model)
+    {
+        return GetAccessDeniedMessage(proxyKey, model) == null;
+    }
+
+    /// <summary>
+    /// 检查代理密钥的模型访问限制，允许访问时返回 null，否则返回拒绝原因
+    /// </summary>
+    public static string? GetAccessDeniedMessage(ProxyKey proxyKey, string? model)
+    {
+        // 未指定模型的请求交由路由处理
+        if (string.IsNullOrEmpty(model))
+            return null;
+
+        // Gemini 的模型名可能带有 models/ 前缀
+        var modelName = model.StartsWith("models/") ? model[7..] : model;
+
+        var deniedPatterns = ParsePatterns(proxyKey.DeniedModels);
+        var deniedBy = deniedPatterns.FirstOrDefault(p => IsMatch(modelName, p));
+        if (deniedBy != null)
+        {
+            return $"代理密钥 {proxyKey.KeyName} 禁止访问模型 {modelName}（匹配禁止规则 {deniedBy}）";
+        }
+
+        var allowedPatterns = ParsePatterns(proxyKey.AllowedModels);
+        if (allowedPatterns.Count > 0 && !allowedPatterns.Any(p => IsMatch(modelName, p)))
+        {
+            return $"代理密钥 {proxyKey.KeyName} 无权访问模型 {modelName}，允许的模型: {string.Join(", ", allowedPatterns)}";
+        }
+
+        return null;
+    }
+}
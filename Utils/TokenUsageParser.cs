@@ -0,0 +1,112 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+
+namespace OrchestrationApi.Utils;
+
+/// <summary>
+/// 从上游响应中解析出的Token用量
+/// </summary>
+public class TokenUsage
+{
+    public int PromptTokens { get; set; }
+    public int CompletionTokens { get; set; }
+    public int TotalTokens => PromptTokens + CompletionTokens;
+    public bool HasValue => PromptTokens > 0 || CompletionTokens > 0;
+}
+
+/// <summary>
+/// Token用量解析工具类
+/// 兼容 OpenAI（usage.prompt_tokens/completion_tokens）、Responses API 与 Anthropic（usage.input_tokens/output_tokens）
+/// 以及 Gemini（usageMetadata）的响应格式
+/// </summary>
+public static class TokenUsageParser
+{
+    /// <summary>
+    /// 解析完整的JSON响应体（对象或 Gemini 流式返回的JSON数组）
+    /// </summary>
+    public static TokenUsage? ParseJson(string? content)
+    {
+        if (string.IsNullOrWhiteSpace(content))
+            return null;
+
+        try
+        {
+            var usage = new TokenUsage();
+            var token = JToken.Parse(content);
+            if (token is JArray array)
+            {
+                foreach (var item in array.OfType<JObject>())
+                {
+                    Merge(usage, item);
+                }
+            }
+            else if (token is JObject obj)
+            {
+                Merge(usage, obj);
+            }
+
+            return usage.HasValue ? usage : null;
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// 将单个响应对象（或流式事件）中的用量合并到累计结果
+    /// 流式事件中的用量均为累计值，因此取各字段的最大值
+    /// </summary>
+    public static void Merge(TokenUsage usage, JObject payload)
+    {
+        var (prompt, completion) = Extract(payload);
+        if (prompt.HasValue)
+        {
+            usage.PromptTokens = Math.Max(usage.PromptTokens, prompt.Value);
+        }
+        if (completion.HasValue)
+        {
+            usage.CompletionTokens = Math.Max(usage.CompletionTokens, completion.Value);
+        }
+    }
+
+    private static (int? Prompt, int? Completion) Extract(JObject payload)
+    {
+        // Gemini
+        if (payload["usageMetadata"] is JObject metadata)
+        {
+            var prompt = ReadInt(metadata, "promptTokenCount");
+            var total = ReadInt(metadata, "totalTokenCount");
+            // 输出Token包含思考Token，优先用总数推算
+            var completion = total.HasValue && prompt.HasValue
+                ? total - prompt
+                : (ReadInt(metadata, "candidatesTokenCount") ?? 0) + (ReadInt(metadata, "thoughtsTokenCount") ?? 0);
+            return (prompt, completion);
+        }
+
+        // OpenAI / Anthropic 的用量在顶层，Anthropic 流式的 message_start 与 Responses API 的事件包含在 message/response 中
+        var usage = payload["usage"] as JObject
+            ?? payload["message"]?["usage"] as JObject
+            ?? payload["response"]?["usage"] as JObject;
+        if (usage == null)
+            return (null, null);
+
+        var promptTokens = ReadInt(usage, "prompt_tokens");
+        if (!promptTokens.HasValue)
+        {
+            var inputTokens = ReadInt(usage, "input_tokens");
+            // Anthropic 的缓存读写Token不计入 input_tokens
+            var cacheTokens = (ReadInt(usage, "cache_creation_input_tokens") ?? 0) + (ReadInt(usage, "cache_read_input_tokens") ?? 0);
+            promptTokens = inputTokens.HasValue ? inputTokens + cacheTokens : null;
+        }
+
+        var completionTokens = ReadInt(usage, "completion_tokens") ?? ReadInt(usage, "output_tokens");
+        return (promptTokens, completionTokens);
+    }
+
+    private static int? ReadInt(JObject obj, string name)
+    {
+        var value = obj[name];
+        return value != null && value.Type == JTokenType.Integer ? value.Value<int>() : null;
+    }
+}
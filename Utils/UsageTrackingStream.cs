@@ -0,0 +1,199 @@
+using System.Text;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+
+namespace OrchestrationApi.Utils;
+
+/// <summary>
+/// 只读包装流：在响应透传给客户端的同时解析其中的Token用量
+/// 读到流末尾或流被释放（客户端提前断开）时回调一次解析结果，不改变透传的任何字节
+/// </summary>
+public class UsageTrackingStream : Stream
+{
+    // 非流式JSON响应最多缓存的字节数，超出后放弃解析
+    private const int MaxBufferedBytes = 4 * 1024 * 1024;
+
+    private readonly Stream _inner;
+    private readonly Action<TokenUsage> _onCompleted;
+    private readonly MemoryStream _buffer = new();
+    private readonly TokenUsage _streamUsage = new();
+    private bool? _isJsonBody;
+    private bool _bufferOverflow;
+    private int _completed;
+
+    public UsageTrackingStream(Stream inner, Action<TokenUsage> onCompleted)
+    {
+        _inner = inner;
+        _onCompleted = onCompleted;
+    }
+
+    public override bool CanRead => true;
+    public override bool CanSeek => false;
+    public override bool CanWrite => false;
+    public override long Length => throw new NotSupportedException();
+
+    public override long Position
+    {
+        get => throw new NotSupportedException();
+        set => throw new NotSupportedException();
+    }
+
+    public override int Read(byte[] buffer, int offset, int count)
+    {
+        var read = _inner.Read(buffer, offset, count);
+        OnRead(buffer.AsSpan(offset, read));
+        return read;
+    }
+
+    public override async Task<int> ReadAsync(byte[] buffer, int offset, int count, CancellationToken cancellationToken)
+    {
+        var read = await _inner.ReadAsync(buffer.AsMemory(offset, count), cancellationToken);
+        OnRead(buffer.AsSpan(offset, read));
+        return read;
+    }
+
+    public override async ValueTask<int> ReadAsync(Memory<byte> buffer, CancellationToken cancellationToken = default)
+    {
+        var read = await _inner.ReadAsync(buffer, cancellationToken);
+        OnRead(buffer.Span[..read]);
+        return read;
+    }
+
+    public override void Flush() { }
+    public override long Seek(long offset, SeekOrigin origin) => throw new NotSupportedException();
+    public override void SetLength(long value) => throw new NotSupportedException();
+    public override void Write(byte[] buffer, int offset, int count) => throw new NotSupportedException();
+
+    protected override void Dispose(bool disposing)
+    {
+        if (disposing)
+        {
+            Complete();
+            _inner.Dispose();
+            _buffer.Dispose();
+        }
+        base.Dispose(disposing);
+    }
+
+    public override async ValueTask DisposeAsync()
+    {
+        Complete();
+        await _inner.DisposeAsync();
+        _buffer.Dispose();
+        GC.SuppressFinalize(this);
+    }
+
+    private void OnRead(ReadOnlySpan<byte> data)
+    {
+        if (data.IsEmpty)
+        {
+            Complete();
+            return;
+        }
+
+        if (_completed != 0 || (_isJsonBody == true && _bufferOverflow))
+            return;
+
+        // 根据首个非空白字符判断是完整JSON响应还是SSE事件流
+        if (_isJsonBody == null)
+        {
+            foreach (var b in data)
+            {
+                if (b is (byte)' ' or (byte)'\r' or (byte)'\n' or (byte)'\t')
+                    continue;
+                _isJsonBody = b is (byte)'{' or (byte)'[';
+                break;
+            }
+        }
+
+        if (_isJsonBody == true)
+        {
+            AppendToBuffer(data);
+            return;
+        }
+
+        // SSE：按行处理，未结束的行保留在缓冲区
+        var start = 0;
+        for (var i = 0; i < data.Length; i++)
+        {
+            if (data[i] != (byte)'\n')
+                continue;
+
+            AppendToBuffer(data[start..i]);
+            ProcessSseLine();
+            start = i + 1;
+        }
+        AppendToBuffer(data[start..]);
+    }
+
+    private void AppendToBuffer(ReadOnlySpan<byte> data)
+    {
+        if (_bufferOverflow || data.IsEmpty)
+            return;
+
+        if (_buffer.Length + data.Length > MaxBufferedBytes)
+        {
+            _bufferOverflow = true;
+            _buffer.SetLength(0);
+            return;
+        }
+        _buffer.Write(data);
+    }
+
+    private void ProcessSseLine()
+    {
+        // 超长的行直接丢弃，从下一行重新开始
+        if (_bufferOverflow)
+        {
+            _bufferOverflow = false;
+            return;
+        }
+
+        var line = Encoding.UTF8.GetString(_buffer.GetBuffer(), 0, (int)_buffer.Length).Trim();
+        _buffer.SetLength(0);
+
+        // 只有包含用量字段的事件才需要解析
+        if (!line.StartsWith("data:") || !line.Contains("usage", StringComparison.OrdinalIgnoreCase))
+            return;
+
+        try
+        {
+            if (JToken.Parse(line[5..]) is JObject payload)
+            {
+                TokenUsageParser.Merge(_streamUsage, payload);
+            }
+        }
+        catch (JsonException)
+        {
+            // 忽略无法解析的事件（如 [DONE]）
+        }
+    }
+
+    private void Complete()
+    {
+        if (Interlocked.Exchange(ref _completed, 1) != 0)
+            return;
+
+        TokenUsage? usage;
+        if (_isJsonBody == true)
+        {
+            usage = _bufferOverflow
+                ? null
+                : TokenUsageParser.ParseJson(Encoding.UTF8.GetString(_buffer.GetBuffer(), 0, (int)_buffer.Length));
+        }
+        else
+        {
+            // 流最后一行可能没有换行符
+            if (_buffer.Length > 0)
+            {
+                ProcessSseLine();
+            }
+            usage = _streamUsage;
+        }
+
+        if (usage != null && usage.HasValue)
+        {
+            _onCompleted(usage);
+        }
+    }
+}
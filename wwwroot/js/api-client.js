@@ -0,0 +1,408 @@
+/**
+ * 管理后台统一API客户端
+ * 统一处理认证令牌、会话续期与重新登录、401/403处理、请求超时、GET请求重试以及错误对象
+ */
+(function (window) {
+    "use strict";
+
+    const TOKEN_KEY = "authToken";
+    const TOKEN_EXPIRES_KEY = "tokenExpires";
+    // 旧版本部分代码使用的令牌键名，读取时自动迁移
+    const LEGACY_TOKEN_KEY = "token";
+
+    const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS"];
+    const RETRYABLE_STATUS = [408, 429, 502, 503, 504];
+
+    /**
+     * API请求错误
+     * code 取值: network | timeout | aborted | unauthorized | forbidden | http | parse
+     */
+    class ApiError extends Error {
+        constructor(message, { status = 0, code = "http", data = null, url = "" } = {}) {
+            super(message);
+            this.name = "ApiError";
+            this.status = status;
+            this.code = code;
+            this.data = data;
+            this.url = url;
+        }
+
+        get isUnauthorized() {
+            return this.code === "unauthorized";
+        }
+
+        get isForbidden() {
+            return this.code === "forbidden";
+        }
+
+        get isTimeout() {
+            return this.code === "timeout";
+        }
+    }
+
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    const apiClient = {
+        // 默认超时时间（毫秒）
+        timeout: 30000,
+        // 幂等请求默认重试次数
+        retries: 2,
+        // 重试基础间隔（毫秒），按指数退避
+        retryDelay: 500,
+        loginUrl: "/login",
+        redirecting: false,
+        // 会话到期前多久提示续期（毫秒）
+        sessionWarningLead: 5 * 60 * 1000,
+        sessionTimer: null,
+        sessionWarned: false,
+        reloginPromise: null,
+        username: "",
+        // 当前用户的权限列表（read / operate / delete / manage_users）
+        permissions: [],
+
+        getToken() {
+            let token = localStorage.getItem(TOKEN_KEY);
+            if (!token) {
+                const legacy = localStorage.getItem(LEGACY_TOKEN_KEY);
+                if (legacy) {
+                    localStorage.setItem(TOKEN_KEY, legacy);
+                    token = legacy;
+                }
+            }
+            localStorage.removeItem(LEGACY_TOKEN_KEY);
+            return token;
+        },
+
+        setToken(token, expiresAt) {
+            localStorage.setItem(TOKEN_KEY, token);
+            if (expiresAt) {
+                localStorage.setItem(TOKEN_EXPIRES_KEY, expiresAt);
+            } else {
+                localStorage.removeItem(TOKEN_EXPIRES_KEY);
+            }
+            localStorage.removeItem(LEGACY_TOKEN_KEY);
+            this.sessionWarned = false;
+            window.hideSessionWarning?.();
+        },
+
+        clearToken() {
+            localStorage.removeItem(TOKEN_KEY);
+            localStorage.removeItem(TOKEN_EXPIRES_KEY);
+            localStorage.removeItem(LEGACY_TOKEN_KEY);
+        },
+
+        // 获取令牌过期时间戳，优先使用登录时保存的过期时间，否则解析JWT的exp字段
+        getTokenExpiry() {
+            const stored = Date.parse(localStorage.getItem(TOKEN_EXPIRES_KEY) || "");
+            if (!isNaN(stored)) return stored;
+
+            const token = this.getToken();
+            if (!token) return null;
+            try {
+                const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+                const exp = JSON.parse(atob(payload)).exp;
+                return exp ? exp * 1000 : null;
+            } catch {
+                return null;
+            }
+        },
+
+        // 根据 /auth/verify 的返回同步会话信息（服务端按会话剩余秒数返回，避免时区差异）
+        syncSession(verifyData) {
+            if (!verifyData) return;
+            if (verifyData.user?.username) {
+                this.username = verifyData.user.username;
+            }
+            if (Array.isArray(verifyData.user?.permissions)) {
+                this.permissions = verifyData.user.permissions;
+            }
+            if (typeof verifyData.expires_in === "number") {
+                const expiresAt = new Date(Date.now() + verifyData.expires_in * 1000);
+                localStorage.setItem(TOKEN_EXPIRES_KEY, expiresAt.toISOString());
+            }
+        },
+
+        // 获取当前会话信息（用户、角色、权限、过期时间）
+        async loadSession() {
+            const data = await this.get("/auth/verify");
+            this.syncSession(data);
+            return data;
+        },
+
+        can(permission) {
+            return this.permissions.includes(permission);
+        },
+
+        // 使用账号密码重新登录，不会触发401跳转
+        async login(username, password) {
+            const response = await this.send("/auth/login", {
+                method: "POST",
+                body: { username, password },
+                auth: false,
+                retries: 0,
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.success) {
+                throw new ApiError(data.message || `登录失败: HTTP ${response.status}`, {
+                    status: response.status,
+                    code: response.status === 401 ? "unauthorized" : "http",
+                    data,
+                    url: "/auth/login",
+                });
+            }
+            this.username = username;
+            this.setToken(data.token, data.expires_at);
+            return data;
+        },
+
+        // 使用当前令牌换取新令牌
+        async refreshSession() {
+            const response = await this.send("/auth/refresh", { method: "POST", retries: 0 });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.success) {
+                throw new ApiError(data.message || `续期失败: HTTP ${response.status}`, {
+                    status: response.status,
+                    code: response.status === 401 ? "unauthorized" : "http",
+                    data,
+                    url: "/auth/refresh",
+                });
+            }
+            this.setToken(data.token, data.expires_at);
+            return data;
+        },
+
+        // 弹出重新登录框，多个并发请求共用同一个登录流程；返回是否登录成功
+        requestRelogin() {
+            if (typeof window.showReloginModal !== "function") {
+                return Promise.resolve(false);
+            }
+            if (!this.reloginPromise) {
+                this.reloginPromise = window
+                    .showReloginModal({ username: this.username })
+                    .catch(() => false)
+                    .finally(() => {
+                        this.reloginPromise = null;
+                    });
+            }
+            return this.reloginPromise;
+        },
+
+        // 定时检查会话有效期，到期前提示续期，过期后弹出重新登录框
+        startSessionMonitor() {
+            if (this.sessionTimer) return;
+            this.sessionTimer = setInterval(() => this.checkSession(), 30000);
+            this.checkSession();
+        },
+
+        stopSessionMonitor() {
+            clearInterval(this.sessionTimer);
+            this.sessionTimer = null;
+        },
+
+        checkSession() {
+            const expiresAt = this.getTokenExpiry();
+            if (!expiresAt || this.reloginPromise || this.redirecting) return;
+
+            const remaining = expiresAt - Date.now();
+            if (remaining <= 0) {
+                window.hideSessionWarning?.();
+                this.requestRelogin().then((ok) => {
+                    if (!ok) this.onUnauthorized();
+                });
+            } else if (remaining <= this.sessionWarningLead && !this.sessionWarned) {
+                this.sessionWarned = true;
+                window.showSessionWarning?.(expiresAt, () => this.refreshSession());
+            }
+        },
+
+        // 登录失效且未能重新登录时的处理，页面可覆盖
+        onUnauthorized() {
+            this.clearToken();
+            if (this.redirecting) return;
+            this.redirecting = true;
+            window.location.href = this.loginUrl;
+        },
+
+        // 权限不足时的处理，页面可覆盖；默认只提示不登出
+        onForbidden(error) {
+            console.warn("权限不足:", error.url);
+        },
+
+        buildHeaders(options) {
+            const headers = new Headers(options.headers || {});
+            if (options.auth !== false) {
+                const token = this.getToken();
+                if (token) {
+                    headers.set("Authorization", `Bearer ${token}`);
+                }
+            }
+            const body = options.body;
+            const isRawBody =
+                body instanceof FormData ||
+                body instanceof Blob ||
+                body instanceof URLSearchParams;
+            if (body !== undefined && body !== null && !isRawBody && !headers.has("Content-Type")) {
+                headers.set("Content-Type", "application/json");
+            }
+            return headers;
+        },
+
+        serializeBody(body) {
+            if (body === undefined || body === null) return undefined;
+            if (
+                typeof body === "string" ||
+                body instanceof FormData ||
+                body instanceof Blob ||
+                body instanceof URLSearchParams
+            ) {
+                return body;
+            }
+            return JSON.stringify(body);
+        },
+
+        /**
+         * 发送请求并返回原始 Response（与 fetch 用法兼容）
+         * 网络错误和超时抛出 ApiError；401 时弹出重新登录框并在登录成功后重发原请求，
+         * 取消登录则跳转登录页；403 会触发 onForbidden
+         * options: timeout（0 表示不限制）、retries、auth（false 时不附带令牌）、relogin（false 时直接跳转）、signal
+         */
+        async fetch(url, options = {}) {
+            let response = await this.send(url, options);
+            if (options.auth === false) return response;
+
+            if (response.status === 401) {
+                if (options.relogin !== false && await this.requestRelogin()) {
+                    response = await this.send(url, options);
+                }
+                if (response.status === 401) {
+                    this.onUnauthorized();
+                }
+            }
+            if (response.status === 403) {
+                this.onForbidden(new ApiError("没有权限执行此操作", { status: 403, code: "forbidden", url }));
+            }
+            return response;
+        },
+
+        // 发送单次请求（含超时与重试），不处理401/403
+        async send(url, options = {}) {
+            const method = (options.method || "GET").toUpperCase();
+            const timeout = options.timeout ?? this.timeout;
+            const retries = options.retries ?? (IDEMPOTENT_METHODS.includes(method) ? this.retries : 0);
+            const headers = this.buildHeaders(options);
+            const body = this.serializeBody(options.body);
+
+            const init = { ...options, method, headers, body };
+            delete init.timeout;
+            delete init.retries;
+            delete init.auth;
+            delete init.relogin;
+
+            for (let attempt = 0; ; attempt++) {
+                const controller = new AbortController();
+                let timedOut = false;
+                const timer = timeout > 0
+                    ? setTimeout(() => {
+                        timedOut = true;
+                        controller.abort();
+                    }, timeout)
+                    : null;
+                const onAbort = () => controller.abort();
+                if (options.signal) {
+                    if (options.signal.aborted) controller.abort();
+                    else options.signal.addEventListener("abort", onAbort, { once: true });
+                }
+
+                let response;
+                let error = null;
+                try {
+                    response = await fetch(url, { ...init, signal: controller.signal });
+                } catch (err) {
+                    if (options.signal?.aborted) {
+                        error = new ApiError("请求已取消", { code: "aborted", url });
+                    } else if (timedOut) {
+                        error = new ApiError(`请求超时（${Math.ceil(timeout / 1000)}秒）`, { code: "timeout", url });
+                    } else {
+                        error = new ApiError("网络请求失败: " + err.message, { code: "network", url });
+                    }
+                } finally {
+                    if (timer) clearTimeout(timer);
+                    options.signal?.removeEventListener("abort", onAbort);
+                }
+
+                const canRetry =
+                    attempt < retries &&
+                    (error ? error.code !== "aborted" : RETRYABLE_STATUS.includes(response.status));
+                if (canRetry) {
+                    await sleep(this.retryDelay * Math.pow(2, attempt));
+                    continue;
+                }
+                if (error) throw error;
+                return response;
+            }
+        },
+
+        /**
+         * 发送请求并解析响应体
+         * 非2xx状态抛出 ApiError，message 取自服务端返回的 error/message 字段
+         * responseType: json（默认）| text | blob
+         */
+        async request(url, options = {}) {
+            const { responseType = "json", ...fetchOptions } = options;
+            const response = await this.fetch(url, fetchOptions);
+
+            if (!response.ok) {
+                let data = null;
+                try {
+                    const text = await response.text();
+                    data = text ? JSON.parse(text) : null;
+                } catch {
+                    data = null;
+                }
+                const code =
+                    response.status === 401 ? "unauthorized" :
+                    response.status === 403 ? "forbidden" : "http";
+                const message =
+                    data?.error || data?.message ||
+                    (code === "unauthorized" ? "登录已失效，请重新登录" :
+                        code === "forbidden" ? "没有权限执行此操作" :
+                            `请求失败: HTTP ${response.status}`);
+                throw new ApiError(message, { status: response.status, code, data, url });
+            }
+
+            if (responseType === "blob") return response.blob();
+            if (responseType === "text") return response.text();
+            if (response.status === 204) return null;
+
+            const text = await response.text();
+            try {
+                return text ? JSON.parse(text) : null;
+            } catch {
+                throw new ApiError("响应解析失败", { status: response.status, code: "parse", data: text, url });
+            }
+        },
+
+        get(url, options = {}) {
+            return this.request(url, { ...options, method: "GET" });
+        },
+
+        post(url, body, options = {}) {
+            return this.request(url, { ...options, method: "POST", body });
+        },
+
+        put(url, body, options = {}) {
+            return this.request(url, { ...options, method: "PUT", body });
+        },
+
+        delete(url, options = {}) {
+            return this.request(url, { ...options, method: "DELETE" });
+        },
+    };
+
+    window.ApiError = ApiError;
+    window.apiClient = apiClient;
+
+    if (apiClient.getToken()) {
+        apiClient.startSessionMonitor();
+    }
+})(window);
@@ -0,0 +1,320 @@
+// Alpine.js组件：管理操作审计日志
+function auditManagement() {
+    return {
+        // 状态数据
+        logs: [],
+        filterOptions: {
+            actors: [],
+            actions: [],
+            target_types: []
+        },
+        filters: {
+            actor: '',
+            action: '',
+            targetType: '',
+            targetId: '',
+            startTime: '',
+            endTime: ''
+        },
+        currentPage: 1,
+        pageSize: 20,
+        totalLogs: 0,
+        totalPages: 0,
+        loading: false,
+        autoRefresh: false,
+        autoRefreshInterval: null,
+        selectedLog: null,
+        selectedDiff: [],
+        showDetailModal: false,
+        showUnchangedFields: false,
+
+        // 操作类型显示名称
+        actionLabels: {
+            'group.create': '创建分组',
+            'group.update': '更新分组',
+            'group.toggle': '启用/禁用分组',
+            'group.restore': '恢复分组版本',
+            'group.delete': '删除分组',
+            'group.import': '导入分组',
+            'group.clear_empty': '清除空白分组',
+            'group.key_delete': '删除分组密钥',
+            'group.model_delete': '删除分组模型',
+            'group.circuit_breaker_reset': '重置分组熔断器',
+            'key.force_status': '强制设置密钥状态',
+            'key.clear_invalid': '清除无效密钥',
+            'proxy_key.create': '创建代理密钥',
+            'proxy_key.update': '更新代理密钥',
+            'proxy_key.delete': '删除代理密钥',
+            'proxy_key.rotate': '轮换代理密钥',
+            'logs.cleanup': '清理过期日志',
+            'logs.clear_errors': '清空错误日志',
+            'logs.clear_all': '清空所有日志',
+            'logs.batch_delete': '批量删除日志',
+            'serilog.delete': '删除系统日志',
+            'serilog.clear': '清空系统日志',
+            'user.create': '创建用户',
+            'user.update': '修改用户',
+            'pricing.save': '保存模型价格',
+            'pricing.delete': '删除模型价格',
+            'pricing.restore_defaults': '恢复默认模型价格',
+            'maintenance.save': '保存维护窗口',
+            'maintenance.delete': '删除维护窗口',
+            'group_template.create': '保存分组模板',
+            'group_template.delete': '删除分组模板'
+        },
+
+        // 目标类型显示名称
+        targetTypeLabels: {
+            group: '服务商分组',
+            key: 'API密钥',
+            proxy_key: '代理密钥',
+            logs: '日志',
+            user: '用户',
+            model_price: '模型价格',
+            maintenance_window: '维护窗口',
+            group_template: '分组模板'
+        },
+
+        // 初始化
+        async init() {
+            // 支持从其他页面带筛选条件跳转，例如 /audit?target_type=group&target_id=xxx
+            const query = new URLSearchParams(window.location.search);
+            this.filters.actor = query.get('actor') || '';
+            this.filters.action = query.get('action') || '';
+            this.filters.targetType = query.get('target_type') || '';
+            this.filters.targetId = query.get('target_id') || '';
+
+            this.loadFilterOptions();
+            await this.loadLogs();
+        },
+
+        // 加载筛选选项
+        async loadFilterOptions() {
+            try {
+                const response = await apiClient.fetch('/admin/audit/filter-options');
+                if (response.ok) {
+                    const data = await response.json();
+                    this.filterOptions = data.filter_options || this.filterOptions;
+                }
+            } catch (error) {
+                console.error('加载审计筛选选项失败:', error);
+            }
+        },
+
+        // 加载审计日志列表
+        async loadLogs() {
+            this.loading = true;
+            try {
+                const params = new URLSearchParams({
+                    page: this.currentPage,
+                    page_size: this.pageSize
+                });
+
+                if (this.filters.actor) params.append('actor', this.filters.actor);
+                if (this.filters.action) params.append('action', this.filters.action);
+                if (this.filters.targetType) params.append('target_type', this.filters.targetType);
+                if (this.filters.targetId) params.append('target_id', this.filters.targetId.trim());
+                if (this.filters.startTime) params.append('start_time', new Date(this.filters.startTime).toISOString());
+                if (this.filters.endTime) params.append('end_time', new Date(this.filters.endTime).toISOString());
+
+                const response = await apiClient.fetch(`/admin/audit?${params}`);
+
+                if (response.ok) {
+                    const data = await response.json();
+                    this.logs = data.logs || [];
+                    this.totalLogs = data.total_count || 0;
+                    this.totalPages = data.total_pages || 0;
+                } else {
+                    console.error('加载审计日志失败');
+                }
+            } catch (error) {
+                console.error('加载审计日志出错:', error);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        // 应用筛选
+        applyFilters() {
+            this.currentPage = 1;
+            this.loadLogs();
+        },
+
+        // 重置筛选
+        resetFilters() {
+            this.filters = {
+                actor: '',
+                action: '',
+                targetType: '',
+                targetId: '',
+                startTime: '',
+                endTime: ''
+            };
+            this.currentPage = 1;
+            this.loadLogs();
+        },
+
+        // 快速选择时间范围（小时）
+        setTimeRange(hours) {
+            const end = new Date();
+            const start = new Date(end.getTime() - hours * 3600 * 1000);
+            this.filters.startTime = this.toLocalInputValue(start);
+            this.filters.endTime = '';
+            this.applyFilters();
+        },
+
+        // 筛选某个目标的全部操作记录
+        filterByTarget(log) {
+            this.filters.targetType = log.target_type || '';
+            this.filters.targetId = log.target_id || '';
+            this.showDetailModal = false;
+            this.applyFilters();
+        },
+
+        // 刷新数据
+        refreshLogs() {
+            this.loadLogs();
+            this.loadFilterOptions();
+        },
+
+        // 切换自动刷新
+        toggleAutoRefresh() {
+            this.autoRefresh = !this.autoRefresh;
+            if (this.autoRefresh) {
+                this.autoRefreshInterval = setInterval(() => {
+                    this.refreshLogs();
+                }, 30000); // 每30秒刷新一次
+            } else {
+                if (this.autoRefreshInterval) {
+                    clearInterval(this.autoRefreshInterval);
+                    this.autoRefreshInterval = null;
+                }
+            }
+        },
+
+        // 分页跳转
+        goToPage(page) {
+            if (page >= 1 && page <= this.totalPages) {
+                this.currentPage = page;
+                this.loadLogs();
+            }
+        },
+
+        // 显示审计详情
+        showLogDetail(log) {
+            this.selectedLog = log;
+            this.selectedDiff = this.buildDiff(this.parseData(log.before), this.parseData(log.after));
+            this.showUnchangedFields = false;
+            this.showDetailModal = true;
+        },
+
+        parseData(raw) {
+            if (!raw) return null;
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                return raw;
+            }
+        },
+
+        // 按顶层字段对比变更前后的数据
+        buildDiff(before, after) {
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+            if (!isObject(before) && !isObject(after)) {
+                if (before === null && after === null) return [];
+                return [{ field: '值', before, after, status: this.getDiffStatus(before, after) }];
+            }
+
+            const fields = new Set([
+                ...Object.keys(isObject(before) ? before : {}),
+                ...Object.keys(isObject(after) ? after : {})
+            ]);
+
+            return [...fields].map(field => {
+                const oldValue = isObject(before) ? before[field] : undefined;
+                const newValue = isObject(after) ? after[field] : undefined;
+                return {
+                    field,
+                    before: oldValue,
+                    after: newValue,
+                    status: this.getDiffStatus(oldValue, newValue)
+                };
+            }).sort((a, b) => (a.status === 'unchanged') - (b.status === 'unchanged'));
+        },
+
+        getDiffStatus(before, after) {
+            if (before === undefined || before === null) {
+                return after === undefined || after === null ? 'unchanged' : 'added';
+            }
+            if (after === undefined || after === null) return 'removed';
+            return JSON.stringify(before) === JSON.stringify(after) ? 'unchanged' : 'changed';
+        },
+
+        get visibleDiff() {
+            return this.showUnchangedFields
+                ? this.selectedDiff
+                : this.selectedDiff.filter(item => item.status !== 'unchanged');
+        },
+
+        get changedFieldCount() {
+            return this.selectedDiff.filter(item => item.status !== 'unchanged').length;
+        },
+
+        formatValue(value) {
+            if (value === undefined || value === null) return '-';
+            if (typeof value === 'object') return JSON.stringify(value, null, 2);
+            return String(value);
+        },
+
+        getDiffRowClass(status) {
+            const classes = {
+                added: 'bg-green-50',
+                removed: 'bg-red-50',
+                changed: 'bg-yellow-50'
+            };
+            return classes[status] || '';
+        },
+
+        getActionLabel(action) {
+            return this.actionLabels[action] || action;
+        },
+
+        getTargetTypeLabel(type) {
+            return this.targetTypeLabels[type] || type || '-';
+        },
+
+        // 获取操作类型徽章样式
+        getActionBadgeClass(action) {
+            const verb = (action || '').split('.').pop();
+            if (['delete', 'clear_all', 'clear_errors', 'clear_invalid', 'clear_empty', 'batch_delete', 'key_delete', 'model_delete', 'clear', 'cleanup'].includes(verb)) {
+                return 'bg-red-100 text-red-800';
+            }
+            if (['create', 'import'].includes(verb)) {
+                return 'bg-green-100 text-green-800';
+            }
+            if (['toggle', 'force_status', 'restore_defaults', 'rotate'].includes(verb)) {
+                return 'bg-yellow-100 text-yellow-800';
+            }
+            return 'bg-blue-100 text-blue-800';
+        },
+
+        // 转换为 datetime-local 输入框格式
+        toLocalInputValue(date) {
+            const pad = n => String(n).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        },
+
+        // 格式化日期时间
+        formatDateTime(dateStr) {
+            if (!dateStr) return '-';
+            const date = new Date(dateStr);
+            const year = date.getFullYear();
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            const hours = String(date.getHours()).padStart(2, '0');
+            const minutes = String(date.getMinutes()).padStart(2, '0');
+            const seconds = String(date.getSeconds()).padStart(2, '0');
+            return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+        }
+    };
+}
@@ -0,0 +1,137 @@
+/**
+ * 分组配置导出文件的口令加密
+ * 使用浏览器 WebCrypto：PBKDF2(SHA-256) 由口令派生密钥，AES-GCM 加密整个导出内容，口令不会发送到服务端
+ */
+(function (window) {
+    "use strict";
+
+    const FORMAT = "orchestration-api-encrypted-config";
+    const VERSION = 1;
+    const PBKDF2_ITERATIONS = 310000;
+    const SALT_LENGTH = 16;
+    const IV_LENGTH = 12;
+
+    /**
+     * 口令错误或文件被篡改时抛出
+     */
+    class ConfigDecryptError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = "ConfigDecryptError";
+        }
+    }
+
+    function toBase64(bytes) {
+        let binary = "";
+        bytes.forEach((b) => {
+            binary += String.fromCharCode(b);
+        });
+        return window.btoa(binary);
+    }
+
+    function fromBase64(text) {
+        const binary = window.atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await window.crypto.subtle.importKey(
+            "raw",
+            new TextEncoder().encode(passphrase),
+            "PBKDF2",
+            false,
+            ["deriveKey"],
+        );
+        return window.crypto.subtle.deriveKey(
+            { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+            material,
+            { name: "AES-GCM", length: 256 },
+            false,
+            ["encrypt", "decrypt"],
+        );
+    }
+
+    const configCrypto = {
+        isSupported() {
+            return Boolean(window.crypto && window.crypto.subtle);
+        },
+
+        /**
+         * 判断解析后的JSON是否为加密导出文件
+         */
+        isEncrypted(data) {
+            return Boolean(data && data.format === FORMAT && data.ciphertext);
+        },
+
+        /**
+         * 加密明文，返回可直接序列化保存的加密包
+         */
+        async encrypt(plaintext, passphrase) {
+            if (!this.isSupported()) {
+                throw new Error("当前浏览器不支持加密（需要HTTPS或localhost访问）");
+            }
+
+            const salt = window.crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+            const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+            const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+            const ciphertext = await window.crypto.subtle.encrypt(
+                { name: "AES-GCM", iv },
+                key,
+                new TextEncoder().encode(plaintext),
+            );
+
+            return {
+                format: FORMAT,
+                version: VERSION,
+                kdf: {
+                    name: "PBKDF2",
+                    hash: "SHA-256",
+                    iterations: PBKDF2_ITERATIONS,
+                    salt: toBase64(salt),
+                },
+                cipher: {
+                    name: "AES-GCM",
+                    iv: toBase64(iv),
+                },
+                ciphertext: toBase64(new Uint8Array(ciphertext)),
+                encrypted_at: new Date().toISOString(),
+            };
+        },
+
+        /**
+         * 解密加密包，返回原始明文
+         */
+        async decrypt(bundle, passphrase) {
+            if (!this.isSupported()) {
+                throw new Error("当前浏览器不支持解密（需要HTTPS或localhost访问）");
+            }
+            if (!this.isEncrypted(bundle) || bundle.version !== VERSION) {
+                throw new ConfigDecryptError("不支持的加密文件版本");
+            }
+
+            try {
+                const key = await deriveKey(
+                    passphrase,
+                    fromBase64(bundle.kdf.salt),
+                    bundle.kdf.iterations,
+                );
+                const plaintext = await window.crypto.subtle.decrypt(
+                    { name: "AES-GCM", iv: fromBase64(bundle.cipher.iv) },
+                    key,
+                    fromBase64(bundle.ciphertext),
+                );
+                return new TextDecoder().decode(plaintext);
+            } catch (error) {
+                // AES-GCM 校验失败时无法区分口令错误与文件损坏
+                throw new ConfigDecryptError("口令错误或文件已损坏");
+            }
+        },
+    };
+
+    window.ConfigDecryptError = ConfigDecryptError;
+    window.configCrypto = configCrypto;
+})(window);
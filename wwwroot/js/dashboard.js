@@ -156,6 +156,10 @@ function multiProviderDashboard() {
         versionInfo: null,
         checkingVersion: false,
         providerStatuses: {},
+        // 熔断器重试倒计时：以分组数据加载时的剩余秒数为基准，有熔断分组时每秒刷新
+        providerStatusesLoadedAt: Date.now(),
+        circuitClockNow: Date.now(),
+        circuitClockTimer: null,
         providerModels: {},
         selectedProvider: "",
         loadingModels: false,
@@ -174,14 +178,69 @@ function multiProviderDashboard() {
             newPassword: '',
             confirmPassword: ''
         },
+        // 当前用户权限（read / operate / delete / manage_users），由 /auth/verify 返回
+        permissions: [],
+
+        // 用户管理相关（仅管理员）
+        showUserManagementModal: false,
+        loadingUsers: false,
+        savingUser: false,
+        managedUsers: [],
+        newUserForm: {
+            username: '',
+            password: '',
+            role: 'Viewer'
+        },
+        roleOptions: [
+            { value: 'Viewer', label: '只读', description: '只能查看数据' },
+            { value: 'Operator', label: '运维', description: '可修改配置，不能删除和清理' },
+            { value: 'Admin', label: '管理员', description: '全部权限，包括用户管理' }
+        ],
 
         // 分组导出相关
         selectedGroups: [],
+        showExportModal: false,
+        exporting: false,
+        exportEncrypted: true, // 默认使用口令加密导出
+        exportPassphrase: "",
+        exportPassphraseConfirm: "",
+
+        // 分组批量操作相关
+        bulkAction: {
+            action: "",
+            priority: 0,
+            model: "",
+            header_name: "",
+            header_value: "",
+            param_name: "",
+            param_value: "",
+            proxy_key_id: "",
+        },
+        bulkActionOptions: [
+            { value: 'enable', label: '启用' },
+            { value: 'disable', label: '禁用' },
+            { value: 'set_priority', label: '修改优先级' },
+            { value: 'add_model', label: '添加模型' },
+            { value: 'remove_model', label: '移除模型' },
+            { value: 'set_header', label: '设置请求头' },
+            { value: 'set_param', label: '设置请求参数' },
+            { value: 'attach_proxy_key', label: '关联到代理密钥' },
+            { value: 'validate_keys', label: '验证密钥' },
+        ],
+        bulkRunning: false,
+        bulkProgress: null, // 逐个分组执行时的进度 { done, total }
+        bulkResult: null,
+        showBulkResultModal: false,
 
         // 分组导入相关
         showImportModal: false,
         selectedFile: null,
         importing: false,
+        previewingImport: false,
+        importEncrypted: false, // 选择的文件是否为加密导出文件
+        importPassphrase: "",
+        importContent: null, // 解析（或解密）后的配置文件内容
+        importPreview: null, // 导入预览：[{ group_name, provider_type, status, existing, imported, resolution }]
 
         // 密钥状态相关
         keyStatus: {
@@ -192,11 +251,33 @@ function multiProviderDashboard() {
             groups: {},
         },
 
+        // 分组维护窗口
+        showMaintenanceModal: false,
+        maintenanceWindows: [],
+        maintenanceCalendar: [],
+        maintenanceCalendarDays: 14,
+        loadingMaintenance: false,
+        savingMaintenanceWindow: false,
+        editingMaintenanceWindowId: null,
+        maintenanceForm: {
+            group_id: "",
+            title: "",
+            schedule_type: "once",
+            start_time: "",
+            end_time: "",
+            cron_expression: "0 3 * * *",
+            duration_minutes: 30,
+            enabled: true,
+        },
+
         // 代理密钥管理相关
         showProxyKeyModal: false,
         showGenerateProxyKeyForm: false,
         showEditProxyKeyModal: false,
         proxyKeys: [],
+        // 分组实时负载（lowest_latency / least_inflight 策略评分）
+        groupLoad: {},
+        groupLoadTimer: null,
         newProxyKey: {
             name: "",
             description: "",
@@ -205,6 +286,16 @@ function multiProviderDashboard() {
                 strategy: "round_robin",
                 group_weights: [],
             },
+            rpm_limit: 0,
+            daily_token_limit: 0,
+            monthly_token_limit: 0,
+            quota_warning_threshold: 80,
+            not_before: "",
+            expires_at: "",
+            allowed_models_text: "",
+            denied_models_text: "",
+            allowed_ips_text: "",
+            allowed_referrers_text: "",
         },
         editingProxyKey: {
             id: "",
@@ -216,7 +307,21 @@ function multiProviderDashboard() {
                 strategy: "round_robin",
                 group_weights: [],
             },
-        },
+            rpm_limit: 0,
+            daily_token_limit: 0,
+            monthly_token_limit: 0,
+            quota_warning_threshold: 80,
+            not_before: "",
+            expires_at: "",
+            allowed_models_text: "",
+            denied_models_text: "",
+            allowed_ips_text: "",
+            allowed_referrers_text: "",
+        },
+        // 代理密钥轮换
+        rotateGraceHours: 24,
+        rotatingProxyKey: false,
+        rotatedProxyKeyValue: "",
         // 策略权重快照（切换策略时恢复此前填写的值）
         newProxyKeyWeightsSnapshot: {},
         editingProxyKeyWeightsSnapshot: {},
@@ -246,10 +351,52 @@ function multiProviderDashboard() {
         showKeyUsageStatsModal: false,
         currentGroupUsageStats: null,
         loadingUsageStats: false,
+        keyUsageWindow: "24h", // 请求趋势时间窗口：24h | 7d | 30d
+        keyUsageAnalytics: null,
+        loadingKeyUsageAnalytics: false,
+        selectedAnalyticsKeyHash: null, // 当前展开详细趋势图的密钥
+        keyUsageChartInstances: {},
         selectedForceUpdateKey: null,
         showForceUpdateModal: false,
         forceUpdateStatus: 'valid',
 
+        // 调试台（Playground）相关
+        showPlaygroundModal: false,
+        playgroundRunning: false,
+        playgroundAbortController: null,
+        playgroundForm: {
+            proxy_key: "",
+            api_format: "openai", // openai | anthropic | gemini
+            model: "",
+            system_prompt: "",
+            prompt: "",
+            stream: true,
+            temperature: 0.7,
+            max_tokens: 1024,
+        },
+        playgroundResult: null,
+
+        // 模型对比相关
+        showCompareModal: false,
+        compareRunning: false,
+        compareAbortController: null,
+        compareStartedAt: null,
+        compareForm: {
+            proxy_key: "",
+            api_format: "openai",
+            system_prompt: "",
+            prompt: "",
+            stream: true,
+            temperature: 0.7,
+            max_tokens: 1024,
+        },
+        // type: alias（按模型/别名正常路由）| group（固定到指定分组）
+        compareTargets: [
+            { type: "alias", model: "", group_id: "" },
+            { type: "alias", model: "", group_id: "" },
+        ],
+        compareRuns: [],
+
         // 服务商筛选和分页
         providerSearchQuery: "",
         providerStatusFilter: "",
@@ -283,8 +430,24 @@ function multiProviderDashboard() {
         forcingKeyStatus: {}, // 存储正在强制设置状态的密钥索引
         bulkDeletingInvalidKeys: false, // 一键删除失效密钥的状态
         clearingInvalidKeys: false, // 清除无效密钥的状态
+
+        // 分组配置历史版本相关
+        showGroupHistory: false,
+        loadingGroupVersions: false,
+        restoringGroupVersion: false,
+        groupVersions: [],
+        selectedGroupVersion: null,
+        groupVersionCompareMode: "previous", // previous：与上一版本对比 | latest：与最新版本对比
         clearingEmptyGroups: false, // 清除空白分组的状态
 
+        // 服务商类型描述（默认地址、附加字段、认证方式等，由后端注册表提供）
+        providerTypes: [],
+        providerMapRows: {}, // map 类型附加字段的编辑行，如 Azure 模型部署映射
+        // 分组模板与克隆
+        groupTemplates: [],
+        selectedGroupTemplateId: "",
+        clonedFromGroupId: "",
+
         // 模型相关
         availableModels: [],
         filteredModels: [],
@@ -300,6 +463,10 @@ function multiProviderDashboard() {
             health_check_enabled: true, // 健康检查开关
             timeout: 30,
             max_retries: 3,
+            circuit_breaker_enabled: true,
+            circuit_breaker_failure_threshold: 5,
+            circuit_breaker_error_rate: 50,
+            circuit_breaker_cooldown: 60,
             rotation_strategy: "round_robin",
             api_keys: [""],
             models: [],
@@ -308,6 +475,7 @@ function multiProviderDashboard() {
             request_params: {},
             model_mappings: {},
             headers: {},
+            provider_settings: {},
             priority: 0,
             fake_streaming: false, // 假流模式配置
             proxy_enabled: false,
@@ -337,6 +505,7 @@ function multiProviderDashboard() {
 
         // 模型重命名相关
         modelMappings: [],
+        modelPriceRows: [],
         showModelMappingHelp: false,
         allConfiguredAliases: [], // 存储所有服务商配置的模型别名
 
@@ -390,6 +559,11 @@ function multiProviderDashboard() {
             );
         },
 
+        // 调试台可选模型，各接口只会路由到同类型的分组
+        get playgroundModelOptions() {
+            return this.getGatewayModelOptions(this.playgroundForm.api_format);
+        },
+
         // 系统状态计算属性（已移除平均响应时间计算）
 
         async init() {
@@ -401,9 +575,15 @@ function multiProviderDashboard() {
                 return;
             }
 
+            // 权限不足时在页面内提示，不跳转
+            apiClient.onForbidden = () => this.showMessage("没有权限执行此操作", "error");
+
             // 初始化验证状态对象
             this.validatingGroups = {};
 
+            // 服务商类型描述用于类型筛选、分组表单和类型标签
+            await this.loadProviderTypes();
+
             // 系统健康状态和服务商分组状态需要默认展示
             await this.loadSystemHealth();
             await this.loadProviderStatuses();
@@ -436,15 +616,13 @@ function multiProviderDashboard() {
         // 检查用户身份验证状态
         async checkAuthentication() {
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
+                if (!apiClient.getToken()) {
                     return false;
                 }
 
-                const response = await fetch('/auth/verify', {
+                const response = await apiClient.fetch('/auth/verify', {
                     method: 'GET',
                     headers: {
-                        'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     }
                 });
@@ -452,25 +630,27 @@ function multiProviderDashboard() {
                 if (response.ok) {
                     const data = await response.json();
                     if (data.valid) {
+                        apiClient.syncSession(data);
                         // 更新用户信息
                         if (data.user) {
                             this.user = {
                                 username: data.user.username || 'admin',
                                 role: data.user.role || 'Admin'
                             };
+                            this.permissions = data.user.permissions || [];
                         }
                         return true;
                     } else {
-                        localStorage.removeItem('authToken');
+                        apiClient.clearToken();
                         return false;
                     }
                 } else {
-                    localStorage.removeItem('authToken');
+                    apiClient.clearToken();
                     return false;
                 }
             } catch (error) {
                 console.error('Authentication check error:', error);
-                localStorage.removeItem('authToken');
+                apiClient.clearToken();
                 return false;
             }
         },
@@ -481,7 +661,7 @@ function multiProviderDashboard() {
 
             this.checkingVersion = true;
             try {
-                const response = await fetch('/health/version');
+                const response = await apiClient.fetch('/health/version');
                 if (response.ok) {
                     this.versionInfo = await response.json();
                 } else {
@@ -500,6 +680,106 @@ function multiProviderDashboard() {
             }
         },
 
+        // 当前用户是否拥有指定权限
+        can(permission) {
+            return this.permissions.includes(permission);
+        },
+
+        getRoleLabel(role) {
+            const option = this.roleOptions.find(r => r.value.toLowerCase() === (role || '').toLowerCase());
+            return option ? option.label : role;
+        },
+
+        // 用户管理相关函数
+        async openUserManagementModal() {
+            this.showUserManagementModal = true;
+            await this.loadUsers();
+        },
+
+        closeUserManagementModal() {
+            this.showUserManagementModal = false;
+            this.newUserForm = { username: '', password: '', role: 'Viewer' };
+        },
+
+        async loadUsers() {
+            this.loadingUsers = true;
+            try {
+                const result = await apiClient.get('/admin/users');
+                this.managedUsers = result.data || [];
+            } catch (error) {
+                console.error('加载用户列表失败:', error);
+                this.showMessage('加载用户列表失败: ' + error.message, 'error');
+            } finally {
+                this.loadingUsers = false;
+            }
+        },
+
+        async createUser() {
+            if (!this.newUserForm.username.trim()) {
+                this.showMessage('请输入用户名', 'error');
+                return;
+            }
+            if (this.newUserForm.password.length < 6) {
+                this.showMessage('密码长度至少6位', 'error');
+                return;
+            }
+
+            this.savingUser = true;
+            try {
+                await apiClient.post('/admin/users', this.newUserForm);
+                this.showMessage(`用户 ${this.newUserForm.username} 创建成功`, 'success');
+                this.newUserForm = { username: '', password: '', role: 'Viewer' };
+                await this.loadUsers();
+            } catch (error) {
+                console.error('创建用户失败:', error);
+                this.showMessage('创建用户失败: ' + error.message, 'error');
+            } finally {
+                this.savingUser = false;
+            }
+        },
+
+        async updateManagedUser(managedUser, changes, successMessage) {
+            this.savingUser = true;
+            try {
+                await apiClient.put(`/admin/users/${managedUser.id}`, changes);
+                this.showMessage(successMessage, 'success');
+            } catch (error) {
+                console.error('更新用户失败:', error);
+                this.showMessage('更新用户失败: ' + error.message, 'error');
+            } finally {
+                this.savingUser = false;
+                // 失败时也重新加载，恢复下拉框等控件的原值
+                await this.loadUsers();
+            }
+        },
+
+        async changeUserRole(managedUser, role) {
+            if (role === managedUser.role) return;
+            await this.updateManagedUser(managedUser, { role },
+                `已将 ${managedUser.username} 的角色修改为${this.getRoleLabel(role)}，该用户需重新登录`);
+        },
+
+        async toggleUserEnabled(managedUser) {
+            const enabled = !managedUser.enabled;
+            if (!enabled) {
+                const confirmed = await showConfirm(`确定要禁用用户 ${managedUser.username} 吗？该用户将立即被登出。`, '禁用用户');
+                if (!confirmed) return;
+            }
+            await this.updateManagedUser(managedUser, { enabled },
+                `用户 ${managedUser.username} 已${enabled ? '启用' : '禁用'}`);
+        },
+
+        async resetUserPassword(managedUser) {
+            const password = prompt(`请输入 ${managedUser.username} 的新密码（至少6位）`);
+            if (password === null) return;
+            if (password.length < 6) {
+                this.showMessage('密码长度至少6位', 'error');
+                return;
+            }
+            await this.updateManagedUser(managedUser, { password },
+                `已重置 ${managedUser.username} 的密码`);
+        },
+
         // 用户设置相关函数
         closeUserSettingsModal() {
             this.showUserSettingsModal = false;
@@ -541,11 +821,6 @@ function multiProviderDashboard() {
             this.updatingUserInfo = true;
 
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
                 // 构建请求数据
                 const requestData = {
                     currentPassword: this.userForm.currentPassword
@@ -559,10 +834,9 @@ function multiProviderDashboard() {
                     requestData.newPassword = this.userForm.newPassword;
                 }
 
-                const response = await fetch('/auth/update-user', {
+                const response = await apiClient.fetch('/auth/update-user', {
                     method: 'POST',
                     headers: {
-                        'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     },
                     body: JSON.stringify(requestData)
@@ -605,15 +879,9 @@ function multiProviderDashboard() {
         async loadSystemHealth() {
             this.loadingSystemHealth = true;
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch("/admin/health/system", {
+                const response = await apiClient.fetch("/admin/health/system", {
                     method: 'GET',
                     headers: {
-                        'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     }
                 });
@@ -641,15 +909,9 @@ function multiProviderDashboard() {
         async loadProviderStatuses() {
             this.loadingProviderStatuses = true;
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch("/admin/groups/manage", {
+                const response = await apiClient.fetch("/admin/groups/manage", {
                     method: 'GET',
                     headers: {
-                        'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     }
                 });
@@ -657,6 +919,8 @@ function multiProviderDashboard() {
                 if (response.ok) {
                     const data = await response.json();
                     this.providerStatuses = data.groups || {};
+                    this.providerStatusesLoadedAt = Date.now();
+                    this.syncCircuitBreakerClock();
                     this.filterProviders();
                     // 如果已有密钥状态数据，重新计算统计（排除已禁用的分组）
                     if (this.keyStatus.groups && Object.keys(this.keyStatus.groups).length > 0) {
@@ -693,16 +957,7 @@ function multiProviderDashboard() {
         // 加载所有配置的模型别名
         async loadAllConfiguredAliases() {
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch('/admin/models/all-aliases', {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                });
+                const response = await apiClient.fetch('/admin/models/all-aliases');
 
                 if (response.ok) {
                     const data = await response.json();
@@ -724,19 +979,13 @@ function multiProviderDashboard() {
                     return;
                 }
 
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
                 // 设置加载状态
                 this.clearingInvalidKeys = true;
 
-                const response = await fetch('/admin/keys/clear-invalid', {
+                const response = await apiClient.fetch('/admin/keys/clear-invalid', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${token}`
+                        'Content-Type': 'application/json'
                     }
                 });
 
@@ -781,19 +1030,13 @@ function multiProviderDashboard() {
                     return;
                 }
 
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
                 // 设置加载状态
                 this.clearingEmptyGroups = true;
 
-                const response = await fetch('/admin/groups/clear-empty', {
+                const response = await apiClient.fetch('/admin/groups/clear-empty', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${token}`
+                        'Content-Type': 'application/json'
                     }
                 });
 
@@ -841,33 +1084,48 @@ function multiProviderDashboard() {
             }
         },
 
+        // 打开导出对话框
+        openExportModal() {
+            this.exportPassphrase = "";
+            this.exportPassphraseConfirm = "";
+            this.showExportModal = true;
+        },
+
+        closeExportModal() {
+            this.showExportModal = false;
+            this.exportPassphrase = "";
+            this.exportPassphraseConfirm = "";
+        },
+
         // 导出分组配置
         async exportGroups() {
-            try {
-                let groupsToExport = [];
-
-                if (this.selectedGroups.length === 0) {
-                    // 如果没有选中任何分组，导出所有分组
-                    const confirmed = await showConfirm('没有选中任何分组，是否导出所有分组？', '确认导出');
-                    if (confirmed) {
-                        groupsToExport = Object.keys(this.providerStatuses);
-                    } else {
-                        return;
-                    }
-                } else {
-                    groupsToExport = this.selectedGroups;
+            // 未选中任何分组时导出所有分组
+            const groupsToExport = this.selectedGroups.length > 0
+                ? this.selectedGroups
+                : Object.keys(this.providerStatuses);
+
+            if (this.exportEncrypted) {
+                if (!configCrypto.isSupported()) {
+                    await showAlert('当前浏览器不支持加密（需要通过HTTPS或localhost访问）', 'error', '无法加密');
+                    return;
                 }
-
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
+                if (this.exportPassphrase.length < 8) {
+                    await showAlert('口令长度至少为8个字符', 'warning', '提示');
+                    return;
+                }
+                if (this.exportPassphrase !== this.exportPassphraseConfirm) {
+                    await showAlert('两次输入的口令不一致', 'warning', '提示');
+                    return;
                 }
+            }
+
+            this.exporting = true;
 
-                const response = await fetch('/admin/groups/export', {
+            try {
+                const response = await apiClient.fetch('/admin/groups/export', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${token}`
+                        'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({
                         group_ids: groupsToExport
@@ -875,18 +1133,36 @@ function multiProviderDashboard() {
                 });
 
                 if (response.ok) {
-                    const blob = await response.blob();
+                    const date = new Date().toISOString().split('T')[0];
+                    let blob;
+                    let fileName;
+
+                    if (this.exportEncrypted) {
+                        // 在浏览器内加密，口令不会发送到服务端
+                        const bundle = await configCrypto.encrypt(await response.text(), this.exportPassphrase);
+                        blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+                        fileName = `groups_config_${date}.encrypted.json`;
+                    } else {
+                        blob = await response.blob();
+                        fileName = `groups_config_${date}.json`;
+                    }
+
                     const url = window.URL.createObjectURL(blob);
                     const a = document.createElement('a');
                     a.style.display = 'none';
                     a.href = url;
-                    a.download = `groups_config_${new Date().toISOString().split('T')[0]}.json`;
+                    a.download = fileName;
                     document.body.appendChild(a);
                     a.click();
                     window.URL.revokeObjectURL(url);
                     document.body.removeChild(a);
 
-                    await showAlert(`成功导出 ${groupsToExport.length} 个分组的配置`, 'success', '导出成功');
+                    this.closeExportModal();
+                    await showAlert(
+                        `成功导出 ${groupsToExport.length} 个分组的配置` + (this.exportEncrypted ? '（已加密，导入时需要输入口令）' : ''),
+                        'success',
+                        '导出成功'
+                    );
                 } else {
                     const errorData = await response.json();
                     await showAlert('导出失败: ' + (errorData.error || '未知错误'), 'error', '导出失败');
@@ -894,12 +1170,391 @@ function multiProviderDashboard() {
             } catch (error) {
                 console.error('Export error:', error);
                 await showAlert('导出失败: ' + error.message, 'error', '导出失败');
+            } finally {
+                this.exporting = false;
+            }
+        },
+
+        // 选中当前页的所有分组
+        selectPageGroups() {
+            const pageGroupIds = Object.keys(this.paginatedProviders);
+            this.selectedGroups = [...new Set([...this.selectedGroups, ...pageGroupIds])];
+        },
+
+        clearSelectedGroups() {
+            this.selectedGroups = [];
+        },
+
+        getBulkActionLabel(action) {
+            const option = this.bulkActionOptions.find(item => item.value === action);
+            return option ? option.label : action;
+        },
+
+        // 切换批量操作时加载关联代理密钥所需的列表
+        async onBulkActionChange() {
+            if (this.bulkAction.action === 'attach_proxy_key' && this.proxyKeys.length === 0) {
+                await this.loadProxyKeys();
+            }
+        },
+
+        // 构建批量操作请求，参数不完整时返回 null
+        buildBulkActionPayload() {
+            const form = this.bulkAction;
+            const payload = {
+                group_ids: this.selectedGroups,
+                action: form.action,
+            };
+
+            switch (form.action) {
+                case 'set_priority':
+                    if (form.priority === '' || isNaN(parseInt(form.priority))) {
+                        this.showMessage("请填写优先级", "error");
+                        return null;
+                    }
+                    payload.priority = parseInt(form.priority);
+                    break;
+                case 'add_model':
+                case 'remove_model':
+                    if (!form.model.trim()) {
+                        this.showMessage("请填写模型名称", "error");
+                        return null;
+                    }
+                    payload.model = form.model.trim();
+                    break;
+                case 'set_header':
+                    if (!form.header_name.trim()) {
+                        this.showMessage("请填写请求头名称", "error");
+                        return null;
+                    }
+                    payload.header_name = form.header_name.trim();
+                    payload.header_value = form.header_value;
+                    break;
+                case 'set_param':
+                    if (!form.param_name.trim()) {
+                        this.showMessage("请填写请求参数名称", "error");
+                        return null;
+                    }
+                    payload.param_name = form.param_name.trim();
+                    // 参数值按 JSON 解析，解析失败时按字符串处理
+                    try {
+                        payload.param_value = JSON.parse(form.param_value);
+                    } catch {
+                        payload.param_value = form.param_value;
+                    }
+                    break;
+                case 'attach_proxy_key':
+                    if (!form.proxy_key_id) {
+                        this.showMessage("请选择代理密钥", "error");
+                        return null;
+                    }
+                    payload.proxy_key_id = parseInt(form.proxy_key_id);
+                    break;
+            }
+
+            return payload;
+        },
+
+        getBulkActionDescription(payload) {
+            const label = this.getBulkActionLabel(payload.action);
+            switch (payload.action) {
+                case 'set_priority':
+                    return `${label}为 ${payload.priority}`;
+                case 'add_model':
+                case 'remove_model':
+                    return `${label} ${payload.model}`;
+                case 'set_header':
+                    return `${label} ${payload.header_name}: ${payload.header_value}`;
+                case 'set_param':
+                    return `${label} ${payload.param_name} = ${JSON.stringify(payload.param_value)}`;
+                case 'attach_proxy_key': {
+                    const proxyKey = this.proxyKeys.find(key => key.id === payload.proxy_key_id);
+                    return `${label} ${proxyKey ? proxyKey.name : payload.proxy_key_id}`;
+                }
+                default:
+                    return label;
+            }
+        },
+
+        // 对选中的分组执行批量操作
+        async runBulkAction() {
+            if (this.selectedGroups.length === 0) {
+                this.showMessage("请先选择分组", "error");
+                return;
             }
+            if (!this.bulkAction.action) {
+                this.showMessage("请选择批量操作", "error");
+                return;
+            }
+
+            const payload = this.buildBulkActionPayload();
+            if (!payload) return;
+
+            const groupNames = this.selectedGroups
+                .map(groupId => this.providerStatuses[groupId]?.group_name || groupId)
+                .join('、');
+            const confirmed = await showConfirm(
+                `将对以下 ${this.selectedGroups.length} 个分组执行「${this.getBulkActionDescription(payload)}」：\n\n${groupNames}\n\n确定要继续吗？`,
+                '批量操作'
+            );
+            if (!confirmed) return;
+
+            this.bulkRunning = true;
+            try {
+                this.bulkResult = payload.action === 'validate_keys'
+                    ? await this.runBulkValidateKeys(payload)
+                    : await this.postBulkAction(payload);
+                this.showBulkResultModal = true;
+
+                await this.loadProviderStatuses();
+                await this.loadKeyStatus();
+                if (payload.action === 'attach_proxy_key') {
+                    await this.loadProxyKeys();
+                }
+            } catch (error) {
+                console.error('Bulk action error:', error);
+                this.showMessage("批量操作失败: " + error.message, "error");
+            } finally {
+                this.bulkRunning = false;
+                this.bulkProgress = null;
+            }
+        },
+
+        async postBulkAction(payload, options = {}) {
+            const response = await apiClient.fetch('/admin/groups/bulk', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload),
+                ...options
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || "未知错误");
+            }
+            return data.data;
+        },
+
+        // 密钥验证逐个请求上游，耗时较长，按分组逐个提交并显示进度，汇总为与其他批量操作相同的结果
+        async runBulkValidateKeys(payload) {
+            const results = [];
+            this.bulkProgress = { done: 0, total: payload.group_ids.length };
+
+            for (const groupId of payload.group_ids) {
+                try {
+                    const data = await this.postBulkAction(
+                        { ...payload, group_ids: [groupId] },
+                        { timeout: 0 }
+                    );
+                    results.push(...data.results);
+                } catch (error) {
+                    results.push({ group_id: groupId, success: false, changed: false, message: error.message });
+                }
+                this.bulkProgress.done++;
+            }
+
+            return {
+                action: payload.action,
+                total: results.length,
+                succeeded: results.filter(result => result.success).length,
+                failed: results.filter(result => !result.success).length,
+                changed: results.filter(result => result.changed).length,
+                results
+            };
+        },
+
+        closeBulkResultModal() {
+            this.showBulkResultModal = false;
+            this.bulkResult = null;
+        },
+
+        getBulkResultGroupName(result) {
+            return result.group_name || this.providerStatuses[result.group_id]?.group_name || result.group_id;
         },
 
         // 处理文件选择
         handleFileSelect(event) {
             this.selectedFile = event.target.files[0];
+            this.importPreview = null;
+            this.importEncrypted = false;
+            this.importPassphrase = "";
+            this.importContent = null;
+        },
+
+        // 关闭导入对话框并重置状态
+        closeImportModal() {
+            this.showImportModal = false;
+            this.selectedFile = null;
+            this.importPreview = null;
+            this.importEncrypted = false;
+            this.importPassphrase = "";
+            this.importContent = null;
+
+            // 重置文件输入
+            const fileInput = document.querySelector('input[type="file"]');
+            if (fileInput) {
+                fileInput.value = '';
+            }
+        },
+
+        // 预览导入：在本地解析配置文件，与现有分组对比，不做任何修改
+        async previewImport() {
+            if (!this.selectedFile) {
+                await showAlert('请选择配置文件', 'warning', '提示');
+                return;
+            }
+
+            this.previewingImport = true;
+
+            try {
+                let content = await this.selectedFile.text();
+                let config;
+                try {
+                    config = JSON.parse(content);
+                } catch (e) {
+                    throw new Error('配置文件不是有效的JSON');
+                }
+
+                // 加密导出文件需要先用口令解密
+                if (configCrypto.isEncrypted(config)) {
+                    this.importEncrypted = true;
+                    if (!this.importPassphrase) {
+                        await showAlert('该文件已加密，请输入导出时设置的口令', 'warning', '需要口令');
+                        return;
+                    }
+                    content = await configCrypto.decrypt(config, this.importPassphrase);
+                    config = JSON.parse(content);
+                }
+
+                if (!config || !Array.isArray(config.groups)) {
+                    throw new Error('配置文件格式无效，缺少 groups 列表');
+                }
+
+                const response = await apiClient.fetch('/admin/groups/manage');
+                if (!response.ok) {
+                    throw new Error('获取现有分组失败');
+                }
+                const data = await response.json();
+                this.importContent = content;
+                const existingByName = {};
+                Object.values(data.groups || {}).forEach((group) => {
+                    existingByName[group.group_name] = group;
+                });
+
+                this.importPreview = config.groups.map((imported, index) => {
+                    const name = imported && imported.group_name;
+                    if (!name) {
+                        return { key: index, group_name: `#${index + 1}`, status: 'invalid', imported };
+                    }
+                    const existing = existingByName[name];
+                    return {
+                        key: index,
+                        group_name: name,
+                        provider_type: imported.provider_type || '',
+                        status: existing ? 'conflict' : 'create',
+                        existing: existing || null,
+                        imported,
+                        // 同名分组默认跳过，由用户逐个决定覆盖或合并
+                        resolution: 'skip',
+                    };
+                });
+            } catch (error) {
+                console.error('Import preview error:', error);
+                await showAlert('预览失败: ' + error.message, 'error', '预览失败');
+            } finally {
+                this.previewingImport = false;
+            }
+        },
+
+        // 按当前选择的处理方式计算某个分组导入后的字段变化
+        getImportItemDiff(item) {
+            if (item.status === 'create') {
+                return this.maskImportDiff(this.diffGroupSnapshots({}, this.pickImportFields(item.imported)));
+            }
+            if (item.status !== 'conflict' || item.resolution === 'skip') {
+                return [];
+            }
+
+            const imported = this.pickImportFields(item.imported);
+            const current = {};
+            Object.keys(imported).forEach((field) => {
+                current[field] = item.existing[field];
+            });
+
+            const target = item.resolution === 'merge'
+                ? this.mergeImportFields(current, imported)
+                : imported;
+            return this.maskImportDiff(this.diffGroupSnapshots(current, target));
+        },
+
+        // 同名分组在覆盖模式下是否存在差异，用于提示“内容一致”
+        hasImportChanges(item) {
+            if (item.status !== 'conflict') return true;
+            return this.getImportItemDiff({ ...item, resolution: 'overwrite' }).length > 0;
+        },
+
+        // 只保留导入接口会处理的字段，与服务端逻辑保持一致
+        pickImportFields(imported) {
+            const fields = [
+                'group_name', 'provider_type', 'base_url', 'api_keys', 'models', 'model_aliases',
+                'parameter_overrides', 'headers', 'balance_policy', 'retry_count', 'timeout',
+                'rpm_limit', 'test_model', 'priority', 'enabled', 'fake_streaming', 'health_check_enabled',
+                'model_prices', 'circuit_breaker_enabled', 'circuit_breaker_failure_threshold',
+                'circuit_breaker_error_rate', 'circuit_breaker_cooldown', 'provider_settings',
+            ];
+            const picked = {};
+            fields.forEach((field) => {
+                if (imported[field] !== undefined && imported[field] !== null) {
+                    picked[field] = imported[field];
+                }
+            });
+            return picked;
+        },
+
+        // 合并：追加密钥和模型，补充缺失的映射/参数/请求头/模型价格，其余字段保持现有值
+        mergeImportFields(current, imported) {
+            const merged = { ...current };
+            ['api_keys', 'models'].forEach((field) => {
+                if (Array.isArray(imported[field])) {
+                    const existing = current[field] || [];
+                    merged[field] = [...existing, ...imported[field].filter((item) => !existing.includes(item))];
+                }
+            });
+            ['model_aliases', 'parameter_overrides', 'headers', 'model_prices'].forEach((field) => {
+                if (imported[field] && typeof imported[field] === 'object') {
+                    merged[field] = { ...imported[field], ...(current[field] || {}) };
+                }
+            });
+            return merged;
+        },
+
+        // 预览中不显示完整的API密钥
+        maskImportDiff(rows) {
+            const mask = (key) => typeof key === 'string' && key.length > 12
+                ? `${key.slice(0, 6)}...${key.slice(-4)}`
+                : '***';
+            return rows.map((row) => row.field === 'api_keys'
+                ? { ...row, added: (row.added || []).map(mask), removed: (row.removed || []).map(mask) }
+                : row);
+        },
+
+        get importPreviewSummary() {
+            const items = this.importPreview || [];
+            return {
+                create: items.filter((item) => item.status === 'create').length,
+                update: items.filter((item) => item.status === 'conflict' && item.resolution !== 'skip').length,
+                skip: items.filter((item) => item.status === 'conflict' && item.resolution === 'skip').length,
+                invalid: items.filter((item) => item.status === 'invalid').length,
+            };
+        },
+
+        // 批量设置所有同名分组的处理方式
+        setAllImportResolutions(resolution) {
+            (this.importPreview || []).forEach((item) => {
+                if (item.status === 'conflict') {
+                    item.resolution = resolution;
+                }
+            });
         },
 
         // 导入分组配置
@@ -912,19 +1567,30 @@ function multiProviderDashboard() {
             this.importing = true;
 
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
+                const formData = new FormData();
+                if (this.importContent) {
+                    // 上传预览时解析（或解密）后的内容，服务端只接收明文配置
+                    formData.append(
+                        'config_file',
+                        new Blob([this.importContent], { type: 'application/json' }),
+                        this.selectedFile.name
+                    );
+                } else {
+                    formData.append('config_file', this.selectedFile);
                 }
 
-                const formData = new FormData();
-                formData.append('config_file', this.selectedFile);
+                if (this.importPreview) {
+                    const resolutions = {};
+                    this.importPreview
+                        .filter((item) => item.status === 'conflict')
+                        .forEach((item) => {
+                            resolutions[item.group_name] = item.resolution;
+                        });
+                    formData.append('resolutions', JSON.stringify(resolutions));
+                }
 
-                const response = await fetch('/admin/groups/import', {
+                const response = await apiClient.fetch('/admin/groups/import', {
                     method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
                     body: formData
                 });
 
@@ -932,6 +1598,12 @@ function multiProviderDashboard() {
 
                 if (data.success) {
                     let message = `成功导入 ${data.imported_count}/${data.total_groups} 个分组`;
+                    if (data.updated_count) {
+                        message += `，更新 ${data.updated_count} 个已有分组`;
+                    }
+                    if (data.skipped_count) {
+                        message += `，跳过 ${data.skipped_count} 个`;
+                    }
 
                     if (data.errors && data.errors.length > 0) {
                         message += '\n\n错误信息:\n' + data.errors.join('\n');
@@ -943,14 +1615,7 @@ function multiProviderDashboard() {
                     await this.loadProviderStatuses();
 
                     // 关闭模态框并重置状态
-                    this.showImportModal = false;
-                    this.selectedFile = null;
-
-                    // 重置文件输入
-                    const fileInput = document.querySelector('input[type="file"]');
-                    if (fileInput) {
-                        fileInput.value = '';
-                    }
+                    this.closeImportModal();
                 } else {
                     await showAlert('导入失败: ' + (data.error || '未知错误'), 'error', '导入失败');
                 }
@@ -964,7 +1629,7 @@ function multiProviderDashboard() {
 
         async checkProviderHealth(groupId) {
             try {
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/health/providers/${groupId}`,
                 );
                 if (response.ok) {
@@ -986,7 +1651,7 @@ function multiProviderDashboard() {
                     ? `/admin/models/${this.selectedProvider}`
                     : "/admin/models";
 
-                const response = await fetch(url);
+                const response = await apiClient.fetch(url);
                 if (response.ok) {
                     const data = await response.json();
                     this.providerModels = data.data || {};
@@ -1026,15 +1691,9 @@ function multiProviderDashboard() {
         async loadKeyStatus() {
             this.loadingKeyStatus = true;
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch("/admin/keys/status", {
+                const response = await apiClient.fetch("/admin/keys/status", {
                     method: 'GET',
                     headers: {
-                        'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     }
                 });
@@ -1101,7 +1760,7 @@ function multiProviderDashboard() {
                 // 为每个分组加载验证状态
                 for (const groupId of groupIds) {
                     try {
-                        const response = await fetch(
+                        const response = await apiClient.fetch(
                             `/admin/keys/validation/${groupId}`,
                         );
                         if (response.ok) {
@@ -1310,6 +1969,20 @@ function multiProviderDashboard() {
                 return 'border-gray-300 bg-gray-100';
             }
 
+            // 维护窗口内的分组不参与路由
+            if (provider.maintenance && provider.maintenance.active) {
+                return 'border-indigo-300 bg-indigo-50';
+            }
+
+            // 熔断状态优先于健康检查结果，反映实际请求情况
+            const breakerState = this.getCircuitBreakerState(provider);
+            if (breakerState === 'open') {
+                return 'border-orange-300 bg-orange-50';
+            }
+            if (breakerState === 'half_open') {
+                return 'border-yellow-200 bg-yellow-50';
+            }
+
             // 如果启用，再判断健康状态
             if (provider.healthy) {
                 return 'border-green-200 bg-green-50';
@@ -1362,7 +2035,7 @@ function multiProviderDashboard() {
 
             try {
                 // 获取分组的完整数据
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     "/admin/groups/manage",
                 );
                 if (!response.ok) {
@@ -1392,7 +2065,7 @@ function multiProviderDashboard() {
                 }
 
                 // 发送验证请求
-                const validateResponse = await fetch(
+                const validateResponse = await apiClient.fetch(
                     `/admin/keys/validate/${groupId}`,
                     {
                         method: "POST",
@@ -1535,24 +2208,195 @@ function multiProviderDashboard() {
         // 分组管理方法
         openCreateGroupModal() {
             this.resetGroupForm();
+            this.selectedGroupTemplateId = "";
+            this.clonedFromGroupId = "";
             this.showCreateGroupModal = true;
+            this.loadGroupTemplates();
         },
 
-        // 强制刷新表单UI显示
-        forceRefreshFormUI() {
-            setTimeout(() => {
-                // 获取所有需要更新的表单元素
-                const formElements = [
-                    {
-                        selector:
-                            'input[x-model="groupFormData.rpm_limit"]',
-                        value: this.groupFormData.rpm_limit,
-                        event: "input",
-                    },
-                    {
-                        selector:
-                            'input[x-model="groupFormData.use_native_response"]',
-                        value: this.groupFormData
+        async loadGroupTemplates() {
+            try {
+                const response = await apiClient.fetch("/admin/group-templates");
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || "加载分组模板失败");
+                }
+                this.groupTemplates = data.data || [];
+            } catch (error) {
+                console.error("加载分组模板失败:", error);
+                this.groupTemplates = [];
+            }
+        },
+
+        get selectedGroupTemplate() {
+            return this.groupTemplates.find(
+                (template) => String(template.id) === String(this.selectedGroupTemplateId),
+            ) || null;
+        },
+
+        // 克隆分组：复制除名称和API密钥外的全部配置，打开新建分组表单
+        async cloneGroup(groupId, provider) {
+            try {
+                const response = await apiClient.fetch(
+                    `/admin/group-templates/from-group/${encodeURIComponent(groupId)}`,
+                );
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || "获取分组配置失败");
+                }
+
+                this.openCreateGroupModal();
+                this.clonedFromGroupId = groupId;
+                this.applyGroupConfigToForm(data.data);
+                this.groupFormData.group_id = `${groupId}-copy`;
+                this.groupFormData.name = `${provider?.group_name || groupId} (副本)`;
+            } catch (error) {
+                this.showMessage("克隆分组失败: " + error.message, "error");
+            }
+        },
+
+        // 将分组配置保存为模板，供之后新建分组时套用
+        async saveGroupAsTemplate(groupId, provider) {
+            const name = prompt(
+                "请输入模板名称（模板保存除分组名称和API密钥外的全部配置）",
+                provider?.group_name || groupId,
+            );
+            if (name === null) return;
+            if (!name.trim()) {
+                this.showMessage("模板名称不能为空", "error");
+                return;
+            }
+
+            try {
+                const response = await apiClient.fetch("/admin/group-templates", {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ group_id: groupId, name: name.trim() }),
+                });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || "保存分组模板失败");
+                }
+                this.showMessage(`已保存分组模板 ${data.data.name}`, "success");
+            } catch (error) {
+                this.showMessage("保存分组模板失败: " + error.message, "error");
+            }
+        },
+
+        // 新建分组时套用模板，保留已填写的分组ID和名称
+        applyGroupTemplate() {
+            const template = this.selectedGroupTemplate;
+            if (!template) return;
+            this.applyGroupConfigToForm(template.config || {});
+            this.showMessage(`已套用模板 ${template.name}，请填写分组ID、名称和API密钥`, "success");
+        },
+
+        async deleteGroupTemplate() {
+            const template = this.selectedGroupTemplate;
+            if (!template) return;
+
+            const confirmed = await showConfirm(
+                `确定要删除分组模板 ${template.name} 吗？已用该模板创建的分组不受影响。`,
+                "删除分组模板",
+            );
+            if (!confirmed) return;
+
+            try {
+                const response = await apiClient.fetch(
+                    `/admin/group-templates/${template.id}`,
+                    { method: "DELETE" },
+                );
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || "删除分组模板失败");
+                }
+                this.selectedGroupTemplateId = "";
+                await this.loadGroupTemplates();
+                this.showMessage("分组模板已删除", "success");
+            } catch (error) {
+                this.showMessage("删除分组模板失败: " + error.message, "error");
+            }
+        },
+
+        // 将分组配置（与配置快照字段相同，不含API密钥）填入表单
+        applyGroupConfigToForm(config) {
+            const { group_id, name } = this.groupFormData;
+            this.resetGroupForm();
+
+            const proxyConfig = config.proxy_config || {};
+            this.groupFormData = {
+                ...this.groupFormData,
+                group_id: group_id,
+                name: name,
+                provider_type: config.provider_type || "",
+                base_url: config.base_url || "",
+                enabled: config.enabled !== false,
+                health_check_enabled: config.health_check_enabled !== false,
+                timeout: parseInt(config.timeout) || 30,
+                max_retries: config.retry_count ?? 3,
+                circuit_breaker_enabled: config.circuit_breaker_enabled !== false,
+                circuit_breaker_failure_threshold: config.circuit_breaker_failure_threshold ?? 5,
+                circuit_breaker_error_rate: config.circuit_breaker_error_rate ?? 50,
+                circuit_breaker_cooldown: config.circuit_breaker_cooldown || 60,
+                rotation_strategy: config.balance_policy || "round_robin",
+                models: [...(config.models || [])],
+                rpm_limit: parseInt(config.rpm_limit) || 0,
+                test_model: config.test_model || "",
+                priority: config.priority || 0,
+                fake_streaming: Boolean(config.fake_streaming),
+                provider_settings: { ...(config.provider_settings || {}) },
+                proxy_enabled: Boolean(config.proxy_enabled),
+                proxy_config: {
+                    type: proxyConfig.type || "http",
+                    host: proxyConfig.host || "",
+                    port: parseInt(proxyConfig.port) || 8080,
+                    username: proxyConfig.username || "",
+                    password: proxyConfig.password || "",
+                    bypass_local: proxyConfig.bypass_local !== undefined ? proxyConfig.bypass_local : true,
+                    bypass_domains: proxyConfig.bypass_domains || [],
+                },
+                proxy_bypass_domains_text: (proxyConfig.bypass_domains || []).join("\n"),
+            };
+
+            this.modelsText = this.groupFormData.models.join("\n");
+            this.initProviderMapRows();
+
+            const parameterOverrides = config.parameter_overrides || {};
+            this.requestParamsText = Object.keys(parameterOverrides).length > 0
+                ? JSON.stringify(parameterOverrides, null, 2)
+                : "";
+            const headers = config.headers || {};
+            this.headersText = Object.keys(headers).length > 0
+                ? JSON.stringify(headers, null, 2)
+                : "";
+
+            this.modelMappings = Object.entries(config.model_aliases || {}).map(
+                ([alias, original]) => ({ alias, original }),
+            );
+            this.modelPriceRows = Object.entries(config.model_prices || {}).map(
+                ([model, price]) => ({
+                    model: model,
+                    input_price: price.input_price,
+                    output_price: price.output_price,
+                }),
+            );
+        },
+
+        // 强制刷新表单UI显示
+        forceRefreshFormUI() {
+            setTimeout(() => {
+                // 获取所有需要更新的表单元素
+                const formElements = [
+                    {
+                        selector:
+                            'input[x-model="groupFormData.rpm_limit"]',
+                        value: this.groupFormData.rpm_limit,
+                        event: "input",
+                    },
+                    {
+                        selector:
+                            'input[x-model="groupFormData.use_native_response"]',
+                        value: this.groupFormData
                             .use_native_response,
                         event: "change",
                         isCheckbox: true,
@@ -1596,7 +2440,7 @@ function multiProviderDashboard() {
 
             try {
                 // 从分组管理接口获取完整的分组数据
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     "/admin/groups/manage",
                 );
                 if (!response.ok) {
@@ -1619,6 +2463,12 @@ function multiProviderDashboard() {
                 ) {
                     apiKeys = [...fullGroupData.api_keys];
                 }
+                // 无需 API Key 的分组保存的占位密钥不在表单中展示，提交时由服务端补回
+                const placeholderKey = this.getProviderDescriptor(fullGroupData.provider_type)?.placeholder_api_key;
+                if (placeholderKey) {
+                    apiKeys = apiKeys.filter((key) => key !== placeholderKey);
+                    if (apiKeys.length === 0) apiKeys = [""];
+                }
 
                 this.groupFormData = {
                     group_id: groupId,
@@ -1631,6 +2481,10 @@ function multiProviderDashboard() {
                     timeout: parseInt(fullGroupData.timeout) || 30,
                     max_retries:
                         parseInt(fullGroupData.max_retries) || 3,
+                    circuit_breaker_enabled: fullGroupData.circuit_breaker_enabled !== false,
+                    circuit_breaker_failure_threshold: fullGroupData.circuit_breaker_failure_threshold ?? 5,
+                    circuit_breaker_error_rate: fullGroupData.circuit_breaker_error_rate ?? 50,
+                    circuit_breaker_cooldown: fullGroupData.circuit_breaker_cooldown || 60,
                     rotation_strategy:
                         fullGroupData.rotation_strategy ||
                         "round_robin",
@@ -1642,6 +2496,7 @@ function multiProviderDashboard() {
                     rpm_limit:
                         parseInt(fullGroupData.rpm_limit) || 0,
                     test_model: fullGroupData.test_model || "",
+                    provider_settings: { ...(fullGroupData.provider_settings || {}) },
                     proxy_enabled: Boolean(fullGroupData.proxy_enabled),
                     proxy_config: fullGroupData.proxy_config ? {
                         type: fullGroupData.proxy_config.type || "http",
@@ -1667,6 +2522,7 @@ function multiProviderDashboard() {
                 this.modelsText = (fullGroupData.models || []).join(
                     "\n",
                 );
+                this.initProviderMapRows();
 
                 // 确保modelsText和groupFormData.models同步
                 if (this.modelsText.trim()) {
@@ -1719,6 +2575,15 @@ function multiProviderDashboard() {
                     }
                 }
 
+                // 加载模型价格
+                this.modelPriceRows = Object.entries(
+                    fullGroupData.model_prices || {},
+                ).map(([model, price]) => ({
+                    model: model,
+                    input_price: price.input_price,
+                    output_price: price.output_price,
+                }));
+
                 // 使用setTimeout确保所有数据都已经设置完成
                 setTimeout(() => {
                     // 强制触发响应式更新
@@ -1750,9 +2615,446 @@ function multiProviderDashboard() {
             }
         },
 
+        // 打开分组配置历史版本视图
+        async openGroupHistory() {
+            if (!this.editingGroupId) return;
+            this.showGroupHistory = true;
+            this.groupVersionCompareMode = "previous";
+            await this.loadGroupVersions();
+        },
+
+        closeGroupHistory() {
+            this.showGroupHistory = false;
+            this.groupVersions = [];
+            this.selectedGroupVersion = null;
+        },
+
+        async loadGroupVersions() {
+            this.loadingGroupVersions = true;
+            try {
+                const result = await apiClient.get(
+                    `/admin/groups/${encodeURIComponent(this.editingGroupId)}/versions`,
+                );
+                this.groupVersions = result.versions || [];
+                this.selectedGroupVersion = this.groupVersions[0] || null;
+            } catch (error) {
+                console.error("加载分组历史版本失败:", error);
+                this.showMessage("加载分组历史版本失败: " + error.message, "error");
+            } finally {
+                this.loadingGroupVersions = false;
+            }
+        },
+
+        getGroupChangeTypeLabel(version) {
+            const labels = {
+                baseline: "变更前基线",
+                create: "创建",
+                update: "编辑",
+                toggle: "启用/禁用",
+                key_delete: "删除密钥",
+                model_delete: "删除模型",
+                import: "导入覆盖/合并",
+                restore: "恢复",
+            };
+            const label = labels[version.change_type] || version.change_type;
+            return version.change_type === "restore" && version.source_version
+                ? `${label}（来自 v${version.source_version}）`
+                : label;
+        },
+
+        // 当前选中版本的对比基准：上一版本或最新版本
+        getGroupVersionBase() {
+            if (!this.selectedGroupVersion) return null;
+            const index = this.groupVersions.indexOf(this.selectedGroupVersion);
+            if (this.groupVersionCompareMode === "latest") {
+                return index === 0 ? null : this.groupVersions[0];
+            }
+            return this.groupVersions[index + 1] || null;
+        },
+
+        // 字段级差异：上一版本/最新版本 → 选中版本
+        getGroupVersionDiff() {
+            const selected = this.selectedGroupVersion;
+            if (!selected) return [];
+            const base = this.getGroupVersionBase();
+            if (!base) {
+                return this.groupVersionCompareMode === "latest"
+                    ? []
+                    : this.diffGroupSnapshots({}, selected.snapshot);
+            }
+            // 与最新版本对比时展示的就是恢复该版本会产生的变化
+            return this.diffGroupSnapshots(base.snapshot, selected.snapshot);
+        },
+
+        diffGroupSnapshots(before, after) {
+            const fieldLabels = {
+                group_name: "分组名称",
+                provider_type: "服务商类型",
+                base_url: "API地址",
+                api_keys: "API密钥",
+                models: "模型列表",
+                model_aliases: "模型映射",
+                parameter_overrides: "请求参数",
+                headers: "请求头",
+                balance_policy: "负载均衡策略",
+                retry_count: "重试次数",
+                timeout: "超时时间",
+                rpm_limit: "RPM限制",
+                test_model: "测试模型",
+                priority: "优先级",
+                enabled: "启用状态",
+                fake_streaming: "假流模式",
+                health_check_enabled: "健康检查",
+                model_prices: "模型价格",
+                circuit_breaker_enabled: "熔断器",
+                circuit_breaker_failure_threshold: "熔断连续失败阈值",
+                circuit_breaker_error_rate: "熔断错误率阈值",
+                circuit_breaker_cooldown: "熔断冷却时间",
+                provider_settings: "服务商特有配置",
+                proxy_enabled: "启用代理",
+                proxy_config: "代理配置",
+            };
+            const isPlainObject = (value) =>
+                value !== null && typeof value === "object" && !Array.isArray(value);
+            const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+            const rows = [];
+
+            const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+            for (const field of fields) {
+                const oldValue = before ? before[field] : undefined;
+                const newValue = after ? after[field] : undefined;
+                if (same(oldValue, newValue)) continue;
+                const label = fieldLabels[field] || field;
+
+                if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+                    // 列表字段显示新增和移除的项
+                    const oldItems = oldValue || [];
+                    const newItems = newValue || [];
+                    rows.push({
+                        field,
+                        label,
+                        added: newItems.filter((item) => !oldItems.some((o) => same(o, item))),
+                        removed: oldItems.filter((item) => !newItems.some((n) => same(n, item))),
+                    });
+                } else if (isPlainObject(oldValue) || isPlainObject(newValue)) {
+                    // 映射类字段按键展开对比
+                    const oldMap = isPlainObject(oldValue) ? oldValue : {};
+                    const newMap = isPlainObject(newValue) ? newValue : {};
+                    for (const key of new Set([...Object.keys(oldMap), ...Object.keys(newMap)])) {
+                        if (same(oldMap[key], newMap[key])) continue;
+                        rows.push({
+                            field,
+                            label: `${label} › ${key}`,
+                            before: oldMap[key],
+                            after: newMap[key],
+                        });
+                    }
+                } else {
+                    rows.push({ field, label, before: oldValue, after: newValue });
+                }
+            }
+            return rows;
+        },
+
+        formatVersionValue(value) {
+            if (value === undefined || value === null || value === "") return "（空）";
+            if (typeof value === "object") return JSON.stringify(value);
+            return String(value);
+        },
+
+        async restoreGroupVersion(version) {
+            const confirmed = await showConfirm(
+                `确定要将分组 ${this.editingGroupId} 恢复到版本 v${version.version} 吗？当前配置会先保存为一个新版本，可再次恢复。`,
+                "恢复历史版本",
+            );
+            if (!confirmed) return;
+
+            this.restoringGroupVersion = true;
+            try {
+                const result = await apiClient.post(
+                    `/admin/groups/${encodeURIComponent(this.editingGroupId)}/versions/${version.version}/restore`,
+                );
+                this.showMessage(result.message || "恢复成功", "success");
+
+                // 重新加载表单和历史，确保编辑框显示恢复后的配置
+                const groupId = this.editingGroupId;
+                this.closeGroupHistory();
+                await this.editGroup(groupId);
+                await this.loadProviderStatuses();
+            } catch (error) {
+                console.error("恢复分组历史版本失败:", error);
+                this.showMessage("恢复失败: " + error.message, "error");
+            } finally {
+                this.restoringGroupVersion = false;
+            }
+        },
+
+        getCircuitBreakerState(provider) {
+            const breaker = provider && provider.circuit_breaker;
+            return breaker && breaker.enabled ? breaker.state : 'closed';
+        },
+
+        getCircuitBreakerText(provider) {
+            const breaker = provider.circuit_breaker;
+            if (this.getCircuitBreakerState(provider) === 'half_open') {
+                return '半开探测中';
+            }
+            const elapsed = Math.floor((this.circuitClockNow - this.providerStatusesLoadedAt) / 1000);
+            const seconds = Math.max(0, breaker.retry_in_seconds - elapsed);
+            return seconds > 0 ? `熔断中，${seconds} 秒后重试` : '熔断中，等待探测请求';
+        },
+
+        getCircuitBreakerTitle(provider) {
+            const breaker = provider.circuit_breaker;
+            if (!breaker) return '';
+            return `连续失败 ${breaker.consecutive_failures} 次，最近 ${breaker.recent_requests} 次请求错误率 ${breaker.error_rate}%`
+                + (breaker.last_error ? `\n最近错误: ${breaker.last_error}` : '');
+        },
+
+        // 存在熔断中的分组时每秒刷新倒计时
+        syncCircuitBreakerClock() {
+            const hasOpen = Object.values(this.providerStatuses).some(
+                (provider) => this.getCircuitBreakerState(provider) === 'open',
+            );
+            if (hasOpen && !this.circuitClockTimer) {
+                this.circuitClockNow = Date.now();
+                this.circuitClockTimer = setInterval(() => {
+                    this.circuitClockNow = Date.now();
+                }, 1000);
+            } else if (!hasOpen && this.circuitClockTimer) {
+                clearInterval(this.circuitClockTimer);
+                this.circuitClockTimer = null;
+            }
+        },
+
+        async resetCircuitBreaker(groupId) {
+            try {
+                const response = await apiClient.fetch(
+                    `/admin/groups/${groupId}/circuit-breaker/reset`,
+                    {
+                        method: "POST",
+                    },
+                );
+
+                const data = await response.json();
+
+                if (response.ok) {
+                    this.showMessage(data.message, "success");
+                    await this.loadProviderStatuses();
+                } else {
+                    this.showMessage(
+                        data.error || "操作失败",
+                        "error",
+                    );
+                }
+            } catch (error) {
+                this.showMessage(
+                    "网络错误: " + error.message,
+                    "error",
+                );
+            }
+        },
+
+        // 服务商卡片上的维护提示：正在维护，或 24 小时内有计划维护
+        getMaintenanceBanner(provider) {
+            const maintenance = provider && provider.maintenance;
+            if (!maintenance) return '';
+            if (maintenance.active) {
+                return `维护中${maintenance.title ? '（' + maintenance.title + '）' : ''}，预计 ${this.formatMaintenanceTime(maintenance.ends_at)} 结束，期间不参与路由`;
+            }
+            if (maintenance.next_start && new Date(maintenance.next_start) - Date.now() < 24 * 3600 * 1000) {
+                return `计划维护: ${this.formatMaintenanceTime(maintenance.next_start)} - ${this.formatMaintenanceTime(maintenance.next_end, true)}`
+                    + (maintenance.next_title ? `（${maintenance.next_title}）` : '');
+            }
+            return '';
+        },
+
+        formatMaintenanceTime(value, timeOnly = false) {
+            if (!value) return '';
+            const options = timeOnly
+                ? { hour: '2-digit', minute: '2-digit' }
+                : { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' };
+            return new Date(value).toLocaleString('zh-CN', options);
+        },
+
+        async openMaintenanceModal(groupId = null) {
+            this.resetMaintenanceForm(groupId);
+            this.showMaintenanceModal = true;
+            await this.loadMaintenanceData();
+        },
+
+        closeMaintenanceModal() {
+            this.showMaintenanceModal = false;
+            this.resetMaintenanceForm();
+        },
+
+        async loadMaintenanceData() {
+            this.loadingMaintenance = true;
+            try {
+                const [windowsResponse, calendarResponse] = await Promise.all([
+                    apiClient.fetch('/admin/maintenance/windows'),
+                    apiClient.fetch(`/admin/maintenance/calendar?days=${this.maintenanceCalendarDays}`),
+                ]);
+                const windowsData = await windowsResponse.json();
+                const calendarData = await calendarResponse.json();
+
+                if (windowsData.success && calendarData.success) {
+                    this.maintenanceWindows = windowsData.data || [];
+                    this.maintenanceCalendar = calendarData.data || [];
+                } else {
+                    this.showMessage(
+                        "加载维护窗口失败: " + (windowsData.error || calendarData.error || "未知错误"),
+                        "error",
+                    );
+                }
+            } catch (error) {
+                console.error("加载维护窗口失败:", error);
+                this.showMessage("加载维护窗口失败: " + error.message, "error");
+            } finally {
+                this.loadingMaintenance = false;
+            }
+        },
+
+        // 日历视图：按日期分组的维护时段
+        get maintenanceCalendarDaysList() {
+            const days = [];
+            const weekdays = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+            for (const occurrence of this.maintenanceCalendar) {
+                const start = new Date(occurrence.start);
+                const key = `${start.getFullYear()}-${start.getMonth() + 1}-${start.getDate()}`;
+                let day = days.find(d => d.key === key);
+                if (!day) {
+                    day = {
+                        key,
+                        label: `${start.getMonth() + 1}月${start.getDate()}日 ${weekdays[start.getDay()]}`,
+                        occurrences: [],
+                    };
+                    days.push(day);
+                }
+                day.occurrences.push(occurrence);
+            }
+            return days;
+        },
+
+        describeMaintenanceSchedule(item) {
+            if (item.schedule_type === 'cron') {
+                return `cron ${item.cron_expression}，每次 ${item.duration_minutes} 分钟`;
+            }
+            return `${this.formatMaintenanceTime(item.start_time)} - ${this.formatMaintenanceTime(item.end_time)}`;
+        },
+
+        resetMaintenanceForm(groupId = null) {
+            this.editingMaintenanceWindowId = null;
+            this.maintenanceForm = {
+                group_id: groupId || "",
+                title: "",
+                schedule_type: "once",
+                start_time: "",
+                end_time: "",
+                cron_expression: "0 3 * * *",
+                duration_minutes: 30,
+                enabled: true,
+            };
+        },
+
+        editMaintenanceWindow(item) {
+            this.editingMaintenanceWindowId = item.id;
+            this.maintenanceForm = {
+                group_id: item.group_id,
+                title: item.title || "",
+                schedule_type: item.schedule_type,
+                // datetime-local 输入框只接受 yyyy-MM-ddTHH:mm
+                start_time: item.start_time ? item.start_time.slice(0, 16) : "",
+                end_time: item.end_time ? item.end_time.slice(0, 16) : "",
+                cron_expression: item.cron_expression || "0 3 * * *",
+                duration_minutes: item.duration_minutes,
+                enabled: item.enabled,
+            };
+        },
+
+        async saveMaintenanceWindow() {
+            const form = this.maintenanceForm;
+            if (!form.group_id) {
+                this.showMessage("请选择分组", "error");
+                return;
+            }
+            if (form.schedule_type === 'once' && (!form.start_time || !form.end_time)) {
+                this.showMessage("请填写维护开始和结束时间", "error");
+                return;
+            }
+            if (form.schedule_type === 'cron' && !form.cron_expression.trim()) {
+                this.showMessage("请填写 cron 表达式", "error");
+                return;
+            }
+
+            this.savingMaintenanceWindow = true;
+            try {
+                const url = this.editingMaintenanceWindowId
+                    ? `/admin/maintenance/windows/${this.editingMaintenanceWindowId}`
+                    : '/admin/maintenance/windows';
+                const isCron = form.schedule_type === 'cron';
+                const response = await apiClient.fetch(url, {
+                    method: this.editingMaintenanceWindowId ? 'PUT' : 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        group_id: form.group_id,
+                        title: form.title.trim() || null,
+                        schedule_type: form.schedule_type,
+                        start_time: isCron ? null : form.start_time,
+                        end_time: isCron ? null : form.end_time,
+                        cron_expression: isCron ? form.cron_expression.trim() : null,
+                        duration_minutes: parseInt(form.duration_minutes) || 0,
+                        enabled: form.enabled,
+                    }),
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    this.showMessage(data.message, "success");
+                    this.resetMaintenanceForm();
+                    await Promise.all([this.loadMaintenanceData(), this.loadProviderStatuses()]);
+                } else {
+                    this.showMessage("保存维护窗口失败: " + (data.error || "未知错误"), "error");
+                }
+            } catch (error) {
+                console.error("保存维护窗口失败:", error);
+                this.showMessage("保存维护窗口失败: " + error.message, "error");
+            } finally {
+                this.savingMaintenanceWindow = false;
+            }
+        },
+
+        async deleteMaintenanceWindow(item) {
+            const confirmed = await showConfirm(
+                `确定要删除分组 ${item.group_name || item.group_id} 的维护窗口吗？`,
+                '确认删除维护窗口',
+            );
+            if (!confirmed) return;
+
+            try {
+                const response = await apiClient.fetch(`/admin/maintenance/windows/${item.id}`, {
+                    method: 'DELETE',
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    if (this.editingMaintenanceWindowId === item.id) this.resetMaintenanceForm();
+                    this.showMessage(data.message, "success");
+                    await Promise.all([this.loadMaintenanceData(), this.loadProviderStatuses()]);
+                } else {
+                    this.showMessage("删除维护窗口失败: " + (data.error || "未知错误"), "error");
+                }
+            } catch (error) {
+                console.error("删除维护窗口失败:", error);
+                this.showMessage("删除维护窗口失败: " + error.message, "error");
+            }
+        },
+
         async toggleGroup(groupId, provider) {
             try {
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/groups/${groupId}/toggle`,
                     {
                         method: "POST",
@@ -1791,7 +3093,7 @@ function multiProviderDashboard() {
             }
 
             try {
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/groups/${groupId}`,
                     {
                         method: "DELETE",
@@ -1935,6 +3237,31 @@ function multiProviderDashboard() {
                 }
                 this.groupFormData.model_mappings = modelMappings;
 
+                // 处理模型价格
+                const modelPrices = {};
+                for (const row of this.modelPriceRows) {
+                    const model = (row.model || "").trim();
+                    if (!model) continue;
+                    const inputPrice = parseFloat(row.input_price) || 0;
+                    const outputPrice = parseFloat(row.output_price) || 0;
+                    if (inputPrice < 0 || outputPrice < 0) {
+                        this.showMessage(`模型 ${model} 的价格不能为负数`, "error");
+                        this.submittingGroup = false;
+                        return;
+                    }
+                    if (model.indexOf("*") >= 0 && (model.indexOf("*") !== model.length - 1 || model.length === 1)) {
+                        this.showMessage("通配符 * 只能出现在模型名称末尾，例如 gpt-4o*", "error");
+                        this.submittingGroup = false;
+                        return;
+                    }
+                    if (modelPrices[model]) {
+                        this.showMessage(`模型 ${model} 的价格重复配置`, "error");
+                        this.submittingGroup = false;
+                        return;
+                    }
+                    modelPrices[model] = { input_price: inputPrice, output_price: outputPrice };
+                }
+
                 // 确保数字字段是正确的类型
                 this.groupFormData.timeout =
                     parseInt(this.groupFormData.timeout) || 30;
@@ -1950,11 +3277,6 @@ function multiProviderDashboard() {
                     ? "POST"
                     : "PUT";
 
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
                 // 将前端字段名映射到后端期望的字段名
                 const requestData = {
                     id: this.groupFormData.group_id || "",
@@ -1975,6 +3297,12 @@ function multiProviderDashboard() {
                     enabled: this.groupFormData.enabled !== undefined ? this.groupFormData.enabled : true,
                     health_check_enabled: this.groupFormData.health_check_enabled !== undefined ? this.groupFormData.health_check_enabled : true, // 添加健康检查开关
                     fake_streaming: this.groupFormData.fake_streaming || false, // 添加假流配置
+                    model_prices: modelPrices,
+                    circuit_breaker_enabled: this.groupFormData.circuit_breaker_enabled !== false,
+                    circuit_breaker_failure_threshold: parseInt(this.groupFormData.circuit_breaker_failure_threshold) || 0,
+                    circuit_breaker_error_rate: parseInt(this.groupFormData.circuit_breaker_error_rate) || 0,
+                    circuit_breaker_cooldown: parseInt(this.groupFormData.circuit_breaker_cooldown) || 60,
+                    provider_settings: this.getProviderSettingsPayload(),
                     proxy_enabled: this.groupFormData.proxy_enabled || false,
                     proxy_config: this.groupFormData.proxy_enabled ? {
                         type: this.groupFormData.proxy_config.type || "http",
@@ -1998,16 +3326,21 @@ function multiProviderDashboard() {
                 if (!requestData.provider_type || !requestData.provider_type.trim()) {
                     throw new Error("服务商类型不能为空");
                 }
-                if (!requestData.api_keys || requestData.api_keys.length === 0 ||
-                    requestData.api_keys.every(key => !key || !key.trim())) {
+                const descriptor = this.getProviderDescriptor(requestData.provider_type);
+                const requiresApiKey = !descriptor || descriptor.requires_api_key !== false;
+                if (requiresApiKey && (!requestData.api_keys || requestData.api_keys.length === 0 ||
+                    requestData.api_keys.every(key => !key || !key.trim()))) {
                     throw new Error("至少需要提供一个API密钥");
                 }
+                const settingsError = this.validateProviderSettings(descriptor);
+                if (settingsError) {
+                    throw new Error(settingsError);
+                }
 
-                const response = await fetch(url, {
+                const response = await apiClient.fetch(url, {
                     method: method,
                     headers: {
                         "Content-Type": "application/json",
-                        'Authorization': `Bearer ${token}`
                     },
                     body: JSON.stringify(requestData),
                 });
@@ -2053,7 +3386,7 @@ function multiProviderDashboard() {
                     }, 500);
                 } else {
                     this.showMessage(
-                        data.message || "操作失败",
+                        data.message || data.error || "操作失败",
                         "error",
                     );
                 }
@@ -2072,6 +3405,7 @@ function multiProviderDashboard() {
             this.showEditGroupModal = false;
             this.showBatchAddModal = false;
             this.editingGroupId = "";
+            this.closeGroupHistory();
             this.resetGroupForm();
         },
 
@@ -2085,6 +3419,10 @@ function multiProviderDashboard() {
                 health_check_enabled: true, // 健康检查开关
                 timeout: 30,
                 max_retries: 3,
+                circuit_breaker_enabled: true,
+                circuit_breaker_failure_threshold: 5,
+                circuit_breaker_error_rate: 50,
+                circuit_breaker_cooldown: 60,
                 rotation_strategy: "round_robin",
                 api_keys: [""],
                 models: [],
@@ -2093,6 +3431,7 @@ function multiProviderDashboard() {
                 request_params: {},
                 model_mappings: {},
                 headers: {},
+                provider_settings: {},
                 priority: 0,
                 fake_streaming: false, // 假流模式配置
                 proxy_enabled: false,
@@ -2108,6 +3447,7 @@ function multiProviderDashboard() {
                 proxy_bypass_domains_text: "",
             };
             this.modelsText = "";
+            this.providerMapRows = {};
             this.selectedKeys = [];
             this.keyPage = 1;
             this.availableModels = [];
@@ -2133,34 +3473,175 @@ function multiProviderDashboard() {
             // 重置模型映射相关字段
             this.modelMappings = [];
             this.showModelMappingHelp = false;
+            this.modelPriceRows = [];
         },
 
         // 服务商类型变化时自动填充Base URL
+        async loadProviderTypes() {
+            try {
+                const response = await apiClient.fetch("/admin/provider-types");
+                if (response.ok) {
+                    const data = await response.json();
+                    this.providerTypes = data.data || [];
+                }
+            } catch (error) {
+                console.error("加载服务商类型失败:", error);
+            }
+        },
+
+        getProviderDescriptor(type) {
+            if (!type) return null;
+            const lowerType = type.toLowerCase();
+            return this.providerTypes.find((item) => item.type === lowerType) || null;
+        },
+
+        get currentProviderDescriptor() {
+            return this.getProviderDescriptor(this.groupFormData.provider_type);
+        },
+
+        getProviderDisplayName(type) {
+            const descriptor = this.getProviderDescriptor(type);
+            return descriptor ? descriptor.display_name : type;
+        },
+
         onProviderTypeChange() {
-            const defaultBaseUrls = {
-                openai: "https://api.openai.com/v1",
-                openai_responses: "https://api.openai.com/v1",
-                anthropic: "https://api.anthropic.com",
-                gemini: "https://generativelanguage.googleapis.com",
-                azure_openai:
-                    "https://your-resource-name.openai.azure.com",
-                openrouter: "https://openrouter.ai/api/v1",
-            };
+            const descriptor = this.currentProviderDescriptor;
+            if (!descriptor) return;
+
+            // 只有当Base URL为空或者是某个类型的默认值/预设地址时才自动填充
+            const currentBaseUrl = this.groupFormData.base_url;
+            const knownUrls = this.providerTypes.flatMap((item) => [
+                item.default_base_url,
+                ...(item.presets || []).map((preset) => preset.base_url),
+            ]);
+            if (!currentBaseUrl || knownUrls.includes(currentBaseUrl)) {
+                this.groupFormData.base_url = descriptor.default_base_url;
+            }
+
+            // 只保留新类型声明的附加字段，必填字段预先填入默认值
+            const settings = {};
+            (descriptor.extra_fields || []).forEach((field) => {
+                const value = this.groupFormData.provider_settings?.[field.key];
+                settings[field.key] = value || field.default || (field.type === "map" ? {} : "");
+            });
+            this.groupFormData.provider_settings = settings;
+            this.initProviderMapRows();
+        },
+
+        // 将 map 类型字段的对象值展开为可编辑的行
+        initProviderMapRows() {
+            const rows = {};
+            (this.currentProviderDescriptor?.extra_fields || [])
+                .filter((field) => field.type === "map")
+                .forEach((field) => {
+                    const value = this.groupFormData.provider_settings?.[field.key] || {};
+                    rows[field.key] = Object.entries(value).map(([key, mapValue]) => ({ key, value: mapValue }));
+                });
+            this.providerMapRows = rows;
+        },
+
+        addProviderMapRow(fieldKey) {
+            if (!this.providerMapRows[fieldKey]) {
+                this.providerMapRows[fieldKey] = [];
+            }
+            this.providerMapRows[fieldKey].push({ key: "", value: "" });
+        },
 
-            const providerType = this.groupFormData.provider_type;
-            if (providerType && defaultBaseUrls[providerType]) {
-                // 只有当Base URL为空或者是默认值时才自动填充
-                const currentBaseUrl = this.groupFormData.base_url;
-                const isDefaultUrl =
-                    Object.values(defaultBaseUrls).includes(
-                        currentBaseUrl,
+        removeProviderMapRow(fieldKey, index) {
+            this.providerMapRows[fieldKey].splice(index, 1);
+        },
+
+        // 按服务商描述校验附加字段，规则与服务端一致，返回第一条错误信息
+        validateProviderSettings(descriptor) {
+            if (!descriptor) return null;
+
+            for (const field of descriptor.extra_fields || []) {
+                const pattern = field.pattern ? new RegExp(field.pattern) : null;
+
+                if (field.type === "map") {
+                    const rows = (this.providerMapRows[field.key] || []).filter(
+                        (row) => (row.key || "").trim() || (row.value || "").trim(),
                     );
+                    if (field.required && rows.length === 0) {
+                        return `${descriptor.display_name} 分组必须填写 ${field.label}`;
+                    }
+                    const seen = new Set();
+                    for (const row of rows) {
+                        const key = (row.key || "").trim();
+                        const value = (row.value || "").trim();
+                        if (!key || !value) {
+                            return `${field.label} 中的${field.key_label || "键"}和${field.value_label || "值"}都不能为空`;
+                        }
+                        if (seen.has(key)) {
+                            return `${field.label} 中 ${key} 重复配置`;
+                        }
+                        seen.add(key);
+                        if (pattern && !pattern.test(value)) {
+                            return `${field.label} 中 ${key} 对应的${field.value_label || "值"} ${value} 格式不正确`;
+                        }
+                    }
+                    continue;
+                }
 
-                if (!currentBaseUrl || isDefaultUrl) {
-                    this.groupFormData.base_url =
-                        defaultBaseUrls[providerType];
+                const value = (this.groupFormData.provider_settings?.[field.key] || "").trim();
+                if (!value) {
+                    if (field.required && !field.default) {
+                        return `${descriptor.display_name} 分组必须填写 ${field.label}`;
+                    }
+                    continue;
+                }
+                if (pattern && !pattern.test(value)) {
+                    return `${field.label} 的值 ${value} 格式不正确`;
                 }
             }
+            return null;
+        },
+
+        applyProviderPreset(preset) {
+            this.groupFormData.base_url = preset.base_url;
+        },
+
+        getModelListingText(descriptor) {
+            if (!descriptor) return "";
+            switch (descriptor.model_listing) {
+                case "api":
+                    return `调用上游接口获取（${descriptor.models_endpoint || "/models"}）`;
+                case "static":
+                    return "使用内置模型列表";
+                case "deployments":
+                    return "读取下方部署映射表中的模型";
+                default:
+                    return "不支持自动获取，请手动填写模型";
+            }
+        },
+
+        get canLoadModels() {
+            const descriptor = this.currentProviderDescriptor;
+            if (!descriptor || descriptor.model_listing === "none" || !this.groupFormData.base_url) {
+                return false;
+            }
+            return descriptor.requires_api_key === false ||
+                this.groupFormData.api_keys.filter((k) => k.trim()).length > 0;
+        },
+
+        // 只提交当前类型声明过的非空附加字段
+        getProviderSettingsPayload() {
+            const descriptor = this.currentProviderDescriptor;
+            const settings = {};
+            (descriptor?.extra_fields || []).forEach((field) => {
+                if (field.type === "map") {
+                    const map = {};
+                    (this.providerMapRows[field.key] || []).forEach((row) => {
+                        const key = (row.key || "").trim();
+                        if (key) map[key] = (row.value || "").trim();
+                    });
+                    if (Object.keys(map).length > 0) settings[field.key] = map;
+                    return;
+                }
+                const value = (this.groupFormData.provider_settings?.[field.key] || "").trim();
+                if (value) settings[field.key] = value;
+            });
+            return settings;
         },
 
         addGroupApiKey() {
@@ -2502,7 +3983,7 @@ function multiProviderDashboard() {
                     api_keys: validKeys,
                 };
 
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     "/admin/keys/validate",
                     {
                         method: "POST",
@@ -2673,7 +4154,7 @@ function multiProviderDashboard() {
             this.forcingKeyStatus = { ...this.forcingKeyStatus };
 
             try {
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/groups/${this.editingGroupId}/keys/force-status`,
                     {
                         method: "POST",
@@ -2764,7 +4245,7 @@ function multiProviderDashboard() {
             this.bulkDeletingInvalidKeys = true;
 
             try {
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/groups/${this.editingGroupId}/keys/invalid`,
                     {
                         method: "DELETE",
@@ -2838,7 +4319,7 @@ function multiProviderDashboard() {
             if (!groupId) return;
 
             try {
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/keys/validation/${groupId}`,
                 );
                 if (response.ok) {
@@ -2919,7 +4400,7 @@ function multiProviderDashboard() {
             if (this.showEditGroupModal && this.editingGroupId) {
                 this.loadingModels = true;
                 try {
-                    const response = await fetch(
+                    const response = await apiClient.fetch(
                         `/admin/models/available/${this.editingGroupId}`,
                     );
 
@@ -2992,7 +4473,7 @@ function multiProviderDashboard() {
             const validKeys = this.groupFormData.api_keys.filter(
                 (key) => key.trim().length > 0,
             );
-            if (validKeys.length === 0) {
+            if (validKeys.length === 0 && this.currentProviderDescriptor?.requires_api_key !== false) {
                 this.showMessage(
                     "请先添加至少一个API密钥",
                     "error",
@@ -3040,9 +4521,10 @@ function multiProviderDashboard() {
                     timeout_seconds: tempGroupData.timeout,
                     max_retries: tempGroupData.max_retries,
                     headers: parsedHeaders,
+                    provider_settings: this.getProviderSettingsPayload(),
                 };
 
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     "/admin/models/available/by-type",
                     {
                         method: "POST",
@@ -3122,8 +4604,8 @@ function multiProviderDashboard() {
                 }
                 // 获取两组独立数据：系统模型数据 + 历史别名映射数据
                 const [groupsResponse, aliasesResponse] = await Promise.all([
-                    fetch('/admin/groups/manage'),  // 系统模型数据
-                    fetch('/admin/models/all-aliases')  // 历史别名映射数据
+                    apiClient.fetch('/admin/groups/manage'),  // 系统模型数据
+                    apiClient.fetch('/admin/models/all-aliases')  // 历史别名映射数据
                 ]);
 
                 if (!groupsResponse.ok || !aliasesResponse.ok) {
@@ -3571,6 +5053,16 @@ function multiProviderDashboard() {
             this.modelMappings.splice(index, 1);
         },
 
+        // 添加模型价格
+        addModelPriceRow() {
+            this.modelPriceRows.push({ model: "", input_price: 0, output_price: 0 });
+        },
+
+        // 移除模型价格
+        removeModelPriceRow(index) {
+            this.modelPriceRows.splice(index, 1);
+        },
+
         // 根据实际模型名称相似度从现有别名中自动选择
         suggestAliasFromSimilarity(mapping) {
             if (!mapping.original || mapping.alias || !this.allConfiguredAliases || this.allConfiguredAliases.length === 0) {
@@ -3904,13 +5396,8 @@ function multiProviderDashboard() {
         },
 
         getProviderTypeClass(type) {
-            const typeClasses = {
-                openai: "bg-blue-100 text-blue-800",
-                gemini: "bg-green-100 text-green-800",
-                anthropic: "bg-purple-100 text-purple-800",
-                azure_openai: "bg-cyan-100 text-cyan-800",
-            };
-            return typeClasses[type] || "bg-gray-100 text-gray-800";
+            const color = this.getProviderDescriptor(type)?.color || "gray";
+            return `bg-${color}-100 text-${color}-800`;
         },
 
         formatDuration(value) {
@@ -4010,18 +5497,12 @@ function multiProviderDashboard() {
         async refreshAllHealth() {
             this.loadingHealthRefresh = true;
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     "/admin/health/refresh",
                     {
                         method: "POST",
                         headers: {
                             "Content-Type": "application/json",
-                            'Authorization': `Bearer ${token}`
                         },
                     },
                 );
@@ -4075,17 +5556,11 @@ function multiProviderDashboard() {
                     params.append("search", currentSearch.trim());
                 }
 
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/proxy-keys?${params}`,
                     {
                         method: 'GET',
                         headers: {
-                            'Authorization': `Bearer ${token}`,
                             'Content-Type': 'application/json'
                         }
                     }
@@ -4116,12 +5591,22 @@ function multiProviderDashboard() {
                 return;
             }
 
+            const invalidIpRules = this.getInvalidProxyKeyIpRules(this.newProxyKey);
+            if (invalidIpRules.length > 0) {
+                this.showMessage("无效的 IP/CIDR 规则: " + invalidIpRules.join(", "), "error");
+                return;
+            }
+
             try {
                 // 准备请求数据
                 const requestData = {
                     name: this.newProxyKey.name,
                     description: this.newProxyKey.description,
                     allowed_groups: this.newProxyKey.allowed_groups,
+                    ...this.buildProxyKeyQuotaPayload(this.newProxyKey),
+                    ...this.buildProxyKeyValidityPayload(this.newProxyKey),
+                    ...this.buildProxyKeyModelPayload(this.newProxyKey),
+                    ...this.buildProxyKeyClientPayload(this.newProxyKey),
                 };
 
                 // 如果有多个分组或空分组（访问所有分组），添加分组选择配置
@@ -4136,15 +5621,9 @@ function multiProviderDashboard() {
                     };
                 }
 
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch("/admin/proxy-keys", {
+                const response = await apiClient.fetch("/admin/proxy-keys", {
                     method: "POST",
                     headers: {
-                        "Authorization": `Bearer ${token}`,
                         "Content-Type": "application/json",
                     },
                     body: JSON.stringify(requestData),
@@ -4182,17 +5661,11 @@ function multiProviderDashboard() {
             }
 
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/proxy-keys/${keyId}`,
                     {
                         method: "DELETE",
                         headers: {
-                            "Authorization": `Bearer ${token}`,
                             "Content-Type": "application/json",
                         },
                     },
@@ -4217,16 +5690,232 @@ function multiProviderDashboard() {
             }
         },
 
-        resetProxyKeyForm() {
-            this.newProxyKey = {
-                name: "",
-                description: "",
-                allowed_groups: [],
-                group_selection_config: {
-                    strategy: "round_robin",
-                    group_weights: [],
-                },
-            };
+        resetProxyKeyForm() {
+            this.stopGroupLoadPolling();
+            this.newProxyKey = {
+                name: "",
+                description: "",
+                allowed_groups: [],
+                group_selection_config: {
+                    strategy: "round_robin",
+                    group_weights: [],
+                },
+                rpm_limit: 0,
+                daily_token_limit: 0,
+                monthly_token_limit: 0,
+                quota_warning_threshold: 80,
+                not_before: "",
+                expires_at: "",
+                allowed_models_text: "",
+                denied_models_text: "",
+                allowed_ips_text: "",
+                allowed_referrers_text: "",
+            };
+        },
+
+        // 配额输入为空或非法时按 0（不限制）处理
+        buildProxyKeyQuotaPayload(form) {
+            const toLimit = (value) => Math.max(0, Math.floor(Number(value) || 0));
+            const threshold = Math.floor(Number(form.quota_warning_threshold) || 80);
+            return {
+                rpm_limit: toLimit(form.rpm_limit),
+                daily_token_limit: toLimit(form.daily_token_limit),
+                monthly_token_limit: toLimit(form.monthly_token_limit),
+                quota_warning_threshold: Math.min(100, Math.max(1, threshold)),
+            };
+        },
+
+        buildProxyKeyValidityPayload(form) {
+            return {
+                not_before: form.not_before || null,
+                expires_at: form.expires_at || null,
+            };
+        },
+
+        // 规则列表按换行或逗号分隔
+        parseProxyKeyRuleList(text) {
+            return [...new Set((text || "").split(/[\n,]/).map((p) => p.trim()).filter((p) => p))];
+        },
+
+        // 模型规则支持 * 和 ? 通配符
+        buildProxyKeyModelPayload(form) {
+            return {
+                allowed_models: this.parseProxyKeyRuleList(form.allowed_models_text),
+                denied_models: this.parseProxyKeyRuleList(form.denied_models_text),
+            };
+        },
+
+        buildProxyKeyClientPayload(form) {
+            return {
+                allowed_ips: this.parseProxyKeyRuleList(form.allowed_ips_text),
+                allowed_referrers: this.parseProxyKeyRuleList(form.allowed_referrers_text),
+            };
+        },
+
+        // 校验单个 IP 或 CIDR；IPv4 网段要求主机位为 0，与后端解析规则一致
+        isValidCidr(rule) {
+            const [address, prefix, ...rest] = rule.split("/");
+            if (rest.length > 0) return false;
+
+            const ipv4 = address.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+            if (ipv4) {
+                const octets = ipv4.slice(1).map(Number);
+                if (octets.some((o) => o > 255)) return false;
+                if (prefix === undefined) return true;
+                if (!/^\d{1,2}$/.test(prefix) || Number(prefix) > 32) return false;
+                const value = octets.reduce((acc, o) => acc * 256 + o, 0);
+                const hostSize = 2 ** (32 - Number(prefix));
+                return value % hostSize === 0;
+            }
+
+            if (address.includes(":") && /^[0-9a-fA-F:.]+$/.test(address)) {
+                if (prefix === undefined) return true;
+                return /^\d{1,3}$/.test(prefix) && Number(prefix) <= 128;
+            }
+
+            return false;
+        },
+
+        // 返回非法的 IP 规则，为空表示全部合法
+        getInvalidProxyKeyIpRules(form) {
+            return this.parseProxyKeyRuleList(form.allowed_ips_text).filter((rule) => !this.isValidCidr(rule));
+        },
+
+        hasProxyKeyClientRestriction(key) {
+            return (key.allowed_ips || []).length > 0 || (key.allowed_referrers || []).length > 0;
+        },
+
+        getProxyKeyClientRestrictionTitle(key) {
+            const lines = [];
+            if ((key.allowed_ips || []).length > 0) {
+                lines.push("IP: " + key.allowed_ips.join(", "));
+            }
+            if ((key.allowed_referrers || []).length > 0) {
+                lines.push("来源: " + key.allowed_referrers.join(", "));
+            }
+            return lines.join("\n");
+        },
+
+        hasProxyKeyModelRestriction(key) {
+            return (key.allowed_models || []).length > 0 || (key.denied_models || []).length > 0;
+        },
+
+        getProxyKeyModelRestrictionTitle(key) {
+            const lines = [];
+            if ((key.allowed_models || []).length > 0) {
+                lines.push("允许: " + key.allowed_models.join(", "));
+            }
+            if ((key.denied_models || []).length > 0) {
+                lines.push("禁止: " + key.denied_models.join(", "));
+            }
+            return lines.join("\n");
+        },
+
+        // 转换为 datetime-local 输入框格式
+        toLocalInputValue(dateStr) {
+            if (!dateStr) return "";
+            const date = new Date(dateStr);
+            const pad = (n) => String(n).padStart(2, "0");
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        },
+
+        // 列表中展示的有效期/轮换状态标记
+        getProxyKeyValidityBadges(key) {
+            const badges = [];
+            if (key.validity_status === "expired") {
+                badges.push({ text: "已过期", class: "bg-red-100 text-red-800", title: "过期时间: " + this.formatDate(key.expires_at) });
+            } else if (key.validity_status === "scheduled") {
+                badges.push({ text: "未生效", class: "bg-gray-100 text-gray-700", title: "生效时间: " + this.formatDate(key.not_before) });
+            } else if (key.expires_at) {
+                const remainingMs = new Date(key.expires_at) - new Date();
+                const expiringSoon = remainingMs < 3 * 24 * 60 * 60 * 1000;
+                badges.push({
+                    text: expiringSoon ? "即将过期" : "临时密钥",
+                    class: expiringSoon ? "bg-yellow-100 text-yellow-800" : "bg-blue-100 text-blue-800",
+                    title: "过期时间: " + this.formatDate(key.expires_at),
+                });
+            }
+            if (key.previous_key_expires_at) {
+                badges.push({ text: "旧密钥宽限中", class: "bg-purple-100 text-purple-800", title: "旧密钥失效时间: " + this.formatDate(key.previous_key_expires_at) });
+            }
+            return badges;
+        },
+
+        async rotateProxyKey() {
+            const graceHours = Math.max(0, Number(this.rotateGraceHours) || 0);
+            const message = graceHours > 0
+                ? `确定要轮换该代理密钥吗？旧密钥将在 ${graceHours} 小时后失效。`
+                : "确定要轮换该代理密钥吗？旧密钥将立即失效。";
+            if (!confirm(message)) {
+                return;
+            }
+
+            this.rotatingProxyKey = true;
+            try {
+                const response = await apiClient.fetch(
+                    `/admin/proxy-keys/${this.editingProxyKey.id}/rotate`,
+                    {
+                        method: "POST",
+                        headers: {
+                            "Content-Type": "application/json",
+                        },
+                        body: JSON.stringify({
+                            grace_period_minutes: Math.round(graceHours * 60),
+                        }),
+                    },
+                );
+                const result = await response.json();
+
+                if (result.success) {
+                    this.rotatedProxyKeyValue = result.key.key;
+                    this.showMessage("代理密钥轮换成功，请及时分发新密钥", "success");
+                    await this.loadProxyKeys();
+                } else {
+                    this.showMessage(
+                        "轮换失败: " + (result.error || "未知错误"),
+                        "error",
+                    );
+                }
+            } catch (error) {
+                console.error("轮换代理密钥失败:", error);
+                this.showMessage("网络错误，请检查连接", "error");
+            } finally {
+                this.rotatingProxyKey = false;
+            }
+        },
+
+        getQuotaPercent(used, limit) {
+            if (!limit || limit <= 0) return 0;
+            return Math.min(100, Math.round(((used || 0) / limit) * 100));
+        },
+
+        // 达到预警阈值显示黄色，用尽显示红色
+        getQuotaBarClass(key, used, limit) {
+            const percent = this.getQuotaPercent(used, limit);
+            if (percent >= 100) return "bg-red-500";
+            if (percent >= (key.quota_warning_threshold || 80)) return "bg-yellow-500";
+            return "bg-green-500";
+        },
+
+        isProxyKeyQuotaWarning(key) {
+            const usage = key.quota_usage || {};
+            const threshold = key.quota_warning_threshold || 80;
+            return [
+                [usage.requests_last_minute, key.rpm_limit],
+                [usage.tokens_today, key.daily_token_limit],
+                [usage.tokens_this_month, key.monthly_token_limit],
+            ].some(([used, limit]) => limit > 0 && this.getQuotaPercent(used, limit) >= threshold);
+        },
+
+        hasProxyKeyQuota(key) {
+            return key.rpm_limit > 0 || key.daily_token_limit > 0 || key.monthly_token_limit > 0;
+        },
+
+        formatTokenCount(value) {
+            const num = Number(value) || 0;
+            if (num >= 1000000) return (num / 1000000).toFixed(num >= 10000000 ? 0 : 1) + "M";
+            if (num >= 1000) return (num / 1000).toFixed(num >= 10000 ? 0 : 1) + "K";
+            return num.toString();
         },
 
         toggleProxyKeyGroup(groupId, checked) {
@@ -4306,7 +5995,19 @@ function multiProviderDashboard() {
                         strategy: "round_robin",
                         group_weights: [],
                     },
+                rpm_limit: key.rpm_limit || 0,
+                daily_token_limit: key.daily_token_limit || 0,
+                monthly_token_limit: key.monthly_token_limit || 0,
+                quota_warning_threshold: key.quota_warning_threshold || 80,
+                not_before: this.toLocalInputValue(key.not_before),
+                expires_at: this.toLocalInputValue(key.expires_at),
+                allowed_models_text: (key.allowed_models || []).join("\n"),
+                denied_models_text: (key.denied_models || []).join("\n"),
+                allowed_ips_text: (key.allowed_ips || []).join("\n"),
+                allowed_referrers_text: (key.allowed_referrers || []).join("\n"),
             };
+            this.rotateGraceHours = 24;
+            this.rotatedProxyKeyValue = "";
 
             // 如果当前策略是权重模式，确保所有允许的分组都有权重配置
             if (this.editingProxyKey.group_selection_config.strategy === "weighted") {
@@ -4315,10 +6016,12 @@ function multiProviderDashboard() {
 
 
             this.showEditProxyKeyModal = true;
+            this.syncGroupLoadPolling();
         },
 
         closeEditProxyKeyModal() {
             this.showEditProxyKeyModal = false;
+            this.syncGroupLoadPolling();
             this.editingProxyKey = {
                 id: "",
                 name: "",
@@ -4329,6 +6032,16 @@ function multiProviderDashboard() {
                     strategy: "round_robin",
                     group_weights: [],
                 },
+                rpm_limit: 0,
+                daily_token_limit: 0,
+                monthly_token_limit: 0,
+                quota_warning_threshold: 80,
+                not_before: "",
+                expires_at: "",
+                allowed_models_text: "",
+                denied_models_text: "",
+                allowed_ips_text: "",
+                allowed_referrers_text: "",
             };
         },
 
@@ -4368,6 +6081,12 @@ function multiProviderDashboard() {
                 return;
             }
 
+            const invalidIpRules = this.getInvalidProxyKeyIpRules(this.editingProxyKey);
+            if (invalidIpRules.length > 0) {
+                this.showMessage("无效的 IP/CIDR 规则: " + invalidIpRules.join(", "), "error");
+                return;
+            }
+
             try {
                 // 如果当前策略是权重模式，确保所有分组都有权重配置
                 if (this.editingProxyKey.group_selection_config.strategy === "weighted") {
@@ -4381,6 +6100,10 @@ function multiProviderDashboard() {
                     is_active: this.editingProxyKey.is_active,
                     allowed_groups:
                         this.editingProxyKey.allowed_groups,
+                    ...this.buildProxyKeyQuotaPayload(this.editingProxyKey),
+                    ...this.buildProxyKeyValidityPayload(this.editingProxyKey),
+                    ...this.buildProxyKeyModelPayload(this.editingProxyKey),
+                    ...this.buildProxyKeyClientPayload(this.editingProxyKey),
                 };
 
                 // 如果有多个分组或空分组（访问所有分组），添加分组选择配置
@@ -4397,17 +6120,11 @@ function multiProviderDashboard() {
 
 
 
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    throw new Error("未找到认证令牌");
-                }
-
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/proxy-keys/${this.editingProxyKey.id}`,
                     {
                         method: "PUT",
                         headers: {
-                            "Authorization": `Bearer ${token}`,
                             "Content-Type": "application/json",
                         },
                         body: JSON.stringify(requestData),
@@ -4618,6 +6335,7 @@ function multiProviderDashboard() {
             }
             // 更新当前策略为“上一策略”
             this._newProxyKeyPrevStrategy = currentStrategy;
+            this.syncGroupLoadPolling();
         },
 
         onEditingProxyKeyStrategyChange() {
@@ -4649,6 +6367,7 @@ function multiProviderDashboard() {
                 this.editingProxyKey.group_selection_config.group_weights = weights.sort((a, b) => b.weight - a.weight);
             }
             this._editingProxyKeyPrevStrategy = currentStrategy;
+            this.syncGroupLoadPolling();
         },
 
         // 确保所有允许的分组都有权重配置
@@ -4746,12 +6465,105 @@ function multiProviderDashboard() {
             this.editingProxyKeyWeightsSnapshot[currentStrategyEdit] = JSON.parse(JSON.stringify(this.editingProxyKey.group_selection_config.group_weights || []));
         },
 
+        isLoadAwareStrategy(strategy) {
+            return strategy === "lowest_latency" || strategy === "least_inflight";
+        },
+
+        // 仅在表单显示且选中负载感知策略时轮询分组负载
+        syncGroupLoadPolling() {
+            const active =
+                (this.showEditProxyKeyModal &&
+                    this.isLoadAwareStrategy(this.editingProxyKey.group_selection_config?.strategy)) ||
+                (this.showGenerateProxyKeyForm &&
+                    this.isLoadAwareStrategy(this.newProxyKey.group_selection_config?.strategy));
+
+            if (!active) {
+                this.stopGroupLoadPolling();
+                return;
+            }
+            if (this.groupLoadTimer) return;
+
+            this.loadGroupLoad();
+            this.groupLoadTimer = setInterval(() => this.loadGroupLoad(), 5000);
+        },
+
+        stopGroupLoadPolling() {
+            if (this.groupLoadTimer) {
+                clearInterval(this.groupLoadTimer);
+                this.groupLoadTimer = null;
+            }
+        },
+
+        async loadGroupLoad() {
+            try {
+                const response = await apiClient.fetch("/admin/groups/load");
+                const result = await response.json();
+                if (result.success) {
+                    const load = {};
+                    for (const item of result.data || []) {
+                        load[item.group_id] = item;
+                    }
+                    this.groupLoad = load;
+                }
+            } catch (error) {
+                console.error("加载分组负载失败:", error);
+            }
+        },
+
+        // 与后端选择逻辑一致的排序，第一个即为下一次请求将选中的分组
+        getLoadRankedGroups(allowedGroups, strategy) {
+            // 与后端一致：尚无样本的分组在探测请求内分数为 0，探测后仍无样本排在最后
+            const latency = (id) => {
+                const load = this.groupLoad[id];
+                if (!load) return 0;
+                return load.latency_score_ms ?? Number.MAX_VALUE;
+            };
+            const inflight = (id) => this.groupLoad[id]?.inflight ?? 0;
+            const priority = (id) => this.providerStatuses[id]?.priority ?? 0;
+            const groups = this.getGroupsForWeightConfig(allowedGroups).slice();
+
+            return groups.sort((a, b) => {
+                const primary = strategy === "least_inflight"
+                    ? inflight(a) - inflight(b) || latency(a) - latency(b)
+                    : latency(a) - latency(b) || inflight(a) - inflight(b);
+                return primary || priority(b) - priority(a);
+            });
+        },
+
+        getGroupLoadScoreText(groupId, strategy) {
+            const load = this.groupLoad[groupId];
+            const inflight = load?.inflight ?? 0;
+            if (!load || load.ewma_latency_ms == null) {
+                const noSample = load && load.latency_score_ms == null ? "探测后仍无延迟样本" : "暂无延迟样本";
+                return strategy === "least_inflight"
+                    ? `并发 ${inflight} · ${noSample}`
+                    : `${noSample} · 并发 ${inflight}`;
+            }
+            const failures = load.failure_samples > 0 ? `，含 ${load.failure_samples} 次失败` : "";
+            const latency = `${Math.round(load.ewma_latency_ms)} ms（${load.latency_samples} 个样本${failures}）`;
+            return strategy === "least_inflight"
+                ? `并发 ${inflight} · 延迟 ${latency}`
+                : `延迟 ${latency} · 并发 ${inflight}`;
+        },
+
+        // 最低价格策略下展示各分组已配置的模型价格数量
+        getGroupPriceSummary(groupId) {
+            const provider = this.providerStatuses[groupId];
+            const count = provider && provider.model_prices
+                ? Object.keys(provider.model_prices).length
+                : 0;
+            return count > 0 ? `已配置 ${count} 个模型价格` : "未配置价格";
+        },
+
         getStrategyDisplayName(strategy) {
             const names = {
                 round_robin: "轮询",
                 weighted: "权重",
                 random: "随机",
                 failover: "故障转移",
+                lowest_latency: "最低延迟",
+                least_inflight: "最少并发",
+                cheapest_first: "最低价格",
             };
             return names[strategy] || strategy;
         },
@@ -4762,13 +6574,16 @@ function multiProviderDashboard() {
                 weighted: "bg-purple-100 text-purple-800",
                 random: "bg-green-100 text-green-800",
                 failover: "bg-orange-100 text-orange-800",
+                lowest_latency: "bg-teal-100 text-teal-800",
+                least_inflight: "bg-cyan-100 text-cyan-800",
+                cheapest_first: "bg-lime-100 text-lime-800",
             };
             return classes[strategy] || "bg-gray-100 text-gray-800";
         },
 
         async viewGroupStats(keyId) {
             try {
-                const response = await fetch(
+                const response = await apiClient.fetch(
                     `/admin/proxy-keys/${keyId}/group-stats`,
                 );
                 const result = await response.json();
@@ -4808,11 +6623,12 @@ function multiProviderDashboard() {
             this.showKeyUsageStatsModal = true;
 
             try {
-                const response = await fetch(`/admin/groups/${groupId}/keys/usage-stats`);
+                const response = await apiClient.fetch(`/admin/groups/${groupId}/keys/usage-stats`);
                 const result = await response.json();
 
                 if (result.success) {
                     this.currentGroupUsageStats = result;
+                    this.loadKeyUsageAnalytics();
                 } else {
                     this.showMessage('获取使用统计失败: ' + (result.error || '未知错误'), 'error');
                     this.showKeyUsageStatsModal = false;
@@ -4830,6 +6646,181 @@ function multiProviderDashboard() {
             this.showKeyUsageStatsModal = false;
             this.currentGroupUsageStats = null;
             this.selectedForceUpdateKey = null;
+            this.destroyKeyUsageCharts();
+            this.keyUsageAnalytics = null;
+            this.selectedAnalyticsKeyHash = null;
+        },
+
+        // 加载分组内各密钥的请求趋势（含重试过程中的每次上游请求）
+        async loadKeyUsageAnalytics() {
+            if (!this.currentGroupUsageStats) return;
+
+            this.loadingKeyUsageAnalytics = true;
+            try {
+                const groupId = encodeURIComponent(this.currentGroupUsageStats.group_id);
+                const result = await apiClient.get(
+                    `/admin/groups/${groupId}/keys/usage-analytics?window=${this.keyUsageWindow}`,
+                );
+                this.keyUsageAnalytics = result.success ? result : null;
+            } catch (error) {
+                console.error('获取密钥请求趋势失败:', error);
+                this.keyUsageAnalytics = null;
+            } finally {
+                this.loadingKeyUsageAnalytics = false;
+            }
+
+            this.$nextTick(() => this.renderKeyUsageCharts());
+        },
+
+        changeKeyUsageWindow(value) {
+            if (this.keyUsageWindow === value) return;
+            this.keyUsageWindow = value;
+            this.loadKeyUsageAnalytics();
+        },
+
+        getKeyAnalytics(apiKeyHash) {
+            return (this.keyUsageAnalytics?.keys || []).find((k) => k.api_key_hash === apiKeyHash) || null;
+        },
+
+        // 被限流或错误率偏高的密钥需要突出显示
+        isKeyUsageAbnormal(apiKeyHash) {
+            const analytics = this.getKeyAnalytics(apiKeyHash);
+            if (!analytics) return false;
+            return analytics.totals.throttled > 0 || (analytics.totals.requests >= 10 && analytics.totals.error_rate >= 20);
+        },
+
+        toggleKeyUsageDrilldown(apiKeyHash) {
+            this.selectedAnalyticsKeyHash = this.selectedAnalyticsKeyHash === apiKeyHash ? null : apiKeyHash;
+            this.$nextTick(() => this.renderKeyUsageDrilldownChart());
+        },
+
+        formatKeyUsageBucket(bucket) {
+            const date = new Date(bucket);
+            const pad = (n) => String(n).padStart(2, '0');
+            const minutes = this.keyUsageAnalytics?.bucket_minutes || 60;
+            if (minutes >= 1440) return `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            if (minutes > 60) return `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:00`;
+            return `${pad(date.getHours())}:00`;
+        },
+
+        destroyKeyUsageCharts() {
+            Object.keys(this.keyUsageChartInstances).forEach((key) => {
+                this.keyUsageChartInstances[key].destroy();
+            });
+            this.keyUsageChartInstances = {};
+        },
+
+        // 在每个密钥行内绘制请求数迷你趋势图，429 以红色柱形叠加
+        renderKeyUsageCharts() {
+            if (typeof Chart === 'undefined') return;
+
+            this.destroyKeyUsageCharts();
+            (this.keyUsageAnalytics?.keys || []).forEach((key) => {
+                const canvas = document.getElementById(`keyUsageSpark-${key.api_key_hash}`);
+                if (!canvas) return;
+
+                this.keyUsageChartInstances[key.api_key_hash] = new Chart(canvas.getContext('2d'), {
+                    data: {
+                        labels: this.keyUsageAnalytics.buckets.map((b) => this.formatKeyUsageBucket(b)),
+                        datasets: [{
+                            type: 'line',
+                            data: key.series.requests,
+                            borderColor: 'rgba(79, 70, 229, 1)',
+                            backgroundColor: 'rgba(79, 70, 229, 0.1)',
+                            borderWidth: 1.5,
+                            pointRadius: 0,
+                            fill: true,
+                            tension: 0.3
+                        }, {
+                            type: 'bar',
+                            data: key.series.throttled,
+                            backgroundColor: 'rgba(239, 68, 68, 0.8)'
+                        }]
+                    },
+                    options: {
+                        responsive: false,
+                        animation: false,
+                        events: [],
+                        plugins: {
+                            legend: { display: false },
+                            tooltip: { enabled: false }
+                        },
+                        scales: {
+                            x: { display: false },
+                            y: { display: false, beginAtZero: true }
+                        }
+                    }
+                });
+            });
+
+            this.renderKeyUsageDrilldownChart();
+        },
+
+        renderKeyUsageDrilldownChart() {
+            if (typeof Chart === 'undefined') return;
+
+            if (this.keyUsageChartInstances.drilldown) {
+                this.keyUsageChartInstances.drilldown.destroy();
+                delete this.keyUsageChartInstances.drilldown;
+            }
+
+            const key = this.getKeyAnalytics(this.selectedAnalyticsKeyHash);
+            const canvas = document.getElementById('keyUsageDrilldownChart');
+            if (!key || !canvas) return;
+
+            this.keyUsageChartInstances.drilldown = new Chart(canvas.getContext('2d'), {
+                data: {
+                    labels: this.keyUsageAnalytics.buckets.map((b) => this.formatKeyUsageBucket(b)),
+                    datasets: [{
+                        type: 'line',
+                        label: '请求数',
+                        data: key.series.requests,
+                        borderColor: 'rgba(79, 70, 229, 1)',
+                        backgroundColor: 'rgba(79, 70, 229, 0.1)',
+                        fill: true,
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    }, {
+                        type: 'line',
+                        label: '错误数',
+                        data: key.series.errors,
+                        borderColor: 'rgba(245, 158, 11, 1)',
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    }, {
+                        type: 'bar',
+                        label: '429次数',
+                        data: key.series.throttled,
+                        backgroundColor: 'rgba(239, 68, 68, 0.7)',
+                        yAxisID: 'y'
+                    }, {
+                        type: 'line',
+                        label: 'Token',
+                        data: key.series.tokens,
+                        borderColor: 'rgba(16, 185, 129, 1)',
+                        borderDash: [4, 4],
+                        tension: 0.3,
+                        yAxisID: 'yTokens'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: {
+                        legend: { position: 'top' }
+                    },
+                    scales: {
+                        y: { beginAtZero: true, title: { display: true, text: '请求' } },
+                        yTokens: {
+                            beginAtZero: true,
+                            position: 'right',
+                            grid: { drawOnChartArea: false },
+                            title: { display: true, text: 'Token' }
+                        }
+                    }
+                }
+            });
         },
 
         async resetGroupUsageStats(groupId) {
@@ -4838,11 +6829,10 @@ function multiProviderDashboard() {
             }
 
             try {
-                const response = await fetch(`/admin/groups/${groupId}/keys/reset-stats`, {
+                const response = await apiClient.fetch(`/admin/groups/${groupId}/keys/reset-stats`, {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': 'Bearer ' + localStorage.getItem('token')
+                        'Content-Type': 'application/json'
                     }
                 });
 
@@ -4889,11 +6879,10 @@ function multiProviderDashboard() {
             };
 
             try {
-                const response = await fetch(`/admin/groups/${this.currentGroupUsageStats.group_id}/keys/force-status`, {
+                const response = await apiClient.fetch(`/admin/groups/${this.currentGroupUsageStats.group_id}/keys/force-status`, {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': 'Bearer ' + localStorage.getItem('token')
+                        'Content-Type': 'application/json'
                     },
                     body: JSON.stringify(requestData)
                 });
@@ -4913,14 +6902,480 @@ function multiProviderDashboard() {
                 this.showMessage('网络错误，请检查连接', 'error');
             }
         },
+
+        // 调试台（Playground）相关方法
+        openPlaygroundModal() {
+            if (!this.playgroundForm.proxy_key) {
+                this.playgroundForm.proxy_key = this.getDefaultPlaygroundProxyKey();
+            }
+            if (!this.playgroundForm.model) {
+                this.playgroundForm.model = this.playgroundModelOptions[0] || "";
+            }
+            this.showPlaygroundModal = true;
+        },
+
+        closePlaygroundModal() {
+            this.stopPlayground();
+            this.showPlaygroundModal = false;
+        },
+
+        getDefaultPlaygroundProxyKey() {
+            const activeKey = this.proxyKeys.find((k) => k.is_active);
+            return activeKey ? activeKey.key : "";
+        },
+
+        // 汇总指定服务商类型下的可选模型（分组模型 + 模型别名）
+        getGatewayModelOptions(providerType, groupId = "") {
+            const models = new Set();
+
+            Object.values(this.providerStatuses || {}).forEach((group) => {
+                if (!group.enabled || group.provider_type !== providerType) return;
+                if (groupId && group.id !== groupId) return;
+                (group.models || []).forEach((m) => models.add(m));
+                Object.keys(group.model_aliases || {}).forEach((alias) => models.add(alias));
+            });
+
+            return Array.from(models).sort();
+        },
+
+        onPlaygroundFormatChange() {
+            const options = this.playgroundModelOptions;
+            if (!options.includes(this.playgroundForm.model)) {
+                this.playgroundForm.model = options[0] || "";
+            }
+        },
+
+        // 构建不同接口格式的网关请求
+        buildGatewayRequest(options) {
+            const temperature = parseFloat(options.temperature);
+            const maxTokens = parseInt(options.max_tokens) || 1024;
+            const systemPrompt = (options.system_prompt || "").trim();
+            let request;
+
+            if (options.api_format === "anthropic") {
+                const body = {
+                    model: options.model,
+                    max_tokens: maxTokens,
+                    stream: options.stream,
+                    messages: [{ role: "user", content: options.prompt }],
+                };
+                if (systemPrompt) body.system = systemPrompt;
+                if (!isNaN(temperature)) body.temperature = temperature;
+                request = {
+                    url: "/claude/v1/messages",
+                    headers: {
+                        "x-api-key": options.proxy_key,
+                        "anthropic-version": "2023-06-01",
+                        "Content-Type": "application/json",
+                    },
+                    body,
+                };
+            } else if (options.api_format === "gemini") {
+                const body = {
+                    contents: [{ role: "user", parts: [{ text: options.prompt }] }],
+                    generationConfig: { maxOutputTokens: maxTokens },
+                };
+                if (systemPrompt) body.systemInstruction = { parts: [{ text: systemPrompt }] };
+                if (!isNaN(temperature)) body.generationConfig.temperature = temperature;
+                const action = options.stream ? "streamGenerateContent" : "generateContent";
+                request = {
+                    url: `/v1beta/models/${encodeURIComponent(options.model)}:${action}`,
+                    headers: {
+                        "x-goog-api-key": options.proxy_key,
+                        "Content-Type": "application/json",
+                    },
+                    body,
+                };
+            } else {
+                const messages = [];
+                if (systemPrompt) messages.push({ role: "system", content: systemPrompt });
+                messages.push({ role: "user", content: options.prompt });
+                const body = {
+                    model: options.model,
+                    messages,
+                    stream: options.stream,
+                    max_tokens: maxTokens,
+                };
+                if (!isNaN(temperature)) body.temperature = temperature;
+                if (options.stream) body.stream_options = { include_usage: true };
+                request = {
+                    url: "/v1/chat/completions",
+                    headers: {
+                        Authorization: `Bearer ${options.proxy_key}`,
+                        "Content-Type": "application/json",
+                    },
+                    body,
+                };
+            }
+
+            // 指定分组时由网关只路由到该分组
+            if (options.target_group_id) {
+                request.headers["X-Orchestration-Target-Group"] = options.target_group_id;
+            }
+            return request;
+        },
+
+        createGatewayRun() {
+            return {
+                output: "",
+                status: null,
+                group_id: "",
+                group_name: "",
+                provider_type: "",
+                request_id: "",
+                ttft_ms: null,
+                latency_ms: null,
+                usage: null,
+                error: "",
+            };
+        },
+
+        // 发送网关请求，并把输出、路由信息、耗时和用量实时写入run对象
+        async executeGatewayRequest(request, apiFormat, run, signal) {
+            const startTime = performance.now();
+
+            try {
+                const response = await fetch(request.url, {
+                    method: "POST",
+                    headers: request.headers,
+                    body: JSON.stringify(request.body),
+                    signal,
+                });
+
+                run.status = response.status;
+                run.group_id = response.headers.get("X-Orchestration-Group-Id") || "";
+                run.group_name = decodeURIComponent(response.headers.get("X-Orchestration-Group-Name") || "");
+                run.provider_type = response.headers.get("X-Orchestration-Provider-Type") || "";
+                run.request_id = response.headers.get("X-Orchestration-Request-Id") || "";
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({}));
+                    throw new Error(
+                        errorData.error?.message || errorData.error || `HTTP ${response.status}`,
+                    );
+                }
+
+                const contentType = response.headers.get("Content-Type") || "";
+                if (response.body && contentType.includes("text/event-stream")) {
+                    await this.readGatewayStream(response, apiFormat, run, startTime);
+                } else {
+                    const data = await response.json();
+                    run.ttft_ms = Math.round(performance.now() - startTime);
+                    this.applyGatewayPayload(data, apiFormat, run, false);
+                }
+            } catch (error) {
+                if (error.name === "AbortError") {
+                    run.error = "请求已取消";
+                } else {
+                    console.error("网关请求失败:", error);
+                    run.error = error.message;
+                }
+            } finally {
+                run.latency_ms = Math.round(performance.now() - startTime);
+            }
+            return run;
+        },
+
+        // 逐行解析SSE流，兼容OpenAI / Anthropic / Gemini三种事件格式
+        async readGatewayStream(response, apiFormat, run, startTime) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = "";
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split("\n");
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith("data:")) continue;
+
+                    const payload = trimmed.slice(5).trim();
+                    if (!payload || payload === "[DONE]") continue;
+
+                    try {
+                        const hadOutput = run.output.length > 0;
+                        this.applyGatewayPayload(JSON.parse(payload), apiFormat, run, true);
+                        if (!hadOutput && run.output.length > 0) {
+                            run.ttft_ms = Math.round(performance.now() - startTime);
+                        }
+                    } catch (e) {
+                        console.warn("无法解析SSE数据:", payload);
+                    }
+                }
+            }
+        },
+
+        // 从响应（或流式片段）中提取文本和token用量
+        applyGatewayPayload(data, apiFormat, run, isChunk) {
+            const usage = run.usage || {};
+
+            if (apiFormat === "anthropic") {
+                if (data.type === "content_block_delta") {
+                    run.output += data.delta?.text || "";
+                } else if (data.type === "message_start") {
+                    usage.prompt_tokens = data.message?.usage?.input_tokens;
+                } else if (data.type === "message_delta") {
+                    usage.completion_tokens = data.usage?.output_tokens;
+                } else if (!isChunk) {
+                    run.output = (data.content || []).map((block) => block.text || "").join("");
+                    usage.prompt_tokens = data.usage?.input_tokens;
+                    usage.completion_tokens = data.usage?.output_tokens;
+                }
+            } else if (apiFormat === "gemini") {
+                const parts = data.candidates?.[0]?.content?.parts || [];
+                run.output += parts.map((part) => part.text || "").join("");
+                if (data.usageMetadata) {
+                    usage.prompt_tokens = data.usageMetadata.promptTokenCount;
+                    usage.completion_tokens = data.usageMetadata.candidatesTokenCount;
+                    usage.total_tokens = data.usageMetadata.totalTokenCount;
+                }
+            } else {
+                const choice = data.choices?.[0];
+                if (isChunk) {
+                    run.output += choice?.delta?.content || "";
+                } else {
+                    run.output = choice?.message?.content || "";
+                }
+                if (data.usage) {
+                    usage.prompt_tokens = data.usage.prompt_tokens;
+                    usage.completion_tokens = data.usage.completion_tokens;
+                    usage.total_tokens = data.usage.total_tokens;
+                }
+            }
+
+            if (usage.prompt_tokens != null || usage.completion_tokens != null) {
+                if (usage.total_tokens == null || apiFormat === "anthropic") {
+                    usage.total_tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+                }
+                run.usage = usage;
+            }
+        },
+
+        validateGatewayOptions(options) {
+            if (!options.proxy_key) return "请选择代理密钥";
+            if (!options.prompt.trim()) return "请输入提示词";
+            return "";
+        },
+
+        async runPlayground() {
+            const form = this.playgroundForm;
+            const validationError = this.validateGatewayOptions(form) || (!form.model ? "请选择模型" : "");
+            if (validationError) {
+                this.showMessage(validationError, "error");
+                return;
+            }
+
+            const controller = new AbortController();
+            this.playgroundAbortController = controller;
+            this.playgroundRunning = true;
+            this.playgroundResult = this.createGatewayRun();
+
+            try {
+                await this.executeGatewayRequest(
+                    this.buildGatewayRequest(form),
+                    form.api_format,
+                    this.playgroundResult,
+                    controller.signal,
+                );
+            } finally {
+                this.playgroundRunning = false;
+                this.playgroundAbortController = null;
+            }
+        },
+
+        stopPlayground() {
+            if (this.playgroundAbortController) {
+                this.playgroundAbortController.abort();
+            }
+        },
+
+        // 模型对比相关方法
+        openCompareModal() {
+            if (!this.compareForm.proxy_key) {
+                this.compareForm.proxy_key = this.playgroundForm.proxy_key || this.getDefaultPlaygroundProxyKey();
+            }
+            this.compareForm.api_format = this.playgroundForm.api_format;
+            this.compareTargets.forEach((target) => this.normalizeCompareTarget(target));
+            this.showCompareModal = true;
+        },
+
+        closeCompareModal() {
+            this.stopComparison();
+            this.showCompareModal = false;
+        },
+
+        getCompareGroupOptions() {
+            return Object.values(this.providerStatuses || {})
+                .filter((group) => group.enabled && group.provider_type === this.compareForm.api_format)
+                .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+        },
+
+        getCompareTargetModelOptions(target) {
+            return this.getGatewayModelOptions(
+                this.compareForm.api_format,
+                target.type === "group" ? target.group_id : "",
+            );
+        },
+
+        // 切换格式或目标类型后，修正已失效的分组或模型选择
+        normalizeCompareTarget(target) {
+            if (target.type === "group") {
+                const groups = this.getCompareGroupOptions();
+                if (!groups.some((g) => g.id === target.group_id)) {
+                    target.group_id = groups[0]?.id || "";
+                }
+            } else {
+                target.group_id = "";
+            }
+            const models = this.getCompareTargetModelOptions(target);
+            if (!models.includes(target.model)) {
+                target.model = models[0] || "";
+            }
+        },
+
+        onCompareFormatChange() {
+            this.compareTargets.forEach((target) => this.normalizeCompareTarget(target));
+        },
+
+        addCompareTarget() {
+            if (this.compareTargets.length >= 4) return;
+            const target = { type: "alias", model: "", group_id: "" };
+            this.normalizeCompareTarget(target);
+            this.compareTargets.push(target);
+        },
+
+        removeCompareTarget(index) {
+            if (this.compareTargets.length <= 2) return;
+            this.compareTargets.splice(index, 1);
+            this.compareRuns = [];
+        },
+
+        getCompareTargetLabel(target) {
+            if (target.type === "group") {
+                const group = this.providerStatuses[target.group_id];
+                return `${group?.group_name || target.group_id} / ${target.model}`;
+            }
+            return target.model;
+        },
+
+        async runComparison() {
+            const validationError = this.validateGatewayOptions(this.compareForm);
+            if (validationError) {
+                this.showMessage(validationError, "error");
+                return;
+            }
+            if (this.compareTargets.some((t) => !t.model || (t.type === "group" && !t.group_id))) {
+                this.showMessage("请为每一列选择模型或分组", "error");
+                return;
+            }
+
+            const controller = new AbortController();
+            this.compareAbortController = controller;
+            this.compareRunning = true;
+            this.compareStartedAt = new Date().toISOString();
+            this.compareRuns = this.compareTargets.map((target) => ({
+                target: { ...target, label: this.getCompareTargetLabel(target) },
+                ...this.createGatewayRun(),
+            }));
+
+            try {
+                // 同时发出所有请求，保证各列的耗时具有可比性
+                await Promise.all(
+                    this.compareRuns.map((run, index) => {
+                        const target = this.compareTargets[index];
+                        const request = this.buildGatewayRequest({
+                            ...this.compareForm,
+                            model: target.model,
+                            target_group_id: target.type === "group" ? target.group_id : "",
+                        });
+                        return this.executeGatewayRequest(
+                            request,
+                            this.compareForm.api_format,
+                            run,
+                            controller.signal,
+                        );
+                    }),
+                );
+            } finally {
+                this.compareRunning = false;
+                this.compareAbortController = null;
+            }
+        },
+
+        stopComparison() {
+            if (this.compareAbortController) {
+                this.compareAbortController.abort();
+            }
+        },
+
+        // 保存对比结果为JSON，便于后续复盘分组的故障转移顺序
+        saveComparison() {
+            if (this.compareRuns.length === 0) {
+                this.showMessage("暂无可保存的对比结果", "error");
+                return;
+            }
+
+            const { proxy_key, ...settings } = this.compareForm;
+            const proxyKey = this.proxyKeys.find((k) => k.key === proxy_key);
+            const data = {
+                version: 1,
+                created_at: this.compareStartedAt,
+                proxy_key_name: proxyKey?.name || "",
+                settings,
+                results: this.compareRuns.map((run) => JSON.parse(JSON.stringify(run))),
+            };
+
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement("a");
+            a.style.display = "none";
+            a.href = url;
+            a.download = `model_comparison_${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        },
+
+        // 载入之前保存的对比结果进行查看
+        async loadComparisonFile(event) {
+            const file = event.target.files[0];
+            event.target.value = "";
+            if (!file) return;
+
+            try {
+                const data = JSON.parse(await file.text());
+                if (!Array.isArray(data.results) || !data.settings) {
+                    throw new Error("文件格式不正确");
+                }
+
+                this.compareForm = { ...this.compareForm, ...data.settings };
+                this.compareTargets = data.results.map((run) => ({
+                    type: run.target?.type || "alias",
+                    model: run.target?.model || "",
+                    group_id: run.target?.group_id || "",
+                }));
+                this.compareRuns = data.results;
+                this.compareStartedAt = data.created_at || null;
+                this.showMessage("对比结果已载入", "success");
+            } catch (error) {
+                console.error("载入对比结果失败:", error);
+                this.showMessage("载入对比结果失败: " + error.message, "error");
+            }
+        },
     };
 }
 
 function logout() {
-    const token = localStorage.getItem('authToken');
+    const token = apiClient.getToken();
 
     // 清理本地存储
-    localStorage.removeItem('authToken');
+    apiClient.clearToken();
 
     if (token) {
         fetch("/auth/logout", {
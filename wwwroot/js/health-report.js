@@ -9,6 +9,11 @@ function healthReportDashboard() {
         selectedGroup: null,
         selectedGroupId: null, // 保存当前选中分组的ID
         showGroupDetails: false,
+        // 当前用户权限（read / operate / delete / manage_users）
+        permissions: [],
+        // 熔断器重试倒计时：以报表加载时的剩余秒数为基准，每秒刷新
+        now: Date.now(),
+        reportLoadedAt: Date.now(),
 
         async init() {
             console.log('Health report init - performing detailed authentication check...');
@@ -26,21 +31,22 @@ function healthReportDashboard() {
 
             await this.loadHealthReport();
             await this.loadOverview();
+            setInterval(() => {
+                this.now = Date.now();
+            }, 1000);
         },
 
         // 检查用户身份验证状态
         async checkAuthentication() {
             try {
-                const token = localStorage.getItem('authToken');
-                if (!token) {
+                if (!apiClient.getToken()) {
                     console.warn('未找到认证token');
                     return false;
                 }
 
-                const response = await fetch('/auth/verify', {
+                const response = await apiClient.fetch('/auth/verify', {
                     method: 'GET',
                     headers: {
-                        'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     }
                 });
@@ -49,52 +55,46 @@ function healthReportDashboard() {
                     const data = await response.json();
                     if (data.valid) {
                         console.log('认证验证成功');
+                        apiClient.syncSession(data);
+                        this.permissions = data.user?.permissions || [];
                         return true;
                     } else {
                         console.warn('Token无效:', data.message);
-                        localStorage.removeItem('authToken');
-                        localStorage.removeItem('tokenExpires');
+                        apiClient.clearToken();
                         return false;
                     }
                 } else {
                     console.warn('认证验证失败:', response.status, response.statusText);
-                    localStorage.removeItem('authToken');
-                    localStorage.removeItem('tokenExpires');
+                    apiClient.clearToken();
                     return false;
                 }
             } catch (error) {
                 console.error('认证检查时发生错误:', error);
-                localStorage.removeItem('authToken');
-                localStorage.removeItem('tokenExpires');
+                apiClient.clearToken();
                 return false;
             }
         },
 
+        can(permission) {
+            return this.permissions.includes(permission);
+        },
+
         async loadHealthReport() {
             this.loading = true;
             try {
-                const authToken = localStorage.getItem('authToken');
-                console.log('Loading health report with token:', authToken ? `${authToken.substring(0, 20)}...` : 'null');
-
-                const response = await fetch('/admin/health-check/report', {
-                    headers: {
-                        'Authorization': `Bearer ${authToken}`
-                    }
-                });
+                const response = await apiClient.fetch('/admin/health-check/report');
 
                 if (response.ok) {
                     const result = await response.json();
                     if (result.success) {
                         this.reportData = result.data || [];
+                        this.reportLoadedAt = Date.now();
                     } else {
                         console.error('获取健康检查报表失败:', result.error);
                         this.showNotification('获取健康检查报表失败: ' + result.error, 'error');
                     }
                 } else if (response.status === 401) {
-                    console.warn('认证失败，跳转到登录页面');
-                    localStorage.removeItem('authToken');
-                    localStorage.removeItem('tokenExpires');
-                    window.location.href = '/login';
+                    // 登录失效，apiClient 已跳转登录页
                     return;
                 } else {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -109,14 +109,7 @@ function healthReportDashboard() {
 
         async loadOverview() {
             try {
-                const authToken = localStorage.getItem('authToken');
-                console.log('Loading overview with token:', authToken ? `${authToken.substring(0, 20)}...` : 'null');
-
-                const response = await fetch('/admin/health-check/overview', {
-                    headers: {
-                        'Authorization': `Bearer ${authToken}`
-                    }
-                });
+                const response = await apiClient.fetch('/admin/health-check/overview');
 
                 if (response.ok) {
                     const result = await response.json();
@@ -124,10 +117,7 @@ function healthReportDashboard() {
                         this.overview = result.data || {};
                     }
                 } else if (response.status === 401) {
-                    console.warn('认证失败，跳转到登录页面');
-                    localStorage.removeItem('authToken');
-                    localStorage.removeItem('tokenExpires');
-                    window.location.href = '/login';
+                    // 登录失效，apiClient 已跳转登录页
                     return;
                 }
             } catch (error) {
@@ -147,14 +137,10 @@ function healthReportDashboard() {
         async triggerHealthCheck() {
             this.triggeringCheck = true;
             try {
-                const authToken = localStorage.getItem('authToken');
-                console.log('Triggering health check with token:', authToken ? `${authToken.substring(0, 20)}...` : 'null');
-
-                const response = await fetch('/admin/health-check/trigger', {
+                const response = await apiClient.fetch('/admin/health-check/trigger', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${authToken}`
+                        'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({})
                 });
@@ -171,10 +157,7 @@ function healthReportDashboard() {
                         this.showNotification('触发健康检查失败: ' + result.error, 'error');
                     }
                 } else if (response.status === 401) {
-                    console.warn('认证失败，跳转到登录页面');
-                    localStorage.removeItem('authToken');
-                    localStorage.removeItem('tokenExpires');
-                    window.location.href = '/login';
+                    // 登录失效，apiClient 已跳转登录页
                     return;
                 } else {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -193,14 +176,10 @@ function healthReportDashboard() {
             this.triggeringGroupChecks[groupId] = true;
 
             try {
-                const authToken = localStorage.getItem('authToken');
-                console.log(`Triggering health check for group ${groupId} with token:`, authToken ? `${authToken.substring(0, 20)}...` : 'null');
-
-                const response = await fetch('/admin/health-check/trigger', {
+                const response = await apiClient.fetch('/admin/health-check/trigger', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${authToken}`
+                        'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({
                         GroupId: groupId
@@ -219,10 +198,7 @@ function healthReportDashboard() {
                         this.showNotification('触发分组健康检查失败: ' + result.error, 'error');
                     }
                 } else if (response.status === 401) {
-                    console.warn('认证失败，跳转到登录页面');
-                    localStorage.removeItem('authToken');
-                    localStorage.removeItem('tokenExpires');
-                    window.location.href = '/login';
+                    // 登录失效，apiClient 已跳转登录页
                     return;
                 } else {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -243,11 +219,7 @@ function healthReportDashboard() {
 
         async viewGroupDetails(groupId) {
             try {
-                const response = await fetch(`/admin/health-check/group/${groupId}/details`, {
-                    headers: {
-                        'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-                    }
-                });
+                const response = await apiClient.fetch(`/admin/health-check/group/${groupId}/details`);
 
                 if (response.ok) {
                     const result = await response.json();
@@ -259,10 +231,7 @@ function healthReportDashboard() {
                         this.showNotification('获取分组详情失败: ' + result.error, 'error');
                     }
                 } else if (response.status === 401) {
-                    console.warn('认证失败，跳转到登录页面');
-                    localStorage.removeItem('authToken');
-                    localStorage.removeItem('tokenExpires');
-                    window.location.href = '/login';
+                    // 登录失效，apiClient 已跳转登录页
                     return;
                 } else {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -281,11 +250,10 @@ function healthReportDashboard() {
             }
 
             try {
-                const response = await fetch(`/admin/groups/${groupId}/toggle`, {
+                const response = await apiClient.fetch(`/admin/groups/${groupId}/toggle`, {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                        'Content-Type': 'application/json'
                     }
                 });
 
@@ -299,10 +267,7 @@ function healthReportDashboard() {
                         this.showNotification(`${action}服务商分组失败: ` + result.error, 'error');
                     }
                 } else if (response.status === 401) {
-                    console.warn('认证失败，跳转到登录页面');
-                    localStorage.removeItem('authToken');
-                    localStorage.removeItem('tokenExpires');
-                    window.location.href = '/login';
+                    // 登录失效，apiClient 已跳转登录页
                     return;
                 } else {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -320,11 +285,8 @@ function healthReportDashboard() {
             }
 
             try {
-                const response = await fetch(`/admin/groups/${groupId}`, {
+                const response = await apiClient.fetch(`/admin/groups/${groupId}`, {
                     method: 'DELETE',
-                    headers: {
-                        'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-                    }
                 });
 
                 if (response.ok) {
@@ -337,10 +299,7 @@ function healthReportDashboard() {
                         this.showNotification('删除服务商分组失败: ' + result.error, 'error');
                     }
                 } else if (response.status === 401) {
-                    console.warn('认证失败，跳转到登录页面');
-                    localStorage.removeItem('authToken');
-                    localStorage.removeItem('tokenExpires');
-                    window.location.href = '/login';
+                    // 登录失效，apiClient 已跳转登录页
                     return;
                 } else {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -377,6 +336,81 @@ function healthReportDashboard() {
             }
         },
 
+        getBreakerClass(breaker) {
+            if (!breaker || !breaker.enabled) return 'bg-gray-100 text-gray-800';
+            switch (breaker.state) {
+                case 'open':
+                    return 'bg-red-100 text-red-800';
+                case 'half_open':
+                    return 'bg-yellow-100 text-yellow-800';
+                default:
+                    return 'bg-green-100 text-green-800';
+            }
+        },
+
+        getBreakerText(breaker) {
+            if (!breaker || !breaker.enabled) return '未启用';
+            switch (breaker.state) {
+                case 'open':
+                    return '熔断中';
+                case 'half_open':
+                    return '半开探测';
+                default:
+                    return '正常';
+            }
+        },
+
+        getBreakerRetrySeconds(breaker) {
+            if (!breaker || breaker.state !== 'open') return 0;
+            const elapsed = Math.floor((this.now - this.reportLoadedAt) / 1000);
+            return Math.max(0, breaker.retry_in_seconds - elapsed);
+        },
+
+        getBreakerDetailText(breaker) {
+            if (!breaker || !breaker.enabled) return '';
+            if (breaker.state === 'open') {
+                const seconds = this.getBreakerRetrySeconds(breaker);
+                return seconds > 0 ? `${seconds} 秒后重试` : '等待探测请求';
+            }
+            if (breaker.recent_requests > 0) {
+                return `连续失败 ${breaker.consecutive_failures} · 错误率 ${breaker.error_rate}%`;
+            }
+            return '暂无请求';
+        },
+
+        getMaintenanceText(maintenance) {
+            if (!maintenance) return '';
+            if (maintenance.active) {
+                return `维护至 ${this.formatMaintenanceTime(maintenance.ends_at)}，跳过定时检查`;
+            }
+            return maintenance.next_start ? `计划维护: ${this.formatMaintenanceTime(maintenance.next_start)}` : '';
+        },
+
+        formatMaintenanceTime(value) {
+            return new Date(value).toLocaleString('zh-CN', {
+                month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+            });
+        },
+
+        // 手动重置熔断器
+        async resetCircuitBreaker(groupId) {
+            try {
+                const response = await apiClient.fetch(`/admin/groups/${groupId}/circuit-breaker/reset`, {
+                    method: 'POST'
+                });
+                const result = await response.json();
+                if (result.success) {
+                    this.showNotification('熔断器已重置', 'success');
+                    await this.loadHealthReport();
+                } else {
+                    this.showNotification('重置熔断器失败: ' + (result.error || '未知错误'), 'error');
+                }
+            } catch (error) {
+                console.error('重置熔断器失败:', error);
+                this.showNotification('重置熔断器失败: ' + error.message, 'error');
+            }
+        },
+
         formatDateTime(dateTimeStr) {
             if (!dateTimeStr) return '未检查';
             
@@ -476,16 +510,9 @@ function healthReportDashboard() {
                     return;
                 }
 
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    await this.showModalNotification('未找到认证令牌，请重新登录', 'error');
-                    return;
-                }
-
-                const response = await fetch(`/admin/groups/${groupId}/keys/${apiKey}`, {
+                const response = await apiClient.fetch(`/admin/groups/${groupId}/keys/${apiKey}`, {
                     method: 'DELETE',
                     headers: {
-                        'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     }
                 });
@@ -527,17 +554,10 @@ function healthReportDashboard() {
                     return;
                 }
 
-                const token = localStorage.getItem('authToken');
-                if (!token) {
-                    await this.showModalNotification('未找到认证令牌，请重新登录', 'error');
-                    return;
-                }
-
                 const encodedModel = encodeURIComponent(modelName);
-                const response = await fetch(`/admin/groups/${groupId}/models/${encodedModel}`, {
+                const response = await apiClient.fetch(`/admin/groups/${groupId}/models/${encodedModel}`, {
                     method: 'DELETE',
                     headers: {
-                        'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     }
                 });
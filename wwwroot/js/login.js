@@ -75,7 +75,7 @@ document.getElementById('loginForm').addEventListener('submit', async function (
         if (response.ok && data.success) {
             // 保存token
             localStorage.setItem('authToken', data.token);
-            localStorage.setItem('tokenExpires', data.expiresAt);
+            localStorage.setItem('tokenExpires', data.expires_at);
 
             // 稍微延迟一下再跳转，确保Cookie设置完成
             setTimeout(() => {
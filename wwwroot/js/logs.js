@@ -147,6 +147,8 @@ function showAlert(message, type = 'info', title = '提示') {
 function logsManagement() {
     return {
         logs: [],
+        // 当前用户权限（read / operate / delete / manage_users）
+        permissions: [],
         logDetail: null,
         showDetailModal: false,
         selectedLogs: [],
@@ -161,6 +163,24 @@ function logsManagement() {
         successTokensUsed: 0,
         avgTokensPerRequest: 0,
         tokenSuccessRate: 0,
+        // 成本估算（按模型价格表计算）
+        totalEstimatedCost: 0,
+        unpricedRequests: 0,
+        unpricedModels: [],
+        costStats: null,
+        costBreakdownTab: 'proxy_key', // proxy_key | group | model
+        // 模型价格管理
+        showPricingModal: false,
+        loadingPrices: false,
+        savingPrice: false,
+        modelPrices: [],
+        pricingSearch: '',
+        editingPriceId: null,
+        priceForm: {
+            model: '',
+            input_price: 0,
+            output_price: 0
+        },
         proxyKeys: [],
         providerGroups: [],
         models: [],
@@ -177,12 +197,20 @@ function logsManagement() {
         refreshInterval: null,
         nextUpdateCountdown: 30,
         countdownInterval: null,
+        // 实时跟踪（SSE）
+        liveTail: false,
+        liveTailController: null,
+        liveTailCursor: null,
+        liveTailStatus: '', // connecting | live | reconnecting
+        liveTailNewCount: 0,
+        liveTailMaxRows: 200,
         chartTimeRange: '',
         chartsLoading: {
             status: false,
             model: false,
             tokenTrend: false,
-            groupToken: false
+            groupToken: false,
+            costTrend: false
         },
         fullscreenChart: false,
         fullscreenChartTitle: '',
@@ -195,6 +223,7 @@ function logsManagement() {
         },
 
         async init() {
+            await this.loadPermissions();
             await this.loadFilterOptions(); // 优先加载筛选选项
             await this.loadLogs();
             await this.loadStats();
@@ -205,24 +234,45 @@ function logsManagement() {
             }, 500);
         },
 
+        // 加载当前用户权限，用于隐藏无权执行的操作
+        async loadPermissions() {
+            try {
+                const session = await apiClient.loadSession();
+                this.permissions = session?.user?.permissions || [];
+            } catch (error) {
+                console.error('加载用户权限失败:', error);
+            }
+        },
+
+        can(permission) {
+            return this.permissions.includes(permission);
+        },
+
         get totalPages() {
             return Math.ceil(this.totalCount / this.pageSize);
         },
 
+        // 根据当前筛选条件构建查询参数（列表查询与实时跟踪共用）
+        buildFilterParams(extra = {}) {
+            const params = new URLSearchParams(extra);
+
+            if (this.filters.proxyKeyName) params.append('proxyKey', this.filters.proxyKeyName);
+            if (this.filters.providerGroup) params.append('group', this.filters.providerGroup);
+            if (this.filters.model) params.append('model', this.filters.model);
+            if (this.filters.status) params.append('status', this.filters.status);
+            if (this.filters.stream) params.append('type', this.filters.stream);
+
+            return params;
+        },
+
         async loadLogs() {
             try {
-                const params = new URLSearchParams({
+                const params = this.buildFilterParams({
                     limit: this.pageSize,
                     offset: (this.currentPage - 1) * this.pageSize
                 });
 
-                if (this.filters.proxyKeyName) params.append('proxyKey', this.filters.proxyKeyName);
-                if (this.filters.providerGroup) params.append('group', this.filters.providerGroup);
-                if (this.filters.model) params.append('model', this.filters.model);
-                if (this.filters.status) params.append('status', this.filters.status);
-                if (this.filters.stream) params.append('type', this.filters.stream);
-
-                const response = await fetch(`/admin/logs?${params}`);
+                const response = await apiClient.fetch(`/admin/logs?${params}`);
                 const data = await response.json();
 
                 if (data.success) {
@@ -241,7 +291,7 @@ function logsManagement() {
 
         async loadFilterOptions() {
             try {
-                const response = await fetch('/admin/logs/filter-options');
+                const response = await apiClient.fetch('/admin/logs/filter-options');
                 const data = await response.json();
 
                 if (data.success) {
@@ -259,8 +309,8 @@ function logsManagement() {
         async loadStats() {
             try {
                 const [proxyKeyStatsResponse, modelStatsResponse] = await Promise.all([
-                    fetch('/admin/logs/stats/api-keys'),
-                    fetch('/admin/logs/stats/models')
+                    apiClient.fetch('/admin/logs/stats/api-keys'),
+                    apiClient.fetch('/admin/logs/stats/models')
                 ]);
 
                 const proxyKeyStats = await proxyKeyStatsResponse.json();
@@ -305,6 +355,10 @@ function logsManagement() {
             this.currentPage = 1;
             await this.loadLogs();
             await this.loadStats();
+            // 实时跟踪按新的筛选条件重新订阅
+            if (this.liveTail) {
+                this.restartLiveTail();
+            }
             // 筛选条件变化时也需要更新图表
             setTimeout(async () => {
                 await this.updateCharts();
@@ -313,7 +367,7 @@ function logsManagement() {
 
         async viewLogDetail(id) {
             try {
-                const response = await fetch(`/admin/logs/${id}`);
+                const response = await apiClient.fetch(`/admin/logs/${id}`);
                 const data = await response.json();
 
                 if (data.success) {
@@ -347,7 +401,7 @@ function logsManagement() {
                     tokenSuccessRate: this.tokenSuccessRate
                 };
 
-                const response = await fetch('/admin/logs/stats/tokens');
+                const response = await apiClient.fetch('/admin/logs/stats/tokens');
                 const data = await response.json();
 
                 if (data.success && data.stats) {
@@ -358,11 +412,30 @@ function logsManagement() {
                     this.tokenSuccessRate = data.stats.total_requests > 0 ?
                         Math.round((data.stats.success_requests / data.stats.total_requests) * 100) : 0;
                 }
+
+                // 全部时间的预估成本
+                const costResponse = await apiClient.fetch('/admin/logs/stats/costs');
+                const costData = await costResponse.json();
+                if (costData.success && costData.data) {
+                    this.totalEstimatedCost = costData.data.total_cost || 0;
+                    this.unpricedRequests = costData.data.unpriced_requests || 0;
+                    this.unpricedModels = costData.data.unpriced_models || [];
+                }
             } catch (error) {
                 console.error('Error loading token stats:', error);
             }
         },
 
+        // 格式化美元金额，小额保留更多小数位
+        formatCost(value) {
+            if (value === null || value === undefined) return '-';
+            const amount = Number(value);
+            if (amount === 0) return '$0.00';
+            if (amount >= 1) return '$' + amount.toFixed(2);
+            if (amount >= 0.01) return '$' + amount.toFixed(4);
+            return '$' + amount.toFixed(6);
+        },
+
         refreshTokenStats() {
             this.loadTokenStats();
         },
@@ -395,6 +468,10 @@ function logsManagement() {
             this.autoRefresh = !this.autoRefresh;
 
             if (this.autoRefresh) {
+                // 自动刷新与实时跟踪互斥
+                if (this.liveTail) {
+                    this.toggleLiveTail();
+                }
                 this.startAutoRefresh();
             } else {
                 this.stopAutoRefresh();
@@ -429,6 +506,123 @@ function logsManagement() {
             }
         },
 
+        // 实时跟踪：通过SSE接收新完成的请求日志并插入到表格顶部
+        async toggleLiveTail() {
+            this.liveTail = !this.liveTail;
+
+            if (this.liveTail) {
+                if (this.autoRefresh) {
+                    this.toggleAutoRefresh();
+                }
+                // 新日志总是插入到第一页顶部
+                if (this.currentPage !== 1) {
+                    this.currentPage = 1;
+                    await this.loadLogs();
+                }
+                this.startLiveTail();
+            } else {
+                this.stopLiveTail();
+            }
+        },
+
+        startLiveTail() {
+            this.liveTailCursor = null;
+            this.liveTailNewCount = 0;
+            const controller = new AbortController();
+            this.liveTailController = controller;
+            this.runLiveTail(controller);
+        },
+
+        stopLiveTail() {
+            if (this.liveTailController) {
+                this.liveTailController.abort();
+                this.liveTailController = null;
+            }
+            this.liveTailStatus = '';
+        },
+
+        restartLiveTail() {
+            this.stopLiveTail();
+            this.startLiveTail();
+        },
+
+        // 连接断开后自动重连，并从上次的游标继续，避免漏掉断线期间的日志
+        async runLiveTail(controller) {
+            while (!controller.signal.aborted) {
+                try {
+                    this.liveTailStatus = 'connecting';
+                    const params = this.buildFilterParams();
+                    if (this.liveTailCursor !== null) params.append('afterId', this.liveTailCursor);
+
+                    const response = await apiClient.fetch(`/admin/logs/stream?${params}`, {
+                        signal: controller.signal,
+                        // 长连接不设超时，断线由外层循环负责重连
+                        timeout: 0,
+                        retries: 0
+                    });
+                    if (!response.ok || !response.body) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+
+                    this.liveTailStatus = 'live';
+                    await this.readLiveTailStream(response);
+                } catch (error) {
+                    if (controller.signal.aborted) break;
+                    console.error('实时日志流连接失败:', error);
+                }
+
+                if (controller.signal.aborted) break;
+                this.liveTailStatus = 'reconnecting';
+                await new Promise(resolve => setTimeout(resolve, 3000));
+            }
+        },
+
+        async readLiveTailStream(response) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+
+                for (const rawEvent of events) {
+                    let eventName = 'message';
+                    let data = '';
+                    for (const line of rawEvent.split('\n')) {
+                        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+                        else if (line.startsWith('data:')) data += line.slice(5).trim();
+                    }
+                    if (!data) continue; // 心跳
+
+                    try {
+                        this.handleLiveTailEvent(eventName, JSON.parse(data));
+                    } catch (e) {
+                        console.warn('无法解析实时日志事件:', data);
+                    }
+                }
+            }
+        },
+
+        handleLiveTailEvent(eventName, data) {
+            if (eventName === 'ready' || eventName === 'cursor') {
+                this.liveTailCursor = data.cursor;
+            } else if (eventName === 'log') {
+                if (this.logs.some(log => log.id === data.id)) return;
+
+                this.logs.unshift(data);
+                if (this.logs.length > this.liveTailMaxRows) {
+                    this.logs.length = this.liveTailMaxRows;
+                }
+                this.totalCount++;
+                this.liveTailNewCount++;
+            }
+        },
+
         previousPage() {
             if (this.currentPage > 1) {
                 this.currentPage--;
@@ -443,6 +637,11 @@ function logsManagement() {
             }
         },
 
+        // 网关因代理密钥限制直接拒绝的请求（与后端 "denied" 筛选条件一致）
+        isAccessDenied(log) {
+            return log.status_code === 403 && !log.group_id;
+        },
+
         formatDate(dateString) {
             if (!dateString) return '';
             const date = new Date(dateString);
@@ -524,7 +723,7 @@ function logsManagement() {
 
 
 
-                const response = await fetch('/admin/logs/batch', {
+                const response = await apiClient.fetch('/admin/logs/batch', {
                     method: 'DELETE',
                     headers: {
                         'Content-Type': 'application/json',
@@ -577,7 +776,7 @@ function logsManagement() {
 
         async performCleanupExpired() {
             try {
-                const response = await fetch('/admin/logs/cleanup', {
+                const response = await apiClient.fetch('/admin/logs/cleanup', {
                     method: 'POST'
                 });
 
@@ -600,7 +799,7 @@ function logsManagement() {
 
         async performClearAll() {
             try {
-                const response = await fetch('/admin/logs/clear', {
+                const response = await apiClient.fetch('/admin/logs/clear', {
                     method: 'DELETE'
                 });
 
@@ -623,7 +822,7 @@ function logsManagement() {
 
         async performClearErrors() {
             try {
-                const response = await fetch('/admin/logs/clear-errors', {
+                const response = await apiClient.fetch('/admin/logs/clear-errors', {
                     method: 'DELETE'
                 });
 
@@ -692,6 +891,11 @@ function logsManagement() {
                     '指标': 'Token成功率',
                     '数值': this.tokenSuccessRate + '%',
                     '趋势': this.getTokenTrend('rate')
+                },
+                {
+                    '指标': '预估总成本(USD)',
+                    '数值': Number(this.totalEstimatedCost || 0).toFixed(6),
+                    '趋势': ''
                 }
             ];
 
@@ -724,7 +928,8 @@ function logsManagement() {
             status: null,
             model: null,
             tokenTrend: null,
-            groupToken: null
+            groupToken: null,
+            costTrend: null
         },
 
         // 图表相关方法
@@ -740,6 +945,7 @@ function logsManagement() {
                 this.createModelChart();
                 this.createTokenTrendChart();
                 this.createGroupTokenChart();
+                this.createCostTrendChart();
             } catch (error) {
                 console.error('Error initializing charts:', error);
             }
@@ -857,7 +1063,7 @@ function logsManagement() {
                 if (this.filters.model) params.append('model', this.filters.model);
                 if (this.filters.stream) params.append('type', this.filters.stream);
 
-                const response = await fetch(`/admin/logs/stats/status?${params}`);
+                const response = await apiClient.fetch(`/admin/logs/stats/status?${params}`);
                 const result = await response.json();
 
                 if (result.success && result.data) {
@@ -924,7 +1130,7 @@ function logsManagement() {
                 if (this.filters.model) params.append('model', this.filters.model);
                 if (this.filters.stream) params.append('type', this.filters.stream);
 
-                const response = await fetch(`/admin/logs/stats/models?${params}`);
+                const response = await apiClient.fetch(`/admin/logs/stats/models?${params}`);
                 const result = await response.json();
 
                 if (result.success && result.stats) {
@@ -1011,7 +1217,7 @@ function logsManagement() {
                 if (this.filters.model) params.append('model', this.filters.model);
                 if (this.filters.stream) params.append('type', this.filters.stream);
 
-                const response = await fetch(`/admin/logs/stats/tokens-timeline?${params}`);
+                const response = await apiClient.fetch(`/admin/logs/stats/tokens-timeline?${params}`);
                 const result = await response.json();
 
                 if (result.success && result.data) {
@@ -1164,7 +1370,7 @@ function logsManagement() {
                 if (this.filters.model) params.append('model', this.filters.model);
                 if (this.filters.stream) params.append('type', this.filters.stream);
 
-                const response = await fetch(`/admin/logs/stats/status?${params}`);
+                const response = await apiClient.fetch(`/admin/logs/stats/status?${params}`);
                 const result = await response.json();
 
                 if (result.success && result.data) {
@@ -1241,7 +1447,7 @@ function logsManagement() {
                 if (this.filters.model) params.append('model', this.filters.model);
                 if (this.filters.stream) params.append('type', this.filters.stream);
 
-                const response = await fetch(`/admin/logs/stats/models?${params}`);
+                const response = await apiClient.fetch(`/admin/logs/stats/models?${params}`);
                 const result = await response.json();
 
                 if (result.success && result.stats) {
@@ -1353,7 +1559,7 @@ function logsManagement() {
                 if (this.filters.model) params.append('model', this.filters.model);
                 if (this.filters.stream) params.append('type', this.filters.stream);
 
-                const response = await fetch(`/admin/logs/stats/tokens-timeline?${params}`);
+                const response = await apiClient.fetch(`/admin/logs/stats/tokens-timeline?${params}`);
                 const result = await response.json();
 
                 if (result.success && result.data) {
@@ -1441,7 +1647,7 @@ function logsManagement() {
                 if (this.filters.model) params.append('model', this.filters.model);
                 if (this.filters.stream) params.append('type', this.filters.stream);
 
-                const response = await fetch(`/admin/logs/stats/group-tokens?${params}`);
+                const response = await apiClient.fetch(`/admin/logs/stats/group-tokens?${params}`);
                 const result = await response.json();
 
                 if (result.success && result.data) {
@@ -1504,6 +1710,277 @@ function logsManagement() {
                     }
                 }
             });
+        },
+
+        async createCostTrendChart() {
+            const canvas = document.getElementById('costTrendChart');
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+            this.chartsLoading.costTrend = true;
+
+            let labels = [];
+            let costData = [];
+            let tokenData = [];
+
+            try {
+                const params = new URLSearchParams();
+                if (this.chartTimeRange) params.append('range', this.chartTimeRange);
+
+                const response = await apiClient.fetch(`/admin/logs/stats/costs?${params}`);
+                const result = await response.json();
+
+                if (result.success && result.data) {
+                    this.costStats = result.data;
+                    const timeline = result.data.timeline || [];
+                    labels = timeline.map(point => this.formatCostBucket(point.time, result.data.bucket_minutes));
+                    costData = timeline.map(point => Number(point.cost) || 0);
+                    tokenData = timeline.map(point => point.tokens || 0);
+                }
+            } catch (error) {
+                console.error('Failed to fetch cost stats:', error);
+            } finally {
+                this.chartsLoading.costTrend = false;
+            }
+
+            this.chartInstances.costTrend = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: labels,
+                    datasets: [{
+                        label: '预估成本 (USD)',
+                        data: costData,
+                        borderColor: 'rgba(234, 88, 12, 1)',
+                        backgroundColor: 'rgba(234, 88, 12, 0.1)',
+                        fill: true,
+                        tension: 0.4,
+                        yAxisID: 'y'
+                    }, {
+                        label: 'Token数',
+                        data: tokenData,
+                        borderColor: 'rgba(59, 130, 246, 1)',
+                        backgroundColor: 'rgba(59, 130, 246, 0)',
+                        borderDash: [4, 4],
+                        tension: 0.4,
+                        yAxisID: 'yTokens'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: {
+                                callback: value => this.formatCost(value)
+                            }
+                        },
+                        yTokens: {
+                            beginAtZero: true,
+                            position: 'right',
+                            grid: {
+                                drawOnChartArea: false
+                            }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            position: 'top'
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: context => context.dataset.yAxisID === 'y'
+                                    ? `${context.dataset.label}: ${this.formatCost(context.parsed.y)}`
+                                    : `${context.dataset.label}: ${context.parsed.y}`
+                            }
+                        }
+                    }
+                }
+            });
+        },
+
+        // 成本时间线标签：按天聚合时只显示日期
+        formatCostBucket(time, bucketMinutes) {
+            const date = new Date(time);
+            const pad = n => String(n).padStart(2, '0');
+            const day = `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            if (bucketMinutes >= 1440) return day;
+            return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        },
+
+        // 当前选中的成本分项
+        get costBreakdownRows() {
+            if (!this.costStats) return [];
+            const rows = {
+                proxy_key: this.costStats.by_proxy_key,
+                group: this.costStats.by_group,
+                model: this.costStats.by_model
+            };
+            return rows[this.costBreakdownTab] || [];
+        },
+
+        // 导出当前时间范围内的成本分项
+        exportCostReport() {
+            const labels = { proxy_key: '代理密钥', group: '分组', model: '模型' };
+            const rows = this.costBreakdownRows.map(item => ({
+                [labels[this.costBreakdownTab]]: item.name,
+                '请求数': item.requests,
+                '输入Token': item.prompt_tokens,
+                '输出Token': item.completion_tokens,
+                '预估成本(USD)': Number(item.cost || 0).toFixed(6)
+            }));
+            this.exportToCSV(rows, `cost_${this.costBreakdownTab}_${this.chartTimeRange || 'all'}`);
+        },
+
+        // 模型价格管理
+        async openPricingModal() {
+            this.showPricingModal = true;
+            this.pricingSearch = '';
+            this.resetPriceForm();
+            await this.loadModelPrices();
+        },
+
+        closePricingModal() {
+            this.showPricingModal = false;
+            this.resetPriceForm();
+        },
+
+        async loadModelPrices() {
+            this.loadingPrices = true;
+            try {
+                const response = await apiClient.fetch('/admin/pricing');
+                const data = await response.json();
+                if (data.success) {
+                    this.modelPrices = data.data || [];
+                } else {
+                    await showAlert('加载模型价格失败: ' + data.error, 'error', '提示');
+                }
+            } catch (error) {
+                console.error('Error loading model prices:', error);
+                await showAlert('加载模型价格失败: ' + error.message, 'error', '提示');
+            } finally {
+                this.loadingPrices = false;
+            }
+        },
+
+        get filteredModelPrices() {
+            const keyword = this.pricingSearch.trim().toLowerCase();
+            if (!keyword) return this.modelPrices;
+            return this.modelPrices.filter(price => price.model.toLowerCase().includes(keyword));
+        },
+
+        resetPriceForm() {
+            this.editingPriceId = null;
+            this.priceForm = {
+                model: '',
+                input_price: 0,
+                output_price: 0
+            };
+        },
+
+        editPrice(price) {
+            this.editingPriceId = price.id;
+            this.priceForm = {
+                model: price.model,
+                input_price: price.input_price,
+                output_price: price.output_price
+            };
+        },
+
+        // 为未定价的模型快速填入价格表单
+        addPriceForModel(model) {
+            this.resetPriceForm();
+            this.priceForm.model = model;
+        },
+
+        async savePrice() {
+            if (!this.priceForm.model.trim()) {
+                await showAlert('请输入模型名称', 'warning', '提示');
+                return;
+            }
+
+            this.savingPrice = true;
+            try {
+                const url = this.editingPriceId ? `/admin/pricing/${this.editingPriceId}` : '/admin/pricing';
+                const response = await apiClient.fetch(url, {
+                    method: this.editingPriceId ? 'PUT' : 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        model: this.priceForm.model.trim(),
+                        input_price: Number(this.priceForm.input_price) || 0,
+                        output_price: Number(this.priceForm.output_price) || 0
+                    })
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    this.resetPriceForm();
+                    await this.loadModelPrices();
+                    this.refreshCosts();
+                } else {
+                    await showAlert('保存价格失败: ' + data.error, 'error', '提示');
+                }
+            } catch (error) {
+                console.error('Error saving model price:', error);
+                await showAlert('保存价格失败: ' + error.message, 'error', '提示');
+            } finally {
+                this.savingPrice = false;
+            }
+        },
+
+        async deletePrice(price) {
+            const confirmed = await showConfirm(`确定要删除模型 ${price.model} 的价格吗？删除后相关请求将不再计算成本。`, '确认删除价格');
+            if (!confirmed) return;
+
+            try {
+                const response = await apiClient.fetch(`/admin/pricing/${price.id}`, {
+                    method: 'DELETE'
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    if (this.editingPriceId === price.id) this.resetPriceForm();
+                    await this.loadModelPrices();
+                    this.refreshCosts();
+                } else {
+                    await showAlert('删除价格失败: ' + data.error, 'error', '提示');
+                }
+            } catch (error) {
+                console.error('Error deleting model price:', error);
+                await showAlert('删除价格失败: ' + error.message, 'error', '提示');
+            }
+        },
+
+        async restoreDefaultPrices() {
+            const confirmed = await showConfirm('确定要恢复内置默认价格吗？缺失的内置价格将被补充，同名模型的价格将被重置为默认值，自定义的其他模型价格不受影响。', '确认恢复默认价格');
+            if (!confirmed) return;
+
+            try {
+                const response = await apiClient.fetch('/admin/pricing/restore-defaults', {
+                    method: 'POST'
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    await showAlert(data.message || '已恢复默认价格', 'success', '提示');
+                    await this.loadModelPrices();
+                    this.refreshCosts();
+                } else {
+                    await showAlert('恢复默认价格失败: ' + data.error, 'error', '提示');
+                }
+            } catch (error) {
+                console.error('Error restoring default prices:', error);
+                await showAlert('恢复默认价格失败: ' + error.message, 'error', '提示');
+            }
+        },
+
+        // 价格变更后重新计算页面上的成本数据
+        refreshCosts() {
+            this.loadLogs();
+            this.loadTokenStats();
+            this.updateCharts();
         }
     }
 }
\ No newline at end of file
@@ -265,6 +265,178 @@ function showAlert(message, type = 'info', title = '提示') {
     });
 }
 
+// 重新登录框：会话失效时在当前页面内登录，登录成功后返回 true，取消返回 false
+// 不依赖页面中预置的HTML，首次调用时创建
+let reloginModalPromise = null;
+
+function showReloginModal(options = {}) {
+    if (reloginModalPromise) {
+        return reloginModalPromise;
+    }
+
+    reloginModalPromise = new Promise((resolve) => {
+        let modal = document.getElementById('reloginModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'reloginModal';
+            modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 hidden';
+            modal.style.zIndex = '9999';
+            modal.innerHTML = `
+                <div class="modal-content bg-white rounded-lg shadow-2xl w-full max-w-sm transition-all duration-200">
+                    <form class="p-6 space-y-4">
+                        <div class="flex items-center space-x-3">
+                            <div class="bg-yellow-100 rounded-full p-3">
+                                <svg class="h-6 w-6 text-yellow-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"></path>
+                                </svg>
+                            </div>
+                            <div>
+                                <h3 class="text-lg font-semibold text-gray-900">登录已过期</h3>
+                                <p class="text-sm text-gray-500">重新登录后将继续刚才的操作，页面内容不会丢失</p>
+                            </div>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">用户名</label>
+                            <input data-field="username" type="text" autocomplete="username" required
+                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">密码</label>
+                            <input data-field="password" type="password" autocomplete="current-password" required
+                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        </div>
+                        <p data-field="error" class="text-sm text-red-600 hidden"></p>
+                        <div class="flex justify-end space-x-3 pt-2">
+                            <button data-action="cancel" type="button"
+                                class="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors">前往登录页</button>
+                            <button data-action="submit" type="submit"
+                                class="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition-colors disabled:opacity-50">重新登录</button>
+                        </div>
+                    </form>
+                </div>`;
+            document.body.appendChild(modal);
+        }
+
+        const form = modal.querySelector('form');
+        const usernameInput = modal.querySelector('[data-field="username"]');
+        const passwordInput = modal.querySelector('[data-field="password"]');
+        const errorEl = modal.querySelector('[data-field="error"]');
+        const submitBtn = modal.querySelector('[data-action="submit"]');
+        const cancelBtn = modal.querySelector('[data-action="cancel"]');
+
+        usernameInput.value = options.username || '';
+        passwordInput.value = '';
+        errorEl.classList.add('hidden');
+        submitBtn.disabled = false;
+        submitBtn.textContent = '重新登录';
+        modal.classList.remove('hidden');
+
+        const close = (result) => {
+            form.removeEventListener('submit', handleSubmit);
+            cancelBtn.removeEventListener('click', handleCancel);
+            modal.classList.add('hidden');
+            passwordInput.value = '';
+            reloginModalPromise = null;
+            resolve(result);
+        };
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            submitBtn.disabled = true;
+            submitBtn.textContent = '登录中...';
+            errorEl.classList.add('hidden');
+            try {
+                await window.apiClient.login(usernameInput.value.trim(), passwordInput.value);
+                close(true);
+            } catch (error) {
+                errorEl.textContent = error.message || '登录失败';
+                errorEl.classList.remove('hidden');
+                submitBtn.disabled = false;
+                submitBtn.textContent = '重新登录';
+                passwordInput.select();
+            }
+        };
+
+        const handleCancel = () => {
+            close(false);
+        };
+
+        form.addEventListener('submit', handleSubmit);
+        cancelBtn.addEventListener('click', handleCancel);
+
+        setTimeout(() => {
+            (usernameInput.value ? passwordInput : usernameInput).focus();
+        }, 100);
+    });
+
+    return reloginModalPromise;
+}
+
+// 会话即将过期提示条：显示剩余时间并提供续期按钮
+let sessionWarningTimer = null;
+
+function showSessionWarning(expiresAt, onRefresh) {
+    let bar = document.getElementById('sessionWarningBar');
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'sessionWarningBar';
+        bar.className = 'fixed bottom-4 right-4 max-w-sm bg-yellow-50 border border-yellow-300 rounded-lg shadow-lg p-4 flex items-start space-x-3';
+        bar.style.zIndex = '9998';
+        bar.innerHTML = `
+            <svg class="h-5 w-5 text-yellow-600 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+            </svg>
+            <div class="flex-1">
+                <p data-field="message" class="text-sm text-yellow-800"></p>
+                <div class="mt-2 flex space-x-2">
+                    <button data-action="refresh" type="button"
+                        class="px-3 py-1 text-sm bg-yellow-600 text-white rounded hover:bg-yellow-700 transition-colors disabled:opacity-50">立即续期</button>
+                    <button data-action="dismiss" type="button"
+                        class="px-3 py-1 text-sm text-yellow-800 hover:bg-yellow-100 rounded transition-colors">稍后</button>
+                </div>
+            </div>`;
+        document.body.appendChild(bar);
+    }
+
+    const messageEl = bar.querySelector('[data-field="message"]');
+    const refreshBtn = bar.querySelector('[data-action="refresh"]');
+    const dismissBtn = bar.querySelector('[data-action="dismiss"]');
+
+    const updateMessage = () => {
+        const remaining = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+        const minutes = Math.floor(remaining / 60);
+        const seconds = String(remaining % 60).padStart(2, '0');
+        messageEl.textContent = `登录将在 ${minutes}:${seconds} 后过期，续期后可继续操作。`;
+    };
+
+    refreshBtn.disabled = false;
+    refreshBtn.onclick = async () => {
+        refreshBtn.disabled = true;
+        try {
+            await onRefresh();
+            hideSessionWarning();
+        } catch (error) {
+            messageEl.textContent = '续期失败: ' + (error.message || '未知错误');
+            refreshBtn.disabled = false;
+        }
+    };
+    dismissBtn.onclick = () => hideSessionWarning();
+
+    clearInterval(sessionWarningTimer);
+    updateMessage();
+    sessionWarningTimer = setInterval(updateMessage, 1000);
+    bar.classList.remove('hidden');
+}
+
+function hideSessionWarning() {
+    clearInterval(sessionWarningTimer);
+    sessionWarningTimer = null;
+    const bar = document.getElementById('sessionWarningBar');
+    if (bar) {
+        bar.classList.add('hidden');
+    }
+}
+
 // 添加调试功能
 function debugModal(message) {
     if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
@@ -277,6 +449,12 @@ document.addEventListener('DOMContentLoaded', function() {
     const confirmModal = document.getElementById('confirmModal');
     const alertModal = document.getElementById('alertModal');
 
+    // 仅使用重新登录框的页面不包含确认框和提示框
+    if (!confirmModal && !alertModal) {
+        debugModal('Confirm/alert modal elements not present on this page');
+        return;
+    }
+
     if (!confirmModal) {
         console.error('Confirm modal element not found! Make sure #confirmModal exists in the HTML.');
     } else {
@@ -293,4 +471,7 @@ document.addEventListener('DOMContentLoaded', function() {
 // 导出函数供全局使用
 window.showConfirm = showConfirm;
 window.showAlert = showAlert;
+window.showReloginModal = showReloginModal;
+window.showSessionWarning = showSessionWarning;
+window.hideSessionWarning = hideSessionWarning;
 window.debugModal = debugModal;
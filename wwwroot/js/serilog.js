@@ -3,6 +3,8 @@ function serilogManagement() {
     return {
         // 状态数据
         logs: [],
+        // 当前用户权限（read / operate / delete / manage_users）
+        permissions: [],
         levels: [],
         statistics: {
             totalLogs: 0,
@@ -35,6 +37,7 @@ function serilogManagement() {
 
         // 初始化
         async init() {
+            this.loadPermissions();
             this.loadLevels();
             this.loadLogs();
             // 先加载统计数据
@@ -45,32 +48,24 @@ function serilogManagement() {
             }, 500);
         },
 
-        // API请求封装
-        async fetchApi(url, options = {}) {
-            const token = localStorage.getItem('authToken');
-            const defaultOptions = {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            };
-            const response = await fetch(url, { ...defaultOptions, ...options });
-            
-            // 处理401未授权错误
-            if (response.status === 401) {
-                console.warn('未授权，跳转到登录页');
-                localStorage.removeItem('authToken');
-                window.location.href = '/login.html';
-                return response;
+        // 加载当前用户权限，用于隐藏无权执行的操作
+        async loadPermissions() {
+            try {
+                const session = await apiClient.loadSession();
+                this.permissions = session?.user?.permissions || [];
+            } catch (error) {
+                console.error('加载用户权限失败:', error);
             }
-            
-            return response;
+        },
+
+        can(permission) {
+            return this.permissions.includes(permission);
         },
 
         // 加载统计信息
         async loadStatistics() {
             try {
-                const response = await this.fetchApi('/admin/serilog/statistics');
+                const response = await apiClient.fetch('/admin/serilog/statistics');
                 if (response.ok) {
                     const data = await response.json();
                     
@@ -98,7 +93,7 @@ function serilogManagement() {
         // 加载日志级别列表
         async loadLevels() {
             try {
-                const response = await this.fetchApi('/admin/serilog/levels');
+                const response = await apiClient.fetch('/admin/serilog/levels');
                 if (response.ok) {
                     this.levels = await response.json();
                 }
@@ -120,7 +115,7 @@ function serilogManagement() {
                 if (this.filters.startTime) params.append('startTime', new Date(this.filters.startTime).toISOString());
                 if (this.filters.endTime) params.append('endTime', new Date(this.filters.endTime).toISOString());
 
-                const response = await this.fetchApi(`/admin/serilog?${params}`);
+                const response = await apiClient.fetch(`/admin/serilog?${params}`);
 
                 if (response.ok) {
                     const data = await response.json();
@@ -205,7 +200,7 @@ function serilogManagement() {
             }
 
             try {
-                const response = await this.fetchApi(`/admin/serilog?before=${beforeDate.toISOString()}`, {
+                const response = await apiClient.fetch(`/admin/serilog?before=${beforeDate.toISOString()}`, {
                     method: 'DELETE'
                 });
 